@@ -0,0 +1,70 @@
+const express = require('express');
+const cors = require('cors');
+const helmet = require('helmet');
+
+const authRoutes = require('./routes/auth');
+const threatRoutes = require('./routes/threat');
+const gameRoutes = require('./routes/games');
+const familyRoutes = require('./routes/family');
+const enterpriseRoutes = require('./routes/enterprise');
+const rbacRoutes = require('./routes/rbac');
+const scimRoutes = require('./routes/scim');
+const rulesetRoutes = require('./routes/rulesets');
+const trainingRoutes = require('./routes/training');
+const { notFound, errorHandler } = require('./middleware/error');
+const helperUtils = require('./utils/helpers');
+const constants = require('./config/constants');
+
+// Versioned prefix first; the bare /api prefix is kept as an alias for existing clients
+const API_PREFIXES = [`/api/${constants.API_VERSION}`, '/api'];
+
+const mountRoutes = (router) => {
+  router.get('/health', (req, res) => {
+    res.json(
+      helperUtils.successResponse('TruthShield Pro API is running!', {
+        version: constants.API_VERSION
+      })
+    );
+  });
+
+  router.use('/auth', authRoutes);
+  router.use('/threats', threatRoutes);
+  router.use('/games', gameRoutes);
+  router.use('/family', familyRoutes);
+  router.use('/enterprise', enterpriseRoutes);
+  router.use('/rbac', rbacRoutes);
+  router.use('/rulesets', rulesetRoutes);
+  router.use('/training', trainingRoutes);
+};
+
+// Build the Express application without connecting to the database or listening,
+// so it can be embedded in another process or driven by integration tests
+const createApp = (options = {}) => {
+  const app = express();
+
+  if (options.trustProxy !== undefined) {
+    app.set('trust proxy', options.trustProxy);
+  }
+
+  app.use(helmet());
+  app.use(cors(options.cors));
+  app.use(express.json({ limit: options.bodyLimit || '100kb' }));
+
+  const apiRouter = express.Router();
+  mountRoutes(apiRouter);
+
+  API_PREFIXES.forEach(prefix => app.use(prefix, apiRouter));
+
+  // SCIM 2.0 provisioning lives outside the REST API and answers in SCIM's own format
+  app.use('/scim/v2', scimRoutes);
+
+  app.use(notFound);
+  app.use(errorHandler);
+
+  return app;
+};
+
+module.exports = {
+  createApp,
+  API_PREFIXES
+};
@@ -1,9 +1,132 @@
 module.exports = {
   // Security Constants
   JWT_SECRET: process.env.JWT_SECRET || 'truthshield_pro_advanced_secret_key_2024',
-  JWT_EXPIRES_IN: '30d',
+  JWT_EXPIRES_IN: '15m', // Short-lived access tokens; sessions are extended with refresh tokens
+  REFRESH_TOKEN_EXPIRES_DAYS: 30,
+  PASSWORD_RESET_EXPIRES_MINUTES: 60,
+  EMAIL_VERIFICATION_EXPIRES_HOURS: 24,
+  VERIFICATION_RESEND_COOLDOWN_SECONDS: 60,
+
+  // Features that need a verified email; games always stay open
+  VERIFICATION_REQUIRED_FOR: (process.env.VERIFICATION_REQUIRED_FOR || 'family,enterprise')
+    .split(',')
+    .map(feature => feature.trim())
+    .filter(Boolean),
   BCRYPT_ROUNDS: 12,
 
+  // Children under this age need a parent's consent before their account is fully enabled
+  PARENTAL_CONSENT_AGE: 13,
+  PARENTAL_CONSENT_EXPIRES_IN: '7d',
+  PARENTAL_CONSENT_RESEND_COOLDOWN_SECONDS: 60,
+
+  // Two-factor authentication
+  MFA_ISSUER: 'TruthShield Pro',
+  MFA_CHALLENGE_EXPIRES_IN: '5m',
+  MFA_ENROLLMENT_EXPIRES_IN: '15m',
+  MFA_RECOVERY_CODE_COUNT: 10,
+
+  // Failed-login protection; enterprise admins can override the account policy per company
+  LOGIN_LOCKOUT: {
+    maxAttempts: 5, // Failures before the account is locked
+    lockoutMinutes: 15,
+    backoffBaseSeconds: 1, // Wait doubles after each failure: 1s, 2s, 4s...
+    failureWindowMinutes: 60, // Failures older than this are forgotten
+    ipMaxAttempts: 20 // Failures from one IP (across accounts) before it is blocked
+  },
+
+  // Enterprise single sign-on (OpenID Connect authorization code flow with PKCE)
+  SSO_REDIRECT_URI: process.env.SSO_REDIRECT_URI || `${process.env.CLIENT_URL || 'http://localhost:3000'}/sso/callback`,
+  SSO_STATE_EXPIRES_MINUTES: 10,
+  SSO_DEFAULT_CLAIMS: {
+    email: 'email',
+    firstName: 'given_name',
+    lastName: 'family_name',
+    department: 'department',
+    employeeId: 'employee_id'
+  },
+  SSO_DEFAULT_AGE: 18, // Used when the IdP sends no birthdate; SSO accounts are workforce adults
+  SSO_DOMAIN_VERIFICATION_HOST: '_truthshield-verification', // TXT record name under the claimed domain
+  SSO_DOMAIN_VERIFICATION_PREFIX: 'truthshield-domain-verification=',
+  SSO_LINK_EXPIRES_IN: '24h', // Emailed confirmation before an existing account is linked to an IdP
+  OIDC_METADATA_CACHE_SECONDS: 3600,
+  OIDC_HTTP_TIMEOUT_MS: 5000,
+
+  // SCIM 2.0 provisioning (bearer token per company)
+  SCIM_TOKEN_PREFIX: 'scim_',
+  SCIM_MAX_PAGE_SIZE: 200,
+
+  // Integration API keys (sent in the X-API-Key header)
+  API_KEY_SCOPES: {
+    THREATS_ANALYZE: 'threats:analyze',
+    THREATS_REPORT: 'threats:report',
+    THREATS_READ: 'threats:read',
+    ENTERPRISE_READ: 'enterprise:read'
+  },
+  API_KEY_DEFAULT_EXPIRY_DAYS: 365,
+  API_KEY_MAX_PER_USER: 20,
+
+  // Outgoing mail: 'console' and 'file' are development stubs, 'smtp' uses SMTP_URL
+  MAIL_TRANSPORT: process.env.MAIL_TRANSPORT || 'console',
+  MAIL_FROM: process.env.MAIL_FROM || 'TruthShield Pro <no-reply@truthshield.pro>',
+  MAIL_OUTBOX_DIR: process.env.MAIL_OUTBOX_DIR || 'tmp/mail',
+  CLIENT_URL: process.env.CLIENT_URL || 'http://localhost:3000',
+
+  // Personal data exports (GDPR / CCPA)
+  DATA_EXPORT_DIR: process.env.DATA_EXPORT_DIR || 'tmp/exports',
+  DATA_EXPORT_EXPIRES_HOURS: 48, // Archives are deleted after this
+  DATA_EXPORT_MAX_ACTIVE: 1, // Queued or processing exports per user
+
+  // Account deletion: soft-deleted accounts can be restored until the purge runs
+  ACCOUNT_DELETION_GRACE_DAYS: parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS, 10) || 14,
+  ACCOUNT_PURGE_INTERVAL_MINUTES: 60, // How often due deletions are picked up
+
+  // URL analysis: brands whose lookalikes are flagged (registrable domains)
+  // Brands to watch for impersonation, comma-separated; each brand lists its official
+  // domains separated by |, the first of which names the brand (amazon.com|amazon.de)
+  URL_ANALYSIS_BRAND_DOMAINS: (process.env.URL_ANALYSIS_BRANDS || [
+    'paypal.com|paypal.me',
+    'apple.com',
+    'amazon.com|amazon.ca|amazon.com.mx|amazon.com.br|amazon.co.uk|amazon.de|amazon.fr|amazon.it|amazon.es|amazon.nl|amazon.se|amazon.pl|amazon.com.be|amazon.com.tr|amazon.ae|amazon.sa|amazon.eg|amazon.in|amazon.co.jp|amazon.sg|amazon.com.au',
+    'microsoft.com',
+    'google.com|google.co.uk|google.ca|google.com.au|google.de|google.fr|google.it|google.es|google.nl|google.co.in|google.co.jp|google.com.br|google.com.mx',
+    'netflix.com',
+    'facebook.com',
+    'instagram.com',
+    'roblox.com',
+    'steampowered.com',
+    'chase.com',
+    'wellsfargo.com',
+    'bankofamerica.com'
+  ].join(','))
+    .split(',').map(brand => brand.split('|').map(domain => domain.trim().toLowerCase()).filter(Boolean))
+    .filter(domains => domains.length > 0),
+  URL_ANALYSIS_MAX_SUBDOMAINS: 3,
+  URL_ANALYSIS_THREAT_THRESHOLD: 0.5, // URL score that counts as a phishing finding
+  OBFUSCATION_CONFIDENCE_BOOST: 0.15, // Added per technique when disguised text matches a threat pattern
+  RULESET_RELOAD_INTERVAL_SECONDS: 30, // How often each instance checks for a newly activated ruleset
+
+  // Detector plugins (utils/ai-detection registerDetector)
+  DETECTOR_TIMEOUT_MS: 2000, // Budget per detector per analysis unless the detector sets its own
+  // How findings are merged: union, max, noisy_or or weighted (see utils/detectors/fusion)
+  DETECTOR_FUSION_STRATEGY: process.env.DETECTOR_FUSION_STRATEGY || 'union',
+  // Per-persona { enable: [names], disable: [names] } applied before company settings
+  DETECTOR_PERSONA_OVERRIDES: {},
+
+  // Trained text classifier (utils/text-classifier, scripts/train-classifier.js)
+  CLASSIFIER_MODEL_DIR: process.env.CLASSIFIER_MODEL_DIR || 'data/classifier',
+  // Serve this model version instead of the newest one, e.g. to roll back a bad training run
+  CLASSIFIER_MODEL_VERSION: parseInt(process.env.CLASSIFIER_MODEL_VERSION, 10) || null,
+  CLASSIFIER_MIN_PROBABILITY: 0.6, // Class probability that counts as a finding
+  CLASSIFIER_HOLDOUT_RATIO: 0.2, // Share of the corpus kept back to measure accuracy
+  CLASSIFIER_RELOAD_INTERVAL_SECONDS: 60, // How often each instance checks for a newly promoted model
+  // Feedback retraining (utils/classifier-training)
+  CLASSIFIER_RETRAIN_INTERVAL_HOURS: parseInt(process.env.CLASSIFIER_RETRAIN_INTERVAL_HOURS, 10) || 24,
+  CLASSIFIER_RETRAIN_CHECK_MINUTES: 30, // How often the schedule is checked
+  CLASSIFIER_MIN_HOLDOUT_EXAMPLES: 20, // Fewer and a candidate is not compared or promoted
+  CLASSIFIER_PROMOTION_TOLERANCE: 0.01, // Precision or recall may dip this much before it counts as a regression
+  // Reports from scripts/evaluate-detection.js when no --out is given
+  EVALUATION_REPORT_DIR: process.env.EVALUATION_REPORT_DIR || 'tmp/evaluations',
+
   // Game Constants
   GAME_DIFFICULTY: {
     EASY: 'easy',
@@ -42,5 +165,57 @@ module.exports = {
     AUTH: 5, // 5 attempts per 15 minutes
     GAME: 50, // 50 requests per 15 minutes
     THREAT: 100 // 100 requests per 15 minutes
+  },
+  RATE_LIMIT_WINDOW_MS: 15 * 60 * 1000,
+
+  // Per-persona budgets that replace RATE_LIMITS for that persona
+  RATE_LIMIT_OVERRIDES: {
+    enterprise: {
+      GAME: 200,
+      THREAT: 1000
+    }
+  },
+
+  // Backing store for rate-limit counters: 'memory' (single process) or 'mongo' (shared)
+  RATE_LIMIT_STORE: process.env.RATE_LIMIT_STORE || 'memory',
+
+  // API Versioning
+  API_VERSION: 'v1',
+
+  // Stable error codes returned in errorResponse().errorCode
+  ERROR_CODES: {
+    VALIDATION_ERROR: 'VALIDATION_ERROR',
+    INVALID_JSON: 'INVALID_JSON',
+    INVALID_ID: 'INVALID_ID',
+    DUPLICATE_RESOURCE: 'DUPLICATE_RESOURCE',
+    NOT_AUTHORIZED: 'NOT_AUTHORIZED',
+    TOKEN_EXPIRED: 'TOKEN_EXPIRED',
+    INVALID_REFRESH_TOKEN: 'INVALID_REFRESH_TOKEN',
+    REFRESH_TOKEN_REUSED: 'REFRESH_TOKEN_REUSED',
+    EMAIL_NOT_VERIFIED: 'EMAIL_NOT_VERIFIED',
+    MFA_ENROLLMENT_REQUIRED: 'MFA_ENROLLMENT_REQUIRED',
+    INVALID_MFA_CODE: 'INVALID_MFA_CODE',
+    INVALID_API_KEY: 'INVALID_API_KEY',
+    INSUFFICIENT_SCOPE: 'INSUFFICIENT_SCOPE',
+    ACCOUNT_LOCKED: 'ACCOUNT_LOCKED',
+    LOGIN_THROTTLED: 'LOGIN_THROTTLED',
+    SSO_REQUIRED: 'SSO_REQUIRED',
+    SSO_FAILED: 'SSO_FAILED',
+    SSO_LINK_REQUIRED: 'SSO_LINK_REQUIRED',
+    INVALID_LINK_TOKEN: 'INVALID_LINK_TOKEN',
+    DOMAIN_NOT_VERIFIED: 'DOMAIN_NOT_VERIFIED',
+    ACCOUNT_DISABLED: 'ACCOUNT_DISABLED',
+    PARENTAL_CONSENT_REQUIRED: 'PARENTAL_CONSENT_REQUIRED',
+    INVALID_CONSENT_TOKEN: 'INVALID_CONSENT_TOKEN',
+    EXPORT_NOT_READY: 'EXPORT_NOT_READY',
+    ACCOUNT_PENDING_DELETION: 'ACCOUNT_PENDING_DELETION',
+    INVALID_RESTORE_TOKEN: 'INVALID_RESTORE_TOKEN',
+    INVALID_RULESET: 'INVALID_RULESET',
+    RULESET_LOCKED: 'RULESET_LOCKED',
+    FORBIDDEN: 'FORBIDDEN',
+    NOT_FOUND: 'NOT_FOUND',
+    PAYLOAD_TOO_LARGE: 'PAYLOAD_TOO_LARGE',
+    RATE_LIMITED: 'RATE_LIMITED',
+    INTERNAL_ERROR: 'INTERNAL_ERROR'
   }
 };
\ No newline at end of file
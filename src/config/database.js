@@ -1,14 +1,11 @@
 const mongoose = require('mongoose');
 
-const connectDB = async () => {
+const connectDB = async (uri = process.env.MONGODB_URI || 'mongodb://localhost:27017/truthshield-pro') => {
   try {
-    const conn = await mongoose.connect(process.env.MONGODB_URI, {
-      useNewUrlParser: true,
-      useUnifiedTopology: true,
-    });
+    const conn = await mongoose.connect(uri);
 
     console.log(`✅ MongoDB Connected: ${conn.connection.host}`);
-    
+
     // Connection event handlers
     mongoose.connection.on('error', (err) => {
       console.error(' MongoDB connection error:', err);
@@ -18,16 +15,20 @@ const connectDB = async () => {
       console.log('️ MongoDB disconnected');
     });
 
-    process.on('SIGINT', async () => {
-      await mongoose.connection.close();
-      console.log('⛔ MongoDB connection closed through app termination');
-      process.exit(0);
-    });
-
+    return conn;
   } catch (error) {
     console.error(' Database connection failed:', error);
-    process.exit(1);
+    throw error;
+  }
+};
+
+// Close the connection; shutdown handling is left to the hosting process
+const disconnectDB = async () => {
+  if (mongoose.connection.readyState !== 0) {
+    await mongoose.connection.close();
+    console.log('⛔ MongoDB connection closed');
   }
 };
 
-module.exports = connectDB;
\ No newline at end of file
+module.exports = connectDB;
+module.exports.disconnectDB = disconnectDB;
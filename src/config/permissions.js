@@ -0,0 +1,155 @@
+// Role-based access control: every permission, the scope it is checked in, and
+// the roles that grant it. Routes declare permissions with requirePermission().
+
+const PERMISSIONS = {
+  // Threats
+  THREAT_REPORT: 'threat:report',
+  THREAT_ANALYZE: 'threat:analyze',
+  THREAT_READ: 'threat:read',
+  THREAT_UPDATE: 'threat:update',
+  THREAT_TRIAGE: 'threat:triage',
+  THREAT_INTELLIGENCE_READ: 'threat:intelligence:read',
+
+  // Detection rules
+  RULESET_READ: 'ruleset:read',
+  RULESET_MANAGE: 'ruleset:manage',
+  TRAINING_REVIEW: 'training:review',
+  CLASSIFIER_MANAGE: 'classifier:manage',
+
+  // Games
+  GAME_PLAY: 'game:play',
+
+  // Family
+  FAMILY_CREATE: 'family:create',
+  FAMILY_READ: 'family:read',
+  FAMILY_MANAGE: 'family:manage',
+  FAMILY_ROLES_MANAGE: 'family:roles:manage',
+  FAMILY_AUDIT_READ: 'family:audit:read',
+
+  // Enterprise
+  ENTERPRISE_DASHBOARD_READ: 'enterprise:dashboard:read',
+  ENTERPRISE_EMPLOYEES_READ: 'enterprise:employees:read',
+  ENTERPRISE_SETTINGS_MANAGE: 'enterprise:settings:manage',
+  ENTERPRISE_ROLES_MANAGE: 'enterprise:roles:manage',
+  ENTERPRISE_AUDIT_READ: 'enterprise:audit:read',
+
+  // Platform administration
+  RBAC_AUDIT: 'rbac:audit',
+  RBAC_MANAGE: 'rbac:manage'
+};
+
+// Scope a permission is evaluated in; anything not listed is global
+const PERMISSION_SCOPES = {
+  [PERMISSIONS.THREAT_TRIAGE]: 'company',
+  [PERMISSIONS.FAMILY_READ]: 'family',
+  [PERMISSIONS.FAMILY_MANAGE]: 'family',
+  [PERMISSIONS.FAMILY_ROLES_MANAGE]: 'family',
+  [PERMISSIONS.FAMILY_AUDIT_READ]: 'family',
+  [PERMISSIONS.ENTERPRISE_DASHBOARD_READ]: 'company',
+  [PERMISSIONS.ENTERPRISE_EMPLOYEES_READ]: 'company',
+  [PERMISSIONS.ENTERPRISE_SETTINGS_MANAGE]: 'company',
+  [PERMISSIONS.ENTERPRISE_ROLES_MANAGE]: 'company',
+  [PERMISSIONS.ENTERPRISE_AUDIT_READ]: 'company'
+};
+
+// implicit roles are derived from the user and family/company records;
+// assignable roles can also be granted through RoleAssignment
+const ROLES = {
+  user: {
+    scope: 'global',
+    implicit: true,
+    description: 'Every signed-in account',
+    permissions: [
+      PERMISSIONS.THREAT_REPORT,
+      PERMISSIONS.THREAT_ANALYZE,
+      PERMISSIONS.THREAT_READ,
+      PERMISSIONS.THREAT_UPDATE,
+      PERMISSIONS.THREAT_INTELLIGENCE_READ,
+      PERMISSIONS.GAME_PLAY,
+      PERMISSIONS.FAMILY_CREATE
+    ]
+  },
+  family_parent: {
+    scope: 'family',
+    implicit: true,
+    description: 'Owner of a family group',
+    permissions: [
+      PERMISSIONS.FAMILY_READ,
+      PERMISSIONS.FAMILY_MANAGE,
+      PERMISSIONS.FAMILY_ROLES_MANAGE,
+      PERMISSIONS.FAMILY_AUDIT_READ
+    ]
+  },
+  family_member: {
+    scope: 'family',
+    implicit: true,
+    description: 'Child in a family group',
+    permissions: [
+      PERMISSIONS.FAMILY_READ
+    ]
+  },
+  family_guardian: {
+    scope: 'family',
+    assignable: true,
+    description: 'Co-parent who can manage children and settings',
+    permissions: [
+      PERMISSIONS.FAMILY_READ,
+      PERMISSIONS.FAMILY_MANAGE
+    ]
+  },
+  enterprise_admin: {
+    scope: 'company',
+    implicit: true,
+    assignable: true,
+    description: 'Company administrator',
+    permissions: [
+      PERMISSIONS.ENTERPRISE_DASHBOARD_READ,
+      PERMISSIONS.ENTERPRISE_EMPLOYEES_READ,
+      PERMISSIONS.ENTERPRISE_SETTINGS_MANAGE,
+      PERMISSIONS.ENTERPRISE_ROLES_MANAGE,
+      PERMISSIONS.ENTERPRISE_AUDIT_READ,
+      PERMISSIONS.THREAT_TRIAGE
+    ]
+  },
+  security_analyst: {
+    scope: 'company',
+    assignable: true,
+    description: 'Reviews company threats and employee reports',
+    permissions: [
+      PERMISSIONS.ENTERPRISE_DASHBOARD_READ,
+      PERMISSIONS.ENTERPRISE_EMPLOYEES_READ,
+      PERMISSIONS.THREAT_TRIAGE
+    ]
+  },
+  detection_engineer: {
+    scope: 'global',
+    assignable: true,
+    description: 'Maintains the threat detection rulesets and classifier',
+    permissions: [
+      PERMISSIONS.RULESET_READ,
+      PERMISSIONS.RULESET_MANAGE,
+      PERMISSIONS.TRAINING_REVIEW,
+      PERMISSIONS.CLASSIFIER_MANAGE
+    ]
+  },
+  moderator: {
+    scope: 'global',
+    assignable: true,
+    description: 'Approves threat feedback before it trains the classifier',
+    permissions: [
+      PERMISSIONS.TRAINING_REVIEW
+    ]
+  },
+  platform_admin: {
+    scope: 'global',
+    assignable: true,
+    description: 'TruthShield Pro operator',
+    permissions: ['*']
+  }
+};
+
+module.exports = {
+  PERMISSIONS,
+  PERMISSION_SCOPES,
+  ROLES
+};
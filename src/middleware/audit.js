@@ -0,0 +1,60 @@
+const auditLog = require('../utils/audit-log');
+const helperUtils = require('../utils/helpers');
+
+// Write an AuditEvent once the wrapped route has responded successfully.
+// describe(req) returns { scope, target, snapshot } (or null to skip) and runs
+// before and after the handler so the entry carries a before/after diff.
+// action is a name, or a function of the diff that returns one (null to skip).
+const audit = (action, describe) => {
+  return async (req, res, next) => {
+    let before;
+    try {
+      before = await describe(req);
+    } catch (error) {
+      console.error('Audit snapshot error:', error);
+      return res.status(500).json(
+        helperUtils.errorResponse('Server error in audit logging')
+      );
+    }
+
+    if (!before) return next();
+
+    res.on('finish', async () => {
+      if (res.statusCode >= 400) return;
+
+      try {
+        const after = await describe(req);
+        const changes = auditLog.diff(before.snapshot, after ? after.snapshot : null);
+        const name = typeof action === 'function' ? action(changes, req) : action;
+        if (!name) return;
+
+        await auditLog.record({
+          scope: before.scope,
+          action: name,
+          // The id only: entries can never be purged, so no personal data goes in
+          actor: {
+            user: req.user._id,
+            apiKey: req.apiKey ? req.apiKey._id : undefined
+          },
+          target: before.target,
+          changes,
+          request: {
+            ip: req.ip,
+            userAgent: req.get('User-Agent'),
+            method: req.method,
+            path: req.originalUrl,
+            statusCode: res.statusCode
+          }
+        });
+      } catch (error) {
+        console.error(`Audit log error (${typeof action === 'string' ? action : 'dynamic'}):`, error);
+      }
+    });
+
+    next();
+  };
+};
+
+module.exports = {
+  audit
+};
@@ -1,17 +1,105 @@
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const ApiKey = require('../models/ApiKey');
+const tokenService = require('../utils/token-service');
+const encryptionUtils = require('../utils/encryption');
+const rbacService = require('../utils/rbac');
 const constants = require('../config/constants');
 
+// Read the access token from the Authorization header or the extension header
+const extractToken = (req) => {
+  if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
+    return req.headers.authorization.split(' ')[1];
+  }
+  return req.headers['x-truthshield-token'];
+};
+
+// Deactivated accounts (e.g. by SCIM) keep their data but cannot sign in
+const sendAccountDisabled = (res) => {
+  return res.status(401).json({
+    status: 'error',
+    message: 'This account has been deactivated',
+    errorCode: constants.ERROR_CODES.ACCOUNT_DISABLED
+  });
+};
+
+// Only record key usage once a minute to avoid a write per request
+const API_KEY_TOUCH_INTERVAL_MS = 60 * 1000;
+
+// Authenticate an X-API-Key request against the scopes declared with apiKeyScope()
+const authenticateApiKey = async (req, res, next) => {
+  // Routes that did not declare scopes are closed to API keys
+  if (!req.apiKeyScopes) {
+    return res.status(403).json({
+      status: 'error',
+      message: 'API keys cannot access this route',
+      errorCode: constants.ERROR_CODES.INSUFFICIENT_SCOPE
+    });
+  }
+
+  const apiKey = await ApiKey.findOne({
+    keyHash: encryptionUtils.hashData(req.headers['x-api-key'])
+  });
+
+  if (!apiKey || !apiKey.isActive()) {
+    return res.status(401).json({
+      status: 'error',
+      message: 'Invalid or expired API key',
+      errorCode: constants.ERROR_CODES.INVALID_API_KEY
+    });
+  }
+
+  if (!apiKey.hasScopes(req.apiKeyScopes)) {
+    return res.status(403).json({
+      status: 'error',
+      message: `API key is missing required scope: ${req.apiKeyScopes.join(', ')}`,
+      errorCode: constants.ERROR_CODES.INSUFFICIENT_SCOPE
+    });
+  }
+
+  const user = await User.findById(apiKey.user);
+  if (!user) {
+    return res.status(401).json({
+      status: 'error',
+      message: 'User no longer exists'
+    });
+  }
+
+  if (!user.isActive) {
+    return sendAccountDisabled(res);
+  }
+
+  if (!apiKey.lastUsedAt || Date.now() - apiKey.lastUsedAt.getTime() > API_KEY_TOUCH_INTERVAL_MS) {
+    ApiKey.updateOne(
+      { _id: apiKey._id },
+      { lastUsedAt: new Date(), lastUsedIp: req.ip }
+    ).catch(error => console.error('API key usage update error:', error));
+  }
+
+  req.user = user;
+  req.apiKey = apiKey;
+  req.auth = { type: 'api_key', keyId: apiKey._id };
+  next();
+};
+
+// Declare the API key scopes a route accepts; place before protect
+const apiKeyScope = (...scopes) => {
+  const middleware = (req, res, next) => {
+    req.apiKeyScopes = scopes;
+    next();
+  };
+
+  middleware.apiKeyScopes = scopes;
+  return middleware;
+};
+
 const protect = async (req, res, next) => {
   try {
-    let token;
-
-    if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
-      token = req.headers.authorization.split(' ')[1];
-    } else if (req.headers['x-truthshield-token']) {
-      token = req.headers['x-truthshield-token'];
+    if (req.headers['x-api-key']) {
+      return await authenticateApiKey(req, res, next);
     }
 
+    const token = extractToken(req);
+
     if (!token) {
       return res.status(401).json({
         status: 'error',
@@ -20,8 +108,8 @@ const protect = async (req, res, next) => {
     }
 
     try {
-      // Verify token
-      const decoded = jwt.verify(token, constants.JWT_SECRET);
+      // Verify token and make sure its session has not been revoked
+      const decoded = await tokenService.verifyAccessToken(token);
       
       // Get user from token
       const user = await User.findById(decoded.id).select('+password');
@@ -33,6 +121,10 @@ const protect = async (req, res, next) => {
         });
       }
 
+      if (!user.isActive) {
+        return sendAccountDisabled(res);
+      }
+
       // Check if user changed password after token was issued
       if (user.changedPasswordAfter(decoded.iat)) {
         return res.status(401).json({
@@ -42,11 +134,12 @@ const protect = async (req, res, next) => {
       }
 
       req.user = user;
+      req.auth = { type: 'jwt', sessionId: decoded.sid };
       next();
     } catch (error) {
       return res.status(401).json({
         status: 'error',
-        message: 'Not authorized to access this route'
+        message: error.isOperational ? error.message : 'Not authorized to access this route'
       });
     }
   } catch (error) {
@@ -58,21 +151,47 @@ const protect = async (req, res, next) => {
   }
 };
 
-// Optional auth - doesn't throw error if no token
-const optionalAuth = async (req, res, next) => {
+// Accept either a normal access token or the enrollment token handed out when
+// a login is blocked because two-factor authentication is mandatory
+const allowMfaEnrollment = async (req, res, next) => {
+  const token = extractToken(req);
+
   try {
-    let token;
+    const decoded = tokenService.verifyPurposeToken(token, 'mfa_enroll');
+    const user = await User.findById(decoded.id);
+
+    if (!user) {
+      return res.status(401).json({
+        status: 'error',
+        message: 'User no longer exists'
+      });
+    }
 
-    if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
-      token = req.headers.authorization.split(' ')[1];
-    } else if (req.headers['x-truthshield-token']) {
-      token = req.headers['x-truthshield-token'];
+    if (!user.isActive) {
+      return sendAccountDisabled(res);
     }
 
+    req.user = user;
+    req.auth = { type: 'mfa_enroll' };
+    return next();
+  } catch (error) {
+    return protect(req, res, next);
+  }
+};
+
+// Optional auth - doesn't throw error if no token
+const optionalAuth = async (req, res, next) => {
+  try {
+    const token = extractToken(req);
+
     if (token) {
-      const decoded = jwt.verify(token, constants.JWT_SECRET);
+      const decoded = await tokenService.verifyAccessToken(token);
       const user = await User.findById(decoded.id);
-      req.user = user;
+
+      if (user && user.isActive && !user.changedPasswordAfter(decoded.iat)) {
+        req.user = user;
+        req.auth = { type: 'jwt', sessionId: decoded.sid };
+      }
     }
 
     next();
@@ -82,19 +201,55 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
-// Role-based authorization
+// Role-based authorization - passes if the user holds any of the roles in any scope.
+// Prefer requirePermission() from middleware/rbac for new routes.
 const authorize = (...roles) => {
+  return async (req, res, next) => {
+    try {
+      if (!(await rbacService.hasRole(req.user, roles, req))) {
+        return res.status(403).json({
+          status: 'error',
+          message: `Requires one of the roles: ${roles.join(', ')}`,
+          errorCode: constants.ERROR_CODES.FORBIDDEN
+        });
+      }
+      next();
+    } catch (error) {
+      console.error('Role authorization error:', error);
+      res.status(500).json({
+        status: 'error',
+        message: 'Server error in authorization'
+      });
+    }
+  };
+};
+
+// Email verification gate for features listed in VERIFICATION_REQUIRED_FOR
+const requireVerified = (feature) => {
   return (req, res, next) => {
-    if (!roles.includes(req.user.role)) {
+    if (constants.VERIFICATION_REQUIRED_FOR.includes(feature) && !req.user.isVerified) {
       return res.status(403).json({
         status: 'error',
-        message: `User role ${req.user.role} is not authorized to access this route`
+        message: 'Please verify your email address to use this feature',
+        errorCode: constants.ERROR_CODES.EMAIL_NOT_VERIFIED
       });
     }
     next();
   };
 };
 
+// Lock a feature for children whose parent has not yet given consent
+const requireParentalConsent = (req, res, next) => {
+  if (req.user.needsParentalConsent()) {
+    return res.status(403).json({
+      status: 'error',
+      message: 'A parent or guardian needs to approve your account before you can use this feature',
+      errorCode: constants.ERROR_CODES.PARENTAL_CONSENT_REQUIRED
+    });
+  }
+  next();
+};
+
 // Family authorization - check if user can access family data
 const authorizeFamily = async (req, res, next) => {
   try {
@@ -136,7 +291,11 @@ const authorizeFamily = async (req, res, next) => {
 
 module.exports = {
   protect,
+  apiKeyScope,
+  allowMfaEnrollment,
   optionalAuth,
   authorize,
+  requireVerified,
+  requireParentalConsent,
   authorizeFamily
 };
\ No newline at end of file
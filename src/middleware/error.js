@@ -0,0 +1,72 @@
+const { AppError } = require('../utils/errors');
+const helperUtils = require('../utils/helpers');
+const { ERROR_CODES } = require('../config/constants');
+
+// Map known library errors onto an AppError with a stable code
+const normalizeError = (err) => {
+  if (err instanceof AppError) return err;
+
+  // Malformed JSON body from express.json()
+  if (err.type === 'entity.parse.failed') {
+    return new AppError('Request body is not valid JSON', 400, ERROR_CODES.INVALID_JSON);
+  }
+
+  if (err.type === 'entity.too.large') {
+    return new AppError('Request body is too large', 413, ERROR_CODES.PAYLOAD_TOO_LARGE);
+  }
+
+  if (err.name === 'CastError') {
+    return new AppError(`Invalid ${err.path}: ${err.value}`, 400, ERROR_CODES.INVALID_ID);
+  }
+
+  if (err.name === 'ValidationError') {
+    const messages = Object.values(err.errors || {}).map(e => e.message);
+    return new AppError(messages.join('. ') || 'Validation failed', 400, ERROR_CODES.VALIDATION_ERROR);
+  }
+
+  if (err.code === 11000) {
+    // Blind indexes stand in for encrypted fields; report the field the client sent
+    const fields = Object.keys(err.keyValue || {}).map(field => field.replace(/Hash$/, '')).join(', ');
+    return new AppError(`Duplicate value for ${fields || 'unique field'}`, 409, ERROR_CODES.DUPLICATE_RESOURCE);
+  }
+
+  if (err.name === 'TokenExpiredError') {
+    return new AppError('Token has expired', 401, ERROR_CODES.TOKEN_EXPIRED);
+  }
+
+  if (err.name === 'JsonWebTokenError') {
+    return new AppError('Not authorized to access this route', 401, ERROR_CODES.NOT_AUTHORIZED);
+  }
+
+  return null;
+};
+
+// Catch-all for unmatched routes
+const notFound = (req, res, next) => {
+  next(new AppError(`Route ${req.method} ${req.originalUrl} not found`, 404, ERROR_CODES.NOT_FOUND));
+};
+
+// Central error handler - always answers with helperUtils.errorResponse
+const errorHandler = (err, req, res, next) => {
+  const appError = normalizeError(err);
+
+  if (!appError) {
+    console.error('Unhandled error:', err);
+    return res.status(500).json(
+      helperUtils.errorResponse('Internal server error', ERROR_CODES.INTERNAL_ERROR)
+    );
+  }
+
+  if (appError.statusCode >= 500) {
+    console.error('Server error:', err);
+  }
+
+  res.status(appError.statusCode).json(
+    helperUtils.errorResponse(appError.message, appError.errorCode)
+  );
+};
+
+module.exports = {
+  notFound,
+  errorHandler
+};
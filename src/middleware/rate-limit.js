@@ -0,0 +1,52 @@
+const rateLimit = require('express-rate-limit');
+const { createStore } = require('../utils/rate-limit-store');
+const helperUtils = require('../utils/helpers');
+const constants = require('../config/constants');
+
+// Budget for a route family, honouring any override for the caller's persona
+const resolveLimit = (family, req) => {
+  const persona = req.user && req.user.persona;
+  const overrides = (persona && constants.RATE_LIMIT_OVERRIDES[persona]) || {};
+
+  return overrides[family] || constants.RATE_LIMITS[family];
+};
+
+// Authenticated callers are limited per account, anonymous callers per IP
+const rateLimitKey = (req) => {
+  return req.user ? `user:${req.user._id}` : `ip:${req.ip}`;
+};
+
+const createRateLimiter = (family, options = {}) => {
+  if (!constants.RATE_LIMITS[family]) {
+    throw new Error(`Unknown rate limit family: ${family}`);
+  }
+
+  return rateLimit({
+    windowMs: constants.RATE_LIMIT_WINDOW_MS,
+    max: (req) => resolveLimit(family, req),
+    standardHeaders: true,
+    legacyHeaders: false,
+    keyGenerator: rateLimitKey,
+    store: options.store || createStore(family.toLowerCase()),
+    handler: (req, res) => {
+      res.status(429).json(
+        helperUtils.errorResponse(
+          'Too many requests. Please try again later.',
+          constants.ERROR_CODES.RATE_LIMITED
+        )
+      );
+    }
+  });
+};
+
+// Place after protect so the limit is keyed by user id
+const authLimiter = createRateLimiter('AUTH');
+const gameLimiter = createRateLimiter('GAME');
+const threatLimiter = createRateLimiter('THREAT');
+
+module.exports = {
+  createRateLimiter,
+  authLimiter,
+  gameLimiter,
+  threatLimiter
+};
@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+const rbacService = require('../utils/rbac');
+const helperUtils = require('../utils/helpers');
+const { ERROR_CODES } = require('../config/constants');
+
+const forbidden = (res, message) => {
+  return res.status(403).json(
+    helperUtils.errorResponse(message, ERROR_CODES.FORBIDDEN)
+  );
+};
+
+// Family routes act on the family the caller holds the permission in (or :familyId)
+const checkFamilyPermission = async (req, res, permission) => {
+  const assignments = await rbacService.getAssignments(req.user, req);
+  const familyAssignments = assignments.filter(assignment =>
+    assignment.scopeType === 'family' &&
+    (!req.params.familyId || assignment.scopeId === req.params.familyId)
+  );
+
+  if (familyAssignments.length === 0) {
+    res.status(404).json(helperUtils.errorResponse('Family not found', ERROR_CODES.NOT_FOUND));
+    return false;
+  }
+
+  const granting = familyAssignments.find(assignment => rbacService.roleGrants(assignment.role, permission)) ||
+    (await rbacService.hasPermission(req.user, permission, null, req) ? familyAssignments[0] : null);
+
+  if (!granting) {
+    forbidden(res, `Missing permission: ${permission}`);
+    return false;
+  }
+
+  const Family = mongoose.model('Family');
+  req.family = await Family.findById(granting.scopeId);
+
+  if (!req.family) {
+    res.status(404).json(helperUtils.errorResponse('Family not found', ERROR_CODES.NOT_FOUND));
+    return false;
+  }
+
+  req.rbacScope = { type: 'family', id: granting.scopeId };
+  return true;
+};
+
+// Require a named permission from config/permissions.js. The declared permission is
+// attached to the middleware so routes can be listed and audited.
+const requirePermission = (permission) => {
+  const middleware = async (req, res, next) => {
+    try {
+      const scopeType = rbacService.scopeFor(permission);
+
+      if (scopeType === 'family') {
+        const allowed = await checkFamilyPermission(req, res, permission);
+        return allowed ? next() : undefined;
+      }
+
+      let scope = null;
+      if (scopeType === 'company') {
+        if (!req.user.enterprise || !req.user.enterprise.company) {
+          return forbidden(res, 'Enterprise access required');
+        }
+        scope = { type: 'company', id: req.user.enterprise.company };
+      }
+
+      if (!(await rbacService.hasPermission(req.user, permission, scope, req))) {
+        return forbidden(res, `Missing permission: ${permission}`);
+      }
+
+      req.rbacScope = scope;
+      next();
+    } catch (error) {
+      console.error('Permission check error:', error);
+      res.status(500).json(
+        helperUtils.errorResponse('Server error in authorization')
+      );
+    }
+  };
+
+  middleware.permission = permission;
+  return middleware;
+};
+
+module.exports = {
+  requirePermission
+};
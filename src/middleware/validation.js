@@ -1,4 +1,5 @@
 const { body, validationResult, param, query } = require('express-validator');
+const { API_KEY_SCOPES } = require('../config/constants');
 
 const handleValidationErrors = (req, res, next) => {
   const errors = validationResult(req);
@@ -37,6 +38,21 @@ const validateUserRegistration = [
   body('persona')
     .isIn(['individual', 'parent', 'enterprise', 'child'])
     .withMessage('Persona must be one of: individual, parent, enterprise, child'),
+  body('parentEmail')
+    .optional()
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid parent email'),
+  handleValidationErrors
+];
+
+// Same normalization as registration, so approve() can match the parent's account email
+const validateConsentResend = [
+  body('parentEmail')
+    .optional()
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid parent email'),
   handleValidationErrors
 ];
 
@@ -51,6 +67,73 @@ const validateUserLogin = [
   handleValidationErrors
 ];
 
+const validateForgotPassword = [
+  body('email')
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email'),
+  handleValidationErrors
+];
+
+const validatePasswordReset = [
+  param('token')
+    .isHexadecimal()
+    .withMessage('Invalid reset token'),
+  body('password')
+    .isLength({ min: 8 })
+    .withMessage('Password must be at least 8 characters long')
+    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+    .withMessage('Password must contain at least one lowercase letter, one uppercase letter, and one number'),
+  handleValidationErrors
+];
+
+const validateVerificationToken = [
+  param('token')
+    .isHexadecimal()
+    .withMessage('Invalid verification token'),
+  handleValidationErrors
+];
+
+const validateConsentToken = [
+  param('token')
+    .isJWT()
+    .withMessage('Invalid consent token'),
+  handleValidationErrors
+];
+
+const validateRestoreToken = [
+  param('token')
+    .isJWT()
+    .withMessage('Invalid restore token'),
+  handleValidationErrors
+];
+
+const validateSsoLinkToken = [
+  param('token')
+    .isJWT()
+    .withMessage('Invalid link token'),
+  handleValidationErrors
+];
+
+// API key validation rules
+const validateApiKey = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('API key name must be between 1 and 100 characters'),
+  body('scopes')
+    .isArray({ min: 1 })
+    .withMessage('At least one scope is required'),
+  body('scopes.*')
+    .isIn(Object.values(API_KEY_SCOPES))
+    .withMessage(`Scopes must be one of: ${Object.values(API_KEY_SCOPES).join(', ')}`),
+  body('expiresInDays')
+    .optional()
+    .isInt({ min: 1, max: 730 })
+    .withMessage('Expiry must be between 1 and 730 days'),
+  handleValidationErrors
+];
+
 // Game validation rules
 const validateGameSession = [
   body('gameType')
@@ -107,6 +190,31 @@ const validateThreatReport = [
   handleValidationErrors
 ];
 
+// Content to explain, and the age group to word the explanations for
+const validateThreatExplain = [
+  body('content')
+    .isString()
+    .isLength({ min: 1, max: 10000 })
+    .withMessage('Content must be between 1 and 10000 characters'),
+  body('ageGroup')
+    .optional()
+    .isIn(['child', 'teen', 'adult', 'senior'])
+    .withMessage('Age group must be one of: child, teen, adult, senior'),
+  handleValidationErrors
+];
+
+// Stored threat to explain, optionally for another age group
+const validateThreatExplanation = [
+  param('threatId')
+    .isMongoId()
+    .withMessage('Invalid threat ID'),
+  query('ageGroup')
+    .optional()
+    .isIn(['child', 'teen', 'adult', 'senior'])
+    .withMessage('Age group must be one of: child, teen, adult, senior'),
+  handleValidationErrors
+];
+
 // Family validation rules
 const validateFamilyCreation = [
   body('familyName')
@@ -133,6 +241,129 @@ const validatePagination = [
   handleValidationErrors
 ];
 
+// Audit log query rules
+const validateAuditQuery = [
+  ...validatePagination.slice(0, -1),
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('from must be an ISO 8601 date'),
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('to must be an ISO 8601 date'),
+  query('actor')
+    .optional()
+    .isMongoId()
+    .withMessage('actor must be a user ID'),
+  handleValidationErrors
+];
+
+// Threat ruleset validation rules; regex safety is checked by utils/threat-rules
+const validateRuleset = [
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description must be at most 500 characters'),
+  body('basedOn')
+    .optional()
+    .isInt({ min: 0 })
+    .toInt()
+    .withMessage('basedOn must be a ruleset version (0 for the built-in rules)'),
+  body('rules')
+    .optional()
+    .isArray({ max: 200 })
+    .withMessage('Rules must be an array of at most 200 rules'),
+  body('rules.*.name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Each rule needs a name of at most 100 characters'),
+  body('rules.*.category')
+    .isIn([
+      'phishing',
+      'malware',
+      'social_engineering',
+      'privacy_violation',
+      'financial_scam',
+      'predator_behavior',
+      'inappropriate_content',
+      'data_breach'
+    ])
+    .withMessage('Invalid rule category'),
+  body('rules.*.severity')
+    .isIn(['low', 'medium', 'high', 'critical'])
+    .withMessage('Severity must be one of: low, medium, high, critical'),
+  body('rules.*.keywords')
+    .optional()
+    .isArray({ max: 500 })
+    .withMessage('Keywords must be an array'),
+  body('rules.*.keywords.*')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 200 })
+    .withMessage('Each keyword must be between 1 and 200 characters'),
+  body('rules.*.patterns')
+    .optional()
+    .isArray({ max: 100 })
+    .withMessage('Patterns must be an array'),
+  body('rules.*.patterns.*.source')
+    .isString()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('Each pattern source must be between 1 and 500 characters'),
+  body('rules.*.patterns.*.flags')
+    .optional()
+    .matches(/^[imsu]*$/)
+    .withMessage('Pattern flags may only use i, m, s and u'),
+  body('rules.*.domains')
+    .optional()
+    .isArray({ max: 500 })
+    .withMessage('Domains must be an array'),
+  body('rules.*.domains.*')
+    .isFQDN()
+    .withMessage('Each domain must be a hostname such as example.com'),
+  body(['rules.*.weights.keyword', 'rules.*.weights.pattern', 'rules.*.weights.domain'])
+    .optional()
+    .isFloat({ min: 0, max: 10 })
+    .withMessage('Weights must be between 0 and 10'),
+  body('rules.*.enabled')
+    .optional()
+    .isBoolean()
+    .withMessage('enabled must be a boolean'),
+  handleValidationErrors
+];
+
+const validateRulesetVersion = [
+  param('version')
+    .isInt({ min: 1 })
+    .toInt()
+    .withMessage('Ruleset version must be a positive integer'),
+  handleValidationErrors
+];
+
+// Moderator decision on a training example; label corrects the proposed one
+const validateTrainingReview = [
+  body('approved')
+    .isBoolean()
+    .toBoolean()
+    .withMessage('approved must be a boolean'),
+  body('label')
+    .optional()
+    .isIn([
+      'phishing',
+      'malware',
+      'social_engineering',
+      'privacy_violation',
+      'financial_scam',
+      'predator_behavior',
+      'inappropriate_content',
+      'data_breach',
+      'benign'
+    ])
+    .withMessage('Invalid label'),
+  handleValidationErrors
+];
+
 // ID validation rules
 const validateObjectId = [
   param('id')
@@ -144,10 +375,24 @@ const validateObjectId = [
 module.exports = {
   validateUserRegistration,
   validateUserLogin,
+  validateConsentResend,
+  validateForgotPassword,
+  validatePasswordReset,
+  validateVerificationToken,
+  validateConsentToken,
+  validateRestoreToken,
+  validateSsoLinkToken,
+  validateApiKey,
   validateGameSession,
   validateThreatReport,
+  validateThreatExplain,
+  validateThreatExplanation,
   validateFamilyCreation,
   validatePagination,
+  validateAuditQuery,
+  validateRuleset,
+  validateRulesetVersion,
+  validateTrainingReview,
   validateObjectId,
   handleValidationErrors
 };
\ No newline at end of file
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+const { API_KEY_SCOPES } = require('../config/constants');
+
+const apiKeySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'API key name is required'],
+    trim: true,
+    maxlength: [100, 'API key name cannot exceed 100 characters']
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // First characters of the key, shown so users can tell keys apart
+  prefix: {
+    type: String,
+    required: true
+  },
+  // Only the SHA-256 hash of the key is stored
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  scopes: [{
+    type: String,
+    enum: Object.values(API_KEY_SCOPES)
+  }],
+  lastUsedAt: Date,
+  lastUsedIp: String,
+  expiresAt: Date,
+  revokedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+apiKeySchema.index({ user: 1, createdAt: -1 });
+
+// Instance method to check if the key can still authenticate
+apiKeySchema.methods.isActive = function() {
+  if (this.revokedAt) return false;
+  if (this.expiresAt && this.expiresAt <= new Date()) return false;
+  return true;
+};
+
+// Instance method to check that every required scope was granted
+apiKeySchema.methods.hasScopes = function(requiredScopes) {
+  return requiredScopes.every(scope => this.scopes.includes(scope));
+};
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
@@ -0,0 +1,154 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+const GENESIS_HASH = '0'.repeat(64);
+
+// JSON with sorted keys so the same event always hashes the same way
+const canonicalize = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalize).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+// Append-only record of a security-sensitive action. Events form one hash chain
+// per scope (a family or a company), so editing or deleting any entry breaks it.
+const auditEventSchema = new mongoose.Schema({
+  scopeType: {
+    type: String,
+    required: true,
+    enum: ['family', 'company', 'user']
+  },
+  scopeId: {
+    type: String,
+    required: true
+  },
+  // Position in the scope's chain, starting at 1
+  sequence: {
+    type: Number,
+    required: true
+  },
+  action: {
+    type: String,
+    required: true
+  },
+  actor: {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    email: String, // Only on entries written before actor emails were dropped; kept so they still verify
+    apiKey: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ApiKey'
+    }
+  },
+  target: {
+    type: { type: String },
+    id: String,
+    label: String
+  },
+  changes: [{
+    _id: false,
+    path: String,
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+  }],
+  ip: String,
+  userAgent: String,
+  method: String,
+  path: String,
+  statusCode: Number,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    immutable: true
+  },
+  prevHash: {
+    type: String,
+    required: true
+  },
+  hash: {
+    type: String,
+    required: true
+  }
+});
+
+// Indexes
+auditEventSchema.index({ scopeType: 1, scopeId: 1, sequence: 1 }, { unique: true });
+auditEventSchema.index({ scopeType: 1, scopeId: 1, action: 1, createdAt: -1 });
+auditEventSchema.index({ 'actor.user': 1, createdAt: -1 });
+
+// Entries are written once and never changed
+const rejectMutation = function(next) {
+  next(new Error('Audit events are append-only'));
+};
+
+auditEventSchema.pre('save', function(next) {
+  if (!this.isNew) return rejectMutation(next);
+  next();
+});
+
+[
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'findOneAndReplace',
+  'replaceOne',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete',
+  'findOneAndRemove'
+].forEach(operation => {
+  auditEventSchema.pre(operation, { document: false, query: true }, rejectMutation);
+});
+auditEventSchema.pre('deleteOne', { document: true, query: false }, rejectMutation);
+
+// Instance method to compute the hash of this entry from its contents
+auditEventSchema.methods.computeHash = function() {
+  const event = JSON.parse(JSON.stringify(this.toObject()));
+
+  const payload = {
+    scopeType: event.scopeType,
+    scopeId: event.scopeId,
+    sequence: event.sequence,
+    action: event.action,
+    actor: event.actor,
+    target: event.target,
+    changes: event.changes,
+    ip: event.ip,
+    userAgent: event.userAgent,
+    method: event.method,
+    path: event.path,
+    statusCode: event.statusCode,
+    createdAt: event.createdAt,
+    prevHash: event.prevHash
+  };
+
+  return crypto.createHash('sha256').update(canonicalize(payload)).digest('hex');
+};
+
+// Instance method to describe the entry for query endpoints
+auditEventSchema.methods.toSummary = function() {
+  return {
+    id: this._id,
+    sequence: this.sequence,
+    action: this.action,
+    actor: this.actor,
+    target: this.target,
+    changes: this.changes,
+    ip: this.ip,
+    userAgent: this.userAgent,
+    createdAt: this.createdAt,
+    hash: this.hash
+  };
+};
+
+module.exports = mongoose.model('AuditEvent', auditEventSchema);
+module.exports.GENESIS_HASH = GENESIS_HASH;
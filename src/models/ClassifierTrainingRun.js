@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+// One retraining of the text classifier by utils/classifier-training: the candidate
+// model it produced, how it scored against the served model and whether it was promoted
+const classifierTrainingRunSchema = new mongoose.Schema({
+  trigger: {
+    type: String,
+    enum: ['scheduled', 'manual'],
+    required: true
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'promoted', 'rejected', 'failed'],
+    default: 'queued'
+  },
+  algorithm: String,
+  // Model that was being served when the run started (null if none)
+  baselineVersion: Number,
+  candidateVersion: Number,
+  examples: Number,
+  metrics: {
+    candidate: mongoose.Schema.Types.Mixed,
+    baseline: mongoose.Schema.Types.Mixed
+  },
+  // Why the candidate was or was not promoted, or what went wrong
+  reason: String,
+  startedAt: Date,
+  finishedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+classifierTrainingRunSchema.index({ createdAt: -1 });
+classifierTrainingRunSchema.index({ status: 1 });
+
+// Instance method to describe the run for status endpoints
+classifierTrainingRunSchema.methods.toSummary = function() {
+  return {
+    id: this._id,
+    trigger: this.trigger,
+    requestedBy: this.requestedBy,
+    status: this.status,
+    algorithm: this.algorithm,
+    baselineVersion: this.baselineVersion,
+    candidateVersion: this.candidateVersion,
+    examples: this.examples,
+    metrics: this.metrics,
+    reason: this.reason,
+    createdAt: this.createdAt,
+    startedAt: this.startedAt,
+    finishedAt: this.finishedAt
+  };
+};
+
+module.exports = mongoose.model('ClassifierTrainingRun', classifierTrainingRunSchema);
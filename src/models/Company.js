@@ -0,0 +1,122 @@
+const mongoose = require('mongoose');
+const encryptionUtils = require('../utils/encryption');
+
+// Enterprise tenant - matched to users through enterprise.company
+const companySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Company name is required'],
+    unique: true,
+    trim: true,
+    maxlength: [100, 'Company name cannot exceed 100 characters']
+  },
+  security: {
+    requireMfa: { type: Boolean, default: false },
+    // Unset values fall back to constants.LOGIN_LOCKOUT
+    lockout: {
+      maxAttempts: { type: Number, min: 3, max: 20 },
+      lockoutMinutes: { type: Number, min: 1, max: 1440 },
+      backoffBaseSeconds: { type: Number, min: 0, max: 60 }
+    }
+  },
+  // OpenID Connect identity provider for this tenant
+  sso: {
+    enabled: { type: Boolean, default: false },
+    issuer: { type: String, trim: true },
+    clientId: { type: String, trim: true },
+    clientSecret: { type: String, select: false },
+    scopes: { type: String, default: 'openid email profile' },
+    // Email domains that belong to this tenant, e.g. ['acme.com']; a domain only
+    // takes effect once its DNS TXT record has been verified
+    domains: [{ type: String, lowercase: true, trim: true }],
+    domainVerifications: [{
+      _id: false,
+      domain: { type: String, lowercase: true, trim: true },
+      token: String,
+      verifiedAt: Date
+    }],
+    // Users with a matching email domain must sign in through the IdP
+    disablePasswordLogin: { type: Boolean, default: false },
+    // Claim names to read; unset entries fall back to constants.SSO_DEFAULT_CLAIMS
+    claims: {
+      email: String,
+      firstName: String,
+      lastName: String,
+      department: String,
+      employeeId: String
+    }
+  },
+  // Threat detector selection; unset values fall back to the platform defaults
+  detection: {
+    enabledDetectors: [{ type: String, trim: true }],
+    disabledDetectors: [{ type: String, trim: true }],
+    fusionStrategy: { type: String, enum: ['union', 'max', 'noisy_or', 'weighted'] }
+  },
+  // SCIM 2.0 provisioning client credentials (only the token hash is stored)
+  scim: {
+    tokenHash: { type: String, select: false },
+    tokenPrefix: String,
+    tokenCreatedAt: Date,
+    lastUsedAt: Date
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+companySchema.index({ 'sso.domains': 1 });
+companySchema.index({ 'sso.domainVerifications.domain': 1 });
+companySchema.index({ 'scim.tokenHash': 1 }, { sparse: true });
+
+// Static method to find the tenant record for a user, if any
+companySchema.statics.findForUser = function(user) {
+  if (!user.enterprise || !user.enterprise.company) {
+    return Promise.resolve(null);
+  }
+  return this.findOne({ name: user.enterprise.company });
+};
+
+// Instance method to list the domains whose ownership has been proven
+companySchema.methods.verifiedDomains = function() {
+  const verified = (this.sso.domainVerifications || [])
+    .filter(entry => entry.verifiedAt)
+    .map(entry => entry.domain);
+  return this.sso.domains.filter(domain => verified.includes(domain));
+};
+
+// Instance method to issue a TXT record token for every domain that lacks one
+companySchema.methods.ensureDomainTokens = function() {
+  this.sso.domains.forEach(domain => {
+    if (!this.sso.domainVerifications.some(entry => entry.domain === domain)) {
+      this.sso.domainVerifications.push({ domain, token: encryptionUtils.generateSecureToken(16) });
+    }
+  });
+  this.sso.domainVerifications = this.sso.domainVerifications.filter(entry => this.sso.domains.includes(entry.domain));
+};
+
+// Static method to find the tenant that has verified an email domain
+companySchema.statics.findByVerifiedDomain = function(domain, conditions = {}) {
+  return this.findOne({
+    ...conditions,
+    'sso.domains': domain,
+    'sso.domainVerifications': { $elemMatch: { domain, verifiedAt: { $ne: null } } }
+  });
+};
+
+// Static method to find the SSO-enabled tenant that owns an email domain
+companySchema.statics.findBySsoDomain = function(email) {
+  const domain = String(email || '').split('@')[1];
+  if (!domain) {
+    return Promise.resolve(null);
+  }
+  return this.findByVerifiedDomain(domain.toLowerCase(), {
+    'sso.enabled': true,
+    isActive: true
+  });
+};
+
+module.exports = mongoose.model('Company', companySchema);
@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+// Personal data export archive, generated in the background by utils/data-export
+const dataExportSchema = new mongoose.Schema({
+  // Whose data is exported
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // The user themselves or their parent
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'processing', 'completed', 'failed', 'expired'],
+    default: 'queued'
+  },
+  fileName: String,
+  filePath: {
+    type: String,
+    select: false
+  },
+  fileSize: Number,
+  recordCounts: {
+    type: Map,
+    of: Number
+  },
+  error: String,
+  startedAt: Date,
+  completedAt: Date,
+  expiresAt: Date,
+  downloadCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+dataExportSchema.index({ user: 1, createdAt: -1 });
+dataExportSchema.index({ status: 1, expiresAt: 1 });
+
+// Instance method to check if the archive can be downloaded
+dataExportSchema.methods.isDownloadable = function() {
+  return this.status === 'completed' && this.expiresAt > new Date();
+};
+
+// Instance method to check who may see or download the export
+dataExportSchema.methods.canAccess = function(userId) {
+  return [this.user, this.requestedBy].some(id => id.toString() === userId.toString());
+};
+
+// Instance method to describe the export for status endpoints
+dataExportSchema.methods.toSummary = function() {
+  return {
+    id: this._id,
+    user: this.user,
+    requestedBy: this.requestedBy,
+    status: this.status,
+    fileName: this.fileName,
+    fileSize: this.fileSize,
+    recordCounts: this.recordCounts,
+    error: this.error,
+    createdAt: this.createdAt,
+    completedAt: this.completedAt,
+    expiresAt: this.expiresAt,
+    downloadUrl: this.isDownloadable() ? `/api/auth/export/${this._id}/download` : null
+  };
+};
+
+module.exports = mongoose.model('DataExport', dataExportSchema);
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// Proof that an account was purged. Holds no personal data: only the old id,
+// who asked for the deletion and how much was removed or anonymized.
+const deletionReceiptSchema = new mongoose.Schema({
+  // Id of the deleted user; it no longer resolves to a document
+  subjectId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    unique: true
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  reason: {
+    type: String,
+    enum: ['user_request', 'parental_consent_denied'],
+    default: 'user_request'
+  },
+  requestedAt: Date,
+  purgedAt: {
+    type: Date,
+    default: Date.now
+  },
+  counts: {
+    threatsAnonymized: { type: Number, default: 0 },
+    trainingExamplesDeleted: { type: Number, default: 0 },
+    gameSessionsDeleted: { type: Number, default: 0 },
+    sessionsDeleted: { type: Number, default: 0 },
+    refreshTokensDeleted: { type: Number, default: 0 },
+    apiKeysDeleted: { type: Number, default: 0 },
+    roleAssignmentsDeleted: { type: Number, default: 0 },
+    dataExportsDeleted: { type: Number, default: 0 },
+    familiesDeleted: { type: Number, default: 0 },
+    familyLinksRemoved: { type: Number, default: 0 }
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+deletionReceiptSchema.index({ purgedAt: -1 });
+
+module.exports = mongoose.model('DeletionReceipt', deletionReceiptSchema);
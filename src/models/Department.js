@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+// SCIM group for a company. Members are the users whose enterprise.department equals name.
+const departmentSchema = new mongoose.Schema({
+  company: {
+    type: String,
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Department name is required'],
+    trim: true,
+    maxlength: [100, 'Department name cannot exceed 100 characters']
+  },
+  externalId: String
+}, {
+  timestamps: true
+});
+
+// Indexes
+departmentSchema.index({ company: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('Department', departmentSchema);
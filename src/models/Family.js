@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const fieldEncryption = require('../utils/field-encryption');
 
 const familySchema = new mongoose.Schema({
   familyName: {
@@ -58,6 +59,7 @@ const familySchema = new mongoose.Schema({
       relationship: String,
       isPrimary: { type: Boolean, default: false }
     }],
+    requireMfa: { type: Boolean, default: false }, // Parent must use two-factor login
     alertPreferences: {
       threatDetected: { type: Boolean, default: true },
       timeLimitExceeded: { type: Boolean, default: true },
@@ -85,10 +87,13 @@ familySchema.index({ 'children.child': 1 });
 
 // Instance method to add child
 familySchema.methods.addChild = function(childId, relationship = 'other', permissions = {}) {
+  // New children inherit the first child's permissions, or the schema defaults
+  const inherited = this.children.length > 0 ? this.children[0].permissions.toObject() : {};
+
   this.children.push({
     child: childId,
     relationship,
-    permissions: { ...this.children[0].permissions.toObject(), ...permissions }
+    permissions: { ...inherited, ...permissions }
   });
   
   return this.save();
@@ -151,7 +156,9 @@ familySchema.methods.updateFamilyStats = async function() {
 
 // Static method to get family dashboard data
 familySchema.statics.getFamilyDashboard = async function(familyId) {
-  return this.aggregate([
+  const User = mongoose.model('User');
+
+  const dashboards = await this.aggregate([
     { $match: { _id: mongoose.Types.ObjectId(familyId) } },
     {
       $lookup: {
@@ -203,6 +210,19 @@ familySchema.statics.getFamilyDashboard = async function(familyId) {
       }
     }
   ]);
+
+  // Aggregations bypass document hooks, so decrypt the encrypted fields here
+  return dashboards.map(dashboard => {
+    this.decryptRaw(dashboard);
+    User.decryptRaw(dashboard.parent);
+    dashboard.children.forEach(child => User.decryptRaw(child));
+    return dashboard;
+  });
 };
 
+// Emergency contact details are encrypted at rest
+familySchema.plugin(fieldEncryption, {
+  fields: ['familySettings.emergencyContacts.name', 'familySettings.emergencyContacts.phone']
+});
+
 module.exports = mongoose.model('Family', familySchema);
\ No newline at end of file
@@ -203,7 +203,9 @@ gameSessionSchema.statics.getUserProgress = async function(userId, gameType = nu
 
 // Static method to get leaderboard for a game
 gameSessionSchema.statics.getGameLeaderboard = async function(gameType, limit = 10) {
-  return this.aggregate([
+  const User = mongoose.model('User');
+
+  const leaderboard = await this.aggregate([
     { 
       $match: { 
         gameType: gameType,
@@ -231,13 +233,25 @@ gameSessionSchema.statics.getGameLeaderboard = async function(gameType, limit =
     { $sort: { bestScore: -1 } },
     { $limit: limit },
     {
+      // Only public profile fields; lookups return the whole user document
       $project: {
-        'user.password': 0,
-        'user.email': 0,
-        'user.settings': 0
+        bestScore: 1,
+        totalSessions: 1,
+        lastPlayed: 1,
+        user: {
+          _id: '$user._id',
+          firstName: '$user.firstName',
+          lastName: '$user.lastName',
+          level: '$user.level',
+          securityScore: '$user.securityScore'
+        }
       }
     }
   ]);
+
+  // Aggregations bypass document hooks, so decrypt the player names here
+  leaderboard.forEach(entry => User.decryptRaw(entry.user));
+  return leaderboard;
 };
 
 module.exports = mongoose.model('GameSession', gameSessionSchema);
\ No newline at end of file
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+const { ROLES } = require('../config/permissions');
+
+const roleAssignmentSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  role: {
+    type: String,
+    required: true,
+    enum: Object.keys(ROLES).filter(role => ROLES[role].assignable)
+  },
+  scopeType: {
+    type: String,
+    required: true,
+    enum: ['global', 'company', 'family']
+  },
+  // Company name or family id; empty for global roles
+  scopeId: String,
+  grantedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+roleAssignmentSchema.index({ user: 1, role: 1, scopeType: 1, scopeId: 1 }, { unique: true });
+roleAssignmentSchema.index({ scopeType: 1, scopeId: 1 });
+
+// Keep the scope consistent with the role definition
+roleAssignmentSchema.pre('validate', function(next) {
+  const definition = ROLES[this.role];
+  if (definition && definition.scope !== this.scopeType) {
+    this.invalidate('scopeType', `Role ${this.role} must be assigned at ${definition.scope} scope`);
+  }
+  next();
+});
+
+module.exports = mongoose.model('RoleAssignment', roleAssignmentSchema);
@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+
+const REVOKE_REASONS = [
+  'logout',
+  'revoked',
+  'revoked_by_parent',
+  'signed_out_everywhere',
+  'reuse_detected',
+  'password_changed',
+  'password_reset',
+  'account_deleted',
+  'deactivated'
+];
+
+// One signed-in device. The session id is the access token `sid` and the refresh token family.
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  device: {
+    browser: String,
+    platform: String,
+    isMobile: { type: Boolean, default: false }
+  },
+  userAgent: String,
+  ip: String,
+  // Set for children awaiting parental consent: no device, IP or user agent is stored
+  minimalData: {
+    type: Boolean,
+    default: false
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Pushed forward on every refresh; expired sessions are removed by the TTL index
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  revokedReason: {
+    type: String,
+    enum: REVOKE_REASONS
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+sessionSchema.index({ user: 1, revokedAt: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Instance method to check if the session can still be used
+sessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Instance method to describe the session for device lists
+sessionSchema.methods.toSummary = function(currentSessionId) {
+  return {
+    id: this._id,
+    device: this.device,
+    ip: this.ip,
+    lastSeenAt: this.lastSeenAt,
+    createdAt: this.createdAt,
+    expiresAt: this.expiresAt,
+    current: Boolean(currentSessionId) && this._id.toString() === currentSessionId
+  };
+};
+
+// Static method to list a user's signed-in devices, most recent first
+sessionSchema.statics.findActiveForUser = function(userId) {
+  return this.find({
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  }).sort({ lastSeenAt: -1 });
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
+module.exports.REVOKE_REASONS = REVOKE_REASONS;
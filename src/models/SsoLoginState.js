@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// Pending OIDC authorization request, consumed once by the callback
+const ssoLoginStateSchema = new mongoose.Schema({
+  // Only the SHA-256 hash of the state parameter is stored
+  stateHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  company: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    required: true
+  },
+  codeVerifier: {
+    type: String,
+    required: true
+  },
+  nonce: {
+    type: String,
+    required: true
+  },
+  redirectUri: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+ssoLoginStateSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('SsoLoginState', ssoLoginStateSchema);
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const fieldEncryption = require('../utils/field-encryption');
+const urlAnalyzer = require('../utils/url-analyzer');
 
 const threatSchema = new mongoose.Schema({
   type: {
@@ -40,10 +42,10 @@ const threatSchema = new mongoose.Schema({
     type: String,
     required: true
   }],
+  // Unset once the reporting account is purged; the record stays for aggregate stats
   user: {
     type: mongoose.Schema.Types.ObjectId,
-    ref: 'User',
-    required: true
+    ref: 'User'
   },
   ageGroup: {
     type: String,
@@ -65,7 +67,30 @@ const threatSchema = new mongoose.Schema({
     riskFactors: [String],
     behavioralPatterns: [String],
     recommendedAction: String,
-    analysisTimestamp: Date
+    analysisTimestamp: Date,
+    // Detection ruleset that produced the analysis (0 = built-in rules)
+    rulesetVersion: Number,
+    // Text classifier model that scored it, when one was loaded
+    classifierVersion: Number,
+    // The detections behind the report, so explanations show the verdict that was
+    // given rather than a re-run under later rules; evidence offsets point into
+    // detectedContent. Unset on threats reported before they were kept.
+    threats: {
+      type: [{
+        _id: false,
+        type: { type: String },
+        severity: String,
+        confidence: Number,
+        reason: String,
+        evidence: [{
+          _id: false,
+          start: Number,
+          end: Number,
+          reason: String
+        }]
+      }],
+      default: undefined
+    }
   },
   location: {
     ipAddress: String,
@@ -86,7 +111,8 @@ const threatSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
-  resolvedAt: Date
+  resolvedAt: Date,
+  anonymizedAt: Date
 }, {
   timestamps: true
 });
@@ -167,4 +193,20 @@ threatSchema.statics.getCommonIndicators = async function(limit = 10) {
   ]);
 };
 
+// Fill in the registrable domain of the reported URL when the reporter left it out
+threatSchema.pre('validate', function(next) {
+  if (this.url && !this.domain) {
+    const parsed = urlAnalyzer.parse(this.url);
+    if (parsed && parsed.hostname) {
+      this.domain = urlAnalyzer.registrableDomain(parsed.hostname);
+    }
+  }
+  next();
+});
+
+// Reported content and where it was seen from are encrypted at rest
+threatSchema.plugin(fieldEncryption, {
+  fields: ['detectedContent', 'location.ipAddress', 'location.country', 'location.region', 'location.city']
+});
+
 module.exports = mongoose.model('Threat', threatSchema);
\ No newline at end of file
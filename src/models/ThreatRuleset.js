@@ -0,0 +1,147 @@
+const mongoose = require('mongoose');
+
+const THREAT_CATEGORIES = [
+  'phishing',
+  'malware',
+  'social_engineering',
+  'privacy_violation',
+  'financial_scam',
+  'predator_behavior',
+  'inappropriate_content',
+  'data_breach'
+];
+
+const patternSchema = new mongoose.Schema({
+  source: {
+    type: String,
+    required: true,
+    maxlength: 500
+  },
+  flags: {
+    type: String,
+    default: 'i',
+    match: /^[imsu]*$/
+  }
+}, { _id: false });
+
+const ruleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  category: {
+    type: String,
+    required: true,
+    enum: THREAT_CATEGORIES
+  },
+  severity: {
+    type: String,
+    required: true,
+    enum: ['low', 'medium', 'high', 'critical']
+  },
+  keywords: [{
+    type: String,
+    trim: true,
+    lowercase: true
+  }],
+  patterns: [patternSchema],
+  // Registrable domains; subdomains of a listed domain match too
+  domains: [{
+    type: String,
+    trim: true,
+    lowercase: true
+  }],
+  // How much a single match of each kind counts towards the rule's confidence
+  weights: {
+    keyword: { type: Number, default: 1, min: 0, max: 10 },
+    pattern: { type: Number, default: 1, min: 0, max: 10 },
+    domain: { type: Number, default: 2, min: 0, max: 10 }
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  }
+}, { _id: false });
+
+// Versioned set of detection rules. Drafts are edited freely; publishing freezes a
+// version. The engine runs the published version activated most recently, so
+// rolling back is activating an older version again.
+const threatRulesetSchema = new mongoose.Schema({
+  version: {
+    type: Number,
+    required: true,
+    unique: true,
+    immutable: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  status: {
+    type: String,
+    enum: ['draft', 'published'],
+    default: 'draft'
+  },
+  rules: [ruleSchema],
+  // Version this one was copied from (0 for the built-in rules)
+  basedOn: Number,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  publishedAt: Date,
+  publishedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  activatedAt: Date,
+  // Version that was running when this one was activated; a rollback returns to it
+  previousVersion: Number,
+  activatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+threatRulesetSchema.index({ activatedAt: -1 });
+
+// Published versions are frozen so every tagged analysis can be traced to its rules
+threatRulesetSchema.pre('save', function(next) {
+  if (!this.isNew && this.status === 'published' &&
+      (this.isModified('rules') || this.isModified('description')) &&
+      !this.isModified('status')) {
+    return next(new Error(`Ruleset version ${this.version} is published and cannot be changed`));
+  }
+  next();
+});
+
+// Instance method to describe the ruleset without its rules
+threatRulesetSchema.methods.toSummary = function() {
+  return {
+    version: this.version,
+    description: this.description,
+    status: this.status,
+    ruleCount: this.rules.length,
+    basedOn: this.basedOn,
+    createdBy: this.createdBy,
+    createdAt: this.createdAt,
+    publishedAt: this.publishedAt,
+    activatedAt: this.activatedAt,
+    previousVersion: this.previousVersion
+  };
+};
+
+// Static method to get the ruleset the engine should be running
+threatRulesetSchema.statics.findActive = function() {
+  return this.findOne({ status: 'published', activatedAt: { $ne: null } }).sort({ activatedAt: -1 });
+};
+
+threatRulesetSchema.statics.THREAT_CATEGORIES = THREAT_CATEGORIES;
+
+module.exports = mongoose.model('ThreatRuleset', threatRulesetSchema);
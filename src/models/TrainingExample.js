@@ -0,0 +1,110 @@
+const mongoose = require('mongoose');
+const fieldEncryption = require('../utils/field-encryption');
+const ThreatRuleset = require('./ThreatRuleset');
+
+// Threat categories plus the label for content that is safe
+const LABELS = [...ThreatRuleset.THREAT_CATEGORIES, 'benign'];
+
+const trainingExampleSchema = new mongoose.Schema({
+  text: {
+    type: String,
+    required: true,
+    maxlength: 10000
+  },
+  // Blind index of the encrypted text, so the same message is only stored once
+  textHash: {
+    type: String,
+    unique: true,
+    sparse: true,
+    select: false
+  },
+  label: {
+    type: String,
+    required: true,
+    enum: LABELS
+  },
+  source: {
+    type: String,
+    enum: ['import', 'threat_report', 'feedback', 'manual'],
+    default: 'manual'
+  },
+  threat: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Threat'
+  },
+  addedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Feedback from threat reports waits for a moderator; imports are trusted
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected'],
+    default: 'approved'
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date,
+  // A different label suggested by feedback on text already in the corpus; the
+  // example keeps its own label and status until a moderator decides
+  proposal: {
+    label: {
+      type: String,
+      enum: LABELS
+    },
+    threat: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Threat'
+    },
+    addedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    proposedAt: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+trainingExampleSchema.index({ status: 1, createdAt: 1 });
+trainingExampleSchema.index({ label: 1, status: 1 });
+trainingExampleSchema.index({ threat: 1 });
+trainingExampleSchema.index({ addedBy: 1 });
+trainingExampleSchema.index({ 'proposal.label': 1 }, { sparse: true });
+
+// Instance method to record a moderator's decision, optionally correcting the label.
+// With a proposal waiting, approving relabels the example (to the proposed label
+// unless the moderator gives one) and rejecting leaves it as it was.
+trainingExampleSchema.methods.review = function(user, approved, label) {
+  if (this.proposal && this.proposal.label) {
+    if (approved) {
+      this.label = label || this.proposal.label;
+      this.status = 'approved';
+    }
+    this.proposal = undefined;
+  } else {
+    this.status = approved ? 'approved' : 'rejected';
+    if (approved && label) this.label = label;
+  }
+  this.reviewedBy = user._id;
+  this.reviewedAt = new Date();
+  return this.save();
+};
+
+// Static method to stream the examples a model should be trained on
+trainingExampleSchema.statics.trainingCursor = function() {
+  return this.find({ status: 'approved' }).select('text label').cursor();
+};
+
+trainingExampleSchema.statics.LABELS = LABELS;
+
+// Example text often quotes reported messages, so it is encrypted like them
+trainingExampleSchema.plugin(fieldEncryption, {
+  fields: ['text'],
+  blindIndexes: { text: 'textHash' }
+});
+
+module.exports = mongoose.model('TrainingExample', trainingExampleSchema);
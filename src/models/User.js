@@ -1,11 +1,11 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const fieldEncryption = require('../utils/field-encryption');
 
 const userSchema = new mongoose.Schema({
   email: {
     type: String,
     required: [true, 'Email is required'],
-    unique: true,
     lowercase: true,
     trim: true,
     validate: {
@@ -15,6 +15,13 @@ const userSchema = new mongoose.Schema({
       message: 'Please provide a valid email'
     }
   },
+  // Blind index of the encrypted email, used for lookups and uniqueness
+  emailHash: {
+    type: String,
+    unique: true,
+    sparse: true,
+    select: false
+  },
   password: {
     type: String,
     required: [true, 'Password is required'],
@@ -130,12 +137,49 @@ const userSchema = new mongoose.Schema({
     department: String,
     employeeId: String
   },
+  // Identity provider account for users provisioned through enterprise SSO
+  sso: {
+    issuer: String,
+    subject: String,
+    lastLoginAt: Date,
+    // IdP account waiting for the owner of an existing account to confirm the link
+    pendingLink: {
+      company: String,
+      issuer: String,
+      subject: String,
+      requestId: { type: String, select: false }, // Only the latest emailed link is valid
+      requestedAt: Date
+    }
+  },
+  // Company whose SSO or SCIM created the account; only these are linked without confirmation
+  provisionedBy: {
+    company: String,
+    source: { type: String, enum: ['sso', 'scim'] }
+  },
+  // Identifier assigned by the company's SCIM client
+  scim: {
+    externalId: String
+  },
   settings: {
     notifications: { type: Boolean, default: true },
     realTimeProtection: { type: Boolean, default: true },
     dataCollection: { type: Boolean, default: false },
     theme: { type: String, default: 'light' }
   },
+  mfa: {
+    enabled: { type: Boolean, default: false },
+    secret: { type: String, select: false },
+    pendingSecret: { type: String, select: false },
+    recoveryCodes: {
+      type: [{
+        codeHash: String,
+        usedAt: Date
+      }],
+      select: false
+    },
+    lastUsedStep: { type: Number, select: false },
+    enabledAt: Date
+  },
   lastActive: {
     type: Date,
     default: Date.now
@@ -144,7 +188,46 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Consent from a parent for children under PARENTAL_CONSENT_AGE
+  parentalConsent: {
+    status: {
+      type: String,
+      enum: ['not_required', 'pending', 'granted'],
+      default: 'not_required'
+    },
+    parentEmail: {
+      type: String,
+      lowercase: true,
+      trim: true
+    },
+    requestId: { type: String, select: false }, // Only the latest emailed link is valid
+    requestedAt: Date,
+    decidedAt: Date,
+    grantedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  // False once deprovisioned; history is kept but the account cannot sign in
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  deactivatedAt: Date,
+  // Set while a requested deletion is in its grace period
+  deletion: {
+    requestedAt: Date,
+    scheduledFor: Date,
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reason: String
+  },
   verificationToken: String,
+  verificationExpires: Date,
+  verificationSentAt: Date,
+  passwordChangedAt: Date,
   resetPasswordToken: String,
   resetPasswordExpires: Date
 }, {
@@ -152,10 +235,12 @@ const userSchema = new mongoose.Schema({
 });
 
 // Indexes for performance
-userSchema.index({ email: 1 });
 userSchema.index({ ageGroup: 1 });
 userSchema.index({ 'gameProgress.score': -1 });
 userSchema.index({ securityScore: -1 });
+userSchema.index({ 'sso.issuer': 1, 'sso.subject': 1 }, { sparse: true });
+userSchema.index({ 'enterprise.company': 1, 'enterprise.department': 1 });
+userSchema.index({ 'deletion.scheduledFor': 1 }, { sparse: true });
 
 // Pre-save middleware to hash password
 userSchema.pre('save', async function(next) {
@@ -170,6 +255,15 @@ userSchema.pre('save', async function(next) {
   }
 });
 
+// Pre-save middleware to record when the password changed
+userSchema.pre('save', function(next) {
+  if (!this.isModified('password') || this.isNew) return next();
+
+  // Back-date by a second so tokens issued right after the change stay valid
+  this.passwordChangedAt = new Date(Date.now() - 1000);
+  next();
+});
+
 // Pre-save middleware to set age group
 userSchema.pre('save', function(next) {
   if (this.isModified('age')) {
@@ -186,6 +280,25 @@ userSchema.methods.correctPassword = async function(candidatePassword, userPassw
   return await bcrypt.compare(candidatePassword, userPassword);
 };
 
+// Instance method to check if password changed after a token was issued
+userSchema.methods.changedPasswordAfter = function(JWTTimestamp) {
+  if (this.passwordChangedAt) {
+    const changedTimestamp = Math.floor(this.passwordChangedAt.getTime() / 1000);
+    return JWTTimestamp < changedTimestamp;
+  }
+  return false;
+};
+
+// Instance method to check if the account is still waiting on parental consent
+userSchema.methods.needsParentalConsent = function() {
+  return Boolean(this.parentalConsent) && this.parentalConsent.status === 'pending';
+};
+
+// Instance method to check if the account is waiting to be purged
+userSchema.methods.isPendingDeletion = function() {
+  return Boolean(this.deletion && this.deletion.scheduledFor);
+};
+
 // Instance method to update security score
 userSchema.methods.updateSecurityScore = function() {
   let totalScore = 0;
@@ -235,4 +348,10 @@ userSchema.statics.getLeaderboard = function(limit = 10) {
     .select('firstName lastName securityScore level achievements gameProgress');
 };
 
+// Names, email and TOTP seeds are encrypted at rest; email stays searchable through emailHash
+userSchema.plugin(fieldEncryption, {
+  fields: ['email', 'firstName', 'lastName', 'mfa.secret', 'mfa.pendingSecret'],
+  blindIndexes: { email: 'emailHash' }
+});
+
 module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
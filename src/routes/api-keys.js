@@ -0,0 +1,189 @@
+const express = require('express');
+const ApiKey = require('../models/ApiKey');
+const { protect } = require('../middleware/auth');
+const { validateApiKey, validateObjectId } = require('../middleware/validation');
+const encryptionUtils = require('../utils/encryption');
+const helperUtils = require('../utils/helpers');
+const constants = require('../config/constants');
+
+const router = express.Router();
+
+// Fields safe to return once the key has been created
+const serializeKey = (apiKey) => ({
+  id: apiKey._id,
+  name: apiKey.name,
+  prefix: apiKey.prefix,
+  scopes: apiKey.scopes,
+  lastUsedAt: apiKey.lastUsedAt,
+  lastUsedIp: apiKey.lastUsedIp,
+  expiresAt: apiKey.expiresAt,
+  revokedAt: apiKey.revokedAt,
+  active: apiKey.isActive(),
+  createdAt: apiKey.createdAt
+});
+
+// @desc    Create an API key
+// @route   POST /api/auth/api-keys
+// @access  Private
+router.post('/', protect, validateApiKey, async (req, res) => {
+  try {
+    const { name, scopes, expiresInDays = constants.API_KEY_DEFAULT_EXPIRY_DAYS } = req.body;
+
+    const activeKeys = await ApiKey.countDocuments({ user: req.user._id, revokedAt: null });
+    if (activeKeys >= constants.API_KEY_MAX_PER_USER) {
+      return res.status(400).json(
+        helperUtils.errorResponse(`You can have at most ${constants.API_KEY_MAX_PER_USER} active API keys`, 'API_KEY_LIMIT')
+      );
+    }
+
+    if (scopes.includes(constants.API_KEY_SCOPES.ENTERPRISE_READ) && !req.user.enterprise.isAdmin) {
+      return res.status(403).json(
+        helperUtils.errorResponse('Only enterprise admins can create keys with enterprise:read', constants.ERROR_CODES.INSUFFICIENT_SCOPE)
+      );
+    }
+
+    // The plaintext key is only ever returned in this response
+    const key = encryptionUtils.generateAPIKey();
+
+    const apiKey = await ApiKey.create({
+      name,
+      user: req.user._id,
+      prefix: key.slice(0, 10),
+      keyHash: encryptionUtils.hashData(key),
+      scopes: [...new Set(scopes)],
+      expiresAt: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+    });
+
+    res.status(201).json(
+      helperUtils.successResponse('API key created. Store it now - it will not be shown again.', {
+        key,
+        apiKey: serializeKey(apiKey)
+      })
+    );
+  } catch (error) {
+    console.error('Create API key error:', error);
+    res.status(500).json(
+      helperUtils.errorResponse('Failed to create API key')
+    );
+  }
+});
+
+// @desc    List API keys
+// @route   GET /api/auth/api-keys
+// @access  Private
+router.get('/', protect, async (req, res) => {
+  try {
+    const apiKeys = await ApiKey.find({ user: req.user._id }).sort({ createdAt: -1 });
+
+    res.status(200).json(
+      helperUtils.successResponse('API keys retrieved', {
+        apiKeys: apiKeys.map(serializeKey)
+      })
+    );
+  } catch (error) {
+    console.error('List API keys error:', error);
+    res.status(500).json(
+      helperUtils.errorResponse('Failed to retrieve API keys')
+    );
+  }
+});
+
+// @desc    Get an API key
+// @route   GET /api/auth/api-keys/:id
+// @access  Private
+router.get('/:id', protect, validateObjectId, async (req, res) => {
+  try {
+    const apiKey = await ApiKey.findOne({ _id: req.params.id, user: req.user._id });
+
+    if (!apiKey) {
+      return res.status(404).json(
+        helperUtils.errorResponse('API key not found')
+      );
+    }
+
+    res.status(200).json(
+      helperUtils.successResponse('API key retrieved', { apiKey: serializeKey(apiKey) })
+    );
+  } catch (error) {
+    console.error('Get API key error:', error);
+    res.status(500).json(
+      helperUtils.errorResponse('Failed to retrieve API key')
+    );
+  }
+});
+
+// @desc    Rename an API key or change its scopes
+// @route   PATCH /api/auth/api-keys/:id
+// @access  Private
+router.patch('/:id', protect, validateObjectId, async (req, res) => {
+  try {
+    const { name, scopes } = req.body;
+
+    const apiKey = await ApiKey.findOne({ _id: req.params.id, user: req.user._id });
+
+    if (!apiKey || apiKey.revokedAt) {
+      return res.status(404).json(
+        helperUtils.errorResponse('API key not found')
+      );
+    }
+
+    if (scopes) {
+      const validScopes = Object.values(constants.API_KEY_SCOPES);
+      if (!Array.isArray(scopes) || scopes.length === 0 || scopes.some(scope => !validScopes.includes(scope))) {
+        return res.status(400).json(
+          helperUtils.errorResponse(`Scopes must be one of: ${validScopes.join(', ')}`, constants.ERROR_CODES.VALIDATION_ERROR)
+        );
+      }
+
+      if (scopes.includes(constants.API_KEY_SCOPES.ENTERPRISE_READ) && !req.user.enterprise.isAdmin) {
+        return res.status(403).json(
+          helperUtils.errorResponse('Only enterprise admins can grant enterprise:read', constants.ERROR_CODES.INSUFFICIENT_SCOPE)
+        );
+      }
+
+      apiKey.scopes = [...new Set(scopes)];
+    }
+    if (name) apiKey.name = name;
+
+    await apiKey.save();
+
+    res.status(200).json(
+      helperUtils.successResponse('API key updated', { apiKey: serializeKey(apiKey) })
+    );
+  } catch (error) {
+    console.error('Update API key error:', error);
+    res.status(500).json(
+      helperUtils.errorResponse('Failed to update API key')
+    );
+  }
+});
+
+// @desc    Revoke an API key
+// @route   DELETE /api/auth/api-keys/:id
+// @access  Private
+router.delete('/:id', protect, validateObjectId, async (req, res) => {
+  try {
+    const apiKey = await ApiKey.findOneAndUpdate(
+      { _id: req.params.id, user: req.user._id, revokedAt: null },
+      { revokedAt: new Date() },
+      { new: true }
+    );
+
+    if (!apiKey) {
+      return res.status(404).json(
+        helperUtils.errorResponse('API key not found')
+      );
+    }
+
+    res.status(200).json(
+      helperUtils.successResponse('API key revoked', { apiKey: serializeKey(apiKey) })
+    );
+  } catch (error) {
+    console.error('Revoke API key error:', error);
+    res.status(500).json(
+      helperUtils.errorResponse('Failed to revoke API key')
+    );
+  }
+});
+
+module.exports = router;
@@ -1,41 +1,143 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
-const { protect } = require('../middleware/auth');
-const { validateUserRegistration, validateUserLogin } = require('../middleware/validation');
+const Session = require('../models/Session');
+const DataExport = require('../models/DataExport');
+const { protect, allowMfaEnrollment } = require('../middleware/auth');
+const { authLimiter } = require('../middleware/rate-limit');
+const {
+  validateUserRegistration,
+  validateUserLogin,
+  validateConsentResend,
+  validateForgotPassword,
+  validatePasswordReset,
+  validateVerificationToken,
+  validateConsentToken,
+  validateRestoreToken,
+  validateSsoLinkToken,
+  validateObjectId
+} = require('../middleware/validation');
+const tokenService = require('../utils/token-service');
+const mfaService = require('../utils/mfa-service');
+const loginGuard = require('../utils/login-guard');
+const ssoService = require('../utils/sso-service');
+const parentalConsent = require('../utils/parental-consent');
+const dataExportService = require('../utils/data-export');
+const accountDeletion = require('../utils/account-deletion');
+const encryptionUtils = require('../utils/encryption');
+const mailer = require('../utils/mailer');
 const helperUtils = require('../utils/helpers');
 const constants = require('../config/constants');
 
 const router = express.Router();
 
-// Generate JWT Token
-const signToken = (id) => {
-  return jwt.sign({ id }, constants.JWT_SECRET, {
-    expiresIn: constants.JWT_EXPIRES_IN
-  });
-};
+// Integration API key management
+router.use('/api-keys', require('./api-keys'));
 
-// Create and send token
-const createSendToken = (user, statusCode, res) => {
-  const token = signToken(user._id);
+// Start a session and send the access/refresh token pair
+const createSendToken = async (user, statusCode, req, res) => {
+  const { accessToken, refreshToken, expiresIn } = await tokenService.issueTokens(user, req);
 
-  // Remove password from output
+  // Remove password and the consent link id from output
   user.password = undefined;
+  if (user.parentalConsent) user.parentalConsent.requestId = undefined;
 
   res.status(statusCode).json(
     helperUtils.successResponse('Authentication successful', {
-      token,
+      token: accessToken,
+      refreshToken,
+      expiresIn,
       user
     })
   );
 };
 
+// Generate a verification token, store its hash and email the raw token
+const sendVerification = async (user) => {
+  const verificationToken = encryptionUtils.generateSecureToken(32);
+
+  user.verificationToken = encryptionUtils.hashData(verificationToken);
+  user.verificationExpires = new Date(
+    Date.now() + constants.EMAIL_VERIFICATION_EXPIRES_HOURS * 60 * 60 * 1000
+  );
+  user.verificationSentAt = new Date();
+  await user.save();
+
+  await mailer.sendEmailVerification(user, verificationToken);
+};
+
+// Failed-login throttling response; locked accounts get 423, backoff and IP blocks 429
+const sendLoginBlocked = (res, retryAfter, locked) => {
+  res.set('Retry-After', String(retryAfter));
+
+  if (locked) {
+    return res.status(423).json(
+      helperUtils.errorResponse(
+        'Account temporarily locked after too many failed sign-in attempts',
+        constants.ERROR_CODES.ACCOUNT_LOCKED
+      )
+    );
+  }
+
+  return res.status(429).json(
+    helperUtils.errorResponse(
+      `Too many failed sign-in attempts. Try again in ${retryAfter} seconds`,
+      constants.ERROR_CODES.LOGIN_THROTTLED
+    )
+  );
+};
+
+// Deprovisioned accounts keep their history but cannot start new sessions
+const sendAccountDisabled = (res, user) => {
+  // Accounts in their deletion grace period are restored from the emailed link
+  if (user && user.isPendingDeletion()) {
+    return res.status(403).json({
+      ...helperUtils.errorResponse(
+        `This account is scheduled for deletion on ${user.deletion.scheduledFor.toUTCString()}. Use the link in your email to restore it.`,
+        constants.ERROR_CODES.ACCOUNT_PENDING_DELETION
+      ),
+      scheduledFor: user.deletion.scheduledFor
+    });
+  }
+
+  return res.status(403).json(
+    helperUtils.errorResponse('This account has been deactivated', constants.ERROR_CODES.ACCOUNT_DISABLED)
+  );
+};
+
+// Company requires its users to sign in through the identity provider
+const sendSsoRequired = (res, company) => {
+  return res.status(403).json({
+    ...helperUtils.errorResponse(
+      'Your organization requires single sign-on',
+      constants.ERROR_CODES.SSO_REQUIRED
+    ),
+    data: { company: company.name }
+  });
+};
+
 // @desc    Register user
 // @route   POST /api/auth/register
 // @access  Public
-router.post('/register', validateUserRegistration, async (req, res) => {
+router.post('/register', authLimiter, validateUserRegistration, async (req, res) => {
   try {
-    const { email, password, firstName, lastName, age, persona } = req.body;
+    const { email, password, firstName, lastName, age, persona, parentEmail } = req.body;
+
+    // Young children need a parent to approve the account
+    const needsConsent = parentalConsent.isRequired(age);
+    if (needsConsent && (!parentEmail || parentEmail === email)) {
+      return res.status(400).json(
+        helperUtils.errorResponse(
+          `A parent or guardian email is required for users under ${constants.PARENTAL_CONSENT_AGE}`,
+          'PARENT_EMAIL_REQUIRED'
+        )
+      );
+    }
+
+    // Accounts on SSO-enforced domains are provisioned by the identity provider
+    const ssoCompany = await ssoService.passwordLoginBlockedFor(email);
+    if (ssoCompany) {
+      return sendSsoRequired(res, ssoCompany);
+    }
 
     // Check if user already exists
     const existingUser = await User.findOne({ email });
@@ -52,11 +154,26 @@ router.post('/register', validateUserRegistration, async (req, res) => {
       firstName,
       lastName,
       age,
-      persona,
+      persona: needsConsent ? 'child' : persona,
       ageGroup: helperUtils.getAgeGroup(age)
     });
 
-    createSendToken(newUser, 201, res);
+    // A failed email should not fail registration; the user can request a resend
+    try {
+      await sendVerification(newUser);
+    } catch (mailError) {
+      console.error('Send verification email error:', mailError);
+    }
+
+    if (needsConsent) {
+      try {
+        await parentalConsent.request(newUser, parentEmail);
+      } catch (mailError) {
+        console.error('Send parental consent email error:', mailError);
+      }
+    }
+
+    await createSendToken(newUser, 201, req, res);
   } catch (error) {
     console.error('Registration error:', error);
     res.status(500).json(
@@ -68,7 +185,7 @@ router.post('/register', validateUserRegistration, async (req, res) => {
 // @desc    Login user
 // @route   POST /api/auth/login
 // @access  Public
-router.post('/login', validateUserLogin, async (req, res) => {
+router.post('/login', authLimiter, validateUserLogin, async (req, res) => {
   try {
     const { email, password } = req.body;
 
@@ -79,20 +196,73 @@ router.post('/login', validateUserLogin, async (req, res) => {
       );
     }
 
+    // Too many failures from this address across any accounts
+    const ipCheck = await loginGuard.checkIp(req.ip);
+    if (ipCheck.blocked) {
+      return sendLoginBlocked(res, ipCheck.retryAfter, false);
+    }
+
+    const ssoCompany = await ssoService.passwordLoginBlockedFor(email);
+    if (ssoCompany) {
+      return sendSsoRequired(res, ssoCompany);
+    }
+
     // Check if user exists and password is correct
     const user = await User.findOne({ email }).select('+password');
-    
+    const policy = await loginGuard.policyFor(user);
+
+    if (user) {
+      const accountCheck = await loginGuard.checkAccount(user, policy);
+      if (accountCheck.retryAfter > 0) {
+        return sendLoginBlocked(res, accountCheck.retryAfter, accountCheck.locked);
+      }
+    }
+
     if (!user || !(await user.correctPassword(password, user.password))) {
+      const result = await loginGuard.recordFailure(user, req.ip, policy);
+      if (result.locked) {
+        return sendLoginBlocked(res, Math.ceil((result.lockedUntil.getTime() - Date.now()) / 1000), true);
+      }
+
       return res.status(401).json(
         helperUtils.errorResponse('Incorrect email or password', 'INVALID_CREDENTIALS')
       );
     }
 
+    await loginGuard.recordSuccess(user);
+
+    if (!user.isActive) {
+      return sendAccountDisabled(res, user);
+    }
+
+    // Second step required - hand out a short-lived challenge token instead of a session
+    if (user.mfa.enabled) {
+      return res.status(200).json(
+        helperUtils.successResponse('Two-factor authentication required', {
+          mfaRequired: true,
+          mfaToken: tokenService.signPurposeToken(user._id, 'mfa_challenge', constants.MFA_CHALLENGE_EXPIRES_IN)
+        })
+      );
+    }
+
+    // Family or company policy demands MFA but the user has not enrolled yet
+    if (await mfaService.isMfaRequired(user)) {
+      return res.status(403).json({
+        ...helperUtils.errorResponse(
+          'Two-factor authentication must be set up before signing in',
+          constants.ERROR_CODES.MFA_ENROLLMENT_REQUIRED
+        ),
+        data: {
+          mfaEnrollmentToken: tokenService.signPurposeToken(user._id, 'mfa_enroll', constants.MFA_ENROLLMENT_EXPIRES_IN)
+        }
+      });
+    }
+
     // Update last active
     user.lastActive = new Date();
     await user.save();
 
-    createSendToken(user, 200, res);
+    await createSendToken(user, 200, req, res);
   } catch (error) {
     console.error('Login error:', error);
     res.status(500).json(
@@ -101,6 +271,304 @@ router.post('/login', validateUserLogin, async (req, res) => {
   }
 });
 
+// @desc    Complete login with a TOTP or recovery code
+// @route   POST /api/auth/login/mfa
+// @access  Public (requires MFA challenge token)
+router.post('/login/mfa', authLimiter, async (req, res) => {
+  try {
+    const { mfaToken, code, recoveryCode } = req.body;
+
+    if (!mfaToken || (!code && !recoveryCode)) {
+      return res.status(400).json(
+        helperUtils.errorResponse('MFA token and a code or recovery code are required', 'MISSING_CREDENTIALS')
+      );
+    }
+
+    let decoded;
+    try {
+      decoded = tokenService.verifyPurposeToken(mfaToken, 'mfa_challenge');
+    } catch (tokenError) {
+      return res.status(401).json(
+        helperUtils.errorResponse('MFA challenge is invalid or has expired', constants.ERROR_CODES.NOT_AUTHORIZED)
+      );
+    }
+
+    const user = await User.findById(decoded.id)
+      .select('+mfa.secret +mfa.recoveryCodes +mfa.lastUsedStep');
+
+    const policy = await loginGuard.policyFor(user);
+
+    if (user) {
+      const accountCheck = await loginGuard.checkAccount(user, policy);
+      if (accountCheck.retryAfter > 0) {
+        return sendLoginBlocked(res, accountCheck.retryAfter, accountCheck.locked);
+      }
+    }
+
+    const method = user && mfaService.verifySecondFactor(user, { code, recoveryCode });
+    if (!method) {
+      // Guessing codes counts against the same account lockout as guessing passwords
+      const result = await loginGuard.recordFailure(user, req.ip, policy);
+      if (result.locked) {
+        return sendLoginBlocked(res, Math.ceil((result.lockedUntil.getTime() - Date.now()) / 1000), true);
+      }
+
+      return res.status(401).json(
+        helperUtils.errorResponse('Invalid authentication code', constants.ERROR_CODES.INVALID_MFA_CODE)
+      );
+    }
+
+    if (!user.isActive) {
+      return sendAccountDisabled(res, user);
+    }
+
+    user.lastActive = new Date();
+    await user.save();
+
+    await createSendToken(user, 200, req, res);
+  } catch (error) {
+    console.error('MFA login error:', error);
+    res.status(500).json(
+      helperUtils.errorResponse('Login failed. Please try again.')
+    );
+  }
+});
+
+// @desc    Start enterprise single sign-on
+// @route   GET /api/auth/sso/start?company=<name>|email=<address>
+// @access  Public
+router.get('/sso/start', authLimiter, async (req, res) => {
+  try {
+    const { company, email } = req.query;
+
+    if (!company && !email) {
+      return res.status(400).json(
+        helperUtils.errorResponse('Company or email is required', 'MISSING_CREDENTIALS')
+      );
+    }
+
+    const { authorizationUrl, company: companyName } = await ssoService.startLogin({ company, email });
+
+    res.status(200).json(
+      helperUtils.successResponse('Redirect to your identity provider', {
+        company: companyName,
+        authorizationUrl
+      })
+    );
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json(
+        helperUtils.errorResponse(error.message, error.errorCode)
+      );
+    }
+    console.error('SSO start error:', error);
+    res.status(500).json(
+      helperUtils.errorResponse('Failed to start single sign-on')
+    );
+  }
+});
+
+// @desc    Complete single sign-on with the code and state from the IdP redirect
+// @route   POST /api/auth/sso/callback
+// @access  Public
+router.post('/sso/callback', authLimiter, async (req, res) => {
+  try {
+    const { code, state, error: idpError } = req.body;
+
+    if (idpError) {
+      return res.status(401).json(
+        helperUtils.errorResponse(`Identity provider returned an error: ${idpError}`, constants.ERROR_CODES.SSO_FAILED)
+      );
+    }
+
+    if (!code || !state) {
+      return res.status(400).json(
+        helperUtils.errorResponse('Code and state are required', 'MISSING_CREDENTIALS')
+      );
+    }
+
+    // Second factors are the identity provider's responsibility for SSO logins
+    const user = await ssoService.completeLogin({ code, state });
+
+    await createSendToken(user, 200, req, res);
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json(
+        helperUtils.errorResponse(error.message, error.errorCode)
+      );
+    }
+    console.error('SSO callback error:', error);
+    res.status(500).json(
+      helperUtils.errorResponse('Single sign-on failed')
+    );
+  }
+});
+
+// @desc    Confirm linking an existing account to a company identity provider
+// @route   POST /api/auth/sso/link/:token
+// @access  Public (emailed link token)
+router.post('/sso/link/:token', authLimiter, validateSsoLinkToken, async (req, res) => {
+  try {
+    const { company } = await ssoService.confirmLink(req.params.token);
+
+    res.status(200).json(
+      helperUtils.successResponse(`Your account is now connected to ${company.name} single sign-on. Sign in through your identity provider to continue`)
+    );
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json(
+        helperUtils.errorResponse(error.message, error.errorCode)
+      );
+    }
+    console.error('SSO link error:', error);
+    res.status(500).json(
+      helperUtils.errorResponse('Failed to link account')
+    );
+  }
+});
+
+// @desc    Start TOTP enrollment
+// @route   POST /api/auth/mfa/setup
+// @access  Private (or MFA enrollment token)
+router.post('/mfa/setup', allowMfaEnrollment, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('+mfa.pendingSecret');
+
+    if (user.mfa.enabled) {
+      return res.status(400).json(
+        helperUtils.errorResponse('Two-factor authentication is already enabled', 'MFA_ALREADY_ENABLED')
+      );
+    }
+
+    const { secret, otpauthUrl } = mfaService.beginEnrollment(user);
+    await user.save();
+
+    res.status(200).json(
+      helperUtils.successResponse('Scan the QR code with your authenticator app, then confirm with a code', {
+        secret,
+        otpauthUrl
+      })
+    );
+  } catch (error) {
+    console.error('MFA setup error:', error);
+    res.status(500).json(
+      helperUtils.errorResponse('Failed to start two-factor setup')
+    );
+  }
+});
+
+// @desc    Confirm TOTP enrollment and receive recovery codes
+// @route   POST /api/auth/mfa/verify
+// @access  Private (or MFA enrollment token)
+router.post('/mfa/verify', allowMfaEnrollment, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id)
+      .select('+mfa.secret +mfa.pendingSecret +mfa.recoveryCodes +mfa.lastUsedStep');
+
+    const recoveryCodes = mfaService.completeEnrollment(user, req.body.code);
+    if (!recoveryCodes) {
+      return res.status(400).json(
+        helperUtils.errorResponse('Invalid authentication code', constants.ERROR_CODES.INVALID_MFA_CODE)
+      );
+    }
+
+    await user.save();
+
+    // Enrollment forced at login finishes by starting the session
+    let session = {};
+    if (req.auth.type === 'mfa_enroll') {
+      const tokens = await tokenService.issueTokens(user, req);
+      session = {
+        token: tokens.accessToken,
+        refreshToken: tokens.refreshToken,
+        expiresIn: tokens.expiresIn
+      };
+    }
+
+    res.status(200).json(
+      helperUtils.successResponse('Two-factor authentication enabled', {
+        recoveryCodes,
+        ...session
+      })
+    );
+  } catch (error) {
+    console.error('MFA verify error:', error);
+    res.status(500).json(
+      helperUtils.errorResponse('Failed to enable two-factor authentication')
+    );
+  }
+});
+
+// @desc    Regenerate recovery codes
+// @route   POST /api/auth/mfa/recovery-codes
+// @access  Private
+router.post('/mfa/recovery-codes', protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id)
+      .select('+mfa.secret +mfa.recoveryCodes +mfa.lastUsedStep');
+
+    if (!mfaService.verifySecondFactor(user, { code: req.body.code })) {
+      return res.status(401).json(
+        helperUtils.errorResponse('Invalid authentication code', constants.ERROR_CODES.INVALID_MFA_CODE)
+      );
+    }
+
+    const recoveryCodes = mfaService.regenerateRecoveryCodes(user);
+    await user.save();
+
+    res.status(200).json(
+      helperUtils.successResponse('Recovery codes regenerated', { recoveryCodes })
+    );
+  } catch (error) {
+    console.error('Regenerate recovery codes error:', error);
+    res.status(500).json(
+      helperUtils.errorResponse('Failed to regenerate recovery codes')
+    );
+  }
+});
+
+// @desc    Disable two-factor authentication
+// @route   POST /api/auth/mfa/disable
+// @access  Private
+router.post('/mfa/disable', protect, async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    const user = await User.findById(req.user._id)
+      .select('+password +mfa.secret +mfa.recoveryCodes +mfa.lastUsedStep');
+
+    if (!password || !(await user.correctPassword(password, user.password))) {
+      return res.status(401).json(
+        helperUtils.errorResponse('Password is incorrect', 'INVALID_CREDENTIALS')
+      );
+    }
+
+    if (!mfaService.verifySecondFactor(user, { code, recoveryCode })) {
+      return res.status(401).json(
+        helperUtils.errorResponse('Invalid authentication code', constants.ERROR_CODES.INVALID_MFA_CODE)
+      );
+    }
+
+    if (await mfaService.isMfaRequired(user)) {
+      return res.status(403).json(
+        helperUtils.errorResponse('Two-factor authentication is required by your family or company policy', 'MFA_POLICY_ENFORCED')
+      );
+    }
+
+    mfaService.disable(user);
+    await user.save();
+
+    res.status(200).json(
+      helperUtils.successResponse('Two-factor authentication disabled')
+    );
+  } catch (error) {
+    console.error('MFA disable error:', error);
+    res.status(500).json(
+      helperUtils.errorResponse('Failed to disable two-factor authentication')
+    );
+  }
+});
+
 // @desc    Get current user
 // @route   GET /api/auth/me
 // @access  Private
@@ -136,11 +604,10 @@ router.put('/profile', protect, async (req, res) => {
     }
     if (settings) allowedUpdates.settings = { ...req.user.settings, ...settings };
 
-    const updatedUser = await User.findByIdAndUpdate(
-      req.user.id,
-      allowedUpdates,
-      { new: true, runValidators: true }
-    );
+    // Saved through the document so validators see plaintext before names are encrypted
+    const updatedUser = await User.findById(req.user.id);
+    updatedUser.set(allowedUpdates);
+    await updatedUser.save();
 
     res.status(200).json(
       helperUtils.successResponse('Profile updated successfully', { user: updatedUser })
@@ -176,11 +643,12 @@ router.put('/change-password', protect, async (req, res) => {
       );
     }
 
-    // Update password
+    // Update password and end every existing session
     user.password = newPassword;
     await user.save();
+    await tokenService.revokeAllSessions(user._id, 'password_changed');
 
-    createSendToken(user, 200, res);
+    await createSendToken(user, 200, req, res);
   } catch (error) {
     console.error('Change password error:', error);
     res.status(500).json(
@@ -189,11 +657,512 @@ router.put('/change-password', protect, async (req, res) => {
   }
 });
 
-// @desc    Logout user (client-side token removal)
+// @desc    Verify email address
+// @route   GET /api/auth/verify/:token
+// @access  Public
+router.get('/verify/:token', validateVerificationToken, async (req, res) => {
+  try {
+    const user = await User.findOne({
+      verificationToken: encryptionUtils.hashData(req.params.token),
+      verificationExpires: { $gt: new Date() }
+    });
+
+    if (!user) {
+      return res.status(400).json(
+        helperUtils.errorResponse('Verification link is invalid or has expired', 'INVALID_VERIFICATION_TOKEN')
+      );
+    }
+
+    user.isVerified = true;
+    user.verificationToken = undefined;
+    user.verificationExpires = undefined;
+    await user.save();
+
+    res.status(200).json(
+      helperUtils.successResponse('Email verified successfully', { isVerified: true })
+    );
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json(
+      helperUtils.errorResponse('Failed to verify email')
+    );
+  }
+});
+
+// @desc    Resend verification email
+// @route   POST /api/auth/verify/resend
+// @access  Private
+router.post('/verify/resend', protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (user.isVerified) {
+      return res.status(400).json(
+        helperUtils.errorResponse('Email is already verified', 'ALREADY_VERIFIED')
+      );
+    }
+
+    // Enforce a cooldown between sends
+    if (user.verificationSentAt) {
+      const elapsed = (Date.now() - user.verificationSentAt.getTime()) / 1000;
+      const remaining = Math.ceil(constants.VERIFICATION_RESEND_COOLDOWN_SECONDS - elapsed);
+
+      if (remaining > 0) {
+        res.set('Retry-After', String(remaining));
+        return res.status(429).json(
+          helperUtils.errorResponse(
+            `Please wait ${remaining} seconds before requesting another email`,
+            constants.ERROR_CODES.RATE_LIMITED
+          )
+        );
+      }
+    }
+
+    await sendVerification(user);
+
+    res.status(200).json(
+      helperUtils.successResponse('Verification email sent')
+    );
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json(
+      helperUtils.errorResponse('Failed to send verification email')
+    );
+  }
+});
+
+// @desc    Show who a parental consent link is for
+// @route   GET /api/auth/parental-consent/:token
+// @access  Public (requires consent token)
+router.get('/parental-consent/:token', validateConsentToken, async (req, res) => {
+  try {
+    const child = await parentalConsent.findChild(req.params.token);
+
+    res.status(200).json(
+      helperUtils.successResponse('Consent request retrieved', {
+        child: { firstName: child.firstName, age: child.age },
+        parentEmail: child.parentalConsent.parentEmail,
+        requestedAt: child.parentalConsent.requestedAt
+      })
+    );
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json(
+        helperUtils.errorResponse(error.message, error.errorCode)
+      );
+    }
+    console.error('Get consent request error:', error);
+    res.status(500).json(
+      helperUtils.errorResponse('Failed to retrieve consent request')
+    );
+  }
+});
+
+// @desc    Approve a child's account and add them to the parent's family
+// @route   POST /api/auth/parental-consent/:token/approve
+// @access  Private (parent signed in with the email the request was sent to)
+router.post('/parental-consent/:token/approve', protect, validateConsentToken, async (req, res) => {
+  try {
+    const child = await parentalConsent.findChild(req.params.token);
+    const family = await parentalConsent.approve(child, req.user);
+
+    res.status(200).json(
+      helperUtils.successResponse(`${child.firstName}'s account has been approved`, {
+        familyId: family._id,
+        childId: child._id
+      })
+    );
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json(
+        helperUtils.errorResponse(error.message, error.errorCode)
+      );
+    }
+    console.error('Approve parental consent error:', error);
+    res.status(500).json(
+      helperUtils.errorResponse('Failed to approve consent request')
+    );
+  }
+});
+
+// @desc    Decline a consent request; the child's account is deleted
+// @route   POST /api/auth/parental-consent/:token/deny
+// @access  Public (requires consent token)
+router.post('/parental-consent/:token/deny', validateConsentToken, async (req, res) => {
+  try {
+    const child = await parentalConsent.findChild(req.params.token);
+    await parentalConsent.deny(child);
+
+    res.status(200).json(
+      helperUtils.successResponse('Consent declined and the account has been deleted')
+    );
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json(
+        helperUtils.errorResponse(error.message, error.errorCode)
+      );
+    }
+    console.error('Deny parental consent error:', error);
+    res.status(500).json(
+      helperUtils.errorResponse('Failed to decline consent request')
+    );
+  }
+});
+
+// @desc    Resend the consent request, optionally to a corrected parent email
+// @route   POST /api/auth/parental-consent/resend
+// @access  Private (child awaiting consent)
+router.post('/parental-consent/resend', protect, validateConsentResend, async (req, res) => {
+  try {
+    const child = req.user;
+
+    if (!child.needsParentalConsent()) {
+      return res.status(400).json(
+        helperUtils.errorResponse('This account is not waiting for parental consent', 'CONSENT_NOT_PENDING')
+      );
+    }
+
+    if (child.parentalConsent.requestedAt) {
+      const elapsed = (Date.now() - child.parentalConsent.requestedAt.getTime()) / 1000;
+      const remaining = Math.ceil(constants.PARENTAL_CONSENT_RESEND_COOLDOWN_SECONDS - elapsed);
+
+      if (remaining > 0) {
+        res.set('Retry-After', String(remaining));
+        return res.status(429).json(
+          helperUtils.errorResponse(
+            `Please wait ${remaining} seconds before requesting another consent email`,
+            constants.ERROR_CODES.RATE_LIMITED
+          )
+        );
+      }
+    }
+
+    const parentEmail = req.body.parentEmail || child.parentalConsent.parentEmail;
+
+    if (parentEmail === child.email) {
+      return res.status(400).json(
+        helperUtils.errorResponse('Please provide a valid parent email', 'VALIDATION_ERROR')
+      );
+    }
+
+    await parentalConsent.request(child, parentEmail);
+
+    res.status(200).json(
+      helperUtils.successResponse('Consent request sent', { parentEmail })
+    );
+  } catch (error) {
+    console.error('Resend parental consent error:', error);
+    res.status(500).json(
+      helperUtils.errorResponse('Failed to send consent request')
+    );
+  }
+});
+
+// @desc    Request a password reset email
+// @route   POST /api/auth/forgot-password
+// @access  Public
+router.post('/forgot-password', authLimiter, validateForgotPassword, async (req, res) => {
+  // Same answer whether or not the account exists, to avoid leaking registered emails
+  const genericResponse = helperUtils.successResponse(
+    'If an account exists for that email, a password reset link has been sent'
+  );
+
+  try {
+    const user = await User.findOne({ email: req.body.email });
+    if (!user || await ssoService.passwordLoginBlockedFor(user.email)) {
+      return res.status(200).json(genericResponse);
+    }
+
+    const resetToken = encryptionUtils.generateSecureToken(32);
+    user.resetPasswordToken = encryptionUtils.hashData(resetToken);
+    user.resetPasswordExpires = new Date(
+      Date.now() + constants.PASSWORD_RESET_EXPIRES_MINUTES * 60 * 1000
+    );
+    await user.save();
+
+    try {
+      await mailer.sendPasswordReset(user, resetToken);
+    } catch (mailError) {
+      user.resetPasswordToken = undefined;
+      user.resetPasswordExpires = undefined;
+      await user.save();
+      throw mailError;
+    }
+
+    res.status(200).json(genericResponse);
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json(
+      helperUtils.errorResponse('Failed to send password reset email')
+    );
+  }
+});
+
+// @desc    Reset password with an emailed token
+// @route   POST /api/auth/reset-password/:token
+// @access  Public
+router.post('/reset-password/:token', authLimiter, validatePasswordReset, async (req, res) => {
+  try {
+    const user = await User.findOne({
+      resetPasswordToken: encryptionUtils.hashData(req.params.token),
+      resetPasswordExpires: { $gt: new Date() }
+    });
+
+    if (!user) {
+      return res.status(400).json(
+        helperUtils.errorResponse('Password reset link is invalid or has expired', 'INVALID_RESET_TOKEN')
+      );
+    }
+
+    // Token is single-use; passwordChangedAt is set by the pre-save hook
+    user.password = req.body.password;
+    user.resetPasswordToken = undefined;
+    user.resetPasswordExpires = undefined;
+    await user.save();
+
+    await tokenService.revokeAllSessions(user._id, 'password_reset');
+
+    // No session here: signing in again goes through /login and its MFA challenge
+    res.status(200).json(
+      helperUtils.successResponse('Password has been reset. Please log in with your new password')
+    );
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json(
+      helperUtils.errorResponse('Failed to reset password')
+    );
+  }
+});
+
+// @desc    Exchange a refresh token for a new token pair
+// @route   POST /api/auth/refresh
+// @access  Public
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json(
+        helperUtils.errorResponse('Refresh token is required', 'MISSING_REFRESH_TOKEN')
+      );
+    }
+
+    const tokens = await tokenService.rotateRefreshToken(refreshToken, req);
+
+    const user = await User.findById(tokens.userId);
+    if (!user) {
+      await tokenService.revokeSession(tokens.sessionId, 'account_deleted');
+      return res.status(401).json(
+        helperUtils.errorResponse('User no longer exists', 'INVALID_REFRESH_TOKEN')
+      );
+    }
+
+    if (!user.isActive) {
+      await tokenService.revokeSession(tokens.sessionId, 'deactivated');
+      return sendAccountDisabled(res, user);
+    }
+
+    res.status(200).json(
+      helperUtils.successResponse('Token refreshed', {
+        token: tokens.accessToken,
+        refreshToken: tokens.refreshToken,
+        expiresIn: tokens.expiresIn
+      })
+    );
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json(
+        helperUtils.errorResponse(error.message, error.errorCode)
+      );
+    }
+    console.error('Refresh token error:', error);
+    res.status(500).json(
+      helperUtils.errorResponse('Failed to refresh token')
+    );
+  }
+});
+
+// @desc    List signed-in devices
+// @route   GET /api/auth/sessions
+// @access  Private
+router.get('/sessions', protect, async (req, res) => {
+  try {
+    const sessions = await Session.findActiveForUser(req.user._id);
+
+    res.status(200).json(
+      helperUtils.successResponse('Sessions retrieved', {
+        sessions: sessions.map(session => session.toSummary(req.auth.sessionId))
+      })
+    );
+  } catch (error) {
+    console.error('List sessions error:', error);
+    res.status(500).json(
+      helperUtils.errorResponse('Failed to retrieve sessions')
+    );
+  }
+});
+
+// @desc    Sign out everywhere (pass keepCurrent=true to stay signed in on this device)
+// @route   DELETE /api/auth/sessions
+// @access  Private
+router.delete('/sessions', protect, async (req, res) => {
+  try {
+    const keepCurrent = req.query.keepCurrent === 'true' || req.body.keepCurrent === true;
+
+    const revoked = await tokenService.revokeAllSessions(req.user._id, 'signed_out_everywhere', {
+      exceptSessionId: keepCurrent ? req.auth.sessionId : undefined,
+      revokedBy: req.user._id
+    });
+
+    res.status(200).json(
+      helperUtils.successResponse('Signed out of all sessions', { revoked })
+    );
+  } catch (error) {
+    console.error('Revoke all sessions error:', error);
+    res.status(500).json(
+      helperUtils.errorResponse('Failed to revoke sessions')
+    );
+  }
+});
+
+// @desc    Sign out a single device
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+router.delete('/sessions/:id', protect, validateObjectId, async (req, res) => {
+  try {
+    const session = await Session.findOne({
+      _id: req.params.id,
+      user: req.user._id,
+      revokedAt: null
+    });
+
+    if (!session) {
+      return res.status(404).json(
+        helperUtils.errorResponse('Session not found')
+      );
+    }
+
+    await tokenService.revokeSession(session._id.toString(), 'revoked', req.user._id);
+
+    res.status(200).json(
+      helperUtils.successResponse('Session revoked', {
+        current: session._id.toString() === req.auth.sessionId
+      })
+    );
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json(
+      helperUtils.errorResponse('Failed to revoke session')
+    );
+  }
+});
+
+// @desc    Compile all my personal data into a downloadable archive (generated in the background)
+// @route   GET /api/auth/export
+// @access  Private
+router.get('/export', protect, async (req, res) => {
+  try {
+    const result = await dataExportService.request(req.user, req.user);
+
+    res.status(202).json(
+      helperUtils.successResponse(
+        result.alreadyRunning ? 'Data export already in progress' : 'Data export started',
+        {
+          export: result.export.toSummary(),
+          statusUrl: `/api/auth/export/${result.export._id}`
+        }
+      )
+    );
+  } catch (error) {
+    console.error('Request data export error:', error);
+    res.status(500).json(
+      helperUtils.errorResponse('Failed to start data export')
+    );
+  }
+});
+
+// @desc    List my personal data exports, including ones requested by my parent
+// @route   GET /api/auth/export/history
+// @access  Private
+router.get('/export/history', protect, async (req, res) => {
+  try {
+    const exports = await dataExportService.list(req.user._id);
+
+    res.status(200).json(
+      helperUtils.successResponse('Data exports retrieved', {
+        exports: exports.map(dataExport => dataExport.toSummary())
+      })
+    );
+  } catch (error) {
+    console.error('List data exports error:', error);
+    res.status(500).json(
+      helperUtils.errorResponse('Failed to retrieve data exports')
+    );
+  }
+});
+
+// @desc    Get the status of one export
+// @route   GET /api/auth/export/:id
+// @access  Private (subject or the parent who requested it)
+router.get('/export/:id', protect, validateObjectId, async (req, res) => {
+  try {
+    const dataExport = await DataExport.findById(req.params.id);
+
+    if (!dataExport || !dataExport.canAccess(req.user._id)) {
+      return res.status(404).json(
+        helperUtils.errorResponse('Export not found')
+      );
+    }
+
+    res.status(200).json(
+      helperUtils.successResponse('Data export retrieved', {
+        export: dataExport.toSummary()
+      })
+    );
+  } catch (error) {
+    console.error('Get data export error:', error);
+    res.status(500).json(
+      helperUtils.errorResponse('Failed to retrieve data export')
+    );
+  }
+});
+
+// @desc    Download a finished export archive
+// @route   GET /api/auth/export/:id/download
+// @access  Private (subject or the parent who requested it)
+router.get('/export/:id/download', protect, validateObjectId, async (req, res) => {
+  try {
+    const dataExport = await DataExport.findById(req.params.id).select('+filePath');
+
+    if (!dataExport || !dataExport.canAccess(req.user._id)) {
+      return res.status(404).json(
+        helperUtils.errorResponse('Export not found')
+      );
+    }
+
+    if (!dataExport.isDownloadable()) {
+      return res.status(409).json(
+        helperUtils.errorResponse(`Export is ${dataExport.status === 'completed' ? 'expired' : dataExport.status}`, constants.ERROR_CODES.EXPORT_NOT_READY)
+      );
+    }
+
+    await DataExport.updateOne({ _id: dataExport._id }, { $inc: { downloadCount: 1 } });
+    res.download(dataExport.filePath, dataExport.fileName);
+  } catch (error) {
+    console.error('Download data export error:', error);
+    res.status(500).json(
+      helperUtils.errorResponse('Failed to download data export')
+    );
+  }
+});
+
+// @desc    Logout user and revoke the current session
 // @route   POST /api/auth/logout
 // @access  Private
 router.post('/logout', protect, async (req, res) => {
   try {
+    await tokenService.revokeSession(req.auth.sessionId, 'logout');
+
     // Update last active before logout
     await User.findByIdAndUpdate(req.user.id, { lastActive: new Date() });
 
@@ -208,15 +1177,18 @@ router.post('/logout', protect, async (req, res) => {
   }
 });
 
-// @desc    Delete user account
+// @desc    Delete user account after a grace period; signs out everywhere immediately
 // @route   DELETE /api/auth/account
 // @access  Private
 router.delete('/account', protect, async (req, res) => {
   try {
-    await User.findByIdAndDelete(req.user.id);
+    const scheduledFor = await accountDeletion.schedule(req.user);
 
     res.status(200).json(
-      helperUtils.successResponse('Account deleted successfully')
+      helperUtils.successResponse('Account scheduled for deletion', {
+        scheduledFor,
+        graceDays: constants.ACCOUNT_DELETION_GRACE_DAYS
+      })
     );
   } catch (error) {
     console.error('Delete account error:', error);
@@ -226,4 +1198,29 @@ router.delete('/account', protect, async (req, res) => {
   }
 });
 
+// @desc    Cancel a scheduled account deletion
+// @route   POST /api/auth/account/restore/:token
+// @access  Public (requires restore token)
+router.post('/account/restore/:token', validateRestoreToken, async (req, res) => {
+  try {
+    const user = await accountDeletion.restore(req.params.token);
+
+    res.status(200).json(
+      helperUtils.successResponse('Account restored. You can sign in again.', {
+        email: user.email
+      })
+    );
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json(
+        helperUtils.errorResponse(error.message, error.errorCode)
+      );
+    }
+    console.error('Restore account error:', error);
+    res.status(500).json(
+      helperUtils.errorResponse('Failed to restore account')
+    );
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -2,23 +2,30 @@ const express = require('express');
 const User = require('../models/User');
 const Threat = require('../models/Threat');
 const GameSession = require('../models/GameSession');
-const { protect } = require('../middleware/auth');
+const Company = require('../models/Company');
+const RoleAssignment = require('../models/RoleAssignment');
+const { protect, apiKeyScope, requireVerified } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/rbac');
+const { audit } = require('../middleware/audit');
+const { validateAuditQuery, validateObjectId } = require('../middleware/validation');
 const helperUtils = require('../utils/helpers');
+const loginGuard = require('../utils/login-guard');
+const ssoService = require('../utils/sso-service');
+const encryptionUtils = require('../utils/encryption');
+const auditLog = require('../utils/audit-log');
+const aiDetectionEngine = require('../utils/ai-detection');
+const fusionStrategies = require('../utils/detectors/fusion');
+const { API_KEY_SCOPES, SSO_DEFAULT_CLAIMS, SCIM_TOKEN_PREFIX, DETECTOR_FUSION_STRATEGY } = require('../config/constants');
+const { PERMISSIONS, ROLES } = require('../config/permissions');
 
 const router = express.Router();
+const verifiedEnterprise = requireVerified('enterprise');
 
 // @desc    Get enterprise dashboard
 // @route   GET /api/enterprise/dashboard
 // @access  Private
-router.get('/dashboard', protect, async (req, res) => {
+router.get('/dashboard', apiKeyScope(API_KEY_SCOPES.ENTERPRISE_READ), protect, verifiedEnterprise, requirePermission(PERMISSIONS.ENTERPRISE_DASHBOARD_READ), async (req, res) => {
   try {
-    // Check if user is enterprise admin
-    if (req.user.persona !== 'enterprise' || !req.user.enterprise.isAdmin) {
-      return res.status(403).json(
-        helperUtils.errorResponse('Enterprise access required')
-      );
-    }
-
     // Get all users in the same company
     const companyUsers = await User.find({
       'enterprise.company': req.user.enterprise.company
@@ -131,11 +138,11 @@ router.get('/dashboard', protect, async (req, res) => {
 // @desc    Get employee security report
 // @route   GET /api/enterprise/employees/:employeeId/report
 // @access  Private
-router.get('/employees/:employeeId/report', protect, async (req, res) => {
+router.get('/employees/:employeeId/report', apiKeyScope(API_KEY_SCOPES.ENTERPRISE_READ), protect, verifiedEnterprise, requirePermission(PERMISSIONS.ENTERPRISE_EMPLOYEES_READ), audit('enterprise.employee_report.viewed', describeEmployeeReport), async (req, res) => {
   try {
     const { employeeId } = req.params;
 
-    // Verify the employee belongs to the same company and requester is admin
+    // Verify the employee belongs to the same company
     const employee = await User.findOne({
       _id: employeeId,
       'enterprise.company': req.user.enterprise.company
@@ -147,12 +154,6 @@ router.get('/employees/:employeeId/report', protect, async (req, res) => {
       );
     }
 
-    if (!req.user.enterprise.isAdmin) {
-      return res.status(403).json(
-        helperUtils.errorResponse('Admin access required')
-      );
-    }
-
     // Get employee's threat history
     const threatHistory = await Threat.find({ user: employeeId })
       .sort({ createdAt: -1 })
@@ -216,6 +217,595 @@ router.get('/employees/:employeeId/report', protect, async (req, res) => {
   }
 });
 
+// @desc    List audit events for the company
+// @route   GET /api/enterprise/audit
+// @access  Private
+router.get('/audit', protect, verifiedEnterprise, requirePermission(PERMISSIONS.ENTERPRISE_AUDIT_READ), validateAuditQuery, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const { action, actor, from, to } = req.query;
+
+    const { events, total } = await auditLog.list(companyScope(req), { action, actor, from, to, page, limit });
+
+    res.status(200).json(
+      helperUtils.successResponse('Audit events retrieved', {
+        events: events.map(event => event.toSummary()),
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      })
+    );
+  } catch (error) {
+    console.error('Get enterprise audit log error:', error);
+    res.status(500).json(
+      helperUtils.errorResponse('Failed to retrieve audit events')
+    );
+  }
+});
+
+// @desc    Check the company audit log's hash chain for tampering
+// @route   GET /api/enterprise/audit/verify
+// @access  Private
+router.get('/audit/verify', protect, verifiedEnterprise, requirePermission(PERMISSIONS.ENTERPRISE_AUDIT_READ), async (req, res) => {
+  try {
+    const result = await auditLog.verify(companyScope(req));
+
+    res.status(200).json(
+      helperUtils.successResponse(result.valid ? 'Audit log is intact' : 'Audit log has been tampered with', result)
+    );
+  } catch (error) {
+    console.error('Verify enterprise audit log error:', error);
+    res.status(500).json(
+      helperUtils.errorResponse('Failed to verify audit log')
+    );
+  }
+});
+
+// @desc    Get company security settings
+// @route   GET /api/enterprise/settings/security
+// @access  Private
+router.get('/settings/security', protect, verifiedEnterprise, requirePermission(PERMISSIONS.ENTERPRISE_SETTINGS_MANAGE), async (req, res) => {
+  try {
+    const company = await Company.findForUser(req.user);
+
+    res.status(200).json(
+      helperUtils.successResponse('Security settings retrieved', {
+        company: req.user.enterprise.company,
+        security: company ? company.security : new Company().security,
+        effectiveLockout: await loginGuard.policyFor(req.user)
+      })
+    );
+  } catch (error) {
+    console.error('Get security settings error:', error);
+    res.status(500).json(
+      helperUtils.errorResponse('Failed to retrieve security settings')
+    );
+  }
+});
+
+// @desc    Update company security settings
+// @route   PUT /api/enterprise/settings/security
+// @access  Private
+router.put('/settings/security', protect, verifiedEnterprise, requirePermission(PERMISSIONS.ENTERPRISE_SETTINGS_MANAGE), async (req, res) => {
+  try {
+    const { requireMfa, lockout } = req.body;
+
+    const updates = {};
+    const removals = {};
+    if (requireMfa !== undefined) updates['security.requireMfa'] = Boolean(requireMfa);
+
+    // Lockout fields set to null fall back to the platform default
+    if (lockout && typeof lockout === 'object') {
+      for (const field of ['maxAttempts', 'lockoutMinutes', 'backoffBaseSeconds']) {
+        if (lockout[field] === undefined) continue;
+
+        if (lockout[field] === null) {
+          removals[`security.lockout.${field}`] = '';
+        } else if (Number.isFinite(Number(lockout[field]))) {
+          updates[`security.lockout.${field}`] = Number(lockout[field]);
+        } else {
+          return res.status(400).json(
+            helperUtils.errorResponse(`lockout.${field} must be a number`, 'VALIDATION_ERROR')
+          );
+        }
+      }
+    }
+
+    const company = await Company.findOneAndUpdate(
+      { name: req.user.enterprise.company },
+      { $set: updates, $unset: removals },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+
+    res.status(200).json(
+      helperUtils.successResponse('Security settings updated', {
+        security: company.security,
+        effectiveLockout: await loginGuard.policyFor(req.user)
+      })
+    );
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json(
+        helperUtils.errorResponse(error.message, 'VALIDATION_ERROR')
+      );
+    }
+
+    console.error('Update security settings error:', error);
+    res.status(500).json(
+      helperUtils.errorResponse('Failed to update security settings')
+    );
+  }
+});
+
+// Detector selection as stored, plus what the engine will actually run for this user
+const serializeDetection = (company, user) => {
+  const detection = company && company.detection ? company.detection.toObject() : {};
+  const enabled = aiDetectionEngine.enabledDetectorNames({ persona: user.persona, detection });
+
+  return {
+    enabledDetectors: detection.enabledDetectors || [],
+    disabledDetectors: detection.disabledDetectors || [],
+    fusionStrategy: detection.fusionStrategy || null,
+    available: aiDetectionEngine.listDetectors(),
+    fusionStrategies: Object.keys(fusionStrategies),
+    effective: {
+      detectors: [...enabled],
+      fusionStrategy: detection.fusionStrategy || DETECTOR_FUSION_STRATEGY
+    }
+  };
+};
+
+// @desc    Get company threat detector settings
+// @route   GET /api/enterprise/settings/detection
+// @access  Private
+router.get('/settings/detection', protect, verifiedEnterprise, requirePermission(PERMISSIONS.ENTERPRISE_SETTINGS_MANAGE), async (req, res) => {
+  try {
+    const company = await Company.findForUser(req.user);
+
+    res.status(200).json(
+      helperUtils.successResponse('Detection settings retrieved', {
+        company: req.user.enterprise.company,
+        detection: serializeDetection(company, req.user)
+      })
+    );
+  } catch (error) {
+    console.error('Get detection settings error:', error);
+    res.status(500).json(
+      helperUtils.errorResponse('Failed to retrieve detection settings')
+    );
+  }
+});
+
+// @desc    Update company threat detector settings
+// @route   PUT /api/enterprise/settings/detection
+// @access  Private
+router.put('/settings/detection', protect, verifiedEnterprise, requirePermission(PERMISSIONS.ENTERPRISE_SETTINGS_MANAGE), async (req, res) => {
+  try {
+    const { enabledDetectors, disabledDetectors, fusionStrategy } = req.body;
+    const known = aiDetectionEngine.listDetectors().map(detector => detector.name);
+    const updates = {};
+    const removals = {};
+
+    for (const [field, names] of Object.entries({ enabledDetectors, disabledDetectors })) {
+      if (names === undefined) continue;
+
+      if (!Array.isArray(names) || names.some(name => !known.includes(name))) {
+        return res.status(400).json(
+          helperUtils.errorResponse(`${field} must list detectors from: ${known.join(', ')}`, 'VALIDATION_ERROR')
+        );
+      }
+      updates[`detection.${field}`] = [...new Set(names)];
+    }
+
+    // null falls back to the platform default
+    if (fusionStrategy === null) {
+      removals['detection.fusionStrategy'] = '';
+    } else if (fusionStrategy !== undefined) {
+      if (!fusionStrategies[fusionStrategy]) {
+        return res.status(400).json(
+          helperUtils.errorResponse(`fusionStrategy must be one of: ${Object.keys(fusionStrategies).join(', ')}`, 'VALIDATION_ERROR')
+        );
+      }
+      updates['detection.fusionStrategy'] = fusionStrategy;
+    }
+
+    const company = await Company.findOneAndUpdate(
+      { name: req.user.enterprise.company },
+      { $set: updates, $unset: removals },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+
+    res.status(200).json(
+      helperUtils.successResponse('Detection settings updated', {
+        detection: serializeDetection(company, req.user)
+      })
+    );
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json(
+        helperUtils.errorResponse(error.message, 'VALIDATION_ERROR')
+      );
+    }
+
+    console.error('Update detection settings error:', error);
+    res.status(500).json(
+      helperUtils.errorResponse('Failed to update detection settings')
+    );
+  }
+});
+
+// SSO settings without the client secret
+const serializeSso = (company) => {
+  const sso = company ? company.sso.toObject() : new Company().sso.toObject();
+  delete sso.clientSecret;
+
+  return {
+    ...sso,
+    // The TXT record to publish for each domain, and whether it has been seen
+    domainVerifications: sso.domainVerifications.map(entry => ({
+      domain: entry.domain,
+      verified: Boolean(entry.verifiedAt),
+      verifiedAt: entry.verifiedAt,
+      record: ssoService.domainVerificationRecord(entry)
+    })),
+    hasClientSecret: Boolean(company && company.sso.clientSecret),
+    configured: ssoService.isConfigured(company)
+  };
+};
+
+// @desc    Get company single sign-on settings
+// @route   GET /api/enterprise/settings/sso
+// @access  Private
+router.get('/settings/sso', protect, verifiedEnterprise, requirePermission(PERMISSIONS.ENTERPRISE_SETTINGS_MANAGE), async (req, res) => {
+  try {
+    const company = await Company.findOne({ name: req.user.enterprise.company }).select('+sso.clientSecret');
+
+    // Domains added before verification existed get their TXT token here
+    if (company) {
+      company.ensureDomainTokens();
+      if (company.isModified()) await company.save();
+    }
+
+    res.status(200).json(
+      helperUtils.successResponse('SSO settings retrieved', {
+        company: req.user.enterprise.company,
+        sso: serializeSso(company)
+      })
+    );
+  } catch (error) {
+    console.error('Get SSO settings error:', error);
+    res.status(500).json(
+      helperUtils.errorResponse('Failed to retrieve SSO settings')
+    );
+  }
+});
+
+// @desc    Update company single sign-on settings
+// @route   PUT /api/enterprise/settings/sso
+// @access  Private
+router.put('/settings/sso', protect, verifiedEnterprise, requirePermission(PERMISSIONS.ENTERPRISE_SETTINGS_MANAGE), async (req, res) => {
+  try {
+    const { enabled, issuer, clientId, clientSecret, scopes, domains, disablePasswordLogin, claims } = req.body;
+    const updates = {};
+
+    if (issuer !== undefined) {
+      let parsed;
+      try {
+        parsed = new URL(issuer);
+      } catch (urlError) {
+        parsed = null;
+      }
+      // Plain http is for a provider on this machine (scripts/mock-oidc-provider.js),
+      // and loopback issuers only make sense outside production
+      const localAllowed = ['development', 'test'].includes(process.env.NODE_ENV);
+      const isLocal = parsed && ['localhost', '127.0.0.1', '[::1]'].includes(parsed.hostname);
+      if (!parsed || (isLocal && !localAllowed) || (parsed.protocol !== 'https:' && !isLocal)) {
+        return res.status(400).json(
+          helperUtils.errorResponse('Issuer must be an https URL', 'VALIDATION_ERROR')
+        );
+      }
+      updates['sso.issuer'] = issuer.replace(/\/$/, '');
+    }
+
+    if (clientId !== undefined) updates['sso.clientId'] = String(clientId);
+    if (clientSecret !== undefined) updates['sso.clientSecret'] = clientSecret ? String(clientSecret) : undefined;
+    if (scopes !== undefined) {
+      if (!String(scopes).split(' ').includes('openid')) {
+        return res.status(400).json(
+          helperUtils.errorResponse('Scopes must include openid', 'VALIDATION_ERROR')
+        );
+      }
+      updates['sso.scopes'] = String(scopes);
+    }
+    if (enabled !== undefined) updates['sso.enabled'] = Boolean(enabled);
+    if (disablePasswordLogin !== undefined) updates['sso.disablePasswordLogin'] = Boolean(disablePasswordLogin);
+
+    if (claims !== undefined) {
+      for (const field of Object.keys(SSO_DEFAULT_CLAIMS)) {
+        if (claims && claims[field] !== undefined) {
+          updates[`sso.claims.${field}`] = claims[field] ? String(claims[field]) : undefined;
+        }
+      }
+    }
+
+    if (domains !== undefined) {
+      if (!Array.isArray(domains) || domains.some(domain => !/^[a-z0-9.-]+\.[a-z]{2,}$/i.test(domain))) {
+        return res.status(400).json(
+          helperUtils.errorResponse('Domains must be a list of domain names', 'VALIDATION_ERROR')
+        );
+      }
+
+      const normalized = [...new Set(domains.map(domain => domain.toLowerCase()))];
+
+      // A domain can only route to one tenant; unverified claims do not count
+      const claimed = await Company.findOne({
+        name: { $ne: req.user.enterprise.company },
+        'sso.domainVerifications': { $elemMatch: { domain: { $in: normalized }, verifiedAt: { $ne: null } } }
+      });
+      if (claimed) {
+        return res.status(409).json(
+          helperUtils.errorResponse('One of these domains is already registered to another company', 'DUPLICATE_RESOURCE')
+        );
+      }
+
+      updates['sso.domains'] = normalized;
+    }
+
+    const company = await Company.findOne({ name: req.user.enterprise.company }).select('+sso.clientSecret') ||
+      new Company({ name: req.user.enterprise.company });
+    company.set(updates);
+    company.ensureDomainTokens();
+
+    if (company.sso.enabled && !ssoService.isConfigured(company)) {
+      return res.status(400).json(
+        helperUtils.errorResponse('Issuer, client ID and at least one verified domain are required to enable SSO', 'VALIDATION_ERROR')
+      );
+    }
+
+    await company.save();
+
+    res.status(200).json(
+      helperUtils.successResponse('SSO settings updated', {
+        sso: serializeSso(company)
+      })
+    );
+  } catch (error) {
+    console.error('Update SSO settings error:', error);
+    res.status(500).json(
+      helperUtils.errorResponse('Failed to update SSO settings')
+    );
+  }
+});
+
+// @desc    Check a domain's DNS TXT record and mark it verified for SSO
+// @route   POST /api/enterprise/settings/sso/domains/:domain/verify
+// @access  Private
+router.post('/settings/sso/domains/:domain/verify', protect, verifiedEnterprise, requirePermission(PERMISSIONS.ENTERPRISE_SETTINGS_MANAGE), async (req, res) => {
+  try {
+    const company = await Company.findForUser(req.user);
+    if (!company) {
+      return res.status(404).json(
+        helperUtils.errorResponse('Domain is not registered to this company', 'NOT_FOUND')
+      );
+    }
+
+    await ssoService.verifyDomain(company, String(req.params.domain).toLowerCase());
+
+    res.status(200).json(
+      helperUtils.successResponse('Domain verified', {
+        sso: serializeSso(company)
+      })
+    );
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json(
+        helperUtils.errorResponse(error.message, error.errorCode)
+      );
+    }
+    console.error('Verify SSO domain error:', error);
+    res.status(500).json(
+      helperUtils.errorResponse('Failed to verify domain')
+    );
+  }
+});
+
+// @desc    Get SCIM provisioning status
+// @route   GET /api/enterprise/settings/scim
+// @access  Private
+router.get('/settings/scim', protect, verifiedEnterprise, requirePermission(PERMISSIONS.ENTERPRISE_SETTINGS_MANAGE), async (req, res) => {
+  try {
+    const company = await Company.findForUser(req.user);
+    const scim = company && company.scim && company.scim.tokenPrefix ? company.scim : null;
+
+    res.status(200).json(
+      helperUtils.successResponse('SCIM settings retrieved', {
+        enabled: Boolean(scim),
+        tokenPrefix: scim ? scim.tokenPrefix : null,
+        tokenCreatedAt: scim ? scim.tokenCreatedAt : null,
+        lastUsedAt: scim ? scim.lastUsedAt : null
+      })
+    );
+  } catch (error) {
+    console.error('Get SCIM settings error:', error);
+    res.status(500).json(
+      helperUtils.errorResponse('Failed to retrieve SCIM settings')
+    );
+  }
+});
+
+// @desc    Generate (or rotate) the SCIM bearer token; it is only shown once
+// @route   POST /api/enterprise/settings/scim/token
+// @access  Private
+router.post('/settings/scim/token', protect, verifiedEnterprise, requirePermission(PERMISSIONS.ENTERPRISE_SETTINGS_MANAGE), async (req, res) => {
+  try {
+    const token = `${SCIM_TOKEN_PREFIX}${encryptionUtils.generateSecureToken(32)}`;
+
+    await Company.findOneAndUpdate(
+      { name: req.user.enterprise.company },
+      {
+        $set: {
+          'scim.tokenHash': encryptionUtils.hashData(token),
+          'scim.tokenPrefix': token.slice(0, SCIM_TOKEN_PREFIX.length + 6),
+          'scim.tokenCreatedAt': new Date()
+        },
+        $unset: { 'scim.lastUsedAt': '' }
+      },
+      { upsert: true, setDefaultsOnInsert: true }
+    );
+
+    res.status(201).json(
+      helperUtils.successResponse('SCIM token created. Store it now - it will not be shown again.', {
+        token,
+        baseUrl: `${req.protocol}://${req.get('host')}/scim/v2`
+      })
+    );
+  } catch (error) {
+    console.error('Create SCIM token error:', error);
+    res.status(500).json(
+      helperUtils.errorResponse('Failed to create SCIM token')
+    );
+  }
+});
+
+// @desc    Revoke the SCIM bearer token
+// @route   DELETE /api/enterprise/settings/scim/token
+// @access  Private
+router.delete('/settings/scim/token', protect, verifiedEnterprise, requirePermission(PERMISSIONS.ENTERPRISE_SETTINGS_MANAGE), async (req, res) => {
+  try {
+    await Company.updateOne(
+      { name: req.user.enterprise.company },
+      { $unset: { scim: '' } }
+    );
+
+    res.status(200).json(
+      helperUtils.successResponse('SCIM token revoked')
+    );
+  } catch (error) {
+    console.error('Revoke SCIM token error:', error);
+    res.status(500).json(
+      helperUtils.errorResponse('Failed to revoke SCIM token')
+    );
+  }
+});
+
+// @desc    List role assignments in the company
+// @route   GET /api/enterprise/roles
+// @access  Private
+router.get('/roles', protect, verifiedEnterprise, requirePermission(PERMISSIONS.ENTERPRISE_ROLES_MANAGE), async (req, res) => {
+  try {
+    const assignments = await RoleAssignment.find({
+      scopeType: 'company',
+      scopeId: req.user.enterprise.company
+    }).populate('user', 'firstName lastName email enterprise.department');
+
+    res.status(200).json(
+      helperUtils.successResponse('Role assignments retrieved', {
+        assignments,
+        assignableRoles: assignableRoles('company')
+      })
+    );
+  } catch (error) {
+    console.error('Get company roles error:', error);
+    res.status(500).json(
+      helperUtils.errorResponse('Failed to retrieve role assignments')
+    );
+  }
+});
+
+// @desc    Assign a company role to an employee
+// @route   POST /api/enterprise/roles
+// @access  Private
+router.post('/roles', protect, verifiedEnterprise, requirePermission(PERMISSIONS.ENTERPRISE_ROLES_MANAGE), async (req, res) => {
+  try {
+    const { userId, role } = req.body;
+
+    if (!assignableRoles('company').includes(role)) {
+      return res.status(400).json(
+        helperUtils.errorResponse(`Role must be one of: ${assignableRoles('company').join(', ')}`, 'INVALID_ROLE')
+      );
+    }
+
+    const employee = await User.findOne({
+      _id: userId,
+      'enterprise.company': req.user.enterprise.company
+    });
+
+    if (!employee) {
+      return res.status(404).json(
+        helperUtils.errorResponse('Employee not found')
+      );
+    }
+
+    const assignment = await RoleAssignment.findOneAndUpdate(
+      { user: employee._id, role, scopeType: 'company', scopeId: req.user.enterprise.company },
+      { $setOnInsert: { grantedBy: req.user._id } },
+      { new: true, upsert: true, runValidators: true }
+    );
+
+    res.status(201).json(
+      helperUtils.successResponse('Role assigned', { assignment })
+    );
+  } catch (error) {
+    console.error('Assign company role error:', error);
+    res.status(500).json(
+      helperUtils.errorResponse('Failed to assign role')
+    );
+  }
+});
+
+// @desc    Remove a company role assignment
+// @route   DELETE /api/enterprise/roles/:id
+// @access  Private
+router.delete('/roles/:id', protect, verifiedEnterprise, requirePermission(PERMISSIONS.ENTERPRISE_ROLES_MANAGE), validateObjectId, async (req, res) => {
+  try {
+    const assignment = await RoleAssignment.findOneAndDelete({
+      _id: req.params.id,
+      scopeType: 'company',
+      scopeId: req.user.enterprise.company
+    });
+
+    if (!assignment) {
+      return res.status(404).json(
+        helperUtils.errorResponse('Role assignment not found')
+      );
+    }
+
+    res.status(200).json(
+      helperUtils.successResponse('Role removed')
+    );
+  } catch (error) {
+    console.error('Remove company role error:', error);
+    res.status(500).json(
+      helperUtils.errorResponse('Failed to remove role')
+    );
+  }
+});
+
+// Helper function to list roles that can be granted at a scope
+function assignableRoles(scope) {
+  return Object.entries(ROLES)
+    .filter(([, definition]) => definition.assignable && definition.scope === scope)
+    .map(([role]) => role);
+}
+
+// Helper function to build the audit scope for the caller's company
+function companyScope(req) {
+  return { type: 'company', id: req.user.enterprise.company };
+}
+
+// Report views are reads: no diff, just who looked at whom
+async function describeEmployeeReport(req) {
+  return {
+    scope: companyScope(req),
+    target: { type: 'user', id: req.params.employeeId },
+    snapshot: null
+  };
+}
+
 // Helper function to calculate employee risk
 function calculateEmployeeRisk(employee, threatHistory, gameProgress) {
   let riskScore = 0;
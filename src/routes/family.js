@@ -1,16 +1,37 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const Family = require('../models/Family');
 const User = require('../models/User');
-const { protect, authorizeFamily } = require('../middleware/auth');
-const { validateFamilyCreation, validateObjectId } = require('../middleware/validation');
+const RoleAssignment = require('../models/RoleAssignment');
+const Session = require('../models/Session');
+const { protect, authorizeFamily, requireVerified } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/rbac');
+const { audit } = require('../middleware/audit');
+const { validateFamilyCreation, validateObjectId, validateAuditQuery } = require('../middleware/validation');
+const tokenService = require('../utils/token-service');
+const dataExportService = require('../utils/data-export');
+const auditLog = require('../utils/audit-log');
 const helperUtils = require('../utils/helpers');
+const { PERMISSIONS, ROLES } = require('../config/permissions');
+const { ERROR_CODES } = require('../config/constants');
 
 const router = express.Router();
+const verifiedFamily = requireVerified('family');
+
+// Children join a family when a parent approves their consent request (utils/parental-consent.js);
+// only the parent who gave it may link them again or request their data
+const consentGivenBy = (child, parentId) =>
+  Boolean(child.parentalConsent) &&
+  child.parentalConsent.status === 'granted' &&
+  String(child.parentalConsent.grantedBy) === String(parentId);
+
+const withoutConsent = (res, message) =>
+  res.status(403).json(helperUtils.errorResponse(message, ERROR_CODES.PARENTAL_CONSENT_REQUIRED));
 
 // @desc    Create a new family
 // @route   POST /api/family/create
 // @access  Private
-router.post('/create', protect, validateFamilyCreation, async (req, res) => {
+router.post('/create', protect, verifiedFamily, requirePermission(PERMISSIONS.FAMILY_CREATE), validateFamilyCreation, async (req, res) => {
   try {
     const { familyName, children } = req.body;
 
@@ -32,6 +53,10 @@ router.post('/create', protect, validateFamilyCreation, async (req, res) => {
           );
         }
 
+        if (!consentGivenBy(childUser, req.user._id)) {
+          return withoutConsent(res, `${childUser.firstName} can only be added after you approve their parental consent request`);
+        }
+
         // Check if child is already in a family
         const childInFamily = await Family.findOne({ 'children.child': childData.childId });
         if (childInFamily) {
@@ -71,27 +96,12 @@ router.post('/create', protect, validateFamilyCreation, async (req, res) => {
 // @desc    Get family dashboard
 // @route   GET /api/family/dashboard
 // @access  Private
-router.get('/dashboard', protect, async (req, res) => {
+router.get('/dashboard', protect, verifiedFamily, requirePermission(PERMISSIONS.FAMILY_READ), async (req, res) => {
   try {
-    let family;
-
-    // Check if user is a parent
-    if (req.user.persona === 'parent') {
-      family = await Family.findOne({ parent: req.user.id })
-        .populate('parent', 'firstName lastName email ageGroup securityScore level')
-        .populate('children.child', 'firstName lastName age ageGroup securityScore level gameProgress lastActive');
-    } else {
-      // User is a child, find family they belong to
-      family = await Family.findOne({ 'children.child': req.user.id })
-        .populate('parent', 'firstName lastName email ageGroup securityScore level')
-        .populate('children.child', 'firstName lastName age ageGroup securityScore level gameProgress lastActive');
-    }
-
-    if (!family) {
-      return res.status(404).json(
-        helperUtils.errorResponse('Family not found')
-      );
-    }
+    // req.family is the family the caller belongs to (resolved by requirePermission)
+    const family = await Family.findById(req.family._id)
+      .populate('parent', 'firstName lastName email ageGroup securityScore level')
+      .populate('children.child', 'firstName lastName age ageGroup securityScore level gameProgress lastActive');
 
     // Update family stats
     await family.updateFamilyStats();
@@ -112,17 +122,10 @@ router.get('/dashboard', protect, async (req, res) => {
 // @desc    Add child to family
 // @route   POST /api/family/children
 // @access  Private
-router.post('/children', protect, async (req, res) => {
+router.post('/children', protect, verifiedFamily, requirePermission(PERMISSIONS.FAMILY_MANAGE), async (req, res) => {
   try {
     const { childId, relationship, permissions } = req.body;
-
-    // Verify user is a parent
-    const family = await Family.findOne({ parent: req.user.id });
-    if (!family) {
-      return res.status(403).json(
-        helperUtils.errorResponse('Only family parents can add children')
-      );
-    }
+    const family = req.family;
 
     // Verify child user exists
     const childUser = await User.findById(childId);
@@ -132,6 +135,10 @@ router.post('/children', protect, async (req, res) => {
       );
     }
 
+    if (!consentGivenBy(childUser, family.parent)) {
+      return withoutConsent(res, 'A child can only be added after the family parent approves their parental consent request');
+    }
+
     // Check if child is already in a family
     const existingFamily = await Family.findOne({ 'children.child': childId });
     if (existingFamily) {
@@ -145,7 +152,7 @@ router.post('/children', protect, async (req, res) => {
 
     // Update child's family reference
     await User.findByIdAndUpdate(childId, {
-      'family.parent': req.user.id,
+      'family.parent': family.parent,
       persona: 'child'
     });
 
@@ -165,17 +172,47 @@ router.post('/children', protect, async (req, res) => {
   }
 });
 
+// Confirm :childId belongs to req.family before touching their account
+const isFamilyChild = (family, childId) =>
+  family.children.some(child => child.child.toString() === childId);
+
+// Audit snapshots; req.family is loaded by requirePermission
+const familyScope = req => ({ type: 'family', id: req.family._id.toString() });
+
+const describeChildMembership = async (req) => {
+  const family = await Family.findById(req.family._id).select('children');
+  const entry = family && family.children.find(child => child.child.toString() === req.params.childId);
+
+  return {
+    scope: familyScope(req),
+    target: { type: 'user', id: req.params.childId },
+    snapshot: entry
+      ? { member: true, relationship: entry.relationship, permissions: entry.permissions }
+      : { member: false }
+  };
+};
+
+const describeFamilySettings = async (req) => {
+  const family = await Family.findById(req.family._id).select('familyName familySettings');
+
+  return {
+    scope: familyScope(req),
+    target: { type: 'family', id: req.family._id.toString(), label: family.familyName },
+    snapshot: auditLog.redact(family.familySettings, Family.encryptedFields, 'familySettings')
+  };
+};
+
 // @desc    Remove child from family
 // @route   DELETE /api/family/children/:childId
 // @access  Private
-router.delete('/children/:childId', protect, async (req, res) => {
+router.delete('/children/:childId', protect, verifiedFamily, requirePermission(PERMISSIONS.FAMILY_MANAGE), audit('family.child.removed', describeChildMembership), async (req, res) => {
   try {
     const { childId } = req.params;
+    const family = req.family;
 
-    const family = await Family.findOne({ parent: req.user.id });
-    if (!family) {
-      return res.status(403).json(
-        helperUtils.errorResponse('Only family parents can remove children')
+    if (!isFamilyChild(family, childId)) {
+      return res.status(404).json(
+        helperUtils.errorResponse('Child not found in this family')
       );
     }
 
@@ -202,35 +239,179 @@ router.delete('/children/:childId', protect, async (req, res) => {
   }
 });
 
-// @desc    Update family settings
-// @route   PUT /api/family/settings
+// @desc    List a child's signed-in devices
+// @route   GET /api/family/children/:childId/sessions
 // @access  Private
-router.put('/settings', protect, async (req, res) => {
+router.get('/children/:childId/sessions', protect, verifiedFamily, requirePermission(PERMISSIONS.FAMILY_MANAGE), async (req, res) => {
   try {
-    const { familySettings } = req.body;
+    if (!isFamilyChild(req.family, req.params.childId)) {
+      return res.status(404).json(
+        helperUtils.errorResponse('Child not found in this family')
+      );
+    }
+
+    const sessions = await Session.findActiveForUser(req.params.childId);
+
+    res.status(200).json(
+      helperUtils.successResponse('Child sessions retrieved', {
+        sessions: sessions.map(session => session.toSummary())
+      })
+    );
+  } catch (error) {
+    console.error('List child sessions error:', error);
+    res.status(500).json(
+      helperUtils.errorResponse('Failed to retrieve child sessions')
+    );
+  }
+});
 
-    const family = await Family.findOne({
-      $or: [
-        { parent: req.user.id },
-        { 'children.child': req.user.id }
-      ]
+// @desc    Sign a child out of every device
+// @route   DELETE /api/family/children/:childId/sessions
+// @access  Private
+router.delete('/children/:childId/sessions', protect, verifiedFamily, requirePermission(PERMISSIONS.FAMILY_MANAGE), async (req, res) => {
+  try {
+    if (!isFamilyChild(req.family, req.params.childId)) {
+      return res.status(404).json(
+        helperUtils.errorResponse('Child not found in this family')
+      );
+    }
+
+    const revoked = await tokenService.revokeAllSessions(req.params.childId, 'revoked_by_parent', {
+      revokedBy: req.user._id
     });
 
-    if (!family) {
+    res.status(200).json(
+      helperUtils.successResponse('Child signed out of all sessions', { revoked })
+    );
+  } catch (error) {
+    console.error('Revoke child sessions error:', error);
+    res.status(500).json(
+      helperUtils.errorResponse('Failed to revoke child sessions')
+    );
+  }
+});
+
+// @desc    Sign a child out of one device
+// @route   DELETE /api/family/children/:childId/sessions/:sessionId
+// @access  Private
+router.delete('/children/:childId/sessions/:sessionId', protect, verifiedFamily, requirePermission(PERMISSIONS.FAMILY_MANAGE), async (req, res) => {
+  try {
+    const { childId, sessionId } = req.params;
+
+    if (!isFamilyChild(req.family, childId) || !mongoose.isValidObjectId(sessionId)) {
+      return res.status(404).json(
+        helperUtils.errorResponse('Session not found')
+      );
+    }
+
+    const session = await Session.findOne({ _id: sessionId, user: childId, revokedAt: null });
+    if (!session) {
+      return res.status(404).json(
+        helperUtils.errorResponse('Session not found')
+      );
+    }
+
+    await tokenService.revokeSession(session._id.toString(), 'revoked_by_parent', req.user._id);
+
+    res.status(200).json(
+      helperUtils.successResponse('Child session revoked')
+    );
+  } catch (error) {
+    console.error('Revoke child session error:', error);
+    res.status(500).json(
+      helperUtils.errorResponse('Failed to revoke child session')
+    );
+  }
+});
+
+// @desc    List personal data exports for a child
+// @route   GET /api/family/children/:childId/export
+// @access  Private
+router.get('/children/:childId/export', protect, verifiedFamily, requirePermission(PERMISSIONS.FAMILY_MANAGE), async (req, res) => {
+  try {
+    if (!isFamilyChild(req.family, req.params.childId)) {
       return res.status(404).json(
-        helperUtils.errorResponse('Family not found')
+        helperUtils.errorResponse('Child not found in this family')
       );
     }
 
-    // Only parent can update settings
-    if (family.parent.toString() !== req.user.id.toString()) {
-      return res.status(403).json(
-        helperUtils.errorResponse('Only family parent can update settings')
+    const child = await User.findById(req.params.childId);
+    if (!child) {
+      return res.status(404).json(
+        helperUtils.errorResponse('Child not found in this family')
+      );
+    }
+
+    if (!consentGivenBy(child, req.family.parent)) {
+      return withoutConsent(res, 'Only children linked through parental consent can have their data exported by the family');
+    }
+
+    const exports = await dataExportService.list(req.params.childId);
+
+    res.status(200).json(
+      helperUtils.successResponse('Child data exports retrieved', {
+        exports: exports.map(dataExport => dataExport.toSummary())
+      })
+    );
+  } catch (error) {
+    console.error('List child data exports error:', error);
+    res.status(500).json(
+      helperUtils.errorResponse('Failed to retrieve child data exports')
+    );
+  }
+});
+
+// @desc    Request a personal data export on behalf of a child
+// @route   POST /api/family/children/:childId/export
+// @access  Private
+router.post('/children/:childId/export', protect, verifiedFamily, requirePermission(PERMISSIONS.FAMILY_MANAGE), async (req, res) => {
+  try {
+    if (!isFamilyChild(req.family, req.params.childId)) {
+      return res.status(404).json(
+        helperUtils.errorResponse('Child not found in this family')
+      );
+    }
+
+    const child = await User.findById(req.params.childId);
+    if (!child) {
+      return res.status(404).json(
+        helperUtils.errorResponse('Child not found in this family')
       );
     }
 
-    // Update settings
-    family.familySettings = { ...family.familySettings, ...familySettings };
+    if (!consentGivenBy(child, req.family.parent)) {
+      return withoutConsent(res, 'Only children linked through parental consent can have their data exported by the family');
+    }
+
+    const result = await dataExportService.request(child, req.user);
+
+    res.status(202).json(
+      helperUtils.successResponse(
+        result.alreadyRunning ? 'Child data export already in progress' : 'Child data export started',
+        {
+          export: result.export.toSummary(),
+          statusUrl: `/api/auth/export/${result.export._id}`
+        }
+      )
+    );
+  } catch (error) {
+    console.error('Request child data export error:', error);
+    res.status(500).json(
+      helperUtils.errorResponse('Failed to start child data export')
+    );
+  }
+});
+
+// @desc    Update family settings
+// @route   PUT /api/family/settings
+// @access  Private
+router.put('/settings', protect, verifiedFamily, requirePermission(PERMISSIONS.FAMILY_MANAGE), audit(changes => (changes.length ? 'family.settings.updated' : null), describeFamilySettings), async (req, res) => {
+  try {
+    const { familySettings } = req.body;
+    const family = req.family;
+
+    // Deep merge so a partial update does not reset sibling settings to their defaults
+    family.set('familySettings', familySettings || {}, { merge: true });
     await family.save();
 
     res.status(200).json(
@@ -246,24 +427,61 @@ router.put('/settings', protect, async (req, res) => {
   }
 });
 
+// @desc    List audit events for the family
+// @route   GET /api/family/audit
+// @access  Private
+router.get('/audit', protect, verifiedFamily, requirePermission(PERMISSIONS.FAMILY_AUDIT_READ), validateAuditQuery, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const { action, actor, from, to } = req.query;
+
+    const { events, total } = await auditLog.list(familyScope(req), { action, actor, from, to, page, limit });
+
+    res.status(200).json(
+      helperUtils.successResponse('Audit events retrieved', {
+        events: events.map(event => event.toSummary()),
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      })
+    );
+  } catch (error) {
+    console.error('Get family audit log error:', error);
+    res.status(500).json(
+      helperUtils.errorResponse('Failed to retrieve audit events')
+    );
+  }
+});
+
+// @desc    Check the family audit log's hash chain for tampering
+// @route   GET /api/family/audit/verify
+// @access  Private
+router.get('/audit/verify', protect, verifiedFamily, requirePermission(PERMISSIONS.FAMILY_AUDIT_READ), async (req, res) => {
+  try {
+    const result = await auditLog.verify(familyScope(req));
+
+    res.status(200).json(
+      helperUtils.successResponse(result.valid ? 'Audit log is intact' : 'Audit log has been tampered with', result)
+    );
+  } catch (error) {
+    console.error('Verify family audit log error:', error);
+    res.status(500).json(
+      helperUtils.errorResponse('Failed to verify audit log')
+    );
+  }
+});
+
 // @desc    Get family protection report
 // @route   GET /api/family/report
 // @access  Private
-router.get('/report', protect, async (req, res) => {
+router.get('/report', protect, verifiedFamily, requirePermission(PERMISSIONS.FAMILY_READ), async (req, res) => {
   try {
-    const family = await Family.findOne({
-      $or: [
-        { parent: req.user.id },
-        { 'children.child': req.user.id }
-      ]
-    })
-    .populate('children.child', 'firstName lastName age securityScore level gameProgress');
-
-    if (!family) {
-      return res.status(404).json(
-        helperUtils.errorResponse('Family not found')
-      );
-    }
+    const family = await Family.findById(req.family._id)
+      .populate('children.child', 'firstName lastName age securityScore level gameProgress');
 
     // Get threat statistics for all family members
     const Threat = require('../models/Threat');
@@ -369,6 +587,98 @@ router.get('/report', protect, async (req, res) => {
   }
 });
 
+// @desc    List family role assignments
+// @route   GET /api/family/roles
+// @access  Private
+router.get('/roles', protect, verifiedFamily, requirePermission(PERMISSIONS.FAMILY_ROLES_MANAGE), async (req, res) => {
+  try {
+    const assignments = await RoleAssignment.find({
+      scopeType: 'family',
+      scopeId: req.family._id.toString()
+    }).populate('user', 'firstName lastName email');
+
+    res.status(200).json(
+      helperUtils.successResponse('Role assignments retrieved', { assignments })
+    );
+  } catch (error) {
+    console.error('Get family roles error:', error);
+    res.status(500).json(
+      helperUtils.errorResponse('Failed to retrieve role assignments')
+    );
+  }
+});
+
+// @desc    Make another adult a guardian of the family
+// @route   POST /api/family/roles
+// @access  Private
+router.post('/roles', protect, verifiedFamily, requirePermission(PERMISSIONS.FAMILY_ROLES_MANAGE), async (req, res) => {
+  try {
+    const { userId, role = 'family_guardian' } = req.body;
+
+    if (!ROLES[role] || !ROLES[role].assignable || ROLES[role].scope !== 'family') {
+      return res.status(400).json(
+        helperUtils.errorResponse('Invalid family role', 'INVALID_ROLE')
+      );
+    }
+
+    const guardian = await User.findById(userId);
+    if (!guardian) {
+      return res.status(404).json(
+        helperUtils.errorResponse('User not found')
+      );
+    }
+
+    if (guardian.ageGroup === 'child' || guardian.ageGroup === 'teen') {
+      return res.status(400).json(
+        helperUtils.errorResponse('Guardians must be adults')
+      );
+    }
+
+    const assignment = await RoleAssignment.findOneAndUpdate(
+      { user: guardian._id, role, scopeType: 'family', scopeId: req.family._id.toString() },
+      { $setOnInsert: { grantedBy: req.user._id } },
+      { new: true, upsert: true, runValidators: true }
+    );
+
+    res.status(201).json(
+      helperUtils.successResponse('Role assigned', { assignment })
+    );
+  } catch (error) {
+    console.error('Assign family role error:', error);
+    res.status(500).json(
+      helperUtils.errorResponse('Failed to assign role')
+    );
+  }
+});
+
+// @desc    Remove a family role assignment
+// @route   DELETE /api/family/roles/:id
+// @access  Private
+router.delete('/roles/:id', protect, verifiedFamily, requirePermission(PERMISSIONS.FAMILY_ROLES_MANAGE), validateObjectId, async (req, res) => {
+  try {
+    const assignment = await RoleAssignment.findOneAndDelete({
+      _id: req.params.id,
+      scopeType: 'family',
+      scopeId: req.family._id.toString()
+    });
+
+    if (!assignment) {
+      return res.status(404).json(
+        helperUtils.errorResponse('Role assignment not found')
+      );
+    }
+
+    res.status(200).json(
+      helperUtils.successResponse('Role removed')
+    );
+  } catch (error) {
+    console.error('Remove family role error:', error);
+    res.status(500).json(
+      helperUtils.errorResponse('Failed to remove role')
+    );
+  }
+});
+
 // Helper function to generate family recommendations
 function generateFamilyRecommendations(family, threatStats, gamingStats) {
   const recommendations = [];
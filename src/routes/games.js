@@ -2,10 +2,14 @@ const express = require('express');
 const GameSession = require('../models/GameSession');
 const User = require('../models/User');
 const { protect } = require('../middleware/auth');
+const { gameLimiter } = require('../middleware/rate-limit');
+const { requirePermission } = require('../middleware/rbac');
 const { validateGameSession, validatePagination } = require('../middleware/validation');
 const helperUtils = require('../utils/helpers');
+const { PERMISSIONS } = require('../config/permissions');
 
 const router = express.Router();
+const canPlay = requirePermission(PERMISSIONS.GAME_PLAY);
 
 // Game questions database (in production, this would be in MongoDB)
 const GAME_QUESTIONS = {
@@ -64,7 +68,7 @@ const GAME_QUESTIONS = {
 // @desc    Start a new game session
 // @route   POST /api/games/start
 // @access  Private
-router.post('/start', protect, validateGameSession, async (req, res) => {
+router.post('/start', protect, gameLimiter, canPlay, validateGameSession, async (req, res) => {
   try {
     const { gameType, difficulty } = req.body;
 
@@ -103,7 +107,7 @@ router.post('/start', protect, validateGameSession, async (req, res) => {
 // @desc    Submit game answer
 // @route   POST /api/games/:sessionId/answer
 // @access  Private
-router.post('/:sessionId/answer', protect, async (req, res) => {
+router.post('/:sessionId/answer', protect, gameLimiter, canPlay, async (req, res) => {
   try {
     const { sessionId } = req.params;
     const { questionId, userAnswer, timeTaken } = req.body;
@@ -174,7 +178,7 @@ router.post('/:sessionId/answer', protect, async (req, res) => {
 // @desc    Complete game session
 // @route   POST /api/games/:sessionId/complete
 // @access  Private
-router.post('/:sessionId/complete', protect, async (req, res) => {
+router.post('/:sessionId/complete', protect, gameLimiter, canPlay, async (req, res) => {
   try {
     const { sessionId } = req.params;
     const { feedback } = req.body;
@@ -261,7 +265,7 @@ router.post('/:sessionId/complete', protect, async (req, res) => {
 // @desc    Get user game progress
 // @route   GET /api/games/progress
 // @access  Private
-router.get('/progress', protect, async (req, res) => {
+router.get('/progress', protect, gameLimiter, canPlay, async (req, res) => {
   try {
     const progress = await GameSession.getUserProgress(req.user.id);
 
@@ -291,7 +295,7 @@ router.get('/progress', protect, async (req, res) => {
 // @desc    Get game leaderboard
 // @route   GET /api/games/leaderboard/:gameType
 // @access  Private
-router.get('/leaderboard/:gameType', protect, async (req, res) => {
+router.get('/leaderboard/:gameType', protect, gameLimiter, canPlay, async (req, res) => {
   try {
     const { gameType } = req.params;
     const { limit = 10 } = req.query;
@@ -315,7 +319,7 @@ router.get('/leaderboard/:gameType', protect, async (req, res) => {
 // @desc    Get game statistics
 // @route   GET /api/games/stats
 // @access  Private
-router.get('/stats', protect, async (req, res) => {
+router.get('/stats', protect, gameLimiter, canPlay, async (req, res) => {
   try {
     const user = await User.findById(req.user.id);
     const totalSessions = await GameSession.countDocuments({ user: req.user.id });
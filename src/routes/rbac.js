@@ -0,0 +1,154 @@
+const express = require('express');
+const User = require('../models/User');
+const RoleAssignment = require('../models/RoleAssignment');
+const { protect } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/rbac');
+const { validateObjectId } = require('../middleware/validation');
+const rbacService = require('../utils/rbac');
+const helperUtils = require('../utils/helpers');
+const { PERMISSIONS, PERMISSION_SCOPES, ROLES } = require('../config/permissions');
+
+const router = express.Router();
+
+// @desc    List role and permission definitions
+// @route   GET /api/rbac/roles
+// @access  Private
+router.get('/roles', protect, async (req, res) => {
+  res.status(200).json(
+    helperUtils.successResponse('Roles retrieved', {
+      roles: ROLES,
+      permissions: Object.values(PERMISSIONS).map(permission => ({
+        permission,
+        scope: PERMISSION_SCOPES[permission] || 'global'
+      }))
+    })
+  );
+});
+
+// @desc    Get the current user's role assignments
+// @route   GET /api/rbac/me
+// @access  Private
+router.get('/me', protect, async (req, res) => {
+  try {
+    const assignments = await rbacService.getAssignments(req.user, req);
+
+    res.status(200).json(
+      helperUtils.successResponse('Role assignments retrieved', { assignments })
+    );
+  } catch (error) {
+    console.error('Get my roles error:', error);
+    res.status(500).json(
+      helperUtils.errorResponse('Failed to retrieve role assignments')
+    );
+  }
+});
+
+// @desc    Audit every route and the permission it requires
+// @route   GET /api/rbac/routes
+// @access  Private (rbac:audit)
+router.get('/routes', protect, requirePermission(PERMISSIONS.RBAC_AUDIT), async (req, res) => {
+  try {
+    const routes = rbacService.listRoutePermissions(req.app);
+
+    res.status(200).json(
+      helperUtils.successResponse('Route permissions retrieved', {
+        routes,
+        unprotected: routes.filter(route => !route.permission).length
+      })
+    );
+  } catch (error) {
+    console.error('Audit routes error:', error);
+    res.status(500).json(
+      helperUtils.errorResponse('Failed to list route permissions')
+    );
+  }
+});
+
+// @desc    List global role assignments
+// @route   GET /api/rbac/assignments
+// @access  Private (rbac:manage)
+router.get('/assignments', protect, requirePermission(PERMISSIONS.RBAC_MANAGE), async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.user) filter.user = req.query.user;
+    if (req.query.scopeType) filter.scopeType = req.query.scopeType;
+    if (req.query.scopeId) filter.scopeId = req.query.scopeId;
+
+    const assignments = await RoleAssignment.find(filter)
+      .populate('user', 'firstName lastName email')
+      .sort({ createdAt: -1 })
+      .limit(500);
+
+    res.status(200).json(
+      helperUtils.successResponse('Role assignments retrieved', { assignments })
+    );
+  } catch (error) {
+    console.error('List role assignments error:', error);
+    res.status(500).json(
+      helperUtils.errorResponse('Failed to retrieve role assignments')
+    );
+  }
+});
+
+// @desc    Grant a global role
+// @route   POST /api/rbac/assignments
+// @access  Private (rbac:manage)
+router.post('/assignments', protect, requirePermission(PERMISSIONS.RBAC_MANAGE), async (req, res) => {
+  try {
+    const { userId, role } = req.body;
+
+    if (!ROLES[role] || !ROLES[role].assignable || ROLES[role].scope !== 'global') {
+      return res.status(400).json(
+        helperUtils.errorResponse('Only assignable global roles can be granted here', 'INVALID_ROLE')
+      );
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json(
+        helperUtils.errorResponse('User not found')
+      );
+    }
+
+    const assignment = await RoleAssignment.findOneAndUpdate(
+      { user: user._id, role, scopeType: 'global', scopeId: null },
+      { $setOnInsert: { grantedBy: req.user._id } },
+      { new: true, upsert: true, runValidators: true }
+    );
+
+    res.status(201).json(
+      helperUtils.successResponse('Role assigned', { assignment })
+    );
+  } catch (error) {
+    console.error('Assign global role error:', error);
+    res.status(500).json(
+      helperUtils.errorResponse('Failed to assign role')
+    );
+  }
+});
+
+// @desc    Remove any role assignment
+// @route   DELETE /api/rbac/assignments/:id
+// @access  Private (rbac:manage)
+router.delete('/assignments/:id', protect, requirePermission(PERMISSIONS.RBAC_MANAGE), validateObjectId, async (req, res) => {
+  try {
+    const assignment = await RoleAssignment.findByIdAndDelete(req.params.id);
+
+    if (!assignment) {
+      return res.status(404).json(
+        helperUtils.errorResponse('Role assignment not found')
+      );
+    }
+
+    res.status(200).json(
+      helperUtils.successResponse('Role removed')
+    );
+  } catch (error) {
+    console.error('Remove role assignment error:', error);
+    res.status(500).json(
+      helperUtils.errorResponse('Failed to remove role')
+    );
+  }
+});
+
+module.exports = router;
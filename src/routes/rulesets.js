@@ -0,0 +1,177 @@
+const express = require('express');
+const { protect } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/rbac');
+const { validateRuleset, validateRulesetVersion } = require('../middleware/validation');
+const threatRules = require('../utils/threat-rules');
+const helperUtils = require('../utils/helpers');
+const { PERMISSIONS } = require('../config/permissions');
+
+const router = express.Router();
+
+// @desc    List ruleset versions
+// @route   GET /api/rulesets
+// @access  Private (ruleset:read)
+router.get('/', protect, requirePermission(PERMISSIONS.RULESET_READ), async (req, res) => {
+  try {
+    const { rulesets, activeVersion } = await threatRules.list();
+
+    res.status(200).json(
+      helperUtils.successResponse('Rulesets retrieved', {
+        activeVersion,
+        rulesets: rulesets.map(ruleset => ruleset.toSummary())
+      })
+    );
+  } catch (error) {
+    console.error('List rulesets error:', error);
+    res.status(500).json(
+      helperUtils.errorResponse('Failed to retrieve rulesets')
+    );
+  }
+});
+
+// @desc    Create a draft ruleset, copying the active one unless rules are given
+// @route   POST /api/rulesets
+// @access  Private (ruleset:manage)
+router.post('/', protect, requirePermission(PERMISSIONS.RULESET_MANAGE), validateRuleset, async (req, res) => {
+  try {
+    const { description, rules, basedOn } = req.body;
+    const ruleset = await threatRules.create({ description, rules, basedOn }, req.user);
+
+    res.status(201).json(
+      helperUtils.successResponse('Draft ruleset created', { ruleset })
+    );
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json(
+        helperUtils.errorResponse(error.message, error.errorCode)
+      );
+    }
+    console.error('Create ruleset error:', error);
+    res.status(500).json(
+      helperUtils.errorResponse('Failed to create ruleset')
+    );
+  }
+});
+
+// @desc    Roll back to the ruleset that was active before the current one
+// @route   POST /api/rulesets/rollback
+// @access  Private (ruleset:manage)
+router.post('/rollback', protect, requirePermission(PERMISSIONS.RULESET_MANAGE), async (req, res) => {
+  try {
+    const ruleset = await threatRules.rollback(req.user);
+
+    res.status(200).json(
+      helperUtils.successResponse(`Rolled back to ruleset version ${ruleset.version}`, {
+        ruleset: ruleset.toSummary()
+      })
+    );
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json(
+        helperUtils.errorResponse(error.message, error.errorCode)
+      );
+    }
+    console.error('Rollback ruleset error:', error);
+    res.status(500).json(
+      helperUtils.errorResponse('Failed to roll back ruleset')
+    );
+  }
+});
+
+// @desc    Get a ruleset version with its rules
+// @route   GET /api/rulesets/:version
+// @access  Private (ruleset:read)
+router.get('/:version', protect, requirePermission(PERMISSIONS.RULESET_READ), validateRulesetVersion, async (req, res) => {
+  try {
+    const ruleset = await threatRules.get(req.params.version);
+
+    res.status(200).json(
+      helperUtils.successResponse('Ruleset retrieved', { ruleset })
+    );
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json(
+        helperUtils.errorResponse(error.message, error.errorCode)
+      );
+    }
+    console.error('Get ruleset error:', error);
+    res.status(500).json(
+      helperUtils.errorResponse('Failed to retrieve ruleset')
+    );
+  }
+});
+
+// @desc    Update a draft ruleset
+// @route   PUT /api/rulesets/:version
+// @access  Private (ruleset:manage)
+router.put('/:version', protect, requirePermission(PERMISSIONS.RULESET_MANAGE), validateRulesetVersion, validateRuleset, async (req, res) => {
+  try {
+    const { description, rules } = req.body;
+    const ruleset = await threatRules.update(req.params.version, { description, rules });
+
+    res.status(200).json(
+      helperUtils.successResponse('Ruleset updated', { ruleset })
+    );
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json(
+        helperUtils.errorResponse(error.message, error.errorCode)
+      );
+    }
+    console.error('Update ruleset error:', error);
+    res.status(500).json(
+      helperUtils.errorResponse('Failed to update ruleset')
+    );
+  }
+});
+
+// @desc    Delete a draft ruleset
+// @route   DELETE /api/rulesets/:version
+// @access  Private (ruleset:manage)
+router.delete('/:version', protect, requirePermission(PERMISSIONS.RULESET_MANAGE), validateRulesetVersion, async (req, res) => {
+  try {
+    await threatRules.remove(req.params.version);
+
+    res.status(200).json(
+      helperUtils.successResponse('Draft ruleset deleted')
+    );
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json(
+        helperUtils.errorResponse(error.message, error.errorCode)
+      );
+    }
+    console.error('Delete ruleset error:', error);
+    res.status(500).json(
+      helperUtils.errorResponse('Failed to delete ruleset')
+    );
+  }
+});
+
+// @desc    Publish (if still a draft) and activate a ruleset version; activating an
+//          older version is also how to roll back to it
+// @route   POST /api/rulesets/:version/activate
+// @access  Private (ruleset:manage)
+router.post('/:version/activate', protect, requirePermission(PERMISSIONS.RULESET_MANAGE), validateRulesetVersion, async (req, res) => {
+  try {
+    const ruleset = await threatRules.activate(req.params.version, req.user);
+
+    res.status(200).json(
+      helperUtils.successResponse(`Ruleset version ${ruleset.version} is now active`, {
+        ruleset: ruleset.toSummary()
+      })
+    );
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json(
+        helperUtils.errorResponse(error.message, error.errorCode)
+      );
+    }
+    console.error('Activate ruleset error:', error);
+    res.status(500).json(
+      helperUtils.errorResponse('Failed to activate ruleset')
+    );
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,486 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Company = require('../models/Company');
+const Department = require('../models/Department');
+const scimService = require('../utils/scim');
+const { scimError } = require('../utils/scim');
+const encryptionUtils = require('../utils/encryption');
+const constants = require('../config/constants');
+
+const router = express.Router();
+
+// SCIM clients send application/scim+json
+router.use(express.json({ type: ['application/json', 'application/scim+json'] }));
+
+router.use((req, res, next) => {
+  res.type('application/scim+json');
+  next();
+});
+
+// Authenticate the company's provisioning client by its bearer token
+router.use(async (req, res, next) => {
+  try {
+    const header = req.headers.authorization || '';
+    const token = header.startsWith('Bearer ') ? header.slice(7) : null;
+
+    const company = token && await Company.findOne({
+      'scim.tokenHash': encryptionUtils.hashData(token),
+      isActive: true
+    });
+
+    if (!company) {
+      return res.status(401).json(scimService.errorBody(401, 'Invalid SCIM bearer token'));
+    }
+
+    if (!company.scim.lastUsedAt || Date.now() - company.scim.lastUsedAt.getTime() > 60 * 1000) {
+      Company.updateOne({ _id: company._id }, { 'scim.lastUsedAt': new Date() })
+        .catch(error => console.error('SCIM token usage update error:', error));
+    }
+
+    req.company = company;
+    req.scimBaseUrl = `${req.protocol}://${req.get('host')}${req.baseUrl}`;
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Users and groups are always looked up inside the authenticated company
+const findCompanyUser = async (req) => {
+  if (!mongoose.isValidObjectId(req.params.id)) return null;
+  return User.findOne({ _id: req.params.id, 'enterprise.company': req.company.name });
+};
+
+const findCompanyGroup = async (req) => {
+  if (!mongoose.isValidObjectId(req.params.id)) return null;
+  return Department.findOne({ _id: req.params.id, company: req.company.name });
+};
+
+const groupMembers = (req, group) => User.find({
+  'enterprise.company': req.company.name,
+  'enterprise.department': group.name
+}).select('firstName lastName');
+
+const pagination = (req) => ({
+  startIndex: Math.max(parseInt(req.query.startIndex, 10) || 1, 1),
+  count: Math.min(
+    Math.max(parseInt(req.query.count, 10) || constants.SCIM_MAX_PAGE_SIZE, 0),
+    constants.SCIM_MAX_PAGE_SIZE
+  )
+});
+
+// Provisioned addresses must be in a domain the company has verified for SSO
+const assertCompanyDomain = (req, email) => {
+  const domain = String(email || '').toLowerCase().split('@')[1];
+  if (!domain || !req.company.verifiedDomains().includes(domain)) {
+    throw scimError(400, 'userName must be in one of the company\'s verified domains', 'invalidValue');
+  }
+};
+
+// Save a provisioned user and end their access if this change deactivated them.
+// A deletion the user asked for is theirs to undo, so the IdP cannot re-activate it.
+const saveUser = async (user, wasActive) => {
+  if (!wasActive && user.isActive && user.isPendingDeletion()) {
+    throw scimError(409, 'User is scheduled for deletion and cannot be re-activated', 'mutability');
+  }
+
+  if (wasActive && !user.isActive) user.deactivatedAt = new Date();
+  if (!wasActive && user.isActive) user.deactivatedAt = undefined;
+
+  await user.save();
+
+  if (wasActive && !user.isActive) {
+    await scimService.revokeAccess(user);
+  }
+};
+
+// Make sure the department named on a user exists as a group
+const ensureDepartment = async (req, user) => {
+  if (!user.enterprise.department) return;
+
+  await Department.updateOne(
+    { company: req.company.name, name: user.enterprise.department },
+    { $setOnInsert: { company: req.company.name, name: user.enterprise.department } },
+    { upsert: true }
+  );
+};
+
+// Point the given users at a department (or clear it); ids outside the company are ignored
+const setMembersDepartment = (req, ids, department) => {
+  const validIds = ids.filter(id => mongoose.isValidObjectId(id));
+  const update = department
+    ? { $set: { 'enterprise.department': department } }
+    : { $unset: { 'enterprise.department': '' } };
+
+  return User.updateMany(
+    { _id: { $in: validIds }, 'enterprise.company': req.company.name },
+    update
+  );
+};
+
+// @desc    Describe what this SCIM server supports
+// @route   GET /scim/v2/ServiceProviderConfig
+// @access  SCIM bearer token
+router.get('/ServiceProviderConfig', (req, res) => {
+  res.json({
+    schemas: ['urn:ietf:params:scim:schemas:core:2.0:ServiceProviderConfig'],
+    patch: { supported: true },
+    bulk: { supported: false, maxOperations: 0, maxPayloadSize: 0 },
+    filter: { supported: true, maxResults: constants.SCIM_MAX_PAGE_SIZE },
+    changePassword: { supported: false },
+    sort: { supported: false },
+    etag: { supported: false },
+    authenticationSchemes: [{
+      type: 'oauthbearertoken',
+      name: 'OAuth Bearer Token',
+      description: 'Per-company token from POST /api/enterprise/settings/scim/token'
+    }]
+  });
+});
+
+// @desc    List or filter users
+// @route   GET /scim/v2/Users
+// @access  SCIM bearer token
+router.get('/Users', async (req, res, next) => {
+  try {
+    const filter = {
+      ...scimService.parseUserFilter(req.query.filter),
+      'enterprise.company': req.company.name
+    };
+    const { startIndex, count } = pagination(req);
+
+    const [users, total] = await Promise.all([
+      User.find(filter).sort({ createdAt: 1 }).skip(startIndex - 1).limit(count),
+      User.countDocuments(filter)
+    ]);
+
+    res.json(scimService.listResponse(
+      users.map(user => scimService.userToResource(user, req.scimBaseUrl)),
+      total,
+      startIndex
+    ));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get a user
+// @route   GET /scim/v2/Users/:id
+// @access  SCIM bearer token
+router.get('/Users/:id', async (req, res, next) => {
+  try {
+    const user = await findCompanyUser(req);
+    if (!user) throw scimError(404, 'User not found');
+
+    res.json(scimService.userToResource(user, req.scimBaseUrl));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Provision a user
+// @route   POST /scim/v2/Users
+// @access  SCIM bearer token
+router.post('/Users', async (req, res, next) => {
+  try {
+    const resource = req.body || {};
+    if (!resource.userName) {
+      throw scimError(400, 'userName is required', 'invalidValue');
+    }
+    assertCompanyDomain(req, resource.userName);
+
+    const existing = await User.findOne({ email: String(resource.userName).toLowerCase() });
+    if (existing) {
+      throw scimError(409, 'A user with this userName already exists', 'uniqueness');
+    }
+
+    const user = new User({
+      email: resource.userName,
+      // Random password nobody knows; provisioned users sign in through SSO or a reset link
+      password: encryptionUtils.generateSecureToken(32),
+      firstName: (resource.name && resource.name.givenName) || String(resource.userName).split('@')[0],
+      lastName: (resource.name && resource.name.familyName) || req.company.name,
+      age: constants.SSO_DEFAULT_AGE,
+      persona: 'enterprise',
+      isVerified: true,
+      enterprise: { company: req.company.name },
+      provisionedBy: { company: req.company.name, source: 'scim' }
+    });
+
+    scimService.applyUserResource(user, resource);
+    assertCompanyDomain(req, user.email);
+    if (!user.isActive) user.deactivatedAt = new Date();
+
+    await user.save();
+    await ensureDepartment(req, user);
+
+    res.status(201)
+      .location(`${req.scimBaseUrl}/Users/${user._id}`)
+      .json(scimService.userToResource(user, req.scimBaseUrl));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Replace a user
+// @route   PUT /scim/v2/Users/:id
+// @access  SCIM bearer token
+router.put('/Users/:id', async (req, res, next) => {
+  try {
+    const user = await findCompanyUser(req);
+    if (!user) throw scimError(404, 'User not found');
+
+    const wasActive = user.isActive;
+    const resource = req.body || {};
+
+    // Attributes missing from a replace are cleared
+    user.enterprise.department = undefined;
+    user.enterprise.employeeId = undefined;
+    scimService.applyUserResource(user, { active: true, ...resource });
+    if (user.isModified('email')) assertCompanyDomain(req, user.email);
+
+    await saveUser(user, wasActive);
+    await ensureDepartment(req, user);
+
+    res.json(scimService.userToResource(user, req.scimBaseUrl));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Update a user (e.g. active=false to deprovision)
+// @route   PATCH /scim/v2/Users/:id
+// @access  SCIM bearer token
+router.patch('/Users/:id', async (req, res, next) => {
+  try {
+    const user = await findCompanyUser(req);
+    if (!user) throw scimError(404, 'User not found');
+
+    const wasActive = user.isActive;
+    scimService.applyUserPatch(user, (req.body || {}).Operations);
+    if (user.isModified('email')) assertCompanyDomain(req, user.email);
+
+    await saveUser(user, wasActive);
+    await ensureDepartment(req, user);
+
+    res.json(scimService.userToResource(user, req.scimBaseUrl));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Deprovision a user; the account is deactivated, not erased, so history is kept
+// @route   DELETE /scim/v2/Users/:id
+// @access  SCIM bearer token
+router.delete('/Users/:id', async (req, res, next) => {
+  try {
+    const user = await findCompanyUser(req);
+    if (!user) throw scimError(404, 'User not found');
+
+    const wasActive = user.isActive;
+    user.isActive = false;
+    await saveUser(user, wasActive);
+
+    res.status(204).end();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    List or filter groups (departments)
+// @route   GET /scim/v2/Groups
+// @access  SCIM bearer token
+router.get('/Groups', async (req, res, next) => {
+  try {
+    const filter = {
+      ...scimService.parseGroupFilter(req.query.filter),
+      company: req.company.name
+    };
+    const { startIndex, count } = pagination(req);
+    const excludeMembers = String(req.query.excludedAttributes || '').includes('members');
+
+    const [groups, total] = await Promise.all([
+      Department.find(filter).sort({ name: 1 }).skip(startIndex - 1).limit(count),
+      Department.countDocuments(filter)
+    ]);
+
+    const resources = await Promise.all(groups.map(async group =>
+      scimService.groupToResource(group, excludeMembers ? [] : await groupMembers(req, group), req.scimBaseUrl)
+    ));
+
+    res.json(scimService.listResponse(resources, total, startIndex));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Get a group
+// @route   GET /scim/v2/Groups/:id
+// @access  SCIM bearer token
+router.get('/Groups/:id', async (req, res, next) => {
+  try {
+    const group = await findCompanyGroup(req);
+    if (!group) throw scimError(404, 'Group not found');
+
+    res.json(scimService.groupToResource(group, await groupMembers(req, group), req.scimBaseUrl));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Create a group; members are moved into the department
+// @route   POST /scim/v2/Groups
+// @access  SCIM bearer token
+router.post('/Groups', async (req, res, next) => {
+  try {
+    const { displayName, externalId, members = [] } = req.body || {};
+    if (!displayName) {
+      throw scimError(400, 'displayName is required', 'invalidValue');
+    }
+
+    const existing = await Department.findOne({ company: req.company.name, name: displayName });
+    if (existing) {
+      throw scimError(409, 'A group with this displayName already exists', 'uniqueness');
+    }
+
+    const group = await Department.create({ company: req.company.name, name: displayName, externalId });
+    await setMembersDepartment(req, members.map(member => String(member.value)), group.name);
+
+    res.status(201)
+      .location(`${req.scimBaseUrl}/Groups/${group._id}`)
+      .json(scimService.groupToResource(group, await groupMembers(req, group), req.scimBaseUrl));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Replace a group, including its full member list
+// @route   PUT /scim/v2/Groups/:id
+// @access  SCIM bearer token
+router.put('/Groups/:id', async (req, res, next) => {
+  try {
+    const group = await findCompanyGroup(req);
+    if (!group) throw scimError(404, 'Group not found');
+
+    const { displayName, externalId, members = [] } = req.body || {};
+    const previousName = group.name;
+
+    if (displayName) group.name = displayName;
+    group.externalId = externalId;
+    await group.save();
+
+    // Everyone not listed leaves the department
+    const memberIds = members.map(member => String(member.value));
+    await User.updateMany(
+      { 'enterprise.company': req.company.name, 'enterprise.department': previousName },
+      { $unset: { 'enterprise.department': '' } }
+    );
+    await setMembersDepartment(req, memberIds, group.name);
+
+    res.json(scimService.groupToResource(group, await groupMembers(req, group), req.scimBaseUrl));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Rename a group or add / remove members
+// @route   PATCH /scim/v2/Groups/:id
+// @access  SCIM bearer token
+router.patch('/Groups/:id', async (req, res, next) => {
+  try {
+    const group = await findCompanyGroup(req);
+    if (!group) throw scimError(404, 'Group not found');
+
+    const changes = scimService.parseGroupPatch((req.body || {}).Operations);
+    const previousName = group.name;
+
+    if (changes.displayName && changes.displayName !== previousName) {
+      group.name = changes.displayName;
+      await User.updateMany(
+        { 'enterprise.company': req.company.name, 'enterprise.department': previousName },
+        { $set: { 'enterprise.department': group.name } }
+      );
+    }
+    if (changes.externalId !== undefined) group.externalId = changes.externalId;
+    await group.save();
+
+    if (changes.replaceMembers) {
+      await User.updateMany(
+        { 'enterprise.company': req.company.name, 'enterprise.department': group.name },
+        { $unset: { 'enterprise.department': '' } }
+      );
+      await setMembersDepartment(req, changes.replaceMembers, group.name);
+    }
+
+    if (changes.add.length > 0) {
+      await setMembersDepartment(req, changes.add, group.name);
+    }
+
+    if (changes.remove.length > 0) {
+      await User.updateMany(
+        {
+          _id: { $in: changes.remove.filter(id => mongoose.isValidObjectId(id)) },
+          'enterprise.company': req.company.name,
+          'enterprise.department': group.name
+        },
+        { $unset: { 'enterprise.department': '' } }
+      );
+    }
+
+    res.json(scimService.groupToResource(group, await groupMembers(req, group), req.scimBaseUrl));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @desc    Delete a group; its members are left without a department
+// @route   DELETE /scim/v2/Groups/:id
+// @access  SCIM bearer token
+router.delete('/Groups/:id', async (req, res, next) => {
+  try {
+    const group = await findCompanyGroup(req);
+    if (!group) throw scimError(404, 'Group not found');
+
+    await User.updateMany(
+      { 'enterprise.company': req.company.name, 'enterprise.department': group.name },
+      { $unset: { 'enterprise.department': '' } }
+    );
+    await group.deleteOne();
+
+    res.status(204).end();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Unknown SCIM resources
+router.use((req, res) => {
+  res.status(404).json(scimService.errorBody(404, `Resource not found: ${req.originalUrl}`));
+});
+
+// SCIM responses use the SCIM error schema instead of errorResponse()
+router.use((error, req, res, next) => {
+  if (error.isOperational) {
+    return res.status(error.statusCode).json(
+      scimService.errorBody(error.statusCode, error.message, error.errorCode)
+    );
+  }
+
+  if (error.type === 'entity.parse.failed') {
+    return res.status(400).json(scimService.errorBody(400, 'Invalid JSON body', 'invalidSyntax'));
+  }
+
+  if (error.name === 'ValidationError') {
+    return res.status(400).json(scimService.errorBody(400, error.message, 'invalidValue'));
+  }
+
+  if (error.code === 11000) {
+    return res.status(409).json(scimService.errorBody(409, 'Resource already exists', 'uniqueness'));
+  }
+
+  console.error('SCIM error:', error);
+  res.status(500).json(scimService.errorBody(500, 'Internal server error'));
+});
+
+module.exports = router;
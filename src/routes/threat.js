@@ -1,17 +1,27 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const Threat = require('../models/Threat');
 const User = require('../models/User');
-const { protect } = require('../middleware/auth');
-const { validateThreatReport, validatePagination } = require('../middleware/validation');
+const { protect, apiKeyScope, requireParentalConsent } = require('../middleware/auth');
+const { threatLimiter } = require('../middleware/rate-limit');
+const { requirePermission } = require('../middleware/rbac');
+const { audit } = require('../middleware/audit');
+const { validateThreatReport, validateThreatExplain, validateThreatExplanation, validatePagination } = require('../middleware/validation');
 const aiDetectionEngine = require('../utils/ai-detection');
+const classifierTraining = require('../utils/classifier-training');
+const threatExplanations = require('../utils/threat-explanations');
+const rbacService = require('../utils/rbac');
+const auditLog = require('../utils/audit-log');
 const helperUtils = require('../utils/helpers');
+const { API_KEY_SCOPES } = require('../config/constants');
+const { PERMISSIONS } = require('../config/permissions');
 
 const router = express.Router();
 
 // @desc    Report a new threat
 // @route   POST /api/threats/report
 // @access  Private
-router.post('/report', protect, validateThreatReport, async (req, res) => {
+router.post('/report', apiKeyScope(API_KEY_SCOPES.THREATS_REPORT), protect, requireParentalConsent, threatLimiter, requirePermission(PERMISSIONS.THREAT_REPORT), validateThreatReport, async (req, res) => {
   try {
     const {
       type,
@@ -26,10 +36,11 @@ router.post('/report', protect, validateThreatReport, async (req, res) => {
       confidence = 0
     } = req.body;
 
-    // AI Analysis
+    // Analyze what was sent; markup such as links is part of the signal
     const aiAnalysis = await aiDetectionEngine.analyzeContent(detectedContent, {
       timestamp: new Date(),
-      user: req.user
+      user: req.user,
+      source
     });
 
     // Create threat record
@@ -38,7 +49,8 @@ router.post('/report', protect, validateThreatReport, async (req, res) => {
       severity: aiAnalysis.riskLevel || severity,
       source,
       url,
-      domain,
+      // Without a domain the model derives one from url, else take the riskiest link in the content
+      domain: domain || (!url && aiAnalysis.domain) || undefined,
       detectedContent: helperUtils.sanitizeInput(detectedContent),
       indicators,
       user: req.user.id,
@@ -48,7 +60,10 @@ router.post('/report', protect, validateThreatReport, async (req, res) => {
         riskFactors: aiAnalysis.indicators,
         behavioralPatterns: aiAnalysis.threats.map(t => t.type),
         recommendedAction: aiAnalysis.recommendations[0] || 'Review and block if necessary',
-        analysisTimestamp: new Date()
+        analysisTimestamp: new Date(),
+        rulesetVersion: aiAnalysis.rulesetVersion,
+        classifierVersion: aiAnalysis.classifierVersion || undefined,
+        threats: storedDetections(aiAnalysis, detectedContent)
       },
       location,
       deviceInfo
@@ -65,7 +80,9 @@ router.post('/report', protect, validateThreatReport, async (req, res) => {
         aiAnalysis: {
           riskLevel: aiAnalysis.riskLevel,
           confidence: aiAnalysis.confidence,
-          recommendations: aiAnalysis.recommendations
+          recommendations: aiAnalysis.recommendations,
+          rulesetVersion: aiAnalysis.rulesetVersion,
+          classifierVersion: aiAnalysis.classifierVersion
         }
       })
     );
@@ -80,7 +97,7 @@ router.post('/report', protect, validateThreatReport, async (req, res) => {
 // @desc    Analyze content for threats
 // @route   POST /api/threats/analyze
 // @access  Private
-router.post('/analyze', protect, async (req, res) => {
+router.post('/analyze', apiKeyScope(API_KEY_SCOPES.THREATS_ANALYZE), protect, requireParentalConsent, threatLimiter, requirePermission(PERMISSIONS.THREAT_ANALYZE), async (req, res) => {
   try {
     const { content, context = {} } = req.body;
 
@@ -103,7 +120,8 @@ router.post('/analyze', protect, async (req, res) => {
       threatRecord = await Threat.create({
         type: analysis.threats[0]?.type || 'social_engineering',
         severity: analysis.riskLevel,
-        source: context.source || 'unknown',
+        source: context.source || 'other',
+        domain: analysis.domain || undefined,
         detectedContent: helperUtils.sanitizeInput(content),
         indicators: analysis.indicators,
         user: req.user.id,
@@ -113,7 +131,10 @@ router.post('/analyze', protect, async (req, res) => {
           riskFactors: analysis.indicators,
           behavioralPatterns: analysis.threats.map(t => t.type),
           recommendedAction: analysis.recommendations[0],
-          analysisTimestamp: new Date()
+          analysisTimestamp: new Date(),
+          rulesetVersion: analysis.rulesetVersion,
+          classifierVersion: analysis.classifierVersion || undefined,
+          threats: storedDetections(analysis, content)
         },
         actionTaken: 'warned'
       });
@@ -137,10 +158,35 @@ router.post('/analyze', protect, async (req, res) => {
   }
 });
 
+// @desc    Analyze content and return it annotated with the evidence behind each threat
+// @route   POST /api/threats/explain
+// @access  Private
+router.post('/explain', apiKeyScope(API_KEY_SCOPES.THREATS_ANALYZE), protect, requireParentalConsent, threatLimiter, requirePermission(PERMISSIONS.THREAT_ANALYZE), validateThreatExplain, async (req, res) => {
+  try {
+    const { content, context = {}, ageGroup } = req.body;
+
+    const analysis = await aiDetectionEngine.analyzeContent(content, {
+      ...context,
+      user: req.user,
+      ageGroup,
+      timestamp: new Date()
+    });
+
+    res.status(200).json(
+      helperUtils.successResponse('Content explained successfully', explainAnalysis(content, analysis))
+    );
+  } catch (error) {
+    console.error('Explain content error:', error);
+    res.status(500).json(
+      helperUtils.errorResponse('Failed to explain content')
+    );
+  }
+});
+
 // @desc    Get user's threat history
 // @route   GET /api/threats/history
 // @access  Private
-router.get('/history', protect, validatePagination, async (req, res) => {
+router.get('/history', apiKeyScope(API_KEY_SCOPES.THREATS_READ), protect, requireParentalConsent, threatLimiter, requirePermission(PERMISSIONS.THREAT_READ), validatePagination, async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 20;
@@ -181,7 +227,7 @@ router.get('/history', protect, validatePagination, async (req, res) => {
 // @desc    Get threat statistics
 // @route   GET /api/threats/stats
 // @access  Private
-router.get('/stats', protect, async (req, res) => {
+router.get('/stats', apiKeyScope(API_KEY_SCOPES.THREATS_READ), protect, requireParentalConsent, threatLimiter, requirePermission(PERMISSIONS.THREAT_READ), async (req, res) => {
   try {
     const { days = 30 } = req.query;
 
@@ -227,18 +273,15 @@ router.get('/stats', protect, async (req, res) => {
 
 // @desc    Update threat status
 // @route   PUT /api/threats/:threatId
-// @access  Private
-router.put('/:threatId', protect, async (req, res) => {
+// @access  Private (owner, or threat:triage in the owner's company)
+router.put('/:threatId', protect, requireParentalConsent, threatLimiter, requirePermission(PERMISSIONS.THREAT_UPDATE), audit(threatUpdateAction, describeThreat), async (req, res) => {
   try {
     const { threatId } = req.params;
     const { actionTaken, resolved, isFalsePositive } = req.body;
 
-    const threat = await Threat.findOne({
-      _id: threatId,
-      user: req.user.id
-    });
+    const threat = await Threat.findById(threatId).populate('user', 'enterprise.company');
 
-    if (!threat) {
+    if (!threat || !(await canUpdateThreat(req, threat))) {
       return res.status(404).json(
         helperUtils.errorResponse('Threat not found')
       );
@@ -259,6 +302,12 @@ router.put('/:threatId', protect, async (req, res) => {
       { new: true, runValidators: true }
     );
 
+    // A confirmed or rejected detection is a labeled example once a moderator approves it
+    if (isFalsePositive !== undefined) {
+      await classifierTraining.recordFeedback(updatedThreat, req.user)
+        .catch(error => console.error('Record threat feedback error:', error));
+    }
+
     res.status(200).json(
       helperUtils.successResponse('Threat updated successfully', {
         threat: updatedThreat
@@ -272,10 +321,55 @@ router.put('/:threatId', protect, async (req, res) => {
   }
 });
 
+// @desc    Explain a reported threat with its evidence highlighted in the content
+// @route   GET /api/threats/:threatId/explanation
+// @access  Private (owner, or threat:triage in the owner's company)
+router.get('/:threatId/explanation', apiKeyScope(API_KEY_SCOPES.THREATS_READ), protect, requireParentalConsent, threatLimiter, requirePermission(PERMISSIONS.THREAT_READ), validateThreatExplanation, async (req, res) => {
+  try {
+    const threat = await Threat.findById(req.params.threatId).populate('user', 'enterprise.company');
+
+    if (!threat || !(await canUpdateThreat(req, threat))) {
+      return res.status(404).json(
+        helperUtils.errorResponse('Threat not found')
+      );
+    }
+
+    const ageGroup = req.query.ageGroup || req.user.ageGroup;
+    const reported = threat.aiAnalysis || {};
+
+    // Threats reported before detections were kept are analyzed again under the
+    // current rules; the response says which ruleset each verdict came from
+    const analysis = reported.threats
+      ? reportedAnalysis(threat, ageGroup)
+      : await aiDetectionEngine.analyzeContent(threat.detectedContent, {
+        user: req.user,
+        ageGroup,
+        source: threat.source,
+        timestamp: new Date()
+      });
+
+    res.status(200).json(
+      helperUtils.successResponse('Threat explained successfully', {
+        threatId: threat._id,
+        reanalyzed: !reported.threats,
+        rulesetVersion: analysis.rulesetVersion,
+        classifierVersion: analysis.classifierVersion,
+        reportedRulesetVersion: reported.rulesetVersion === undefined ? null : reported.rulesetVersion,
+        ...explainAnalysis(threat.detectedContent, analysis)
+      })
+    );
+  } catch (error) {
+    console.error('Explain threat error:', error);
+    res.status(500).json(
+      helperUtils.errorResponse('Failed to explain threat')
+    );
+  }
+});
+
 // @desc    Get real-time threat alerts
 // @route   GET /api/threats/alerts
 // @access  Private
-router.get('/alerts', protect, async (req, res) => {
+router.get('/alerts', apiKeyScope(API_KEY_SCOPES.THREATS_READ), protect, requireParentalConsent, threatLimiter, requirePermission(PERMISSIONS.THREAT_READ), async (req, res) => {
   try {
     const { hours = 24 } = req.query;
     const since = new Date(Date.now() - hours * 60 * 60 * 1000);
@@ -306,7 +400,7 @@ router.get('/alerts', protect, async (req, res) => {
 // @desc    Get global threat intelligence
 // @route   GET /api/threats/intelligence
 // @access  Private
-router.get('/intelligence', protect, async (req, res) => {
+router.get('/intelligence', protect, requireParentalConsent, threatLimiter, requirePermission(PERMISSIONS.THREAT_INTELLIGENCE_READ), async (req, res) => {
   try {
     // Get recent threats from all users (anonymized)
     const recentThreats = await Threat.aggregate([
@@ -424,4 +518,119 @@ router.get('/intelligence', protect, async (req, res) => {
   }
 });
 
+// What the UI needs to show why content is dangerous: each threat's reason, its
+// explanation for the reader's age group, and the content split into highlights
+function explainAnalysis(content, analysis) {
+  return {
+    riskLevel: analysis.riskLevel,
+    confidence: analysis.confidence,
+    ageGroup: analysis.ageGroup,
+    threats: analysis.threats.map(({ type, severity, confidence, reason, explanation, evidence }) => ({
+      type,
+      severity,
+      confidence,
+      reason,
+      explanation,
+      evidence
+    })),
+    recommendations: analysis.recommendations,
+    annotated: threatExplanations.annotate(content, analysis.threats)
+  };
+}
+
+// Detections to save with a threat; evidence offsets are moved from the analyzed
+// content onto its sanitized copy in detectedContent, and spans cut off by it dropped
+function storedDetections(analysis, content) {
+  const positions = helperUtils.sanitizedPositions(content);
+
+  return analysis.threats.map(({ type, severity, confidence, reason, evidence }) => ({
+    type,
+    severity,
+    confidence,
+    reason,
+    evidence: evidence
+      .map(({ start, end, reason }) => ({ start: positions[start], end: positions[end], reason }))
+      .filter(span => span.end > span.start)
+  }));
+}
+
+// The detections saved when a threat was reported, in the shape analyzeContent
+// returns; explanations are worded for the reader's age group now
+function reportedAnalysis(threat, ageGroup) {
+  const { threats: reported, rulesetVersion, classifierVersion } = threat.aiAnalysis;
+  const group = threatExplanations.ageGroups.includes(ageGroup) ? ageGroup : 'adult';
+
+  const threats = reported.map(({ type, severity, confidence, reason, evidence }) => {
+    const restored = {
+      type,
+      severity,
+      confidence,
+      reason: reason || null,
+      evidence: evidence.map(({ start, end, reason }) => ({
+        start,
+        end,
+        text: threat.detectedContent.slice(start, end),
+        reason
+      }))
+    };
+    restored.explanation = threatExplanations.explain(restored, group);
+    return restored;
+  });
+
+  return {
+    riskLevel: aiDetectionEngine.determineRiskLevel(threats),
+    confidence: aiDetectionEngine.calculateOverallConfidence(threats),
+    ageGroup: group,
+    threats,
+    recommendations: aiDetectionEngine.generateRecommendations(threats),
+    rulesetVersion: rulesetVersion === undefined ? null : rulesetVersion,
+    classifierVersion: classifierVersion || null
+  };
+}
+
+// Owners can update (and read explanations of) their own threats; triagers can do
+// the same for threats from their company
+async function canUpdateThreat(req, threat) {
+  if (!threat.user) return false;
+  if (threat.user._id.toString() === req.user._id.toString()) return true;
+
+  const company = threat.user.enterprise && threat.user.enterprise.company;
+  if (!company || company !== req.user.enterprise.company) return false;
+
+  return rbacService.hasPermission(
+    req.user,
+    PERMISSIONS.THREAT_TRIAGE,
+    { type: 'company', id: company },
+    req
+  );
+}
+
+// Audit snapshot of a threat's triage state, logged in the owner's company or family
+async function describeThreat(req) {
+  if (!mongoose.isValidObjectId(req.params.threatId)) return null;
+
+  const threat = await Threat.findById(req.params.threatId)
+    .select('type actionTaken resolved isFalsePositive user')
+    .populate('user', 'enterprise.company');
+  if (!threat || !threat.user) return null;
+
+  return {
+    scope: await auditLog.scopeForUser(threat.user),
+    target: { type: 'threat', id: threat._id.toString(), label: threat.type },
+    snapshot: {
+      actionTaken: threat.actionTaken,
+      resolved: threat.resolved,
+      isFalsePositive: threat.isFalsePositive
+    }
+  };
+}
+
+function threatUpdateAction(changes) {
+  const falsePositive = changes.find(change => change.path === 'isFalsePositive');
+  if (falsePositive) {
+    return falsePositive.after ? 'threat.false_positive.marked' : 'threat.false_positive.cleared';
+  }
+  return changes.length ? 'threat.updated' : null;
+}
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,110 @@
+const express = require('express');
+const { protect } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/rbac');
+const { validatePagination, validateTrainingReview, validateObjectId } = require('../middleware/validation');
+const ClassifierTrainingRun = require('../models/ClassifierTrainingRun');
+const classifierTraining = require('../utils/classifier-training');
+const textClassifier = require('../utils/text-classifier');
+const helperUtils = require('../utils/helpers');
+const { PERMISSIONS } = require('../config/permissions');
+
+const router = express.Router();
+
+// @desc    Labels proposed by threat feedback, oldest first, awaiting review
+// @route   GET /api/training/queue
+// @access  Private (training:review)
+router.get('/queue', protect, requirePermission(PERMISSIONS.TRAINING_REVIEW), validatePagination, async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const { examples, total } = await classifierTraining.reviewQueue({ label: req.query.label, page, limit });
+
+    res.status(200).json(
+      helperUtils.successResponse('Review queue retrieved', {
+        examples,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      })
+    );
+  } catch (error) {
+    console.error('Get review queue error:', error);
+    res.status(500).json(
+      helperUtils.errorResponse('Failed to retrieve review queue')
+    );
+  }
+});
+
+// @desc    Approve (optionally relabeling) or reject a training example
+// @route   POST /api/training/examples/:id/review
+// @access  Private (training:review)
+router.post('/examples/:id/review', protect, requirePermission(PERMISSIONS.TRAINING_REVIEW), validateObjectId, validateTrainingReview, async (req, res) => {
+  try {
+    const { approved, label } = req.body;
+    const example = await classifierTraining.review(req.params.id, req.user, { approved, label });
+
+    res.status(200).json(
+      helperUtils.successResponse(`Training example ${example.status}`, { example })
+    );
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json(
+        helperUtils.errorResponse(error.message, error.errorCode)
+      );
+    }
+    console.error('Review training example error:', error);
+    res.status(500).json(
+      helperUtils.errorResponse('Failed to review training example')
+    );
+  }
+});
+
+// @desc    Recent retraining runs and the classifier versions in use
+// @route   GET /api/training/runs
+// @access  Private (classifier:manage)
+router.get('/runs', protect, requirePermission(PERMISSIONS.CLASSIFIER_MANAGE), async (req, res) => {
+  try {
+    const [runs, promotedVersion] = await Promise.all([
+      ClassifierTrainingRun.find().sort({ createdAt: -1 }).limit(20),
+      textClassifier.activeVersion()
+    ]);
+
+    res.status(200).json(
+      helperUtils.successResponse('Training runs retrieved', {
+        promotedVersion,
+        servedVersion: textClassifier.version,
+        runs: runs.map(run => run.toSummary())
+      })
+    );
+  } catch (error) {
+    console.error('List training runs error:', error);
+    res.status(500).json(
+      helperUtils.errorResponse('Failed to retrieve training runs')
+    );
+  }
+});
+
+// @desc    Retrain now instead of waiting for the schedule
+// @route   POST /api/training/runs
+// @access  Private (classifier:manage)
+router.post('/runs', protect, requirePermission(PERMISSIONS.CLASSIFIER_MANAGE), async (req, res) => {
+  try {
+    const { run, alreadyRunning } = await classifierTraining.requestRun({ trigger: 'manual', user: req.user });
+
+    res.status(alreadyRunning ? 200 : 202).json(
+      helperUtils.successResponse(alreadyRunning ? 'A training run is already in progress' : 'Training run queued', {
+        run: run.toSummary()
+      })
+    );
+  } catch (error) {
+    console.error('Request training run error:', error);
+    res.status(500).json(
+      helperUtils.errorResponse('Failed to queue training run')
+    );
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,259 @@
+// Score the detection engine on a labeled dataset, or compare two configurations:
+//   node scripts/evaluate-detection.js --dataset labeled.jsonl
+//     [--variant ruleset=4,model=3] [--variant ruleset=5,model=3,threshold=0.6,fusion=max]
+//     [--out report.json] [--no-db]
+// The dataset holds one {"text": "...", "label": "phishing"} per line ("benign" for
+// safe content). Each variant picks a ruleset version (or builtin / active), a
+// classifier model version (or none / promoted), the confidence threshold and the
+// fusion strategy; unset parts keep what production runs. With two variants the
+// first is the baseline and the second is shown against it. The full report is
+// written as JSON to --out or EVALUATION_REPORT_DIR.
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+const connectDB = require('../config/database');
+const { disconnectDB } = require('../config/database');
+const ThreatRuleset = require('../models/ThreatRuleset');
+const aiDetectionEngine = require('../utils/ai-detection');
+const threatRules = require('../utils/threat-rules');
+const textClassifier = require('../utils/text-classifier');
+const detectionMetrics = require('../utils/detection-metrics');
+const fusionStrategies = require('../utils/detectors/fusion');
+const constants = require('../config/constants');
+
+const VARIANT_KEYS = ['ruleset', 'model', 'threshold', 'fusion'];
+const DEFAULT_THRESHOLD = aiDetectionEngine.confidenceThreshold;
+
+const parseVariant = (spec) => {
+  const variant = {};
+  spec.split(',').filter(Boolean).forEach(pair => {
+    const [key, value] = pair.split('=').map(part => part && part.trim());
+    if (!VARIANT_KEYS.includes(key) || !value) {
+      throw new Error(`Bad variant "${spec}"; use ${VARIANT_KEYS.map(name => `${name}=...`).join(',')}`);
+    }
+    variant[key] = value;
+  });
+
+  if (variant.ruleset && !/^(\d+|builtin|active)$/.test(variant.ruleset)) {
+    throw new Error('ruleset must be a version number, builtin or active');
+  }
+  if (variant.model && !/^(\d+|none|promoted)$/.test(variant.model)) {
+    throw new Error('model must be a version number, none or promoted');
+  }
+  if (variant.threshold !== undefined) {
+    variant.threshold = parseFloat(variant.threshold);
+    if (!(variant.threshold >= 0 && variant.threshold <= 1)) throw new Error('threshold must be between 0 and 1');
+  }
+  if (variant.fusion && !fusionStrategies[variant.fusion]) {
+    throw new Error(`fusion must be one of ${Object.keys(fusionStrategies).join(', ')}`);
+  }
+  return variant;
+};
+
+const parseArgs = (args) => {
+  const options = { variants: [], useDatabase: true };
+
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case '--dataset':
+        options.dataset = args[++i];
+        break;
+      case '--variant':
+        options.variants.push(parseVariant(args[++i] || ''));
+        break;
+      case '--out':
+        options.out = args[++i];
+        break;
+      case '--no-db':
+        options.useDatabase = false;
+        break;
+      default:
+        throw new Error(`Unknown option ${args[i]}`);
+    }
+  }
+
+  if (!options.dataset) throw new Error('--dataset is required');
+  if (options.variants.length > 2) throw new Error('Compare at most two variants');
+  if (options.variants.length === 0) options.variants.push({});
+  if (!options.useDatabase && options.variants.some(variant => /^\d+$/.test(variant.ruleset || ''))) {
+    throw new Error('Stored ruleset versions need the database');
+  }
+
+  return options;
+};
+
+// Point the engine and classifier at a variant; returns its resolved settings
+const applyVariant = async (variant, useDatabase) => {
+  const ruleset = variant.ruleset || 'active';
+  if (ruleset === 'builtin' || (ruleset === 'active' && !useDatabase)) {
+    aiDetectionEngine.useRuleset(null);
+  } else if (ruleset === 'active') {
+    const active = await ThreatRuleset.findActive();
+    aiDetectionEngine.useRuleset(active ? threatRules.compile(active) : null);
+  } else {
+    aiDetectionEngine.useRuleset(threatRules.compile(await threatRules.get(parseInt(ruleset, 10))));
+  }
+
+  const model = variant.model || 'promoted';
+  if (model === 'none') {
+    textClassifier.use(null);
+  } else if (model === 'promoted') {
+    await textClassifier.load();
+  } else {
+    textClassifier.use(await textClassifier.readModel(parseInt(model, 10)));
+  }
+
+  aiDetectionEngine.confidenceThreshold = variant.threshold !== undefined ? variant.threshold : DEFAULT_THRESHOLD;
+  const fusionStrategy = variant.fusion || constants.DETECTOR_FUSION_STRATEGY;
+
+  return {
+    rulesetVersion: aiDetectionEngine.ruleset.version,
+    modelVersion: textClassifier.version,
+    threshold: aiDetectionEngine.confidenceThreshold,
+    fusionStrategy
+  };
+};
+
+const describe = settings =>
+  `ruleset v${settings.rulesetVersion}, model ${settings.modelVersion ? `v${settings.modelVersion}` : 'none'}, ` +
+  `threshold ${settings.threshold}, ${settings.fusionStrategy}`;
+
+// Run every example through analyzeContent; the most confident threat is the prediction
+const evaluateVariant = async (examples, settings) => {
+  // Company-level detection settings are how a fusion strategy is chosen per call
+  const company = { detection: { fusionStrategy: settings.fusionStrategy } };
+  const results = [];
+
+  for (const [index, example] of examples.entries()) {
+    const startedAt = process.hrtime.bigint();
+    const analysis = await aiDetectionEngine.analyzeContent(example.text, {}, { company });
+    const latencyMs = Number(process.hrtime.bigint() - startedAt) / 1e6;
+
+    const top = analysis.threats.reduce((best, threat) => (!best || threat.confidence > best.confidence ? threat : best), null);
+    results.push({
+      index: index + 1,
+      expected: example.label,
+      predicted: top ? top.type : 'benign',
+      confidence: top ? top.confidence : 0,
+      latencyMs
+    });
+  }
+
+  const metrics = detectionMetrics.evaluate(results);
+  // Threat versus benign, whatever the category
+  const detection = detectionMetrics.evaluate(results.map(({ expected, predicted }) => ({
+    expected: expected === 'benign' ? 'benign' : 'threat',
+    predicted: predicted === 'benign' ? 'benign' : 'threat'
+  }))).perLabel.threat || { precision: 0, recall: 0, f1: 0, support: 0 };
+
+  return {
+    settings,
+    name: describe(settings),
+    metrics,
+    detection,
+    calibration: detectionMetrics.calibration(results.map(({ expected, confidence }) => ({
+      confidence,
+      positive: expected !== 'benign'
+    }))),
+    latencyMs: detectionMetrics.percentiles(results.map(result => result.latencyMs)),
+    misclassified: results
+      .filter(({ expected, predicted }) => expected !== predicted)
+      .map(({ index, expected, predicted, confidence }) => ({ index, expected, predicted, confidence }))
+  };
+};
+
+const pct = value => (value === null || value === undefined ? '-' : `${(value * 100).toFixed(1)}%`);
+const ms = value => (value === null ? '-' : `${value.toFixed(1)}ms`);
+const delta = (after, before, format) => {
+  const change = after - before;
+  return `${change >= 0 ? '+' : ''}${format(change)}`;
+};
+
+const printTable = (rows) => {
+  const widths = rows[0].map((_, column) => Math.max(...rows.map(row => String(row[column]).length)));
+  rows.forEach(row => console.log(row.map((cell, column) => String(cell).padEnd(widths[column])).join('  ')));
+};
+
+const printReport = ([baseline, candidate]) => {
+  const columns = candidate ? ['', 'baseline', 'candidate', 'change'] : ['', 'value'];
+  const row = (label, pick, format) => {
+    const cells = [label, format(pick(baseline))];
+    if (candidate) cells.push(format(pick(candidate)), delta(pick(candidate), pick(baseline), format));
+    return cells;
+  };
+
+  console.log(`\n${candidate ? 'Baseline' : 'Configuration'}: ${baseline.name}`);
+  if (candidate) console.log(`Candidate: ${candidate.name}`);
+  console.log();
+
+  const labels = [...new Set([baseline, candidate].filter(Boolean).flatMap(run => Object.keys(run.metrics.perLabel)))].sort();
+  const perLabel = (run, label, key) => (run.metrics.perLabel[label] ? run.metrics.perLabel[label][key] : 0);
+  printTable([
+    columns,
+    row('accuracy', run => run.metrics.accuracy, pct),
+    row('macro precision', run => run.metrics.precision, pct),
+    row('macro recall', run => run.metrics.recall, pct),
+    row('macro F1', run => run.metrics.f1, pct),
+    row('threat precision', run => run.detection.precision, pct),
+    row('threat recall', run => run.detection.recall, pct),
+    ...labels.flatMap(label => [
+      row(`${label} precision`, run => perLabel(run, label, 'precision'), pct),
+      row(`${label} recall`, run => perLabel(run, label, 'recall'), pct),
+      row(`${label} F1`, run => perLabel(run, label, 'f1'), pct)
+    ]),
+    row('calibration error', run => run.calibration.expectedCalibrationError, pct),
+    row('latency p50', run => run.latencyMs.p50, ms),
+    row('latency p95', run => run.latencyMs.p95, ms),
+    row('latency p99', run => run.latencyMs.p99, ms)
+  ]);
+
+  [baseline, candidate].filter(Boolean).forEach(run => {
+    const confusionLabels = Object.keys(run.metrics.confusion);
+    const which = candidate ? `, ${run === baseline ? 'baseline' : 'candidate'}` : '';
+    console.log(`\nConfusion matrix${which} (rows expected, columns predicted)`);
+    printTable([
+      ['', ...confusionLabels],
+      ...confusionLabels.map(expected => [expected, ...confusionLabels.map(predicted => run.metrics.confusion[expected][predicted] || 0)])
+    ]);
+  });
+};
+
+const main = async () => {
+  const options = parseArgs(process.argv.slice(2));
+  const examples = await textClassifier.readJsonl(options.dataset);
+  if (examples.length === 0) throw new Error(`${options.dataset} has no examples`);
+
+  if (options.useDatabase) {
+    await connectDB();
+  }
+  await aiDetectionEngine.ready;
+
+  const runs = [];
+  for (const variant of options.variants) {
+    const settings = await applyVariant(variant, options.useDatabase);
+    runs.push(await evaluateVariant(examples, settings));
+  }
+
+  printReport(runs);
+
+  const report = {
+    dataset: path.resolve(options.dataset),
+    examples: examples.length,
+    generatedAt: new Date().toISOString(),
+    variants: runs
+  };
+  const out = path.resolve(options.out ||
+    path.join(constants.EVALUATION_REPORT_DIR, `detection-${report.generatedAt.replace(/[:.]/g, '-')}.json`));
+  await fs.promises.mkdir(path.dirname(out), { recursive: true });
+  await fs.promises.writeFile(out, JSON.stringify(report, null, 2));
+
+  console.log(`\n✅ Report written to ${out}`);
+};
+
+main()
+  .catch(error => {
+    console.error('Detection evaluation failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(disconnectDB);
@@ -0,0 +1,39 @@
+// Grant a global role from the command line, e.g. to bootstrap the first platform admin:
+//   node scripts/grant-role.js admin@example.com platform_admin
+require('dotenv').config();
+
+const connectDB = require('../config/database');
+const { disconnectDB } = require('../config/database');
+const User = require('../models/User');
+const RoleAssignment = require('../models/RoleAssignment');
+const { ROLES } = require('../config/permissions');
+
+const main = async () => {
+  const [email, role] = process.argv.slice(2);
+
+  if (!email || !ROLES[role] || !ROLES[role].assignable || ROLES[role].scope !== 'global') {
+    console.error('Usage: node scripts/grant-role.js <email> <global role>');
+    process.exit(1);
+  }
+
+  await connectDB();
+
+  const user = await User.findOne({ email: email.toLowerCase() });
+  if (!user) {
+    throw new Error(`No user with email ${email}`);
+  }
+
+  const existing = await RoleAssignment.findOne({ user: user._id, role, scopeType: 'global' });
+  if (!existing) {
+    await RoleAssignment.create({ user: user._id, role, scopeType: 'global' });
+  }
+
+  console.log(`✅ Granted ${role} to ${email}`);
+};
+
+main()
+  .catch(error => {
+    console.error('Grant role failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(disconnectDB);
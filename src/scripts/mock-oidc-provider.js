@@ -0,0 +1,126 @@
+// Minimal OpenID Connect provider for trying enterprise SSO locally:
+//   node scripts/mock-oidc-provider.js
+// Then configure the company with PUT /api/enterprise/settings/sso:
+//   { "issuer": "http://localhost:4010", "clientId": "truthshield",
+//     "clientSecret": "mock-secret", "domains": ["example.com"] }
+// mark the domain verified, since example.com has no TXT record to check:
+//   NODE_ENV=development node scripts/verify-sso-domain.js "<company>" example.com
+// and turn SSO on with another PUT of { "enabled": true }. The API must also run with
+// NODE_ENV=development for the http issuer to be accepted.
+// /authorize signs in whoever is named in login_hint (or MOCK_IDP_EMAIL) without a prompt.
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+const createMockProvider = (options = {}) => {
+  const port = Number(options.port || process.env.MOCK_IDP_PORT || 4010);
+  const issuer = options.issuer || `http://localhost:${port}`;
+  const clientId = options.clientId || process.env.MOCK_IDP_CLIENT_ID || 'truthshield';
+  const clientSecret = options.clientSecret || process.env.MOCK_IDP_CLIENT_SECRET || 'mock-secret';
+  const defaultEmail = options.email || process.env.MOCK_IDP_EMAIL || 'jane.doe@example.com';
+  const department = options.department || process.env.MOCK_IDP_DEPARTMENT || 'Engineering';
+
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const kid = crypto.randomBytes(8).toString('hex');
+  const codes = new Map();
+
+  const app = express();
+  app.use(express.urlencoded({ extended: false }));
+
+  app.get('/.well-known/openid-configuration', (req, res) => {
+    res.json({
+      issuer,
+      authorization_endpoint: `${issuer}/authorize`,
+      token_endpoint: `${issuer}/token`,
+      jwks_uri: `${issuer}/jwks`,
+      response_types_supported: ['code'],
+      subject_types_supported: ['public'],
+      id_token_signing_alg_values_supported: ['RS256'],
+      code_challenge_methods_supported: ['S256'],
+      token_endpoint_auth_methods_supported: ['client_secret_post']
+    });
+  });
+
+  app.get('/jwks', (req, res) => {
+    res.json({
+      keys: [{ ...publicKey.export({ format: 'jwk' }), kid, use: 'sig', alg: 'RS256' }]
+    });
+  });
+
+  app.get('/authorize', (req, res) => {
+    const { client_id, redirect_uri, state, nonce, code_challenge, code_challenge_method, login_hint } = req.query;
+
+    if (client_id !== clientId || !redirect_uri || code_challenge_method !== 'S256' || !code_challenge) {
+      return res.status(400).json({ error: 'invalid_request' });
+    }
+
+    const code = crypto.randomBytes(16).toString('hex');
+    codes.set(code, {
+      redirectUri: redirect_uri,
+      codeChallenge: code_challenge,
+      nonce,
+      email: (login_hint || defaultEmail).toLowerCase(),
+      expiresAt: Date.now() + 60 * 1000
+    });
+
+    const target = new URL(redirect_uri);
+    target.searchParams.set('code', code);
+    if (state) target.searchParams.set('state', state);
+    res.redirect(302, target.toString());
+  });
+
+  app.post('/token', (req, res) => {
+    const { grant_type, code, redirect_uri, code_verifier } = req.body;
+    const grant = codes.get(code);
+    codes.delete(code);
+
+    if (req.body.client_id !== clientId || req.body.client_secret !== clientSecret) {
+      return res.status(401).json({ error: 'invalid_client' });
+    }
+
+    const challenge = code_verifier && crypto.createHash('sha256').update(code_verifier).digest('base64url');
+    if (grant_type !== 'authorization_code' || !grant || grant.expiresAt < Date.now() ||
+      grant.redirectUri !== redirect_uri || grant.codeChallenge !== challenge) {
+      return res.status(400).json({ error: 'invalid_grant' });
+    }
+
+    const [localPart] = grant.email.split('@');
+    const [givenName, familyName = 'User'] = localPart.split(/[._-]/).map(part =>
+      part.charAt(0).toUpperCase() + part.slice(1)
+    );
+
+    const idToken = jwt.sign({
+      sub: crypto.createHash('sha256').update(grant.email).digest('hex').slice(0, 24),
+      email: grant.email,
+      email_verified: true,
+      given_name: givenName,
+      family_name: familyName,
+      department,
+      nonce: grant.nonce
+    }, privateKey, {
+      algorithm: 'RS256',
+      keyid: kid,
+      issuer,
+      audience: clientId,
+      expiresIn: '5m'
+    });
+
+    res.json({
+      access_token: crypto.randomBytes(16).toString('hex'),
+      token_type: 'Bearer',
+      expires_in: 300,
+      id_token: idToken
+    });
+  });
+
+  return { app, port, issuer };
+};
+
+if (require.main === module) {
+  const { app, port, issuer } = createMockProvider();
+  app.listen(port, () => {
+    console.log(`🔑 Mock OIDC provider running at ${issuer}`);
+  });
+}
+
+module.exports = { createMockProvider };
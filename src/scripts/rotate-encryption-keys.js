@@ -0,0 +1,41 @@
+// Re-encrypt stored PII under the current key. To rotate:
+//   1. node scripts/rotate-encryption-keys.js --new-key       (prints a fresh key)
+//   2. append it to ENCRYPTION_KEYS as the next version, e.g. "v1:<old>,v2:<new>"
+//   3. deploy, then run: node scripts/rotate-encryption-keys.js
+//   4. once a run reports nothing left to update, drop the old key from ENCRYPTION_KEYS
+require('dotenv').config();
+
+const connectDB = require('../config/database');
+const { disconnectDB } = require('../config/database');
+const encryptionUtils = require('../utils/encryption');
+const keyRotation = require('../utils/key-rotation');
+
+// Register every model with encrypted fields
+require('../models/User');
+require('../models/Threat');
+require('../models/Family');
+require('../models/TrainingExample');
+
+const main = async () => {
+  if (process.argv.includes('--new-key')) {
+    console.log(encryptionUtils.generateKey());
+    return;
+  }
+
+  await connectDB();
+
+  console.log(`Re-encrypting with key version ${encryptionUtils.currentVersion}`);
+  const updated = await keyRotation.run();
+
+  Object.entries(updated).forEach(([model, count]) => {
+    console.log(`  ${model}: ${count} updated`);
+  });
+  console.log('✅ Encrypted fields are on the current key');
+};
+
+main()
+  .catch(error => {
+    console.error('Key rotation failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(disconnectDB);
@@ -0,0 +1,95 @@
+// Train the text classifier, save it as the next model version and promote it:
+//   node scripts/train-classifier.js [--algorithm bayes|logistic_regression]
+//     [--file corpus.jsonl ...] [--import] [--no-db] [--holdout 0.2] [--candidate]
+// The corpus is every approved TrainingExample plus the given JSONL files
+// ({"text": "...", "label": "phishing"} per line). --import stores the file examples
+// in MongoDB first; --no-db trains from the files alone. --candidate saves the model
+// without promoting it. Servers switch to a promoted version within a minute unless
+// CLASSIFIER_MODEL_VERSION pins one.
+// Scheduled retraining (utils/classifier-training) learns from the stored corpus only,
+// so a promoted model always has its files imported first and --no-db needs --candidate.
+require('dotenv').config();
+
+const connectDB = require('../config/database');
+const { disconnectDB } = require('../config/database');
+const textClassifier = require('../utils/text-classifier');
+
+const parseArgs = (args) => {
+  const options = { algorithm: 'bayes', files: [], useDatabase: true, importFiles: false, promote: true };
+
+  for (let i = 0; i < args.length; i++) {
+    switch (args[i]) {
+      case '--algorithm':
+        options.algorithm = args[++i];
+        break;
+      case '--file':
+        options.files.push(args[++i]);
+        break;
+      case '--holdout':
+        options.holdout = parseFloat(args[++i]);
+        break;
+      case '--import':
+        options.importFiles = true;
+        break;
+      case '--no-db':
+        options.useDatabase = false;
+        break;
+      case '--candidate':
+        options.promote = false;
+        break;
+      default:
+        throw new Error(`Unknown option ${args[i]}`);
+    }
+  }
+
+  if (options.files.some(file => !file)) throw new Error('--file needs a path');
+  if (options.holdout !== undefined && !(options.holdout >= 0 && options.holdout < 1)) {
+    throw new Error('--holdout must be between 0 and 1');
+  }
+  if (options.importFiles && !options.useDatabase) throw new Error('--import needs the database');
+  if (options.promote && !options.useDatabase) {
+    throw new Error('--no-db models cannot be promoted, since retraining could not reproduce them; add --candidate');
+  }
+  // Otherwise the next scheduled retrain would replace the model with one that never saw the files
+  if (options.promote) options.importFiles = true;
+
+  return options;
+};
+
+const main = async () => {
+  const { importFiles, promote, ...options } = parseArgs(process.argv.slice(2));
+
+  if (options.useDatabase) {
+    await connectDB();
+  }
+
+  if (importFiles) {
+    for (const file of options.files) {
+      const { inserted, duplicates } = await textClassifier.importExamples(await textClassifier.readJsonl(file));
+      console.log(`Imported ${file}: ${inserted} new, ${duplicates} already stored`);
+    }
+    // Now part of the stored corpus
+    options.files = [];
+  }
+
+  const model = await textClassifier.trainAndSave(options);
+  if (promote) {
+    await textClassifier.promote(model.version, 'scripts/train-classifier.js');
+  }
+
+  console.log(`✅ Saved text classifier v${model.version} (${model.algorithm})${promote ? ' and promoted it' : ''}`);
+  Object.entries(model.counts).forEach(([label, count]) => {
+    console.log(`  ${label}: ${count} examples`);
+  });
+  const { trainingExamples, holdoutExamples, accuracy, precision, recall } = model.metrics;
+  const percent = value => `${(value * 100).toFixed(1)}%`;
+  console.log(`  trained on ${trainingExamples}, held out ${holdoutExamples}` + (accuracy === null ? '' :
+    `: accuracy ${percent(accuracy)}, precision ${percent(precision)}, recall ${percent(recall)}`));
+};
+
+main()
+  .catch(error => {
+    console.error('Classifier training failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(disconnectDB);
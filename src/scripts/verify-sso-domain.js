@@ -0,0 +1,37 @@
+// Mark a company's SSO domain verified without the DNS TXT lookup, for local setups
+// such as the mock provider (scripts/mock-oidc-provider.js). Development and test only:
+//   NODE_ENV=development node scripts/verify-sso-domain.js "Acme Corp" example.com
+// The domain must already be listed in the company's SSO settings.
+require('dotenv').config();
+
+const connectDB = require('../config/database');
+const { disconnectDB } = require('../config/database');
+const Company = require('../models/Company');
+const ssoService = require('../utils/sso-service');
+
+const main = async () => {
+  const [name, domain] = process.argv.slice(2);
+
+  if (!name || !domain) {
+    console.error('Usage: NODE_ENV=development node scripts/verify-sso-domain.js <company> <domain>');
+    process.exit(1);
+  }
+
+  await connectDB();
+
+  const company = await Company.findOne({ name });
+  if (!company) {
+    throw new Error(`No company named ${name}`);
+  }
+
+  await ssoService.verifyDomain(company, domain.toLowerCase(), { skipDnsCheck: true });
+
+  console.log(`✅ Verified ${domain} for ${name}`);
+};
+
+main()
+  .catch(error => {
+    console.error('Verify SSO domain failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(disconnectDB);
@@ -1,32 +1,95 @@
-const express = require('express');
-const mongoose = require('mongoose');
-const cors = require('cors');
 require('dotenv').config();
 
-const app = express();
+const { createApp } = require('./app');
+const connectDB = require('./config/database');
+const { disconnectDB } = require('./config/database');
+const jobQueue = require('./utils/job-queue');
+const dataExportService = require('./utils/data-export');
+const accountDeletion = require('./utils/account-deletion');
+const keyRotation = require('./utils/key-rotation');
+const threatRules = require('./utils/threat-rules');
+const textClassifier = require('./utils/text-classifier');
+const classifierTraining = require('./utils/classifier-training');
 
-app.use(cors());
-app.use(express.json());
+const SHUTDOWN_TIMEOUT_MS = 10000;
 
-// Database Connection
-mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/truthshield-pro')
-.then(() => console.log('✅ MongoDB Connected'))
-.catch(err => console.error(' MongoDB Error:', err));
+// Connect to MongoDB and start listening; resolves with a handle for shutdown
+const start = async (options = {}) => {
+  await connectDB(options.mongoUri);
 
-// Health Check
-app.get('/api/health', (req, res) => {
-  res.json({ 
-    status: 'success', 
-    message: 'TruthShield Pro API is running!' 
+  const app = createApp(options);
+
+  // Pick up background work interrupted by the last shutdown
+  dataExportService.resumePending()
+    .catch(error => console.error('Resume data exports error:', error));
+  const purgeTimer = accountDeletion.startScheduler();
+  // Encrypt rows written before field encryption or under a retired key
+  keyRotation.schedule();
+  // Load the active detection ruleset and follow activations made on other instances
+  const rulesetTimer = threatRules.startWatcher();
+  // Serve the promoted classifier model (or CLASSIFIER_MODEL_VERSION) and follow promotions
+  const classifierTimer = textClassifier.startWatcher();
+  // Retrain on approved feedback and promote candidates that do not regress
+  const retrainTimer = classifierTraining.startScheduler();
+  const port = options.port !== undefined ? options.port : (process.env.PORT || 5000);
+
+  const server = await new Promise((resolve, reject) => {
+    const listener = app.listen(port, () => resolve(listener));
+    listener.on('error', reject);
   });
-});
 
-// Simple test route
-app.get('/api/test', (req, res) => {
-  res.json({ message: 'API is working!' });
-});
+  console.log(` Server running on port ${server.address().port}`);
+
+  let closing = null;
+
+  // Stop accepting connections, let in-flight requests finish, then close Mongo
+  const shutdown = () => {
+    if (closing) return closing;
+
+    closing = new Promise((resolve) => {
+      const forceTimer = setTimeout(() => {
+        console.error('⛔ Forcing shutdown after timeout');
+        server.closeAllConnections();
+      }, options.shutdownTimeout || SHUTDOWN_TIMEOUT_MS);
+      forceTimer.unref();
+
+      server.close(async () => {
+        clearTimeout(forceTimer);
+        clearInterval(purgeTimer);
+        clearInterval(rulesetTimer);
+        clearInterval(classifierTimer);
+        clearInterval(retrainTimer);
+        await jobQueue.onIdle();
+        await disconnectDB();
+        resolve();
+      });
+      server.closeIdleConnections();
+    });
+
+    return closing;
+  };
+
+  return { app, server, shutdown };
+};
+
+if (require.main === module) {
+  start()
+    .then(({ shutdown }) => {
+      ['SIGINT', 'SIGTERM'].forEach(signal => {
+        process.once(signal, async () => {
+          console.log(`${signal} received, shutting down gracefully`);
+          await shutdown();
+          process.exit(0);
+        });
+      });
+    })
+    .catch(error => {
+      console.error(' Server failed to start:', error);
+      process.exit(1);
+    });
+}
 
-const PORT = process.env.PORT || 5000;
-app.listen(PORT, () => {
-  console.log(` Server running on port ${PORT}`);
-});
+module.exports = {
+  createApp,
+  start
+};
@@ -0,0 +1,171 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { createApp } = require('../app');
+const User = require('../models/User');
+const Threat = require('../models/Threat');
+const GameSession = require('../models/GameSession');
+const Family = require('../models/Family');
+const Session = require('../models/Session');
+const RefreshToken = require('../models/RefreshToken');
+const ApiKey = require('../models/ApiKey');
+const RoleAssignment = require('../models/RoleAssignment');
+const DataExport = require('../models/DataExport');
+const LoginThrottle = require('../models/LoginThrottle');
+const DeletionReceipt = require('../models/DeletionReceipt');
+const TrainingExample = require('../models/TrainingExample');
+const accountDeletion = require('../utils/account-deletion');
+const tokenService = require('../utils/token-service');
+const ssoService = require('../utils/sso-service');
+const jobQueue = require('../utils/job-queue');
+const mailer = require('../utils/mailer');
+const constants = require('../config/constants');
+const { request } = require('./support/http');
+const { query } = require('./support/auth');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const outbox = [];
+mailer.setTransport({
+  async send(message) {
+    outbox.push(message);
+    return { id: String(outbox.length) };
+  }
+});
+
+const newUser = (fields = {}) => {
+  const user = new User({ firstName: 'Pat', lastName: 'Doe', email: 'pat@example.com', age: 40, ...fields });
+  user.save = async () => user;
+  return user;
+};
+
+// Schedule a deletion and return the restore token from the email
+const scheduled = async (t, user) => {
+  t.mock.method(tokenService, 'revokeAllSessions', async () => 1);
+  await accountDeletion.schedule(user);
+  return outbox[outbox.length - 1].text.match(/restore-account\/(\S+)/)[1];
+};
+
+// Every collection the purge touches, answering with one affected document each
+const purgeStores = (t, user, { ownedFamilies = [], ownThreats = [] } = {}) => {
+  const deleted = async () => ({ deletedCount: 1 });
+  const modified = async () => ({ modifiedCount: 1 });
+
+  t.mock.method(User, 'findById', () => query(user));
+  t.mock.method(User, 'updateMany', modified);
+  t.mock.method(User, 'deleteOne', deleted);
+  t.mock.method(Threat, 'find', () => query(ownThreats));
+  t.mock.method(Threat, 'updateMany', modified);
+  t.mock.method(Family, 'find', () => query(ownedFamilies));
+  t.mock.method(Family, 'updateMany', modified);
+  t.mock.method(Family, 'deleteMany', deleted);
+  t.mock.method(DataExport, 'find', () => query([]));
+  [GameSession, Session, RefreshToken, ApiKey, RoleAssignment, DataExport, TrainingExample].forEach(Model => {
+    t.mock.method(Model, 'deleteMany', deleted);
+  });
+  t.mock.method(LoginThrottle, 'deleteOne', deleted);
+  t.mock.method(TrainingExample, 'updateMany', modified);
+  t.mock.method(DeletionReceipt, 'findOneAndUpdate', async (filter, update) => ({ ...filter, ...update.$setOnInsert }));
+};
+
+test('deleting an account deactivates it, signs it out and emails a restore link', async (t) => {
+  const user = newUser();
+  outbox.length = 0;
+
+  await scheduled(t, user);
+
+  assert.strictEqual(user.isActive, false);
+  assert.ok(user.isPendingDeletion());
+  assert.strictEqual(
+    user.deletion.scheduledFor.getTime() - user.deletion.requestedAt.getTime(),
+    constants.ACCOUNT_DELETION_GRACE_DAYS * DAY_MS
+  );
+  assert.deepStrictEqual(tokenService.revokeAllSessions.mock.calls[0].arguments.slice(0, 2), [user._id, 'account_deleted']);
+  assert.strictEqual(outbox[0].to, 'pat@example.com');
+});
+
+test('the restore link reactivates the account once', async (t) => {
+  const user = newUser();
+  const token = await scheduled(t, user);
+  t.mock.method(User, 'findById', async () => user);
+
+  assert.strictEqual(await accountDeletion.restore(token), user);
+  assert.strictEqual(user.isActive, true);
+  assert.strictEqual(user.isPendingDeletion(), false);
+  await assert.rejects(accountDeletion.restore(token), { errorCode: 'INVALID_RESTORE_TOKEN' });
+});
+
+test('a restore link from an earlier deletion request is refused', async (t) => {
+  const user = newUser();
+  const firstToken = await scheduled(t, user);
+  user.deletion.requestedAt = new Date(user.deletion.requestedAt.getTime() + 1000);
+  t.mock.method(User, 'findById', async () => user);
+
+  await assert.rejects(accountDeletion.restore(firstToken), { errorCode: 'INVALID_RESTORE_TOKEN' });
+});
+
+test('the purge anonymizes threats, removes linked data and leaves a receipt', async (t) => {
+  const user = newUser({ deletion: { requestedAt: new Date(Date.now() - 31 * DAY_MS), scheduledFor: new Date(Date.now() - DAY_MS) } });
+  const family = { _id: new mongoose.Types.ObjectId() };
+  const threat = { _id: new mongoose.Types.ObjectId() };
+  purgeStores(t, user, { ownedFamilies: [family], ownThreats: [threat] });
+
+  const receipt = await accountDeletion.purge(user._id);
+
+  const [filter, pipeline] = Threat.updateMany.mock.calls[0].arguments;
+  assert.strictEqual(String(filter.user), String(user._id));
+  assert.strictEqual(pipeline[0].$set.detectedContent, '[removed]');
+  assert.ok(pipeline[1].$unset.includes('user'));
+  assert.ok(pipeline[1].$unset.includes('location.ipAddress'));
+
+  assert.strictEqual(receipt.reason, 'user_request');
+  assert.strictEqual(receipt.counts.threatsAnonymized, 1);
+  assert.strictEqual(receipt.counts.familiesDeleted, 1);
+  assert.strictEqual(receipt.counts.familyLinksRemoved, 3);
+  assert.strictEqual(receipt.counts.trainingExamplesDeleted, 1);
+  assert.deepStrictEqual(TrainingExample.deleteMany.mock.calls[0].arguments[0], {
+    $or: [{ addedBy: user._id }, { threat: { $in: [threat._id] } }]
+  });
+  assert.deepStrictEqual(TrainingExample.updateMany.mock.calls[0].arguments, [
+    { $or: [{ 'proposal.addedBy': user._id }, { 'proposal.threat': { $in: [threat._id] } }] },
+    { $unset: { proposal: '' } }
+  ]);
+  assert.deepStrictEqual(Family.deleteMany.mock.calls[0].arguments[0], { _id: { $in: [family._id] } });
+  assert.strictEqual(String(User.deleteOne.mock.calls[0].arguments[0]._id), String(user._id));
+});
+
+test('a scheduled purge does nothing for an account that was restored', async (t) => {
+  const user = newUser();
+  purgeStores(t, user);
+
+  assert.strictEqual(await accountDeletion.purge(user._id), null);
+  assert.strictEqual(User.deleteOne.mock.callCount(), 0);
+  assert.ok(await accountDeletion.purge(user._id, { reason: 'parental_consent_denied' }));
+});
+
+test('the sweep queues a purge for every account past its grace period', async (t) => {
+  const due = [newUser(), newUser()];
+  const find = t.mock.method(User, 'find', () => query(due));
+  const enqueue = t.mock.method(jobQueue, 'enqueue', () => {});
+
+  assert.strictEqual(await accountDeletion.purgeDue(), 2);
+  assert.ok(find.mock.calls[0].arguments[0]['deletion.scheduledFor'].$lte <= new Date());
+  assert.deepStrictEqual(enqueue.mock.calls.map(call => call.arguments[1]), due.map(user => user._id));
+});
+
+test('signing in to an account awaiting deletion explains how to restore it', async (t) => {
+  const user = newUser({ isActive: false, deletion: { requestedAt: new Date(), scheduledFor: new Date(Date.now() + DAY_MS) } });
+  t.mock.method(user, 'correctPassword', async () => true);
+  t.mock.method(User, 'findOne', () => query(user));
+  t.mock.method(LoginThrottle, 'findOne', async () => null);
+  t.mock.method(LoginThrottle, 'deleteOne', async () => ({}));
+  t.mock.method(ssoService, 'passwordLoginBlockedFor', async () => null);
+
+  const { status, body } = await request(createApp(), 'POST', '/api/v1/auth/login', {
+    body: { email: 'pat@example.com', password: 'Passw0rd!' }
+  });
+
+  assert.strictEqual(status, 403);
+  assert.strictEqual(body.errorCode, 'ACCOUNT_PENDING_DELETION');
+  assert.ok(body.scheduledFor);
+});
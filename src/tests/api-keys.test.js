@@ -0,0 +1,129 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const { createApp } = require('../app');
+const ApiKey = require('../models/ApiKey');
+const User = require('../models/User');
+const encryptionUtils = require('../utils/encryption');
+const { protect, apiKeyScope } = require('../middleware/auth');
+const { API_KEY_SCOPES } = require('../config/constants');
+const { request } = require('./support/http');
+const { query, signIn } = require('./support/auth');
+
+const app = createApp();
+
+// A route that accepts threats:read keys and echoes how the caller authenticated
+const scopedApp = express();
+scopedApp.get('/read', apiKeyScope(API_KEY_SCOPES.THREATS_READ), protect, (req, res) => {
+  res.json({ auth: req.auth, userId: String(req.user._id) });
+});
+
+const owner = () => new User({ firstName: 'Pat', lastName: 'Doe', email: 'pat@example.com', age: 40 });
+
+const storedKey = (fields = {}) => new ApiKey({
+  name: 'CI',
+  user: owner()._id,
+  prefix: 'tsk_abcdef',
+  keyHash: encryptionUtils.hashData('tsk_secret'),
+  scopes: [API_KEY_SCOPES.THREATS_READ],
+  ...fields
+});
+
+test('a key with the declared scope authenticates as its owner', async (t) => {
+  const user = owner();
+  const apiKey = storedKey({ user: user._id });
+  const findOne = t.mock.method(ApiKey, 'findOne', async () => apiKey);
+  const touch = t.mock.method(ApiKey, 'updateOne', async () => ({}));
+  t.mock.method(User, 'findById', () => query(user));
+
+  const { status, body } = await request(scopedApp, 'GET', '/read', { headers: { 'x-api-key': 'tsk_secret' } });
+
+  assert.strictEqual(status, 200);
+  assert.strictEqual(body.auth.type, 'api_key');
+  assert.strictEqual(body.userId, String(user._id));
+  assert.strictEqual(findOne.mock.calls[0].arguments[0].keyHash, encryptionUtils.hashData('tsk_secret'));
+  assert.strictEqual(touch.mock.callCount(), 1);
+});
+
+test('keys without the scope, revoked or expired keys are refused', async (t) => {
+  const findOne = t.mock.method(ApiKey, 'findOne', async () => storedKey({ scopes: [API_KEY_SCOPES.THREATS_REPORT] }));
+  const headers = { 'x-api-key': 'tsk_secret' };
+
+  const missingScope = await request(scopedApp, 'GET', '/read', { headers });
+  assert.strictEqual(missingScope.status, 403);
+  assert.strictEqual(missingScope.body.errorCode, 'INSUFFICIENT_SCOPE');
+
+  findOne.mock.mockImplementation(async () => storedKey({ revokedAt: new Date() }));
+  const revoked = await request(scopedApp, 'GET', '/read', { headers });
+  assert.strictEqual(revoked.status, 401);
+  assert.strictEqual(revoked.body.errorCode, 'INVALID_API_KEY');
+
+  findOne.mock.mockImplementation(async () => storedKey({ expiresAt: new Date(Date.now() - 1000) }));
+  const expired = await request(scopedApp, 'GET', '/read', { headers });
+  assert.strictEqual(expired.status, 401);
+});
+
+test('routes that declare no scope are closed to API keys', async (t) => {
+  const findOne = t.mock.method(ApiKey, 'findOne', async () => storedKey());
+
+  const { status, body } = await request(app, 'GET', '/api/v1/auth/me', { headers: { 'x-api-key': 'tsk_secret' } });
+
+  assert.strictEqual(status, 403);
+  assert.strictEqual(body.errorCode, 'INSUFFICIENT_SCOPE');
+  assert.strictEqual(findOne.mock.callCount(), 0);
+});
+
+test('creating a key returns the plaintext once and stores only its hash', async (t) => {
+  const headers = signIn(t, owner());
+  t.mock.method(ApiKey, 'countDocuments', async () => 0);
+  const create = t.mock.method(ApiKey, 'create', async doc => new ApiKey(doc));
+
+  const { status, body } = await request(app, 'POST', '/api/v1/auth/api-keys', {
+    headers,
+    body: { name: 'CI', scopes: [API_KEY_SCOPES.THREATS_READ, API_KEY_SCOPES.THREATS_READ] }
+  });
+
+  const stored = create.mock.calls[0].arguments[0];
+  assert.strictEqual(status, 201);
+  assert.strictEqual(stored.keyHash, encryptionUtils.hashData(body.data.key));
+  assert.strictEqual(stored.prefix, body.data.key.slice(0, 10));
+  assert.deepStrictEqual(stored.scopes, [API_KEY_SCOPES.THREATS_READ]);
+  assert.strictEqual(body.data.apiKey.keyHash, undefined);
+});
+
+test('only enterprise admins may create enterprise:read keys', async (t) => {
+  const headers = signIn(t, owner());
+  t.mock.method(ApiKey, 'countDocuments', async () => 0);
+  const create = t.mock.method(ApiKey, 'create', async doc => new ApiKey(doc));
+
+  const { status } = await request(app, 'POST', '/api/v1/auth/api-keys', {
+    headers,
+    body: { name: 'Reporting', scopes: [API_KEY_SCOPES.ENTERPRISE_READ] }
+  });
+
+  assert.strictEqual(status, 403);
+  assert.strictEqual(create.mock.callCount(), 0);
+});
+
+test('unknown scopes are rejected by validation', async (t) => {
+  const headers = signIn(t, owner());
+
+  const { status } = await request(app, 'POST', '/api/v1/auth/api-keys', {
+    headers,
+    body: { name: 'CI', scopes: ['admin:all'] }
+  });
+
+  assert.strictEqual(status, 400);
+});
+
+test('malformed key ids are a 400, not a database error', async (t) => {
+  const headers = signIn(t, owner());
+  const findOne = t.mock.method(ApiKey, 'findOne', async () => null);
+
+  for (const method of ['GET', 'PATCH', 'DELETE']) {
+    const { status, body } = await request(app, method, '/api/v1/auth/api-keys/not-an-id', { headers });
+    assert.strictEqual(status, 400, method);
+    assert.strictEqual(body.status, 'error');
+  }
+  assert.strictEqual(findOne.mock.callCount(), 0);
+});
@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createApp, API_PREFIXES } = require('../app');
+const { errorHandler } = require('../middleware/error');
+const { AppError } = require('../utils/errors');
+const { request } = require('./support/http');
+
+const app = createApp();
+
+// Minimal response double for calling the error handler directly
+const fakeResponse = () => {
+  const res = {
+    status(code) {
+      res.statusCode = code;
+      return res;
+    },
+    json(body) {
+      res.body = body;
+      return res;
+    }
+  };
+  return res;
+};
+
+test('routers are mounted under /api/v1 with /api kept as an alias', async () => {
+  assert.deepStrictEqual(API_PREFIXES, ['/api/v1', '/api']);
+
+  for (const prefix of API_PREFIXES) {
+    const { status, body } = await request(app, 'GET', `${prefix}/health`);
+    assert.strictEqual(status, 200);
+    assert.strictEqual(body.status, 'success');
+    assert.strictEqual(body.data.version, 'v1');
+  }
+});
+
+test('unknown routes answer 404 with a stable error code', async () => {
+  const { status, body } = await request(app, 'GET', '/api/v1/nowhere');
+
+  assert.strictEqual(status, 404);
+  assert.strictEqual(body.errorCode, 'NOT_FOUND');
+  assert.match(body.message, /GET \/api\/v1\/nowhere/);
+});
+
+test('malformed and oversized JSON bodies are rejected before any route runs', async () => {
+  const malformed = await request(app, 'POST', '/api/v1/auth/login', { body: '{"email":' });
+  assert.strictEqual(malformed.status, 400);
+  assert.strictEqual(malformed.body.errorCode, 'INVALID_JSON');
+
+  const small = createApp({ bodyLimit: '1kb' });
+  const oversized = await request(small, 'POST', '/api/v1/auth/login', { body: { padding: 'x'.repeat(2048) } });
+  assert.strictEqual(oversized.status, 413);
+  assert.strictEqual(oversized.body.errorCode, 'PAYLOAD_TOO_LARGE');
+});
+
+test('the error handler maps library errors onto status codes', () => {
+  const cases = [
+    [Object.assign(new Error('bad id'), { name: 'CastError', path: '_id', value: 'nope' }), 400, 'INVALID_ID'],
+    [Object.assign(new Error('dup'), { code: 11000, keyValue: { email: 'a@b.c' } }), 409, 'DUPLICATE_RESOURCE'],
+    [Object.assign(new Error('jwt expired'), { name: 'TokenExpiredError' }), 401, 'TOKEN_EXPIRED'],
+    [new AppError('Gone', 410, 'GONE'), 410, 'GONE']
+  ];
+
+  cases.forEach(([error, statusCode, errorCode]) => {
+    const res = fakeResponse();
+    errorHandler(error, {}, res, () => {});
+    assert.strictEqual(res.statusCode, statusCode);
+    assert.strictEqual(res.body.errorCode, errorCode);
+  });
+});
+
+test('unexpected errors answer 500 without leaking their message', (t) => {
+  t.mock.method(console, 'error', () => {});
+  const res = fakeResponse();
+
+  errorHandler(new Error('connection string with password'), {}, res, () => {});
+
+  assert.strictEqual(res.statusCode, 500);
+  assert.strictEqual(res.body.message, 'Internal server error');
+});
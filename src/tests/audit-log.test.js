@@ -0,0 +1,128 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const AuditEvent = require('../models/AuditEvent');
+const auditLog = require('../utils/audit-log');
+const { audit } = require('../middleware/audit');
+const { request } = require('./support/http');
+const { query } = require('./support/auth');
+
+const scope = { type: 'family', id: 'family-1' };
+
+// Keep the chain in memory: findOne returns the tail, save appends
+const memoryChain = (t) => {
+  const events = [];
+  t.mock.method(AuditEvent, 'findOne', () => query(events[events.length - 1] || null));
+  t.mock.method(AuditEvent.prototype, 'save', async function() {
+    if (events.some(event => event.sequence === this.sequence)) {
+      throw Object.assign(new Error('duplicate key'), { code: 11000 });
+    }
+    events.push(this);
+    return this;
+  });
+  t.mock.method(AuditEvent, 'find', () => ({
+    sort: () => ({
+      cursor: () => ({
+        [Symbol.asyncIterator]: async function* () { yield* events; },
+        close: async () => {}
+      })
+    })
+  }));
+  return events;
+};
+
+const entry = action => ({ scope, action, actor: { email: 'pat@example.com' }, changes: [{ path: 'a', before: 1, after: 2 }] });
+
+test('diff lists changed leaf paths with their old and new values', () => {
+  const changes = auditLog.diff(
+    { settings: { maxDailyTime: 60, contentFilter: 'strict' }, tags: ['a'] },
+    { settings: { maxDailyTime: 90, contentFilter: 'strict' }, tags: ['a', 'b'], name: 'x' }
+  );
+
+  assert.deepStrictEqual(changes, [
+    { path: 'name', before: undefined, after: 'x' },
+    { path: 'settings.maxDailyTime', before: 60, after: 90 },
+    { path: 'tags', before: ['a'], after: ['a', 'b'] }
+  ]);
+  assert.deepStrictEqual(auditLog.diff({ a: 1 }, { a: 1 }), []);
+});
+
+test('each entry links to the hash of the one before it', async (t) => {
+  const events = memoryChain(t);
+
+  await auditLog.record(entry('family.settings.updated'));
+  await auditLog.record(entry('family.child.added'));
+
+  assert.deepStrictEqual(events.map(event => event.sequence), [1, 2]);
+  assert.strictEqual(events[0].prevHash, AuditEvent.GENESIS_HASH);
+  assert.strictEqual(events[1].prevHash, events[0].hash);
+  assert.strictEqual(events[1].hash, events[1].computeHash());
+});
+
+test('verify accepts an intact chain and points at the first edited entry', async (t) => {
+  const events = memoryChain(t);
+  for (const action of ['a', 'b', 'c']) {
+    await auditLog.record(entry(action));
+  }
+
+  const intact = await auditLog.verify(scope);
+  assert.deepStrictEqual([intact.valid, intact.checked, intact.headHash], [true, 3, events[2].hash]);
+
+  events[1].action = 'edited';
+  const edited = await auditLog.verify(scope);
+  assert.strictEqual(edited.valid, false);
+  assert.strictEqual(edited.checked, 1);
+  assert.deepStrictEqual([edited.brokenAt.sequence, edited.brokenAt.problem], [2, 'entry contents do not match its hash']);
+
+  events.splice(1, 1);
+  const removed = await auditLog.verify(scope);
+  assert.strictEqual(removed.brokenAt.problem, 'expected sequence 2');
+});
+
+test('a writer that loses the race for a sequence retries on the new tail', async (t) => {
+  const events = memoryChain(t);
+  await auditLog.record(entry('first'));
+  // The first lookup sees a stale tail, as if another writer appended in between
+  AuditEvent.findOne.mock.mockImplementationOnce(() => query(null));
+
+  await auditLog.record(entry('second'));
+
+  assert.deepStrictEqual(events.map(event => event.sequence), [1, 2]);
+  assert.strictEqual(events[1].prevHash, events[0].hash);
+});
+
+test('stored entries cannot be updated or deleted', async () => {
+  await assert.rejects(AuditEvent.updateOne({}, { action: 'x' }), /append-only/);
+  await assert.rejects(AuditEvent.deleteMany({}), /append-only/);
+});
+
+test('the audit middleware records successful requests with a before/after diff', async (t) => {
+  const record = t.mock.method(auditLog, 'record', async () => ({}));
+  const settings = { maxDailyTime: 60 };
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = { _id: 'user-1', email: 'pat@example.com' };
+    next();
+  });
+  const describe = async () => ({ scope, target: { type: 'family', id: 'family-1' }, snapshot: { ...settings } });
+
+  app.put('/settings', audit('family.settings.updated', describe), (req, res) => {
+    if (req.body.maxDailyTime < 0) return res.status(400).json({});
+    settings.maxDailyTime = req.body.maxDailyTime;
+    res.json({});
+  });
+
+  await request(app, 'PUT', '/settings', { body: { maxDailyTime: -1 } });
+  await request(app, 'PUT', '/settings', { body: { maxDailyTime: 90 } });
+  await new Promise(resolve => setImmediate(resolve));
+
+  assert.strictEqual(record.mock.callCount(), 1);
+  const logged = record.mock.calls[0].arguments[0];
+  assert.strictEqual(logged.action, 'family.settings.updated');
+  assert.deepStrictEqual(logged.changes, [{ path: 'maxDailyTime', before: 60, after: 90 }]);
+  assert.strictEqual(logged.request.method, 'PUT');
+  assert.strictEqual(logged.request.statusCode, 200);
+  // Entries can never be purged, so the actor is recorded by id only
+  assert.strictEqual(logged.actor.email, undefined);
+});
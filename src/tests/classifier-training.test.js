@@ -0,0 +1,188 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+// Models are written under a scratch directory for this file only
+const modelDir = fs.mkdtempSync(path.join(os.tmpdir(), 'truthshield-classifier-'));
+process.env.CLASSIFIER_MODEL_DIR = modelDir;
+
+const mongoose = require('mongoose');
+const natural = require('natural');
+const textClassifier = require('../utils/text-classifier');
+const classifierTraining = require('../utils/classifier-training');
+const TrainingExample = require('../models/TrainingExample');
+const detectionMetrics = require('../utils/detection-metrics');
+const ClassifierTrainingRun = require('../models/ClassifierTrainingRun');
+
+const BANKS = ['paypal', 'chase', 'barclays', 'wells fargo', 'amazon', 'netflix'];
+const NAMES = ['sam', 'alex', 'jo', 'priya', 'tom', 'mia'];
+
+// Unique texts, so none are dropped as duplicates; enough for the holdout minimum
+const corpus = Array.from({ length: 150 }, (_, index) => [
+  {
+    text: `Urgent: verify your ${BANKS[index % BANKS.length]} account ${index} now or it will be suspended, log in at the secure page`,
+    label: 'phishing'
+  },
+  {
+    text: `Lunch with ${NAMES[index % NAMES.length]} moved to table ${index}, see you at the usual place after the meeting`,
+    label: 'benign'
+  }
+]).flat();
+
+const corpusFile = path.join(modelDir, 'corpus.jsonl');
+fs.writeFileSync(corpusFile, corpus.map(example => JSON.stringify(example)).join('\n'));
+
+// Kept before any test mocks train(), which run() calls with the database corpus
+const train = textClassifier.train.bind(textClassifier);
+const trainFromFile = () => train({ files: [corpusFile], useDatabase: false });
+
+// A training run as run() sees it, without the database
+const fakeRun = (t) => {
+  const run = { _id: 'run-1', status: 'running', save: async () => run };
+  t.mock.method(ClassifierTrainingRun, 'findOneAndUpdate', async () => run);
+  return run;
+};
+
+test.after(() => fs.rmSync(modelDir, { recursive: true, force: true }));
+
+test('the first trained model is promoted without a baseline to compare against', async (t) => {
+  const run = fakeRun(t);
+  t.mock.method(textClassifier, 'train', trainFromFile);
+
+  await classifierTraining.run(run._id);
+
+  assert.strictEqual(run.status, 'promoted', run.reason);
+  assert.strictEqual(run.reason, 'First trained model');
+  assert.strictEqual(run.baselineVersion, null);
+  assert.strictEqual(await textClassifier.activeVersion(), run.candidateVersion);
+});
+
+test('regressions only count drops beyond the tolerance', () => {
+  const baseline = { precision: 0.9, recall: 0.8 };
+
+  assert.deepStrictEqual(detectionMetrics.regressions({ precision: 0.895, recall: 0.85 }, baseline, 0.01), []);
+  assert.deepStrictEqual(detectionMetrics.regressions({ precision: 0.85, recall: 0.8 }, baseline, 0.01), ['precision 0.850 < 0.900']);
+});
+
+test('a retrained candidate that holds up against the served model is promoted', async (t) => {
+  const run = fakeRun(t);
+  t.mock.method(textClassifier, 'train', trainFromFile);
+  const before = await textClassifier.activeVersion();
+
+  await classifierTraining.run(run._id);
+
+  assert.strictEqual(run.status, 'promoted', run.reason);
+  assert.strictEqual(run.baselineVersion, before);
+  assert.strictEqual(await textClassifier.activeVersion(), run.candidateVersion);
+  assert.strictEqual(textClassifier.version, run.candidateVersion);
+});
+
+test('a candidate that regresses is saved but not promoted', async (t) => {
+  const run = fakeRun(t);
+  t.mock.method(textClassifier, 'train', async () => {
+    // Learned nothing but "benign", so its phishing recall collapses
+    const trained = await trainFromFile();
+    const classifier = new natural.BayesClassifier();
+    corpus.forEach(({ text }) => classifier.addDocument(textClassifier.prepare(text), 'benign'));
+    classifier.addDocument('phishing', 'phishing');
+    classifier.train();
+    return { ...trained, classifier };
+  });
+  const before = await textClassifier.activeVersion();
+
+  await classifierTraining.run(run._id);
+
+  assert.strictEqual(run.status, 'rejected');
+  assert.match(run.reason, /regressed against/);
+  assert.ok(run.candidateVersion > before);
+  assert.strictEqual(await textClassifier.activeVersion(), before);
+});
+
+test('a candidate without enough holdout examples is not compared or promoted', async (t) => {
+  const run = fakeRun(t);
+  t.mock.method(textClassifier, 'train', async () => ({ ...await trainFromFile(), holdout: [] }));
+  const before = await textClassifier.activeVersion();
+
+  await classifierTraining.run(run._id);
+
+  assert.strictEqual(run.status, 'rejected');
+  assert.match(run.reason, /holdout examples/);
+  assert.strictEqual(await textClassifier.activeVersion(), before);
+});
+
+test('feedback on new content is queued for review under the label it implies', async (t) => {
+  const threat = { _id: 'threat-1', type: 'phishing', isFalsePositive: true, detectedContent: 'Lunch moved to noon' };
+  t.mock.method(TrainingExample, 'findOne', async () => null);
+  const create = t.mock.method(TrainingExample, 'create', async fields => fields);
+
+  await classifierTraining.recordFeedback(threat, { _id: 'user-1' });
+
+  assert.deepStrictEqual(create.mock.calls[0].arguments[0], {
+    text: 'Lunch moved to noon',
+    label: 'benign',
+    source: 'feedback',
+    status: 'pending',
+    threat: 'threat-1',
+    addedBy: 'user-1'
+  });
+});
+
+test('the same verdict on a known example leaves it alone', async (t) => {
+  const existing = new TrainingExample({ text: 'Verify now', label: 'phishing', status: 'approved', source: 'import' });
+  const save = t.mock.method(existing, 'save', async () => existing);
+  t.mock.method(TrainingExample, 'findOne', async () => existing);
+
+  const threat = { _id: 'threat-2', type: 'phishing', isFalsePositive: false, detectedContent: 'Verify now' };
+  assert.strictEqual(await classifierTraining.recordFeedback(threat, { _id: 'user-1' }), existing);
+  assert.strictEqual(save.mock.callCount(), 0);
+  assert.strictEqual(existing.status, 'approved');
+});
+
+test('a different verdict on a reviewed example is kept as a proposal for a moderator', async (t) => {
+  const existing = new TrainingExample({ text: 'Verify now', label: 'phishing', status: 'approved', source: 'import' });
+  const save = t.mock.method(existing, 'save', async () => existing);
+  t.mock.method(TrainingExample, 'findOne', async () => existing);
+  const threat = { _id: new mongoose.Types.ObjectId(), type: 'phishing', isFalsePositive: true, detectedContent: 'Verify now' };
+  const user = { _id: new mongoose.Types.ObjectId() };
+
+  await classifierTraining.recordFeedback(threat, user);
+
+  assert.strictEqual(save.mock.callCount(), 1);
+  assert.strictEqual(existing.label, 'phishing');
+  assert.strictEqual(existing.status, 'approved');
+  assert.strictEqual(existing.source, 'import');
+  assert.strictEqual(existing.proposal.label, 'benign');
+  assert.strictEqual(String(existing.proposal.addedBy), String(user._id));
+
+  // Rejecting the proposal keeps the example as it was; approving relabels it
+  await existing.review({ _id: user._id }, false);
+  assert.strictEqual(existing.status, 'approved');
+  assert.strictEqual(existing.label, 'phishing');
+  assert.strictEqual(existing.proposal.label, undefined);
+
+  await classifierTraining.recordFeedback(threat, user);
+  await existing.review({ _id: user._id }, true);
+  assert.strictEqual(existing.label, 'benign');
+  assert.strictEqual(existing.status, 'approved');
+});
+
+test('the training CLI only promotes models that retraining can reproduce', () => {
+  const cli = args => spawnSync(process.execPath, ['scripts/train-classifier.js', ...args], {
+    cwd: path.join(__dirname, '..'),
+    env: { ...process.env, CLASSIFIER_MODEL_DIR: path.join(modelDir, 'cli') },
+    encoding: 'utf8',
+    timeout: 60000
+  });
+
+  const promoted = cli(['--no-db', '--file', corpusFile]);
+  assert.strictEqual(promoted.status, 1);
+  assert.match(promoted.stderr, /--no-db models cannot be promoted/);
+
+  const candidate = cli(['--no-db', '--candidate', '--file', corpusFile]);
+  assert.strictEqual(candidate.status, 0, candidate.stderr);
+  assert.match(candidate.stdout, /Saved text classifier v1 \(bayes\)\n/);
+  assert.ok(!fs.existsSync(path.join(modelDir, 'cli', 'active.json')));
+});
@@ -0,0 +1,132 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Archives from this file go to a scratch directory
+const exportDir = fs.mkdtempSync(path.join(os.tmpdir(), 'truthshield-export-'));
+process.env.DATA_EXPORT_DIR = exportDir;
+
+const mongoose = require('mongoose');
+const { createApp } = require('../app');
+const User = require('../models/User');
+const Threat = require('../models/Threat');
+const GameSession = require('../models/GameSession');
+const Family = require('../models/Family');
+const Session = require('../models/Session');
+const DataExport = require('../models/DataExport');
+const dataExportService = require('../utils/data-export');
+const jobQueue = require('../utils/job-queue');
+const { request } = require('./support/http');
+const { query, signIn } = require('./support/auth');
+
+test.after(() => fs.rmSync(exportDir, { recursive: true, force: true }));
+
+const newUser = (fields = {}) => new User({ firstName: 'Pat', lastName: 'Doe', email: 'pat@example.com', age: 40, ...fields });
+
+// Everything collect() reads for one user
+const storedData = (t, user) => {
+  t.mock.method(User, 'findById', () => query(user));
+  t.mock.method(Threat, 'find', () => query([{ user: user._id, threatType: 'phishing', detectedContent: 'Verify, "now"' }]));
+  t.mock.method(GameSession, 'find', () => query([]));
+  t.mock.method(Family, 'find', () => query([]));
+  t.mock.method(Session, 'find', () => query([new Session({ user: user._id, expiresAt: new Date() })]));
+};
+
+test('collected data leaves out credentials and one-time tokens', async (t) => {
+  const user = newUser({ resetPasswordToken: 'hash', verificationToken: 'hash' });
+  user.password = 'stored-hash';
+  user.mfa.secret = 'BASE32SECRET';
+  storedData(t, user);
+
+  const data = await dataExportService.collect(user._id);
+  const [profile] = data.profile;
+
+  assert.strictEqual(profile.email, 'pat@example.com');
+  ['password', 'resetPasswordToken', 'verificationToken'].forEach(field => assert.strictEqual(profile[field], undefined));
+  assert.strictEqual(profile.mfa.secret, undefined);
+  assert.strictEqual(data.threats.length, 1);
+  assert.strictEqual(data.sessions.length, 1);
+  assert.deepStrictEqual(data.family_membership, []);
+});
+
+test('a queued export is built into a zip archive and marked completed', async (t) => {
+  const user = newUser();
+  storedData(t, user);
+  const dataExport = new DataExport({ user: user._id, requestedBy: user._id });
+  t.mock.method(DataExport, 'findOneAndUpdate', async () => dataExport);
+  t.mock.method(dataExport, 'save', async () => dataExport);
+
+  await dataExportService.run(dataExport._id);
+
+  assert.strictEqual(dataExport.status, 'completed');
+  assert.strictEqual(path.dirname(dataExport.filePath), exportDir);
+  assert.strictEqual(fs.readFileSync(dataExport.filePath).subarray(0, 2).toString(), 'PK');
+  assert.strictEqual(dataExport.fileSize, fs.statSync(dataExport.filePath).size);
+  assert.strictEqual(dataExport.recordCounts.get('threats'), 1);
+  assert.ok(dataExport.isDownloadable());
+});
+
+test('an export that cannot be built is marked failed', async (t) => {
+  const dataExport = new DataExport({ user: new mongoose.Types.ObjectId(), requestedBy: new mongoose.Types.ObjectId() });
+  t.mock.method(DataExport, 'findOneAndUpdate', async () => dataExport);
+  t.mock.method(dataExport, 'save', async () => dataExport);
+  t.mock.method(User, 'findById', () => query(null));
+  t.mock.method(console, 'error', () => {});
+
+  await dataExportService.run(dataExport._id);
+
+  assert.strictEqual(dataExport.status, 'failed');
+});
+
+test('only one export per user runs at a time', async (t) => {
+  const user = newUser();
+  const running = new DataExport({ user: user._id, requestedBy: user._id, status: 'processing' });
+  // Nothing has expired; the second request finds the first still running
+  let active = [];
+  t.mock.method(DataExport, 'find', filter => query(filter.status === 'completed' ? [] : active));
+  const create = t.mock.method(DataExport, 'create', async doc => new DataExport(doc));
+  const enqueue = t.mock.method(jobQueue, 'enqueue', () => {});
+
+  const started = await dataExportService.request(user, user);
+  active = [running];
+  const again = await dataExportService.request(user, user);
+
+  assert.strictEqual(started.alreadyRunning, false);
+  assert.strictEqual(enqueue.mock.calls[0].arguments[1], started.export._id);
+  assert.strictEqual(again.alreadyRunning, true);
+  assert.strictEqual(again.export, running);
+  assert.strictEqual(create.mock.callCount(), 1);
+});
+
+test('expired archives are deleted from disk', async (t) => {
+  const filePath = path.join(exportDir, 'expired.zip');
+  fs.writeFileSync(filePath, 'PK');
+  const expired = new DataExport({ user: newUser()._id, requestedBy: newUser()._id, status: 'completed', filePath });
+  t.mock.method(DataExport, 'find', () => query([expired]));
+  t.mock.method(expired, 'save', async () => expired);
+
+  await dataExportService.cleanupExpired();
+
+  assert.strictEqual(fs.existsSync(filePath), false);
+  assert.strictEqual(expired.status, 'expired');
+});
+
+test('exports are only visible to their subject and requester', async (t) => {
+  const app = createApp();
+  const subject = newUser();
+  const dataExport = new DataExport({ user: subject._id, requestedBy: subject._id, status: 'queued' });
+  t.mock.method(DataExport, 'findById', () => query(dataExport));
+
+  const stranger = signIn(t, newUser());
+  const hidden = await request(app, 'GET', `/api/v1/auth/export/${dataExport._id}/download`, { headers: stranger });
+  assert.strictEqual(hidden.status, 404);
+
+  t.mock.restoreAll();
+  t.mock.method(DataExport, 'findById', () => query(dataExport));
+  const owner = signIn(t, subject);
+  const pending = await request(app, 'GET', `/api/v1/auth/export/${dataExport._id}/download`, { headers: owner });
+  assert.strictEqual(pending.status, 409);
+  assert.strictEqual(pending.body.errorCode, 'EXPORT_NOT_READY');
+});
@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const detectionMetrics = require('../utils/detection-metrics');
+
+test('evaluate reports per-label and macro-averaged scores with a confusion matrix', () => {
+  const metrics = detectionMetrics.evaluate([
+    { expected: 'phishing', predicted: 'phishing' },
+    { expected: 'phishing', predicted: 'benign' },
+    { expected: 'benign', predicted: 'benign' },
+    { expected: 'benign', predicted: 'phishing' }
+  ]);
+
+  assert.strictEqual(metrics.examples, 4);
+  assert.strictEqual(metrics.accuracy, 0.5);
+  assert.deepStrictEqual(metrics.perLabel.phishing, { precision: 0.5, recall: 0.5, f1: 0.5, support: 2 });
+  assert.deepStrictEqual(metrics.confusion, { benign: { benign: 1, phishing: 1 }, phishing: { benign: 1, phishing: 1 } });
+  assert.strictEqual(metrics.precision, 0.5);
+});
+
+test('labels that never occur in the sample stay out of the macro averages', () => {
+  const metrics = detectionMetrics.evaluate([
+    { expected: 'phishing', predicted: 'phishing' },
+    { expected: 'benign', predicted: 'benign' }
+  ], ['benign', 'malware', 'phishing']);
+
+  assert.strictEqual(metrics.perLabel.malware.support, 0);
+  assert.strictEqual(metrics.recall, 1);
+});
+
+test('calibration compares each bin\'s mean confidence with how often it was right', () => {
+  const { curve, expectedCalibrationError } = detectionMetrics.calibration([
+    { confidence: 0.9, positive: true },
+    { confidence: 0.9, positive: false },
+    { confidence: 0.1, positive: false },
+    { confidence: 1, positive: true }
+  ], 2);
+
+  assert.deepStrictEqual(curve.map(bin => bin.count), [1, 3]);
+  assert.strictEqual(curve[0].observedRate, 0);
+  assert.ok(Math.abs(curve[1].meanConfidence - 2.8 / 3) < 1e-9);
+  // 1/4 * |0.1 - 0| + 3/4 * |0.9333 - 0.6667|
+  assert.ok(Math.abs(expectedCalibrationError - 0.225) < 1e-9);
+});
+
+test('percentiles use the nearest rank', () => {
+  const values = Array.from({ length: 10 }, (_, index) => index + 1);
+
+  assert.deepStrictEqual(detectionMetrics.percentiles(values, [50, 90]), { p50: 5, p90: 9, max: 10, mean: 5.5 });
+  assert.deepStrictEqual(detectionMetrics.percentiles([], [50]), { p50: null, max: null, mean: null });
+});
+
+test('the evaluation script scores two variants on a dataset and writes the report', (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'truthshield-evaluation-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const dataset = path.join(dir, 'labeled.jsonl');
+  const out = path.join(dir, 'report.json');
+  fs.writeFileSync(dataset, [
+    { text: 'Urgent action required: verify your account, click here before your password expires', label: 'phishing' },
+    { text: 'See you at practice on Thursday', label: 'benign' }
+  ].map(example => JSON.stringify(example)).join('\n'));
+
+  const result = spawnSync(process.execPath, [
+    'scripts/evaluate-detection.js', '--dataset', dataset, '--no-db', '--out', out,
+    '--variant', 'model=none', '--variant', 'model=none,threshold=0.2,fusion=max'
+  ], { cwd: path.join(__dirname, '..'), encoding: 'utf8', timeout: 60000 });
+
+  assert.strictEqual(result.status, 0, result.stderr);
+  const report = JSON.parse(fs.readFileSync(out, 'utf8'));
+  assert.strictEqual(report.examples, 2);
+  assert.deepStrictEqual(report.variants.map(variant => variant.settings.threshold), [0.7, 0.2]);
+  assert.deepStrictEqual(report.variants.map(variant => variant.settings.fusionStrategy), ['union', 'max']);
+  assert.ok(report.variants.every(variant => variant.metrics.examples === 2));
+});
+
@@ -0,0 +1,123 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fusionStrategies = require('../utils/detectors/fusion');
+const aiDetectionEngine = require('../utils/ai-detection');
+
+const finding = (type, confidence, extra = {}) => ({ type, confidence, indicators: [], ...extra });
+
+const results = [
+  {
+    detector: { name: 'rules', weight: 1 },
+    findings: [
+      finding('phishing', 0.6, { severity: 'medium', evidence: [{ start: 0, end: 6, reason: 'first' }] }),
+      finding('malware', 0.4)
+    ]
+  },
+  {
+    detector: { name: 'classifier', weight: 0.5 },
+    findings: [finding('phishing', 0.8, { severity: 'high', evidence: [{ start: 0, end: 6, reason: 'second' }] })]
+  },
+  { detector: { name: 'url', weight: 1 }, findings: [] }
+];
+
+const byType = threats => Object.fromEntries(threats.map(threat => [threat.type, threat]));
+
+test('union keeps every finding as its own threat', () => {
+  const threats = fusionStrategies.union(results);
+
+  assert.strictEqual(threats.length, 3);
+  assert.deepStrictEqual(threats.map(threat => threat.detectors), [['rules'], ['rules'], ['classifier']]);
+});
+
+test('max merges each type at its most confident finding', () => {
+  const { phishing, malware } = byType(fusionStrategies.max(results));
+
+  assert.strictEqual(phishing.confidence, 0.8);
+  assert.strictEqual(phishing.severity, 'high');
+  assert.deepStrictEqual(phishing.detectors, ['rules', 'classifier']);
+  // One evidence span per location, first reason kept
+  assert.deepStrictEqual(phishing.evidence, [{ start: 0, end: 6, reason: 'first' }]);
+  assert.strictEqual(malware.confidence, 0.4);
+});
+
+test('noisy_or lets weighted detectors reinforce each other', () => {
+  const { phishing } = byType(fusionStrategies.noisy_or(results));
+
+  // 1 - (1 - 0.6) * (1 - 0.5 * 0.8)
+  assert.ok(Math.abs(phishing.confidence - 0.76) < 1e-9);
+});
+
+test('weighted averages over every detector that ran, silent ones included', () => {
+  const { phishing, malware } = byType(fusionStrategies.weighted(results));
+
+  assert.ok(Math.abs(phishing.confidence - (0.6 + 0.4) / 2.5) < 1e-9);
+  assert.ok(Math.abs(malware.confidence - 0.4 / 2.5) < 1e-9);
+});
+
+test('detectors that fail or overrun their budget are reported and left out of the threats', async (t) => {
+  aiDetectionEngine.registerDetector({
+    name: 'test-broken',
+    async analyze() { throw new Error('model file missing'); }
+  });
+  aiDetectionEngine.registerDetector({
+    name: 'test-slow',
+    timeoutMs: 50,
+    analyze: () => new Promise(resolve => setTimeout(() => resolve([finding('malware', 1)]), 500))
+  });
+  t.after(() => {
+    aiDetectionEngine.unregisterDetector('test-broken');
+    aiDetectionEngine.unregisterDetector('test-slow');
+  });
+  t.mock.method(console, 'error', () => {});
+
+  const analysis = await aiDetectionEngine.analyzeContent('Please verify your account');
+  const status = Object.fromEntries(analysis.detectors.map(detector => [detector.name, detector.status]));
+
+  assert.deepStrictEqual(status, { rules: 'ok', url: 'ok', classifier: 'ok', 'test-broken': 'error', 'test-slow': 'timeout' });
+  assert.ok(!analysis.threats.some(threat => threat.type === 'malware'));
+});
+
+test('detectors need a unique name and an analyze function', () => {
+  assert.throws(() => aiDetectionEngine.registerDetector({ analyze: async () => [] }), /needs a name/);
+  assert.throws(() => aiDetectionEngine.registerDetector({ name: 'test-empty' }), /needs an analyze\(\) function/);
+  assert.throws(() => aiDetectionEngine.registerDetector({ name: 'rules', analyze: async () => [] }), /already registered/);
+});
+
+test('company settings switch detectors on and off after the defaults', () => {
+  const enabled = aiDetectionEngine.enabledDetectorNames({ detection: { disabledDetectors: ['classifier'] } });
+
+  assert.deepStrictEqual([...enabled].sort(), ['rules', 'url']);
+  assert.deepStrictEqual([...aiDetectionEngine.enabledDetectorNames()].sort(), ['classifier', 'rules', 'url']);
+});
+
+test('a detector stuck in synchronous work is stopped at its time budget', async (t) => {
+  aiDetectionEngine.registerDetector({
+    name: 'test-backtracking',
+    timeoutMs: 200,
+    async analyze() {
+      /(x+x+)+y/.test('x'.repeat(40));
+      return [];
+    }
+  });
+  t.after(() => aiDetectionEngine.unregisterDetector('test-backtracking'));
+
+  const startedAt = Date.now();
+  const analysis = await aiDetectionEngine.analyzeContent('Please verify your account');
+  const stuck = analysis.detectors.find(detector => detector.name === 'test-backtracking');
+
+  assert.strictEqual(stuck.status, 'timeout');
+  assert.ok(Date.now() - startedAt < 2000);
+  assert.ok(analysis.detectors.filter(detector => detector !== stuck).every(detector => detector.status === 'ok'));
+});
+
+test('company detection settings come only from the trusted argument', async () => {
+  const disableRules = { detection: { disabledDetectors: ['rules'], fusionStrategy: 'max' } };
+
+  const fromContext = await aiDetectionEngine.analyzeContent('Please verify your account', { company: disableRules });
+  assert.ok(fromContext.detectors.some(detector => detector.name === 'rules'));
+  assert.strictEqual(fromContext.fusionStrategy, 'union');
+
+  const trusted = await aiDetectionEngine.analyzeContent('Please verify your account', {}, { company: disableRules });
+  assert.ok(!trusted.detectors.some(detector => detector.name === 'rules'));
+  assert.strictEqual(trusted.fusionStrategy, 'max');
+});
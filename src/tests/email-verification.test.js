@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createApp } = require('../app');
+const User = require('../models/User');
+const encryptionUtils = require('../utils/encryption');
+const mailer = require('../utils/mailer');
+const constants = require('../config/constants');
+const { requireVerified } = require('../middleware/auth');
+const { request } = require('./support/http');
+const { signIn } = require('./support/auth');
+
+const app = createApp();
+
+const outbox = [];
+mailer.setTransport({
+  async send(message) {
+    outbox.push(message);
+    return { id: String(outbox.length) };
+  }
+});
+
+const storedUser = (t, fields = {}) => {
+  const user = new User({ firstName: 'Pat', lastName: 'Doe', email: 'pat@example.com', age: 40, ...fields });
+  t.mock.method(user, 'save', async () => user);
+  return user;
+};
+
+test('a valid link verifies the account and is spent', async (t) => {
+  const user = storedUser(t, {
+    verificationToken: encryptionUtils.hashData('abc123'),
+    verificationExpires: new Date(Date.now() + 60000)
+  });
+  const findOne = t.mock.method(User, 'findOne', async () => user);
+
+  const { status, body } = await request(app, 'GET', '/api/v1/auth/verify/abc123');
+
+  assert.strictEqual(status, 200);
+  assert.strictEqual(body.data.isVerified, true);
+  assert.strictEqual(findOne.mock.calls[0].arguments[0].verificationToken, encryptionUtils.hashData('abc123'));
+  assert.strictEqual(user.isVerified, true);
+  assert.strictEqual(user.verificationToken, undefined);
+});
+
+test('an unknown or expired link is refused', async (t) => {
+  t.mock.method(User, 'findOne', async () => null);
+
+  const { status, body } = await request(app, 'GET', '/api/v1/auth/verify/abc123');
+
+  assert.strictEqual(status, 400);
+  assert.strictEqual(body.errorCode, 'INVALID_VERIFICATION_TOKEN');
+});
+
+test('resend mails a fresh link and then enforces the cooldown', async (t) => {
+  const user = storedUser(t);
+  const headers = signIn(t, user);
+  outbox.length = 0;
+
+  const first = await request(app, 'POST', '/api/v1/auth/verify/resend', { headers });
+  const token = outbox[0].text.match(/verify-email\/([0-9a-f]+)/)[1];
+  const second = await request(app, 'POST', '/api/v1/auth/verify/resend', { headers });
+
+  assert.strictEqual(first.status, 200);
+  assert.strictEqual(user.verificationToken, encryptionUtils.hashData(token));
+  assert.strictEqual(second.status, 429);
+  assert.strictEqual(second.body.errorCode, constants.ERROR_CODES.RATE_LIMITED);
+  assert.ok(Number(second.headers.get('retry-after')) > 0);
+  assert.strictEqual(outbox.length, 1);
+});
+
+test('resend is refused once the address is verified', async (t) => {
+  const headers = signIn(t, storedUser(t, { isVerified: true }));
+
+  const { status, body } = await request(app, 'POST', '/api/v1/auth/verify/resend', { headers });
+
+  assert.strictEqual(status, 400);
+  assert.strictEqual(body.errorCode, 'ALREADY_VERIFIED');
+});
+
+test('gated features need a verified email while others stay open', async () => {
+  const run = (feature, isVerified) => {
+    let result;
+    const res = {
+      status(code) { result = code; return this; },
+      json(payload) { this.payload = payload; return this; }
+    };
+    requireVerified(feature)({ user: { isVerified } }, res, () => { result = 'next'; });
+    return { result, errorCode: res.payload && res.payload.errorCode };
+  };
+
+  assert.deepStrictEqual(run('family', false), { result: 403, errorCode: 'EMAIL_NOT_VERIFIED' });
+  assert.strictEqual(run('family', true).result, 'next');
+  assert.strictEqual(run('games', false).result, 'next');
+});
+
+test('unverified users are kept out of family routes', async (t) => {
+  const headers = signIn(t, storedUser(t));
+
+  const { status, body } = await request(app, 'GET', '/api/v1/family/dashboard', { headers });
+
+  assert.strictEqual(status, 403);
+  assert.strictEqual(body.errorCode, 'EMAIL_NOT_VERIFIED');
+});
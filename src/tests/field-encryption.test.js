@@ -0,0 +1,141 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const fieldEncryption = require('../utils/field-encryption');
+const encryptionUtils = require('../utils/encryption');
+const auditLog = require('../utils/audit-log');
+
+// No database here: with bufferCommands off a query fails right after its pre hooks,
+// which is where filters and updates are rewritten
+const contactSchema = new mongoose.Schema({
+  email: String,
+  emailHash: String,
+  phone: String,
+  notes: String,
+  contacts: [{ name: String, relationship: String }]
+}, { bufferCommands: false });
+contactSchema.plugin(fieldEncryption, {
+  fields: ['email', 'phone', 'contacts.name'],
+  blindIndexes: { email: 'emailHash' }
+});
+const Contact = mongoose.model('FieldEncryptionTestContact', contactSchema);
+
+// Filter and update of a query after the plugin has rewritten them
+const rewritten = async (query) => {
+  await query.exec().catch(error => {
+    if (!/before initial connection/.test(error.message)) throw error;
+  });
+  return { filter: query.getFilter(), update: query.getUpdate() };
+};
+
+test('equality filters on a blind-indexed field are rewritten to its hash', async () => {
+  const hash = encryptionUtils.blindIndex('parent@example.com');
+
+  assert.deepStrictEqual((await rewritten(Contact.find({ email: 'parent@example.com' }))).filter, { emailHash: hash });
+  assert.deepStrictEqual((await rewritten(Contact.findOne({ email: { $eq: 'parent@example.com' } }))).filter, { emailHash: hash });
+  assert.deepStrictEqual(
+    (await rewritten(Contact.find({ email: { $in: ['parent@example.com', 'other@example.com'] } }))).filter,
+    { emailHash: { $in: [hash, encryptionUtils.blindIndex('other@example.com')] } }
+  );
+});
+
+test('blind-index rewriting reaches into $or and leaves other fields alone', async () => {
+  const { filter } = await rewritten(Contact.find({ $or: [{ email: 'parent@example.com' }, { notes: 'x' }], phone: { $exists: true } }));
+
+  assert.deepStrictEqual(filter, {
+    $or: [{ emailHash: encryptionUtils.blindIndex('parent@example.com') }, { notes: 'x' }],
+    phone: { $exists: true }
+  });
+});
+
+test('filters an encrypted field cannot answer are rejected', async () => {
+  const message = /is encrypted and can only be matched by exact value/;
+
+  await assert.rejects(Contact.find({ phone: '555-0100' }).exec(), message);
+  await assert.rejects(Contact.find({ email: /parent/ }).exec(), message);
+  await assert.rejects(Contact.find({ email: { $ne: 'parent@example.com' } }).exec(), message);
+});
+
+test('update queries encrypt written values and refresh the blind index', async () => {
+  const { update } = await rewritten(Contact.updateOne({ notes: 'x' }, { $set: { email: 'new@example.com', phone: '555-0100' } }));
+  const { $set } = update;
+
+  assert.match($set.email, /^enc:/);
+  assert.match($set.phone, /^enc:/);
+  assert.strictEqual(encryptionUtils.decryptField($set.email), 'new@example.com');
+  assert.strictEqual($set.emailHash, encryptionUtils.blindIndex('new@example.com'));
+});
+
+test('decryptRaw decrypts aggregation output, including fields inside arrays', () => {
+  const row = Contact.decryptRaw({
+    email: encryptionUtils.encryptField('parent@example.com'),
+    notes: 'plain',
+    contacts: [{ name: encryptionUtils.encryptField('Ann'), relationship: 'aunt' }]
+  });
+
+  assert.deepStrictEqual(row, {
+    email: 'parent@example.com',
+    notes: 'plain',
+    contacts: [{ name: 'Ann', relationship: 'aunt' }]
+  });
+  assert.deepStrictEqual(Contact.encryptedFields, ['email', 'phone', 'contacts.name']);
+});
+
+test('values written under a retired key still decrypt and are re-encrypted under the current one', (t) => {
+  const v1 = encryptionUtils.generateKey();
+  const v2 = encryptionUtils.generateKey();
+  const blindIndexKey = encryptionUtils.generateKey();
+  t.after(() => encryptionUtils.loadKeys());
+
+  encryptionUtils.loadKeys({ ENCRYPTION_KEYS: `v1:${v1}`, BLIND_INDEX_KEY: blindIndexKey });
+  const old = encryptionUtils.encryptField('555-0100');
+  assert.match(old, /^enc:v1:/);
+
+  encryptionUtils.loadKeys({ ENCRYPTION_KEYS: `v1:${v1},v2:${v2}`, BLIND_INDEX_KEY: blindIndexKey });
+  assert.strictEqual(encryptionUtils.decryptField(old), '555-0100');
+  assert.strictEqual(encryptionUtils.needsReencryption(old), true);
+
+  const rotated = encryptionUtils.reencryptField(old);
+  assert.match(rotated, /^enc:v2:/);
+  assert.strictEqual(encryptionUtils.decryptField(rotated), '555-0100');
+  assert.strictEqual(encryptionUtils.needsReencryption(rotated), false);
+  assert.strictEqual(encryptionUtils.needsReencryption('plain text'), true);
+});
+
+test('only development and test runs may fall back to the built-in key', () => {
+  const message = /ENCRYPTION_KEYS and BLIND_INDEX_KEY must be set unless NODE_ENV is development or test/;
+  assert.throws(() => encryptionUtils.loadKeys({ NODE_ENV: 'production' }), message);
+  assert.throws(() => encryptionUtils.loadKeys({ NODE_ENV: 'staging' }), message);
+  assert.throws(() => encryptionUtils.loadKeys({}), message);
+  // The error says how to make keys, since it is what a first production start shows
+  assert.throws(() => encryptionUtils.loadKeys({}), /randomBytes\(32\)\.toString\('hex'\).*ENCRYPTION_KEYS=v1:<key>/);
+  assert.throws(
+    () => encryptionUtils.loadKeys({ ENCRYPTION_KEYS: 'v1:short', BLIND_INDEX_KEY: encryptionUtils.generateKey() }),
+    /must be 32 bytes of hex/
+  );
+  encryptionUtils.loadKeys();
+});
+
+test('audit redaction swaps encrypted fields for a keyed hash', () => {
+  const redacted = auditLog.redact(
+    { email: 'parent@example.com', notes: 'kept', contacts: [{ name: 'Ann', relationship: 'aunt' }] },
+    Contact.encryptedFields
+  );
+
+  assert.strictEqual(redacted.email, `hmac:${encryptionUtils.blindIndex('parent@example.com').slice(0, 16)}`);
+  assert.strictEqual(redacted.notes, 'kept');
+  assert.match(redacted.contacts[0].name, /^hmac:[0-9a-f]{16}$/);
+  assert.strictEqual(redacted.contacts[0].relationship, 'aunt');
+});
+
+test('redaction of a nested snapshot only applies the fields under its prefix', () => {
+  const redacted = auditLog.redact(
+    { emergencyContacts: [{ name: 'Ann', phone: '555-0100' }], maxDailyTime: 60 },
+    ['email', 'familySettings.emergencyContacts.name'],
+    'familySettings'
+  );
+
+  assert.match(redacted.emergencyContacts[0].name, /^hmac:/);
+  assert.strictEqual(redacted.emergencyContacts[0].phone, '555-0100');
+  assert.strictEqual(redacted.maxDailyTime, 60);
+});
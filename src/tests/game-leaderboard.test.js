@@ -0,0 +1,24 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const GameSession = require('../models/GameSession');
+// Registers the User model, which decrypts the player names
+require('../models/User');
+const encryptionUtils = require('../utils/encryption');
+
+test('game leaderboards only expose public profile fields of each player', async (t) => {
+  const aggregate = t.mock.method(GameSession, 'aggregate', async () => [{
+    bestScore: 90,
+    user: { firstName: encryptionUtils.encryptField('Sam'), lastName: encryptionUtils.encryptField('Lee'), level: 3 }
+  }]);
+
+  const [entry] = await GameSession.getGameLeaderboard('phishing_detective', 5);
+
+  // Names come back from the aggregation encrypted and are decrypted for display
+  assert.deepStrictEqual([entry.user.firstName, entry.user.lastName], ['Sam', 'Lee']);
+
+  const pipeline = aggregate.mock.calls[0].arguments[0];
+  const { $project: projection } = pipeline.find(stage => stage.$project);
+  assert.deepStrictEqual(Object.keys(projection.user).sort(), ['_id', 'firstName', 'lastName', 'level', 'securityScore']);
+  assert.ok(!('email' in projection.user));
+  assert.deepStrictEqual(pipeline.find(stage => stage.$limit), { $limit: 5 });
+});
@@ -0,0 +1,148 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createApp } = require('../app');
+const User = require('../models/User');
+const Company = require('../models/Company');
+const LoginThrottle = require('../models/LoginThrottle');
+const loginGuard = require('../utils/login-guard');
+const mailer = require('../utils/mailer');
+const ssoService = require('../utils/sso-service');
+const constants = require('../config/constants');
+const { request } = require('./support/http');
+const { query } = require('./support/auth');
+
+const policy = { ...constants.LOGIN_LOCKOUT, maxAttempts: 3, backoffBaseSeconds: 0 };
+const newUser = (fields = {}) => new User({ firstName: 'Pat', lastName: 'Doe', email: 'pat@example.com', age: 40, ...fields });
+
+// Keep LoginThrottle counters in memory, applying the same $inc/$set updates
+const memoryThrottle = (t) => {
+  const rows = new Map();
+  const find = filter => [...rows.values()].find(row =>
+    (filter.key && row.key === filter.key) || (filter._id && row._id === filter._id)
+  );
+
+  t.mock.method(LoginThrottle, 'findOne', async filter => find(filter) || null);
+  t.mock.method(LoginThrottle, 'deleteOne', async ({ key }) => rows.delete(key));
+  t.mock.method(LoginThrottle, 'findOneAndUpdate', async (filter, update) => {
+    let row = find(filter);
+    if (!row && filter._id) return null;
+    if (row && filter.$or && row.lockedUntil && row.lockedUntil > new Date()) return null;
+    if (!row) {
+      row = { _id: filter.key, key: filter.key, failures: 0, lockCount: 0 };
+      rows.set(filter.key, row);
+    }
+    Object.entries(update.$inc || {}).forEach(([field, by]) => { row[field] += by; });
+    Object.assign(row, update.$set);
+    return row;
+  });
+  return rows;
+};
+
+test('the wait doubles after each failure and is capped by the lockout length', () => {
+  const backoff = { ...constants.LOGIN_LOCKOUT, backoffBaseSeconds: 1, lockoutMinutes: 1 };
+  const justFailed = failures => ({ failures, lastFailureAt: new Date() });
+
+  assert.strictEqual(loginGuard.retryAfter(null, backoff), 0);
+  assert.strictEqual(loginGuard.retryAfter(justFailed(1), backoff), 1);
+  assert.strictEqual(loginGuard.retryAfter(justFailed(3), backoff), 4);
+  assert.strictEqual(loginGuard.retryAfter(justFailed(20), backoff), 60);
+});
+
+test('the account locks on the failure that reaches maxAttempts and mails once', async (t) => {
+  memoryThrottle(t);
+  const sent = t.mock.method(mailer, 'sendAccountLocked', async () => ({}));
+  const user = newUser();
+
+  const results = [];
+  for (let attempt = 0; attempt < 3; attempt++) {
+    results.push(await loginGuard.recordFailure(user, '10.9.0.1', policy));
+  }
+  const check = await loginGuard.checkAccount(user, policy);
+
+  assert.deepStrictEqual(results.map(result => result.locked), [false, false, true]);
+  assert.strictEqual(check.locked, true);
+  assert.ok(check.retryAfter > policy.lockoutMinutes * 60 - 5);
+  assert.strictEqual(sent.mock.callCount(), 1);
+
+  await loginGuard.recordFailure(user, '10.9.0.1', policy);
+  assert.strictEqual(sent.mock.callCount(), 1);
+});
+
+test('a locked child account also notifies the parent', async (t) => {
+  memoryThrottle(t);
+  const parent = newUser({ email: 'parent@example.com' });
+  const child = newUser({ age: 12, family: { parent: parent._id } });
+  t.mock.method(User, 'findById', () => query(parent));
+  t.mock.method(mailer, 'sendAccountLocked', async () => ({}));
+  const parentMail = t.mock.method(mailer, 'sendChildAccountLocked', async () => ({}));
+
+  for (let attempt = 0; attempt < 3; attempt++) {
+    await loginGuard.recordFailure(child, '10.9.0.2', policy);
+  }
+
+  assert.strictEqual(parentMail.mock.calls[0].arguments[0], parent);
+  assert.strictEqual(parentMail.mock.calls[0].arguments[1], child);
+});
+
+test('a successful login clears the account counter', async (t) => {
+  const rows = memoryThrottle(t);
+  const user = newUser();
+
+  await loginGuard.recordFailure(user, '10.9.0.3', policy);
+  await loginGuard.recordSuccess(user);
+
+  assert.deepStrictEqual([...rows.keys()], ['ip:10.9.0.3']);
+});
+
+test('company overrides replace the platform defaults field by field', async (t) => {
+  const employee = newUser({ persona: 'enterprise', enterprise: { company: 'Acme' } });
+  t.mock.method(Company, 'findForUser', async () => ({ security: { lockout: { maxAttempts: 10 } } }));
+
+  const effective = await loginGuard.policyFor(employee);
+
+  assert.strictEqual(effective.maxAttempts, 10);
+  assert.strictEqual(effective.lockoutMinutes, constants.LOGIN_LOCKOUT.lockoutMinutes);
+  assert.deepStrictEqual(await loginGuard.policyFor(newUser()), constants.LOGIN_LOCKOUT);
+});
+
+test('login answers 429 during backoff and 423 while the account is locked', async (t) => {
+  memoryThrottle(t);
+  const app = createApp({ trustProxy: true });
+  const user = newUser();
+  t.mock.method(user, 'correctPassword', async () => false);
+  t.mock.method(User, 'findOne', () => query(user));
+  t.mock.method(mailer, 'sendAccountLocked', async () => ({}));
+  t.mock.method(ssoService, 'passwordLoginBlockedFor', async () => null);
+  const login = () => request(app, 'POST', '/api/v1/auth/login', {
+    body: { email: 'pat@example.com', password: 'wrong-password' },
+    ip: '10.9.1.1'
+  });
+
+  const first = await login();
+  const second = await login();
+
+  assert.strictEqual(first.status, 401);
+  assert.strictEqual(second.status, 429);
+  assert.strictEqual(second.body.errorCode, 'LOGIN_THROTTLED');
+  assert.ok(Number(second.headers.get('retry-after')) >= 1);
+
+  LoginThrottle.findOne.mock.mockImplementation(async ({ key }) => (
+    key.startsWith('account:') ? { failures: 0, lockedUntil: new Date(Date.now() + 60000) } : null
+  ));
+  const locked = await login();
+
+  assert.strictEqual(locked.status, 423);
+  assert.strictEqual(locked.body.errorCode, 'ACCOUNT_LOCKED');
+});
+
+test('an address with too many failures across accounts is blocked', async (t) => {
+  t.mock.method(LoginThrottle, 'findOne', async () => ({
+    failures: constants.LOGIN_LOCKOUT.ipMaxAttempts,
+    expiresAt: new Date(Date.now() + 60000)
+  }));
+
+  const { blocked, retryAfter } = await loginGuard.checkIp('10.9.2.1');
+
+  assert.strictEqual(blocked, true);
+  assert.ok(retryAfter > 0);
+});
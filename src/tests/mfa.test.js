@@ -0,0 +1,121 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createApp } = require('../app');
+const User = require('../models/User');
+const Family = require('../models/Family');
+const RefreshToken = require('../models/RefreshToken');
+const Session = require('../models/Session');
+const LoginThrottle = require('../models/LoginThrottle');
+const totp = require('../utils/totp');
+const mfaService = require('../utils/mfa-service');
+const tokenService = require('../utils/token-service');
+const ssoService = require('../utils/sso-service');
+const { request } = require('./support/http');
+const { query } = require('./support/auth');
+
+const app = createApp({ trustProxy: true });
+let clients = 0;
+const send = (method, path, body) => request(app, method, path, { body, ip: `10.6.0.${++clients}` });
+
+const codeAt = (secret, offset = 0) => totp.generateCode(secret, totp.currentStep() + offset);
+
+// No earlier failed sign-ins; new failures stay below the lockout threshold
+const noThrottle = (t) => {
+  t.mock.method(LoginThrottle, 'findOne', async () => null);
+  t.mock.method(LoginThrottle, 'findOneAndUpdate', async () => ({ failures: 1 }));
+  t.mock.method(LoginThrottle, 'deleteOne', async () => ({}));
+  t.mock.method(ssoService, 'passwordLoginBlockedFor', async () => null);
+};
+
+const enrolledUser = (t) => {
+  const user = new User({ firstName: 'Pat', lastName: 'Doe', email: 'pat@example.com', age: 40 });
+  const { secret } = mfaService.beginEnrollment(user);
+  const recoveryCodes = mfaService.completeEnrollment(user, codeAt(secret, -1));
+  t.mock.method(user, 'save', async () => user);
+  t.mock.method(user, 'correctPassword', async candidate => candidate === 'Passw0rd!');
+  return { user, secret, recoveryCodes };
+};
+
+test('enrollment only activates once a current code is confirmed', () => {
+  const user = new User({ firstName: 'Pat', lastName: 'Doe', email: 'pat@example.com', age: 40 });
+  const { secret, otpauthUrl } = mfaService.beginEnrollment(user);
+
+  assert.match(otpauthUrl, /^otpauth:\/\/totp\//);
+  assert.strictEqual(mfaService.completeEnrollment(user, codeAt(secret, 5)), null);
+  assert.strictEqual(user.mfa.enabled, false);
+
+  const codes = mfaService.completeEnrollment(user, codeAt(secret));
+  assert.strictEqual(user.mfa.enabled, true);
+  assert.strictEqual(user.mfa.secret, secret);
+  assert.strictEqual(user.mfa.pendingSecret, undefined);
+  assert.strictEqual(codes.length, user.mfa.recoveryCodes.length);
+  assert.ok(user.mfa.recoveryCodes.every(rc => !codes.includes(rc.codeHash)));
+});
+
+test('a TOTP step cannot be replayed', (t) => {
+  const { user, secret } = enrolledUser(t);
+  const code = codeAt(secret);
+
+  assert.strictEqual(mfaService.verifySecondFactor(user, { code }), 'totp');
+  assert.strictEqual(mfaService.verifySecondFactor(user, { code }), null);
+});
+
+test('TOTP seeds are encrypted at rest like other personal data', () => {
+  assert.ok(User.encryptedFields.includes('mfa.secret'));
+  assert.ok(User.encryptedFields.includes('mfa.pendingSecret'));
+});
+
+test('recovery codes are single-use and case-insensitive', (t) => {
+  const { user, recoveryCodes } = enrolledUser(t);
+  const remaining = mfaService.remainingRecoveryCodes(user);
+
+  assert.strictEqual(mfaService.verifySecondFactor(user, { recoveryCode: ` ${recoveryCodes[0].toUpperCase()} ` }), 'recovery_code');
+  assert.strictEqual(mfaService.verifySecondFactor(user, { recoveryCode: recoveryCodes[0] }), null);
+  assert.strictEqual(mfaService.remainingRecoveryCodes(user), remaining - 1);
+});
+
+test('a parent whose family requires MFA must enroll first', async (t) => {
+  const user = new User({ firstName: 'Pat', lastName: 'Doe', email: 'pat@example.com', age: 40, family: { isParent: true } });
+  t.mock.method(Family, 'findOne', () => query({ familySettings: { requireMfa: true } }));
+
+  assert.strictEqual(await mfaService.isMfaRequired(user), true);
+  user.family.isParent = false;
+  assert.strictEqual(await mfaService.isMfaRequired(user), false);
+});
+
+test('login with MFA enabled hands out a challenge instead of a session', async (t) => {
+  const { user, secret } = enrolledUser(t);
+  t.mock.method(User, 'findOne', () => query(user));
+  t.mock.method(User, 'findById', () => query(user));
+  const create = t.mock.method(RefreshToken, 'create', async doc => doc);
+  t.mock.method(Session, 'create', async doc => new Session(doc));
+  noThrottle(t);
+
+  const login = await send('POST', '/api/v1/auth/login', { email: 'pat@example.com', password: 'Passw0rd!' });
+
+  assert.strictEqual(login.status, 200);
+  assert.strictEqual(login.body.data.mfaRequired, true);
+  assert.strictEqual(login.body.data.token, undefined);
+  assert.strictEqual(create.mock.callCount(), 0);
+
+  const { mfaToken } = login.body.data;
+  const wrong = await send('POST', '/api/v1/auth/login/mfa', { mfaToken, code: '12345' });
+  assert.strictEqual(wrong.status, 401);
+  assert.strictEqual(wrong.body.errorCode, 'INVALID_MFA_CODE');
+
+  const ok = await send('POST', '/api/v1/auth/login/mfa', { mfaToken, code: codeAt(secret) });
+  assert.strictEqual(ok.status, 200);
+  assert.ok(ok.body.data.token);
+  assert.strictEqual(create.mock.callCount(), 1);
+});
+
+test('the MFA step only accepts a challenge token', async (t) => {
+  const { user, secret } = enrolledUser(t);
+  t.mock.method(User, 'findById', () => query(user));
+  noThrottle(t);
+
+  const enrollToken = tokenService.signPurposeToken(user._id, 'mfa_enroll', '5m');
+  const { status } = await send('POST', '/api/v1/auth/login/mfa', { mfaToken: enrollToken, code: codeAt(secret) });
+
+  assert.strictEqual(status, 401);
+});
@@ -0,0 +1,192 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { createApp } = require('../app');
+const User = require('../models/User');
+const Family = require('../models/Family');
+const Session = require('../models/Session');
+const RefreshToken = require('../models/RefreshToken');
+const RoleAssignment = require('../models/RoleAssignment');
+const parentalConsent = require('../utils/parental-consent');
+const accountDeletion = require('../utils/account-deletion');
+const dataExportService = require('../utils/data-export');
+const ssoService = require('../utils/sso-service');
+const mailer = require('../utils/mailer');
+const { request } = require('./support/http');
+const { query, signIn } = require('./support/auth');
+
+const app = createApp({ trustProxy: true });
+let clients = 0;
+
+const outbox = [];
+mailer.setTransport({
+  async send(message) {
+    outbox.push(message);
+    return { id: String(outbox.length) };
+  }
+});
+
+const newUser = (fields = {}) => {
+  const user = new User({ firstName: 'Pat', lastName: 'Doe', email: 'parent@example.com', age: 40, ...fields });
+  user.save = async () => user;
+  return user;
+};
+
+// A child whose consent request went to parent@example.com
+const pendingChild = async () => {
+  const child = newUser({ firstName: 'Sam', email: 'sam@example.com', age: 10, persona: 'child' });
+  await parentalConsent.request(child, 'parent@example.com');
+  const token = outbox[outbox.length - 1].text.match(/parental-consent\/(\S+)/)[1];
+  return { child, token };
+};
+
+test('children under the consent age must name a parent when signing up', async (t) => {
+  t.mock.method(ssoService, 'passwordLoginBlockedFor', async () => null);
+  const body = { email: 'sam@example.com', password: 'Passw0rd!', firstName: 'Sam', lastName: 'Doe', age: 10, persona: 'individual' };
+
+  const missing = await request(app, 'POST', '/api/v1/auth/register', { body, ip: `10.13.0.${++clients}` });
+  assert.strictEqual(missing.status, 400);
+  assert.strictEqual(missing.body.errorCode, 'PARENT_EMAIL_REQUIRED');
+
+  const self = await request(app, 'POST', '/api/v1/auth/register', { body: { ...body, parentEmail: body.email }, ip: `10.13.0.${++clients}` });
+  assert.strictEqual(self.status, 400);
+});
+
+test('a child sign-up waits for consent and emails the parent', async (t) => {
+  t.mock.method(ssoService, 'passwordLoginBlockedFor', async () => null);
+  t.mock.method(User, 'findOne', async () => null);
+  t.mock.method(User, 'create', async doc => newUser(doc));
+  t.mock.method(Session, 'create', async doc => new Session(doc));
+  t.mock.method(RefreshToken, 'create', async doc => doc);
+  outbox.length = 0;
+
+  const { status, body } = await request(app, 'POST', '/api/v1/auth/register', {
+    body: { email: 'sam@example.com', password: 'Passw0rd!', firstName: 'Sam', lastName: 'Doe', age: 10, persona: 'individual', parentEmail: 'Parent@Example.com' },
+    ip: `10.13.0.${++clients}`
+  });
+
+  assert.strictEqual(status, 201);
+  assert.strictEqual(body.data.user.persona, 'child');
+  assert.strictEqual(body.data.user.parentalConsent.status, 'pending');
+  assert.strictEqual(body.data.user.parentalConsent.requestId, undefined);
+  assert.ok(outbox.some(message => message.to === 'parent@example.com' && /parental-consent\//.test(message.text)));
+});
+
+test('only the latest consent link resolves to the child', async (t) => {
+  const { child, token: firstToken } = await pendingChild();
+  const requestId = child.parentalConsent.requestId;
+  await parentalConsent.request(child, 'parent@example.com');
+  t.mock.method(User, 'findById', () => query(child));
+
+  await assert.rejects(parentalConsent.findChild(firstToken), { errorCode: 'INVALID_CONSENT_TOKEN' });
+  await assert.rejects(parentalConsent.findChild('not-a-token'), { errorCode: 'INVALID_CONSENT_TOKEN' });
+  assert.notStrictEqual(child.parentalConsent.requestId, requestId);
+});
+
+test('approval must come from the invited adult', async (t) => {
+  const { child } = await pendingChild();
+
+  await assert.rejects(parentalConsent.approve(child, newUser({ email: 'someone@example.com' })), { statusCode: 403 });
+  await assert.rejects(parentalConsent.approve(child, newUser({ age: 15, ageGroup: 'teen' })), /adult/);
+});
+
+test('approval links the child into the parent\'s family', async (t) => {
+  const { child } = await pendingChild();
+  const parent = newUser({ ageGroup: 'adult' });
+  const family = new Family({ familyName: 'Doe Family', parent: parent._id, children: [] });
+  t.mock.method(Family, 'findOne', async filter => (filter.parent && filter.parent.$ne ? null : family));
+  const addChild = t.mock.method(family, 'addChild', async () => family);
+  const updateParent = t.mock.method(User, 'updateOne', async () => ({}));
+
+  const result = await parentalConsent.approve(child, parent);
+
+  assert.strictEqual(result, family);
+  assert.strictEqual(String(addChild.mock.calls[0].arguments[0]), String(child._id));
+  assert.strictEqual(updateParent.mock.calls[0].arguments[1].$set['family.isParent'], true);
+  assert.strictEqual(child.parentalConsent.status, 'granted');
+  assert.strictEqual(String(child.parentalConsent.grantedBy), String(parent._id));
+  assert.strictEqual(String(child.family.parent), String(parent._id));
+});
+
+test('a family can only add or export a child whose consent its parent gave', async (t) => {
+  const parent = newUser({ ageGroup: 'adult', isVerified: true });
+  const consented = newUser({ firstName: 'Sam', email: 'sam@example.com', age: 10, persona: 'child' });
+  consented.parentalConsent = { status: 'granted', grantedBy: parent._id };
+  // Any existing account the parent knows the id of, already listed in the family
+  const other = newUser({ firstName: 'Alex', email: 'alex@example.com' });
+  const family = new Family({ familyName: 'Doe Family', parent: parent._id, children: [{ child: other._id }, { child: consented._id }] });
+  const headers = signIn(t, parent);
+  const accounts = [parent, consented, other];
+  User.findById.mock.mockImplementation(id => query(accounts.find(user => String(user._id) === String(id))));
+  t.mock.method(Family, 'find', () => query([family]));
+  t.mock.method(Family, 'findById', () => query(family));
+  t.mock.method(Family, 'findOne', () => query(null));
+  t.mock.method(RoleAssignment, 'find', () => query([]));
+  const addChild = t.mock.method(family, 'addChild', async () => family);
+  const requestExport = t.mock.method(dataExportService, 'request', async child => ({
+    export: { _id: new mongoose.Types.ObjectId(), toSummary: () => ({ user: child._id }) },
+    alreadyRunning: false
+  }));
+
+  const added = await request(app, 'POST', '/api/v1/family/children', { headers, body: { childId: String(other._id) } });
+  assert.strictEqual(added.status, 403);
+  assert.strictEqual(added.body.errorCode, 'PARENTAL_CONSENT_REQUIRED');
+  assert.strictEqual(addChild.mock.callCount(), 0);
+
+  const exported = await request(app, 'POST', `/api/v1/family/children/${other._id}/export`, { headers });
+  assert.strictEqual(exported.status, 403);
+  assert.strictEqual(exported.body.errorCode, 'PARENTAL_CONSENT_REQUIRED');
+  const listed = await request(app, 'GET', `/api/v1/family/children/${other._id}/export`, { headers });
+  assert.strictEqual(listed.status, 403);
+  assert.strictEqual(requestExport.mock.callCount(), 0);
+
+  const allowed = await request(app, 'POST', `/api/v1/family/children/${consented._id}/export`, { headers });
+  assert.strictEqual(allowed.status, 202);
+  assert.strictEqual(requestExport.mock.calls[0].arguments[0], consented);
+});
+
+test('a child already in another family cannot be claimed', async (t) => {
+  const { child } = await pendingChild();
+  t.mock.method(Family, 'findOne', async () => ({ _id: new mongoose.Types.ObjectId() }));
+
+  await assert.rejects(parentalConsent.approve(child, newUser({ ageGroup: 'adult' })), { statusCode: 409 });
+});
+
+test('declining purges the child account immediately', async (t) => {
+  const { child } = await pendingChild();
+  const purge = t.mock.method(accountDeletion, 'purge', async () => ({}));
+
+  await parentalConsent.deny(child);
+
+  assert.deepStrictEqual(purge.mock.calls[0].arguments, [child._id, { reason: 'parental_consent_denied' }]);
+});
+
+test('a corrected parent email on resend is normalized like at sign-up', async (t) => {
+  const { child } = await pendingChild();
+  child.parentalConsent.requestedAt = new Date(Date.now() - 24 * 60 * 60 * 1000);
+  const headers = signIn(t, child);
+  outbox.length = 0;
+
+  const invalid = await request(app, 'POST', '/api/v1/auth/parental-consent/resend', { headers, body: { parentEmail: 'not-an-email' } });
+  assert.strictEqual(invalid.status, 400);
+
+  const { status, body } = await request(app, 'POST', '/api/v1/auth/parental-consent/resend', {
+    headers,
+    body: { parentEmail: 'Guardian@Example.COM' }
+  });
+
+  assert.strictEqual(status, 200);
+  assert.strictEqual(body.data.parentEmail, 'guardian@example.com');
+  assert.strictEqual(child.parentalConsent.parentEmail, 'guardian@example.com');
+  assert.strictEqual(outbox[0].to, 'guardian@example.com');
+});
+
+test('children awaiting consent are kept out of threat features', async (t) => {
+  const { child } = await pendingChild();
+  const headers = signIn(t, child);
+
+  const { status, body } = await request(app, 'GET', '/api/v1/threats/history', { headers });
+
+  assert.strictEqual(status, 403);
+  assert.strictEqual(body.errorCode, 'PARENTAL_CONSENT_REQUIRED');
+});
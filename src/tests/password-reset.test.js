@@ -0,0 +1,127 @@
+const test = require('node:test');
+const { mock } = require('node:test');
+const assert = require('node:assert');
+const { createApp } = require('../app');
+const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const Session = require('../models/Session');
+const tokenService = require('../utils/token-service');
+const encryptionUtils = require('../utils/encryption');
+const mailer = require('../utils/mailer');
+const ssoService = require('../utils/sso-service');
+const { request } = require('./support/http');
+
+const app = createApp({ trustProxy: true });
+let clients = 0;
+const send = (method, path, body) => request(app, method, path, { body, ip: `10.4.0.${++clients}` });
+
+// No company in these tests enforces single sign-on
+mock.method(ssoService, 'passwordLoginBlockedFor', async () => null);
+
+// Captures mail instead of printing it
+const outbox = [];
+mailer.setTransport({
+  async send(message) {
+    outbox.push(message);
+    return { id: String(outbox.length) };
+  }
+});
+
+const storedUser = (t, fields = {}) => {
+  const user = new User({ firstName: 'Pat', lastName: 'Doe', email: 'pat@example.com', age: 40, ...fields });
+  t.mock.method(user, 'save', async () => user);
+  return user;
+};
+
+test('forgot-password answers the same whether or not the account exists', async (t) => {
+  t.mock.method(User, 'findOne', async () => null);
+  const unknown = await send('POST', '/api/v1/auth/forgot-password', { email: 'nobody@example.com' });
+
+  const user = storedUser(t);
+  User.findOne.mock.mockImplementation(async () => user);
+  const known = await send('POST', '/api/v1/auth/forgot-password', { email: 'pat@example.com' });
+
+  assert.strictEqual(unknown.status, 200);
+  assert.strictEqual(known.status, 200);
+  assert.strictEqual(unknown.body.message, known.body.message);
+});
+
+test('the emailed token is stored only as a hash with an expiry', async (t) => {
+  const user = storedUser(t);
+  t.mock.method(User, 'findOne', async () => user);
+  outbox.length = 0;
+
+  await send('POST', '/api/v1/auth/forgot-password', { email: 'pat@example.com' });
+
+  const [message] = outbox;
+  const token = message.text.match(/reset-password\/([0-9a-f]+)/)[1];
+  assert.strictEqual(message.to, 'pat@example.com');
+  assert.strictEqual(user.resetPasswordToken, encryptionUtils.hashData(token));
+  assert.ok(user.resetPasswordExpires > new Date());
+});
+
+test('a failed email clears the reset token again', async (t) => {
+  const user = storedUser(t);
+  t.mock.method(User, 'findOne', async () => user);
+  t.mock.method(console, 'error', () => {});
+  t.mock.method(mailer, 'sendPasswordReset', async () => {
+    throw new Error('SMTP down');
+  });
+
+  const { status } = await send('POST', '/api/v1/auth/forgot-password', { email: 'pat@example.com' });
+
+  assert.strictEqual(status, 500);
+  assert.strictEqual(user.resetPasswordToken, undefined);
+});
+
+test('a valid token sets the new password, is spent and signs out every session', async (t) => {
+  const user = storedUser(t, { resetPasswordToken: encryptionUtils.hashData('abc123'), resetPasswordExpires: new Date(Date.now() + 60000) });
+  const findOne = t.mock.method(User, 'findOne', async () => user);
+  const revokeAll = t.mock.method(tokenService, 'revokeAllSessions', async () => ({}));
+  t.mock.method(RefreshToken, 'create', async doc => doc);
+  t.mock.method(Session, 'create', async doc => new Session(doc));
+  let saved;
+  user.save.mock.mockImplementation(async () => {
+    saved = { password: user.password, resetPasswordToken: user.resetPasswordToken };
+    return user;
+  });
+
+  const { status } = await send('POST', '/api/v1/auth/reset-password/abc123', { password: 'NewPassw0rd' });
+
+  assert.strictEqual(status, 200);
+  assert.strictEqual(findOne.mock.calls[0].arguments[0].resetPasswordToken, encryptionUtils.hashData('abc123'));
+  assert.deepStrictEqual(saved, { password: 'NewPassw0rd', resetPasswordToken: undefined });
+  assert.strictEqual(revokeAll.mock.calls[0].arguments[0], user._id);
+});
+
+test('resetting a password does not sign in, so MFA is still asked for at login', async (t) => {
+  const user = storedUser(t, {
+    resetPasswordToken: encryptionUtils.hashData('def456'),
+    resetPasswordExpires: new Date(Date.now() + 60000),
+    mfa: { enabled: true }
+  });
+  t.mock.method(User, 'findOne', async () => user);
+  t.mock.method(tokenService, 'revokeAllSessions', async () => ({}));
+  const createSession = t.mock.method(Session, 'create', async doc => new Session(doc));
+
+  const { status, body } = await send('POST', '/api/v1/auth/reset-password/def456', { password: 'NewPassw0rd' });
+
+  assert.strictEqual(status, 200);
+  assert.match(body.message, /Please log in/);
+  assert.strictEqual(body.data, undefined);
+  assert.strictEqual(createSession.mock.callCount(), 0);
+});
+
+test('unknown or expired tokens and weak passwords are refused', async (t) => {
+  t.mock.method(User, 'findOne', async () => null);
+
+  const expired = await send('POST', '/api/v1/auth/reset-password/abc123', { password: 'NewPassw0rd' });
+  assert.strictEqual(expired.status, 400);
+  assert.strictEqual(expired.body.errorCode, 'INVALID_RESET_TOKEN');
+
+  const malformed = await send('POST', '/api/v1/auth/reset-password/not-a-token', { password: 'NewPassw0rd' });
+  assert.strictEqual(malformed.status, 400);
+
+  const weak = await send('POST', '/api/v1/auth/reset-password/abc123', { password: 'short' });
+  assert.strictEqual(weak.status, 400);
+});
@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+const { createApp } = require('../app');
+const { createRateLimiter } = require('../middleware/rate-limit');
+const { MongoRateLimitStore, createStore, registerStore } = require('../utils/rate-limit-store');
+const RateLimit = require('../models/RateLimit');
+const constants = require('../config/constants');
+const { request } = require('./support/http');
+
+// One limited route; persona stands in for the user protect would attach
+const limitedApp = (family, persona) => {
+  const app = express();
+  app.use((req, res, next) => {
+    if (persona) req.user = { _id: `user-${persona}`, persona };
+    next();
+  });
+  app.get('/limited', createRateLimiter(family, { store: createStore(family, 'memory') }), (req, res) => res.json({ ok: true }));
+  return app;
+};
+
+const hit = async (app, times) => {
+  const statuses = [];
+  for (let i = 0; i < times; i++) {
+    statuses.push((await request(app, 'GET', '/limited')).status);
+  }
+  return statuses;
+};
+
+test('a route family allows its RATE_LIMITS budget and then answers 429', async () => {
+  const app = limitedApp('AUTH');
+  const statuses = await hit(app, constants.RATE_LIMITS.AUTH + 1);
+
+  assert.deepStrictEqual(statuses, [...Array(constants.RATE_LIMITS.AUTH).fill(200), 429]);
+
+  const { body, headers } = await request(app, 'GET', '/limited');
+  assert.strictEqual(body.errorCode, 'RATE_LIMITED');
+  assert.ok(headers.get('ratelimit-limit'));
+});
+
+test('persona overrides replace the family budget', async () => {
+  const statuses = await hit(limitedApp('GAME', 'enterprise'), constants.RATE_LIMITS.GAME + 1);
+  assert.ok(statuses.every(status => status === 200));
+});
+
+test('login attempts share the AUTH budget across the app', async () => {
+  const app = createApp();
+  const statuses = [];
+  for (let i = 0; i <= constants.RATE_LIMITS.AUTH; i++) {
+    statuses.push((await request(app, 'POST', '/api/v1/auth/login', { body: {} })).status);
+  }
+
+  assert.strictEqual(statuses[statuses.length - 1], 429);
+  assert.ok(statuses.slice(0, -1).every(status => status !== 429));
+});
+
+test('unknown families and store types are rejected', () => {
+  assert.throws(() => createRateLimiter('NOPE'), /Unknown rate limit family/);
+  assert.throws(() => createStore('auth', 'carrier-pigeon'), /Unknown rate limit store/);
+});
+
+test('custom stores can be registered by name', () => {
+  const custom = { increment: async () => ({ totalHits: 1 }) };
+  registerStore('custom', () => custom);
+
+  assert.strictEqual(createStore('auth', 'custom'), custom);
+});
+
+test('the Mongo store counts hits per namespaced key', async (t) => {
+  const resetAt = new Date(Date.now() + 1000);
+  const update = t.mock.method(RateLimit, 'findOneAndUpdate', async () => ({ hits: 3, resetAt }));
+  const store = new MongoRateLimitStore('auth');
+  store.init({ windowMs: 1000 });
+
+  assert.deepStrictEqual(await store.increment('ip:1.2.3.4'), { totalHits: 3, resetTime: resetAt });
+  assert.deepStrictEqual(update.mock.calls[0].arguments[0], { key: 'auth:ip:1.2.3.4' });
+  assert.deepStrictEqual(update.mock.calls[0].arguments[2], { upsert: true, new: true });
+});
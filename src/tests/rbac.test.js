@@ -0,0 +1,132 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { createApp } = require('../app');
+const Family = require('../models/Family');
+const User = require('../models/User');
+const RoleAssignment = require('../models/RoleAssignment');
+const rbacService = require('../utils/rbac');
+const { requirePermission } = require('../middleware/rbac');
+const { PERMISSIONS } = require('../config/permissions');
+const { request } = require('./support/http');
+const { query, signIn } = require('./support/auth');
+
+const newUser = (fields = {}) => new User({ firstName: 'Pat', lastName: 'Doe', email: 'pat@example.com', age: 40, ...fields });
+
+// Families the user belongs to and explicit role assignments, without a database
+const withMemberships = (t, { families = [], assignments = [] } = {}) => {
+  t.mock.method(Family, 'find', () => query(families));
+  t.mock.method(RoleAssignment, 'find', () => query(assignments));
+};
+
+const familyOf = (parent) => ({ _id: new mongoose.Types.ObjectId(), parent: parent._id });
+
+test('family roles only apply inside their own family', async (t) => {
+  const parent = newUser();
+  const child = newUser();
+  const family = familyOf(parent);
+  const otherFamily = { type: 'family', id: String(new mongoose.Types.ObjectId()) };
+  const scope = { type: 'family', id: String(family._id) };
+
+  withMemberships(t, { families: [family] });
+  assert.strictEqual(await rbacService.hasPermission(parent, PERMISSIONS.FAMILY_MANAGE, scope), true);
+  assert.strictEqual(await rbacService.hasPermission(parent, PERMISSIONS.FAMILY_MANAGE, otherFamily), false);
+  assert.strictEqual(await rbacService.hasPermission(child, PERMISSIONS.FAMILY_READ, scope), true);
+  assert.strictEqual(await rbacService.hasPermission(child, PERMISSIONS.FAMILY_MANAGE, scope), false);
+});
+
+test('enterprise admins hold company permissions for their own company only', async (t) => {
+  const admin = newUser({ persona: 'enterprise', enterprise: { company: 'Acme', isAdmin: true } });
+  withMemberships(t);
+
+  assert.strictEqual(await rbacService.hasPermission(admin, PERMISSIONS.THREAT_TRIAGE, { type: 'company', id: 'Acme' }), true);
+  assert.strictEqual(await rbacService.hasPermission(admin, PERMISSIONS.THREAT_TRIAGE, { type: 'company', id: 'Globex' }), false);
+  assert.strictEqual(await rbacService.hasPermission(admin, PERMISSIONS.RBAC_MANAGE), false);
+});
+
+test('an assigned platform admin holds every permission everywhere', async (t) => {
+  const operator = newUser();
+  withMemberships(t, { assignments: [{ _id: 'a1', role: 'platform_admin', scopeType: 'global' }] });
+
+  assert.strictEqual(await rbacService.hasPermission(operator, PERMISSIONS.RBAC_MANAGE), true);
+  assert.strictEqual(await rbacService.hasPermission(operator, PERMISSIONS.THREAT_TRIAGE, { type: 'company', id: 'Acme' }), true);
+});
+
+test('assignments are loaded once per request', async (t) => {
+  withMemberships(t);
+  const req = {};
+
+  await rbacService.hasPermission(newUser(), PERMISSIONS.THREAT_READ, null, req);
+  await rbacService.hasPermission(newUser(), PERMISSIONS.GAME_PLAY, null, req);
+
+  assert.strictEqual(RoleAssignment.find.mock.callCount(), 1);
+});
+
+test('requirePermission answers 404 outside a family and 403 without the permission', async (t) => {
+  const child = newUser();
+  const run = async (permission, user) => {
+    const res = {
+      status(code) { this.statusCode = code; return this; },
+      json(payload) { this.payload = payload; return this; }
+    };
+    let passed = false;
+    await requirePermission(permission)({ user, params: {} }, res, () => { passed = true; });
+    return passed ? 'next' : res.statusCode;
+  };
+
+  withMemberships(t);
+  assert.strictEqual(await run(PERMISSIONS.FAMILY_READ, child), 404);
+  assert.strictEqual(await run(PERMISSIONS.ENTERPRISE_DASHBOARD_READ, child), 403);
+
+  Family.find.mock.mockImplementation(() => query([familyOf(newUser())]));
+  assert.strictEqual(await run(PERMISSIONS.FAMILY_MANAGE, child), 403);
+});
+
+test('role assignments must use the scope their role is defined at', async () => {
+  const misscoped = new RoleAssignment({ user: newUser()._id, role: 'security_analyst', scopeType: 'global' });
+  const implicitOnly = new RoleAssignment({ user: newUser()._id, role: 'family_member', scopeType: 'family' });
+
+  await assert.rejects(misscoped.validate(), error => /company scope/.test(error.errors.scopeType.message));
+  await assert.rejects(implicitOnly.validate(), error => Boolean(error.errors.role));
+});
+
+test('every mounted route is listed with the permission it declares', () => {
+  const routes = rbacService.listRoutePermissions(createApp());
+  const report = routes.find(route => route.method === 'POST' && route.path === '/api/v1/threats/report');
+
+  assert.strictEqual(report.permission, PERMISSIONS.THREAT_REPORT);
+  assert.ok(report.apiKeyScopes.includes('threats:report'));
+});
+
+test('the route audit needs rbac:audit', async (t) => {
+  const headers = signIn(t, newUser());
+  withMemberships(t);
+
+  const { status, body } = await request(createApp(), 'GET', '/api/v1/rbac/routes', { headers });
+
+  assert.strictEqual(status, 403);
+  assert.strictEqual(body.errorCode, 'FORBIDDEN');
+});
+
+test('removing a role assignment with a malformed id is a 400, not a lookup', async (t) => {
+  const app = createApp();
+  const remove = t.mock.method(RoleAssignment, 'findOneAndDelete', async () => null);
+  const removeById = t.mock.method(RoleAssignment, 'findByIdAndDelete', async () => null);
+
+  const admin = newUser({ isVerified: true, persona: 'enterprise', enterprise: { company: 'Acme', isAdmin: true } });
+  withMemberships(t, { assignments: [{ _id: 'a1', role: 'platform_admin', scopeType: 'global' }] });
+  const asAdmin = signIn(t, admin);
+  assert.strictEqual((await request(app, 'DELETE', '/api/v1/enterprise/roles/not-an-id', { headers: asAdmin })).status, 400);
+  assert.strictEqual((await request(app, 'DELETE', '/api/v1/rbac/assignments/not-an-id', { headers: asAdmin })).status, 400);
+
+  t.mock.restoreAll();
+  const parent = newUser({ isVerified: true });
+  const family = familyOf(parent);
+  withMemberships(t, { families: [family] });
+  t.mock.method(Family, 'findById', () => query(family));
+  const asParent = signIn(t, parent);
+  assert.strictEqual((await request(app, 'DELETE', '/api/v1/family/roles/not-an-id', { headers: asParent })).status, 400);
+
+  assert.strictEqual(remove.mock.callCount(), 0);
+  assert.strictEqual(removeById.mock.callCount(), 0);
+});
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const regexSafety = require('../utils/regex-safety');
+const threatRules = require('../utils/threat-rules');
+const aiDetectionEngine = require('../utils/ai-detection');
+
+test('ordinary and bounded patterns pass', () => {
+  ['verify.*account', 'get.{0,40}rich.{0,40}quick', '\\d{3}-\\d{4}', 'a.*b|c.*d', 'hello\\.*world'].forEach(source => {
+    assert.deepStrictEqual(regexSafety.check(source, 'i'), { safe: true }, source);
+  });
+});
+
+test('malformed patterns, disallowed flags and oversized sources are rejected', () => {
+  assert.match(regexSafety.check('', 'i').reason, /empty/);
+  assert.match(regexSafety.check('(unclosed', 'i').reason, /Invalid pattern/);
+  assert.match(regexSafety.check('abc', 'g').reason, /flags/);
+  assert.match(regexSafety.check('a'.repeat(501), 'i').reason, /longer than/);
+});
+
+test('nested unbounded quantifiers are rejected', () => {
+  ['(a+)+b', '(\\w*\\s?)*x'].forEach(source => {
+    assert.match(regexSafety.check(source, 'i').reason, /Nested quantifier at position 0/, source);
+  });
+});
+
+test('overlapping alternatives that slip past the static screens fail the trial run', () => {
+  assert.match(regexSafety.check('(a|aa)*b', 'i').reason, /took longer than/);
+});
+
+test('chains of unbounded wildcards are rejected', () => {
+  ['a.*b.*c.*d', 'get.*rich.*quick', '[^ ]+@[^ ]+\\.com', '\\w+\\s+\\w+'].forEach(source => {
+    assert.match(regexSafety.check(source, 'i').reason, /unbounded wildcards/, source);
+  });
+  assert.strictEqual(regexSafety.countUnboundedWildcards('a.*b|c.*d'), 1);
+  assert.strictEqual(regexSafety.countUnboundedWildcards('a.{0,40}b.{2,}c'), 1);
+});
+
+test('the trial run catches polynomial backtracking on the pattern\'s own words', () => {
+  // Passes the static screens only because they are skipped here
+  assert.strictEqual(regexSafety.trialRun('a.*b.*c.*d', 'i'), false);
+  assert.strictEqual(regexSafety.trialRun('verify.*account', 'i'), true);
+});
+
+test('the built-in rules pass the screen, so copies of them can be saved as a ruleset', () => {
+  const rules = aiDetectionEngine.builtinRuleset.rules.map(rule => ({
+    name: rule.name,
+    category: rule.category,
+    keywords: rule.keywords,
+    patterns: rule.patterns.map(({ source, flags }) => ({ source, flags })),
+    domains: rule.domains
+  }));
+
+  assert.deepStrictEqual(threatRules.validate(rules), []);
+});
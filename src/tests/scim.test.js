@@ -0,0 +1,175 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createApp } = require('../app');
+const Company = require('../models/Company');
+const User = require('../models/User');
+const ApiKey = require('../models/ApiKey');
+const Department = require('../models/Department');
+const scimService = require('../utils/scim');
+const tokenService = require('../utils/token-service');
+const encryptionUtils = require('../utils/encryption');
+const { request } = require('./support/http');
+const { signIn } = require('./support/auth');
+
+const app = createApp();
+const { SCHEMAS } = scimService;
+
+const employee = (fields = {}) => new User({
+  firstName: 'Jane',
+  lastName: 'Doe',
+  email: 'jane@acme.com',
+  age: 30,
+  persona: 'enterprise',
+  enterprise: { company: 'Acme', department: 'Finance' },
+  ...fields
+});
+
+// Authenticate SCIM calls as Acme's provisioning client; acme.com is verified
+const asAcme = (t) => {
+  const findOne = t.mock.method(Company, 'findOne', async () => new Company({
+    name: 'Acme',
+    scim: { lastUsedAt: new Date() },
+    sso: { domains: ['acme.com'], domainVerifications: [{ domain: 'acme.com', token: 'acme-token', verifiedAt: new Date() }] }
+  }));
+  return { findOne, headers: { authorization: 'Bearer scim-token' } };
+};
+
+const scim = (method, path, { headers, body } = {}) =>
+  request(app, method, `/scim/v2${path}`, { headers: { ...headers, 'content-type': 'application/scim+json' }, body });
+
+test('filters support the eq form IdPs send and nothing else', () => {
+  assert.deepStrictEqual(scimService.parseUserFilter('userName eq "Jane@Acme.com"'), { email: 'jane@acme.com' });
+  assert.deepStrictEqual(scimService.parseUserFilter('externalId eq "a\\"b"'), { 'scim.externalId': 'a"b' });
+  assert.deepStrictEqual(scimService.parseGroupFilter('displayName eq "Finance"'), { name: 'Finance' });
+
+  assert.throws(() => scimService.parseUserFilter('userName co "jane"'), { statusCode: 400, errorCode: 'invalidFilter' });
+  assert.throws(() => scimService.parseUserFilter('password eq "x"'), { errorCode: 'invalidFilter' });
+});
+
+test('user PATCH understands both path and path-less operations', () => {
+  const user = employee();
+
+  scimService.applyUserPatch(user, [
+    { op: 'replace', path: 'emails[type eq "work"].value', value: 'JANE.DOE@acme.com' },
+    { op: 'replace', value: { active: 'False', 'name.givenName': 'Janet' } },
+    { op: 'add', value: { [SCHEMAS.ENTERPRISE_USER]: { department: 'Security' } } },
+    { op: 'remove', path: `${SCHEMAS.ENTERPRISE_USER}:employeeNumber` }
+  ]);
+
+  assert.strictEqual(user.email, 'jane.doe@acme.com');
+  assert.strictEqual(user.isActive, false);
+  assert.strictEqual(user.firstName, 'Janet');
+  assert.strictEqual(user.enterprise.department, 'Security');
+  assert.throws(() => scimService.applyUserPatch(user, [{ op: 'move', path: 'active' }]), { errorCode: 'invalidSyntax' });
+  assert.throws(() => scimService.applyUserPatch(user, [{ op: 'remove' }]), { errorCode: 'noTarget' });
+});
+
+test('group PATCH collects member additions, removals and renames', () => {
+  const changes = scimService.parseGroupPatch([
+    { op: 'add', path: 'members', value: [{ value: 'u1' }, { value: 'u2' }] },
+    { op: 'remove', path: 'members[value eq "u3"]' },
+    { op: 'replace', value: { displayName: 'Finance EMEA' } }
+  ]);
+
+  assert.deepStrictEqual(changes.add, ['u1', 'u2']);
+  assert.deepStrictEqual(changes.remove, ['u3']);
+  assert.strictEqual(changes.displayName, 'Finance EMEA');
+});
+
+test('requests without a valid company token get a SCIM error', async (t) => {
+  const findOne = t.mock.method(Company, 'findOne', async () => null);
+
+  const { status, body } = await scim('GET', '/Users', { headers: { authorization: 'Bearer wrong' } });
+
+  assert.strictEqual(status, 401);
+  assert.deepStrictEqual(body.schemas, [SCHEMAS.ERROR]);
+  assert.strictEqual(findOne.mock.calls[0].arguments[0]['scim.tokenHash'], encryptionUtils.hashData('wrong'));
+});
+
+test('users are only looked up inside the authenticated company', async (t) => {
+  const { headers } = asAcme(t);
+  const findOne = t.mock.method(User, 'findOne', async () => null);
+  const user = employee();
+
+  const { status } = await scim('GET', `/Users/${user._id}`, { headers });
+
+  assert.strictEqual(status, 404);
+  assert.strictEqual(findOne.mock.calls[0].arguments[0]['enterprise.company'], 'Acme');
+});
+
+test('deactivating a user over PATCH ends their sessions and API keys', async (t) => {
+  const { headers } = asAcme(t);
+  const user = employee();
+  t.mock.method(User, 'findOne', async () => user);
+  t.mock.method(user, 'save', async () => user);
+  t.mock.method(Department, 'updateOne', async () => ({}));
+  const revokeSessions = t.mock.method(tokenService, 'revokeAllSessions', async () => 1);
+  const revokeKeys = t.mock.method(ApiKey, 'updateMany', async () => ({}));
+
+  const { status, body } = await scim('PATCH', `/Users/${user._id}`, {
+    headers,
+    body: { schemas: [SCHEMAS.PATCH_OP], Operations: [{ op: 'replace', path: 'active', value: false }] }
+  });
+
+  assert.strictEqual(status, 200);
+  assert.strictEqual(body.active, false);
+  assert.ok(user.deactivatedAt);
+  assert.deepStrictEqual(revokeSessions.mock.calls[0].arguments, [user._id, 'deactivated']);
+  assert.strictEqual(String(revokeKeys.mock.calls[0].arguments[0].user), String(user._id));
+});
+
+test('provisioning an existing userName is a uniqueness conflict', async (t) => {
+  const { headers } = asAcme(t);
+  t.mock.method(User, 'findOne', async () => employee());
+
+  const { status, body } = await scim('POST', '/Users', { headers, body: { schemas: [SCHEMAS.USER], userName: 'JANE@acme.com' } });
+
+  assert.strictEqual(status, 409);
+  assert.strictEqual(body.scimType, 'uniqueness');
+});
+
+test('userNames outside the company\'s verified domains are refused', async (t) => {
+  const { headers } = asAcme(t);
+  const user = employee();
+  t.mock.method(User, 'findOne', async filter => (filter._id ? user : null));
+  const save = t.mock.method(user, 'save', async () => user);
+
+  const created = await scim('POST', '/Users', { headers, body: { schemas: [SCHEMAS.USER], userName: 'ceo@globex.com' } });
+  assert.strictEqual(created.status, 400);
+  assert.strictEqual(created.body.scimType, 'invalidValue');
+
+  const patched = await scim('PATCH', `/Users/${user._id}`, {
+    headers,
+    body: { schemas: [SCHEMAS.PATCH_OP], Operations: [{ op: 'replace', path: 'userName', value: 'jane@globex.com' }] }
+  });
+  assert.strictEqual(patched.status, 400);
+  assert.strictEqual(save.mock.callCount(), 0);
+});
+
+test('an account its owner scheduled for deletion cannot be re-activated by the IdP', async (t) => {
+  const { headers } = asAcme(t);
+  const user = employee({
+    isActive: false,
+    deletion: { requestedAt: new Date(), scheduledFor: new Date(Date.now() + 24 * 60 * 60 * 1000) }
+  });
+  t.mock.method(User, 'findOne', async () => user);
+  const save = t.mock.method(user, 'save', async () => user);
+
+  const { status, body } = await scim('PATCH', `/Users/${user._id}`, {
+    headers,
+    body: { schemas: [SCHEMAS.PATCH_OP], Operations: [{ op: 'replace', path: 'active', value: true }] }
+  });
+
+  assert.strictEqual(status, 409);
+  assert.strictEqual(body.scimType, 'mutability');
+  assert.strictEqual(save.mock.callCount(), 0);
+});
+
+test('deactivated accounts cannot use the REST API', async (t) => {
+  const headers = signIn(t, employee({ isActive: false }));
+
+  const { status, body } = await request(app, 'GET', '/api/v1/auth/me', { headers });
+
+  assert.strictEqual(status, 401);
+  assert.strictEqual(body.errorCode, 'ACCOUNT_DISABLED');
+});
@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { createApp } = require('../app');
+const User = require('../models/User');
+const Family = require('../models/Family');
+const Session = require('../models/Session');
+const RoleAssignment = require('../models/RoleAssignment');
+const tokenService = require('../utils/token-service');
+const { request } = require('./support/http');
+const { query, signIn } = require('./support/auth');
+
+const app = createApp();
+const currentSession = new mongoose.Types.ObjectId().toString();
+
+const newUser = (fields = {}) => new User({ firstName: 'Pat', lastName: 'Doe', email: 'pat@example.com', age: 40, isVerified: true, ...fields });
+const sessionFor = (user, fields = {}) => new Session({ user: user._id, expiresAt: new Date(Date.now() + 60000), ...fields });
+
+// The parent's family with one child, as the RBAC middleware and family routes load it
+const familyWith = (t, parent, child) => {
+  const family = new Family({ familyName: 'Doe', parent: parent._id, children: [{ child: child._id, relationship: 'child' }] });
+  t.mock.method(Family, 'find', () => query([family]));
+  t.mock.method(Family, 'findById', async () => family);
+  t.mock.method(RoleAssignment, 'find', () => query([]));
+  return family;
+};
+
+test('the device list marks the session making the request', async (t) => {
+  const user = newUser();
+  const headers = signIn(t, user, { sessionId: currentSession });
+  const sessions = [sessionFor(user, { _id: currentSession }), sessionFor(user)];
+  t.mock.method(Session, 'findActiveForUser', async () => sessions);
+
+  const { status, body } = await request(app, 'GET', '/api/v1/auth/sessions', { headers });
+
+  assert.strictEqual(status, 200);
+  assert.deepStrictEqual(body.data.sessions.map(session => session.current), [true, false]);
+});
+
+test('a user can only sign out their own sessions', async (t) => {
+  const user = newUser();
+  const headers = signIn(t, user, { sessionId: currentSession });
+  const findOne = t.mock.method(Session, 'findOne', async () => null);
+  const revoke = t.mock.method(tokenService, 'revokeSession', async () => ({}));
+
+  const missing = await request(app, 'DELETE', `/api/v1/auth/sessions/${new mongoose.Types.ObjectId()}`, { headers });
+  assert.strictEqual(missing.status, 404);
+  assert.strictEqual(String(findOne.mock.calls[0].arguments[0].user), String(user._id));
+
+  const malformed = await request(app, 'DELETE', '/api/v1/auth/sessions/not-an-id', { headers });
+  assert.strictEqual(malformed.status, 400);
+
+  const own = sessionFor(user);
+  findOne.mock.mockImplementation(async () => own);
+  const revoked = await request(app, 'DELETE', `/api/v1/auth/sessions/${own._id}`, { headers });
+  assert.strictEqual(revoked.status, 200);
+  assert.deepStrictEqual(revoke.mock.calls[0].arguments, [own._id.toString(), 'revoked', user._id]);
+});
+
+test('sign out everywhere can keep the current device', async (t) => {
+  const user = newUser();
+  const headers = signIn(t, user, { sessionId: currentSession });
+  const revokeAll = t.mock.method(tokenService, 'revokeAllSessions', async () => 2);
+
+  const { status, body } = await request(app, 'DELETE', '/api/v1/auth/sessions?keepCurrent=true', { headers });
+
+  assert.strictEqual(status, 200);
+  assert.strictEqual(body.data.revoked, 2);
+  assert.strictEqual(revokeAll.mock.calls[0].arguments[2].exceptSessionId, currentSession);
+});
+
+test('parents can list and end their child\'s sessions', async (t) => {
+  const parent = newUser();
+  const child = newUser({ age: 12 });
+  const headers = signIn(t, parent);
+  familyWith(t, parent, child);
+  t.mock.method(Session, 'findActiveForUser', async () => [sessionFor(child)]);
+  const revokeAll = t.mock.method(tokenService, 'revokeAllSessions', async () => 1);
+
+  const listed = await request(app, 'GET', `/api/v1/family/children/${child._id}/sessions`, { headers });
+  const ended = await request(app, 'DELETE', `/api/v1/family/children/${child._id}/sessions`, { headers });
+
+  assert.strictEqual(listed.status, 200);
+  assert.strictEqual(listed.body.data.sessions.length, 1);
+  assert.strictEqual(ended.status, 200);
+  assert.deepStrictEqual(revokeAll.mock.calls[0].arguments.slice(0, 2), [String(child._id), 'revoked_by_parent']);
+});
+
+test('accounts outside the family are not reachable through the child routes', async (t) => {
+  const parent = newUser();
+  const headers = signIn(t, parent);
+  familyWith(t, parent, newUser({ age: 12 }));
+  const revokeAll = t.mock.method(tokenService, 'revokeAllSessions', async () => 1);
+
+  const { status } = await request(app, 'DELETE', `/api/v1/family/children/${new mongoose.Types.ObjectId()}/sessions`, { headers });
+
+  assert.strictEqual(status, 404);
+  assert.strictEqual(revokeAll.mock.callCount(), 0);
+});
@@ -0,0 +1,253 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const dns = require('dns').promises;
+const { createApp } = require('../app');
+const Company = require('../models/Company');
+const User = require('../models/User');
+const Family = require('../models/Family');
+const RoleAssignment = require('../models/RoleAssignment');
+const SsoLoginState = require('../models/SsoLoginState');
+const LoginThrottle = require('../models/LoginThrottle');
+const ssoService = require('../utils/sso-service');
+const oidcClient = require('../utils/oidc-client');
+const tokenService = require('../utils/token-service');
+const mailer = require('../utils/mailer');
+const { createMockProvider } = require('../scripts/mock-oidc-provider');
+const { request } = require('./support/http');
+const { query, signIn } = require('./support/auth');
+
+const acme = (sso = {}) => new Company({
+  name: 'Acme',
+  sso: {
+    enabled: true,
+    issuer: 'https://idp.acme.test',
+    clientId: 'truthshield',
+    clientSecret: 'mock-secret',
+    domains: ['acme.com'],
+    domainVerifications: [{ domain: 'acme.com', token: 'acme-token', verifiedAt: new Date() }],
+    ...sso
+  }
+});
+
+// Run the mock identity provider on a free port for the duration of a test
+const startProvider = async (t) => {
+  const server = http.createServer();
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const provider = createMockProvider({ port: server.address().port, email: 'jane.doe@acme.com' });
+  server.on('request', provider.app);
+  t.after(() => {
+    server.close();
+    oidcClient.clearCache();
+  });
+  return provider;
+};
+
+test('claims are read through the company\'s claim mapping', () => {
+  const company = acme({ claims: { department: 'org_unit' } });
+
+  const profile = ssoService.mapClaims(company, {
+    email: ' Jane.Doe@ACME.com ',
+    given_name: 'Jane',
+    org_unit: 'Security',
+    department: 'ignored'
+  });
+
+  assert.strictEqual(profile.email, 'jane.doe@acme.com');
+  assert.strictEqual(profile.firstName, 'Jane');
+  assert.strictEqual(profile.department, 'Security');
+});
+
+test('provisioning refuses unverified emails, foreign domains and other tenants\' accounts', async (t) => {
+  const company = acme();
+  const findOne = t.mock.method(User, 'findOne', async () => null);
+
+  await assert.rejects(ssoService.provisionUser(company, { sub: '1', email: 'jane@acme.com', email_verified: false }), { statusCode: 403 });
+  await assert.rejects(ssoService.provisionUser(company, { sub: '1', email: 'jane@globex.com' }), /not registered/);
+
+  findOne.mock.mockImplementation(async () => new User({ email: 'jane@acme.com', enterprise: { company: 'Globex' } }));
+  await assert.rejects(ssoService.provisionUser(company, { sub: '1', email: 'jane@acme.com' }), /different company/);
+});
+
+test('a first sign-in creates a verified enterprise account linked to the IdP subject', async (t) => {
+  t.mock.method(User, 'findOne', async () => null);
+  t.mock.method(User.prototype, 'save', async function() { return this; });
+
+  const user = await ssoService.provisionUser(acme(), {
+    sub: 'idp-42',
+    email: 'jane.doe@acme.com',
+    name: 'Jane Doe',
+    department: 'Finance'
+  });
+
+  assert.strictEqual(user.persona, 'enterprise');
+  assert.strictEqual(user.isVerified, true);
+  assert.strictEqual(user.enterprise.company, 'Acme');
+  assert.strictEqual(user.enterprise.department, 'Finance');
+  assert.deepStrictEqual([user.firstName, user.lastName], ['Jane', 'Doe']);
+  assert.strictEqual(user.sso.subject, 'idp-42');
+});
+
+test('the authorization code flow completes against the mock provider', async (t) => {
+  const provider = await startProvider(t);
+  const company = acme({ issuer: provider.issuer });
+  t.mock.method(Company, 'findOne', async () => company);
+  t.mock.method(Company, 'findById', () => query(company));
+  t.mock.method(User, 'findOne', async () => null);
+  t.mock.method(User.prototype, 'save', async function() { return this; });
+  let pending;
+  t.mock.method(SsoLoginState, 'create', async doc => { pending = doc; return doc; });
+  t.mock.method(SsoLoginState, 'findOneAndDelete', async filter => (filter.stateHash === pending.stateHash ? pending : null));
+
+  const { authorizationUrl } = await ssoService.startLogin({ company: 'Acme', email: 'jane.doe@acme.com' });
+  const authorize = await fetch(authorizationUrl, { redirect: 'manual' });
+  const callback = new URL(authorize.headers.get('location'));
+
+  assert.strictEqual(pending.codeVerifier.length > 40, true);
+  assert.strictEqual(new URL(authorizationUrl).searchParams.get('code_challenge_method'), 'S256');
+
+  const user = await ssoService.completeLogin({
+    code: callback.searchParams.get('code'),
+    state: callback.searchParams.get('state')
+  });
+
+  assert.strictEqual(user.email, 'jane.doe@acme.com');
+  assert.strictEqual(user.sso.issuer, provider.issuer);
+
+  await assert.rejects(
+    ssoService.completeLogin({ code: callback.searchParams.get('code'), state: 'forged' }),
+    /invalid or has expired/
+  );
+});
+
+test('a domain only routes sign-ins once its DNS TXT record is verified', async (t) => {
+  const company = acme({ domainVerifications: [] });
+  company.ensureDomainTokens();
+  const [entry] = company.sso.domainVerifications;
+  t.mock.method(company, 'save', async () => company);
+  t.mock.method(Company, 'findOne', async () => null);
+  const record = ssoService.domainVerificationRecord(entry);
+
+  assert.strictEqual(ssoService.isConfigured(company), false);
+  await assert.rejects(ssoService.provisionUser(company, { sub: '1', email: 'jane@acme.com' }), /not registered/);
+
+  t.mock.method(dns, 'resolveTxt', async () => [['unrelated']]);
+  await assert.rejects(ssoService.verifyDomain(company, 'acme.com'), { statusCode: 400, errorCode: 'DOMAIN_NOT_VERIFIED' });
+
+  dns.resolveTxt.mock.mockImplementation(async (name) => {
+    assert.strictEqual(name, '_truthshield-verification.acme.com');
+    return [[record.value.slice(0, 10), record.value.slice(10)]];
+  });
+  await ssoService.verifyDomain(company, 'acme.com');
+
+  assert.ok(entry.verifiedAt);
+  assert.deepStrictEqual(company.verifiedDomains(), ['acme.com']);
+  assert.strictEqual(ssoService.isConfigured(company), true);
+});
+
+test('local setups can skip the DNS lookup, but only in development or test', async (t) => {
+  const company = acme({ domainVerifications: [] });
+  company.ensureDomainTokens();
+  t.mock.method(company, 'save', async () => company);
+  t.mock.method(Company, 'findOne', async () => null);
+  const resolveTxt = t.mock.method(dns, 'resolveTxt', async () => []);
+  t.after(() => { process.env.NODE_ENV = 'test'; });
+
+  process.env.NODE_ENV = 'production';
+  await assert.rejects(ssoService.verifyDomain(company, 'acme.com', { skipDnsCheck: true }), /development or test/);
+
+  process.env.NODE_ENV = 'test';
+  await ssoService.verifyDomain(company, 'acme.com', { skipDnsCheck: true });
+  assert.deepStrictEqual(company.verifiedDomains(), ['acme.com']);
+  assert.strictEqual(resolveTxt.mock.callCount(), 0);
+});
+
+test('a domain another company already verified cannot be claimed', async (t) => {
+  const company = acme({ domainVerifications: [{ domain: 'acme.com', token: 'x' }] });
+  t.mock.method(Company, 'findOne', async () => acme());
+
+  await assert.rejects(ssoService.verifyDomain(company, 'acme.com'), { statusCode: 409 });
+});
+
+test('an existing account is only linked after its owner confirms by email', async (t) => {
+  const company = acme();
+  const existing = new User({ firstName: 'Jane', lastName: 'Doe', email: 'jane.doe@acme.com', age: 30 });
+  t.mock.method(existing, 'save', async () => existing);
+  const findOne = t.mock.method(User, 'findOne', async filter => (filter.email ? existing : null));
+  const sent = t.mock.method(mailer, 'sendSsoLinkRequest', async () => ({}));
+
+  await assert.rejects(
+    ssoService.provisionUser(company, { sub: 'idp-7', email: 'jane.doe@acme.com' }),
+    { statusCode: 409, errorCode: 'SSO_LINK_REQUIRED' }
+  );
+  assert.strictEqual(existing.sso.subject, undefined);
+  assert.strictEqual(existing.sso.pendingLink.subject, 'idp-7');
+
+  const token = sent.mock.calls[0].arguments[2];
+  t.mock.method(User, 'findById', () => query(existing));
+  findOne.mock.restore();
+  t.mock.method(Company, 'findOne', async () => company);
+
+  const { user } = await ssoService.confirmLink(token);
+  assert.strictEqual(user.sso.subject, 'idp-7');
+  assert.strictEqual(user.enterprise.company, 'Acme');
+
+  // The link is spent once used
+  await assert.rejects(ssoService.confirmLink(token), /invalid or has expired/);
+  await assert.rejects(
+    ssoService.confirmLink(tokenService.signPurposeToken(existing._id, 'password_reset', '1h')),
+    /invalid or has expired/
+  );
+});
+
+test('accounts this company provisioned are linked by email without a confirmation', async (t) => {
+  const provisioned = new User({
+    firstName: 'Jane', lastName: 'Doe', email: 'jane.doe@acme.com', age: 30,
+    provisionedBy: { company: 'Acme', source: 'scim' }
+  });
+  t.mock.method(User, 'findOne', async filter => (filter.email ? provisioned : null));
+  t.mock.method(provisioned, 'save', async () => provisioned);
+
+  const user = await ssoService.provisionUser(acme(), { sub: 'idp-8', email: 'jane.doe@acme.com' });
+
+  assert.strictEqual(user.sso.subject, 'idp-8');
+});
+
+test('password sign-in is refused on domains whose company enforces SSO', async (t) => {
+  t.mock.method(Company, 'findBySsoDomain', async () => acme({ disablePasswordLogin: true }));
+  t.mock.method(LoginThrottle, 'findOne', async () => null);
+
+  const { status, body } = await request(createApp({ trustProxy: true }), 'POST', '/api/v1/auth/login', {
+    body: { email: 'jane.doe@acme.com', password: 'Passw0rd!' },
+    ip: '10.11.0.1'
+  });
+
+  assert.strictEqual(status, 403);
+  assert.strictEqual(body.errorCode, 'SSO_REQUIRED');
+  assert.strictEqual(body.data.company, 'Acme');
+});
+
+test('loopback and plain http issuers are only accepted in development and test', async (t) => {
+  const admin = new User({
+    firstName: 'Ada', lastName: 'Admin', email: 'ada@acme.com', age: 40, isVerified: true,
+    persona: 'enterprise', enterprise: { company: 'Acme', isAdmin: true }
+  });
+  const company = acme();
+  t.mock.method(company, 'save', async () => company);
+  t.mock.method(Company, 'findOne', () => query(company));
+  t.mock.method(Family, 'find', () => query([]));
+  t.mock.method(RoleAssignment, 'find', () => query([]));
+  const headers = signIn(t, admin);
+  const update = issuer => request(createApp(), 'PUT', '/api/v1/enterprise/settings/sso', { headers, body: { issuer } });
+  t.after(() => { process.env.NODE_ENV = 'test'; });
+
+  process.env.NODE_ENV = 'production';
+  assert.strictEqual((await update('http://localhost:4010')).status, 400);
+  assert.strictEqual((await update('https://127.0.0.1:4010')).status, 400);
+  assert.strictEqual((await update('http://idp.acme.test')).status, 400);
+  assert.strictEqual((await update('https://login.acme.test')).status, 200);
+
+  process.env.NODE_ENV = 'test';
+  assert.strictEqual((await update('http://localhost:4010')).status, 200);
+  assert.strictEqual(company.sso.issuer, 'http://localhost:4010');
+});
@@ -0,0 +1,31 @@
+const tokenService = require('../../utils/token-service');
+const User = require('../../models/User');
+
+// Resolves like a mongoose query for code that either awaits it directly or
+// chains select()/populate()/sort()... first
+const query = (result) => {
+  const chain = {
+    select: () => chain,
+    populate: () => chain,
+    lean: () => chain,
+    sort: () => chain,
+    skip: () => chain,
+    limit: () => chain,
+    then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+  };
+  return chain;
+};
+
+// Let `user` through protect() without a database: the access token is accepted
+// as-is and every User.findById resolves to the user. Returns the request headers.
+const signIn = (t, user, { sessionId = 'session-1' } = {}) => {
+  t.mock.method(tokenService, 'verifyAccessToken', async () => ({
+    id: String(user._id),
+    sid: sessionId,
+    iat: Math.floor(Date.now() / 1000)
+  }));
+  t.mock.method(User, 'findById', () => query(user));
+  return { authorization: 'Bearer test-token' };
+};
+
+module.exports = { query, signIn };
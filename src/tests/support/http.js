@@ -0,0 +1,31 @@
+// Drive an Express app over a real socket: listen on an ephemeral port, send one
+// request with fetch and resolve with { status, headers, body } (body parsed as JSON
+// when the response is JSON). ip is sent as X-Forwarded-For, so an app created with
+// trustProxy sees each test as its own client and per-IP rate limits do not carry over.
+const request = async (app, method, path, { body, headers = {}, ip } = {}) => {
+  const server = await new Promise(resolve => {
+    const listener = app.listen(0, () => resolve(listener));
+  });
+
+  try {
+    const rawBody = typeof body === 'string' || body === undefined ? body : JSON.stringify(body);
+    const response = await fetch(`http://127.0.0.1:${server.address().port}${path}`, {
+      method,
+      headers: {
+        ...(body !== undefined && { 'content-type': 'application/json' }),
+        ...(ip && { 'x-forwarded-for': ip }),
+        ...headers
+      },
+      body: rawBody
+    });
+    const text = await response.text();
+    const isJson = /application\/([\w.-]+\+)?json/.test(response.headers.get('content-type') || '');
+
+    return { status: response.status, headers: response.headers, body: isJson ? JSON.parse(text) : text };
+  } finally {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  }
+};
+
+module.exports = { request };
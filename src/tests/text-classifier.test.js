@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Models are written under a scratch directory for this file only
+const modelDir = fs.mkdtempSync(path.join(os.tmpdir(), 'truthshield-classifier-'));
+process.env.CLASSIFIER_MODEL_DIR = modelDir;
+
+const textClassifier = require('../utils/text-classifier');
+const classifierDetector = require('../utils/detectors/classifier');
+
+const BANKS = ['paypal', 'chase', 'barclays', 'wells fargo', 'amazon', 'netflix'];
+const NAMES = ['sam', 'alex', 'jo', 'priya', 'tom', 'mia'];
+
+// Unique texts, so none are dropped as duplicates
+const corpus = Array.from({ length: 150 }, (_, index) => [
+  {
+    text: `Urgent: verify your ${BANKS[index % BANKS.length]} account ${index} now or it will be suspended, log in at the secure page`,
+    label: 'phishing'
+  },
+  {
+    text: `Lunch with ${NAMES[index % NAMES.length]} moved to table ${index}, see you at the usual place after the meeting`,
+    label: 'benign'
+  }
+]).flat();
+
+const corpusFile = path.join(modelDir, 'corpus.jsonl');
+fs.writeFileSync(corpusFile, corpus.map(example => JSON.stringify(example)).join('\n\n'));
+
+const trainFromFile = (options = {}) => textClassifier.train({ files: [corpusFile], useDatabase: false, ...options });
+
+test.after(() => fs.rmSync(modelDir, { recursive: true, force: true }));
+
+test('training holds back the same texts on every run to measure accuracy', async () => {
+  const [first, second] = [await trainFromFile(), await trainFromFile()];
+
+  assert.deepStrictEqual(first.counts, { benign: 150, phishing: 150 });
+  assert.ok(first.metrics.holdoutExamples > 0);
+  assert.strictEqual(first.metrics.holdoutExamples, second.metrics.holdoutExamples);
+  assert.strictEqual(first.metrics.trainingExamples + first.metrics.holdoutExamples, 300);
+  assert.ok(first.metrics.accuracy > 0.9);
+});
+
+test('training needs at least two labels and a known algorithm', async () => {
+  const oneLabel = path.join(modelDir, 'one-label.jsonl');
+  fs.writeFileSync(oneLabel, JSON.stringify({ text: 'hello', label: 'benign' }));
+
+  await assert.rejects(textClassifier.train({ files: [oneLabel], useDatabase: false }), /at least two labels/);
+  await assert.rejects(trainFromFile({ algorithm: 'svm' }), /Unknown algorithm svm/);
+});
+
+test('saved models get the next version and are only served once promoted', async () => {
+  assert.strictEqual(await textClassifier.load(), null);
+
+  const first = await textClassifier.save(await trainFromFile());
+  const second = await textClassifier.save(await trainFromFile({ algorithm: 'logistic_regression' }));
+  assert.deepStrictEqual([first.version, second.version], [1, 2]);
+  assert.strictEqual(await textClassifier.load(), null);
+
+  await textClassifier.promote(1, 'test');
+  assert.strictEqual(await textClassifier.activeVersion(), 1);
+  assert.strictEqual(await textClassifier.load(), 1);
+  assert.strictEqual(await textClassifier.load(2), 2);
+
+  const result = textClassifier.classify('Please verify your paypal account now or it will be suspended');
+  const total = Object.values(result.probabilities).reduce((sum, probability) => sum + probability, 0);
+  assert.ok(Math.abs(total - 1) < 1e-9);
+  assert.ok(result.probabilities.phishing > result.probabilities.benign);
+});
+
+test('the classifier detector reports non-benign labels above the probability floor', async () => {
+  await textClassifier.load(1);
+
+  const scam = await classifierDetector.analyze({ content: 'Urgent: verify your chase account now or it will be suspended' });
+  assert.deepStrictEqual(scam.findings.map(finding => finding.type), ['phishing']);
+  assert.strictEqual(scam.details.version, 1);
+
+  const lunch = await classifierDetector.analyze({ content: 'Lunch with sam moved, see you at the usual place' });
+  assert.deepStrictEqual(lunch.findings, []);
+});
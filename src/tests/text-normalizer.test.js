@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const textNormalizer = require('../utils/text-normalizer');
+const aiDetection = require('../utils/ai-detection');
+const rulesDetector = require('../utils/detectors/rules');
+
+const normalize = content => textNormalizer.normalize(content);
+
+test('lookalike letters are folded inside mixed-script words', () => {
+  const result = normalize('Verify your аccount now');
+
+  assert.strictEqual(result.text, 'Verify your account now');
+  assert.deepStrictEqual(result.techniques, ['unicode_confusables']);
+});
+
+test('leetspeak is undone in words that are mostly letters', () => {
+  assert.strictEqual(normalize('p@ssw0rd reset').text, 'password reset');
+  assert.deepStrictEqual(normalize('p@ssw0rd reset').techniques, ['leetspeak']);
+});
+
+test('text written wholly in another script is left alone', () => {
+  ['Привет, как дела', 'Καλημέρα σας'].forEach(content => {
+    const result = normalize(content);
+    assert.strictEqual(result.text, content);
+    assert.deepStrictEqual(result.techniques, []);
+  });
+});
+
+test('abbreviations, codes and numbers keep their digits', () => {
+  ['see i18n and k8s docs, mp3s', 'A1B2 form', 'win 100 dollars'].forEach(content => {
+    const result = normalize(content);
+    assert.strictEqual(result.text, content);
+    assert.deepStrictEqual(result.techniques, []);
+  });
+});
+
+test('invisible characters, spaced letters, full-width forms and entities are undone', () => {
+  assert.strictEqual(normalize('click\u200bhere').text, 'clickhere');
+  assert.strictEqual(normalize('f r e e  m o n e y').text, 'freemoney');
+  assert.strictEqual(normalize('ｆｒｅｅ gift').text, 'free gift');
+  assert.strictEqual(normalize('&#112;aypal').text, 'paypal');
+});
+
+test('toOriginalSpan maps normalized offsets back to the original content', () => {
+  const result = normalize('click\u200bhere to v3rify');
+  const start = result.text.indexOf('verify');
+
+  assert.deepStrictEqual(textNormalizer.toOriginalSpan(result, start, start + 'verify'.length), {
+    start: 14,
+    end: 20,
+    text: 'v3rify'
+  });
+});
+
+test('disguised scam wording still matches and counts as a signal of its own', async () => {
+  const disguised = await aiDetection.analyzeContent('V3rify your acc0unt, your p@ssw0rd expires today');
+  assert.deepStrictEqual(disguised.obfuscation, ['leetspeak']);
+  assert.ok(disguised.indicators.includes('obfuscation: leetspeak'));
+
+  const text = 'verify your account, your password expires today';
+  const rule = {
+    category: 'phishing',
+    keywords: ['verify your account'],
+    patterns: [/password.*expir/i, /free.*gift/i],
+    domains: [],
+    weights: { keyword: 1, pattern: 1, domain: 2 }
+  };
+  const plain = rulesDetector.matchRule(text, rule, {}, 0.7);
+  const boosted = rulesDetector.matchRule(text, rule, { obfuscation: ['leetspeak'] }, 0.7);
+
+  assert.ok(boosted.confidence > plain.confidence);
+  assert.ok(boosted.indicators.includes('obfuscation: leetspeak'));
+});
@@ -0,0 +1,177 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { createApp } = require('../app');
+const User = require('../models/User');
+const Family = require('../models/Family');
+const Threat = require('../models/Threat');
+const RoleAssignment = require('../models/RoleAssignment');
+const aiDetectionEngine = require('../utils/ai-detection');
+const threatExplanations = require('../utils/threat-explanations');
+const helperUtils = require('../utils/helpers');
+const { request } = require('./support/http');
+const { query, signIn } = require('./support/auth');
+
+const app = createApp();
+
+const SCAM = 'URGENT action required: v3rify your acc0unt, cl1ck here for your free gift. Security alert: your passw0rd ' +
+  'expires, update your information at <a href="https://account-check.example.net/session">https://www.chase.com</a>';
+
+const newUser = (fields = {}) => new User({ firstName: 'Pat', lastName: 'Doe', email: 'pat@example.com', age: 40, ...fields });
+
+// A signed-in individual user with only the implicit role
+const signedIn = (t, user) => {
+  t.mock.method(Family, 'find', () => query([]));
+  t.mock.method(RoleAssignment, 'find', () => query([]));
+  return signIn(t, user);
+};
+
+test('explanations are worded for the reader\'s age group', () => {
+  const threat = { type: 'phishing', reason: 'Matched "verify your account"' };
+
+  assert.match(threatExplanations.explain(threat, 'child'), /Show it to a grown-up\.$/);
+  assert.match(threatExplanations.explain(threat, 'adult'), /Why we flagged it: Matched "verify your account"\.$/);
+  assert.strictEqual(threatExplanations.explain(threat, 'unknown'), threatExplanations.explain(threat, 'adult'));
+  assert.match(threatExplanations.explain({ type: 'something_new' }, 'teen'), /signs of a scam/);
+});
+
+test('annotation splits content so overlapping evidence renders without reworking offsets', () => {
+  const { highlights, segments } = threatExplanations.annotate('click here now', [
+    { type: 'phishing', severity: 'high', evidence: [{ start: 0, end: 10, text: 'click here', reason: 'a' }] },
+    { type: 'malware', severity: 'low', evidence: [{ start: 6, end: 14, text: 'here now', reason: 'b' }] }
+  ]);
+
+  assert.deepStrictEqual(highlights.map(highlight => highlight.type), ['phishing', 'malware']);
+  assert.deepStrictEqual(segments.map(({ text, highlights: covering }) => [text, covering]), [
+    ['click ', [0]],
+    ['here', [0, 1]],
+    [' now', [1]]
+  ]);
+});
+
+test('evidence offsets point into the original content, disguises included', async () => {
+  const analysis = await aiDetectionEngine.analyzeContent(SCAM);
+  const evidence = analysis.threats.flatMap(threat => threat.evidence);
+
+  assert.ok(evidence.length > 0);
+  evidence.forEach(span => assert.strictEqual(SCAM.slice(span.start, span.end), span.text));
+  assert.ok(evidence.some(span => span.text === 'v3rify your acc0unt'));
+  assert.ok(evidence.some(span => span.text === 'https://account-check.example.net/session'));
+  assert.ok(analysis.threats.every(threat => threat.reason && threat.explanation));
+});
+
+test('POST /api/threats/explain returns threats with explanations and annotated content', async (t) => {
+  const headers = signedIn(t, newUser());
+
+  const res = await request(app, 'POST', '/api/threats/explain', {
+    headers,
+    body: { content: SCAM, ageGroup: 'teen' }
+  });
+
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(res.body.data.ageGroup, 'teen');
+  assert.ok(res.body.data.threats.length > 0);
+  assert.strictEqual(res.body.data.annotated.content, SCAM);
+  assert.strictEqual(res.body.data.annotated.segments.map(segment => segment.text).join(''), SCAM);
+});
+
+test('POST /api/threats/explain rejects an unknown age group', async (t) => {
+  const headers = signedIn(t, newUser());
+
+  const res = await request(app, 'POST', '/api/threats/explain', { headers, body: { content: SCAM, ageGroup: 'toddler' } });
+
+  assert.strictEqual(res.status, 400);
+});
+
+test('stored threats are explained to their owner and hidden from other users', async (t) => {
+  const owner = newUser();
+  const threat = { _id: new mongoose.Types.ObjectId(), source: 'email', detectedContent: 'Please verify your account now', user: { _id: owner._id } };
+  t.mock.method(Threat, 'findById', () => query(threat));
+
+  const res = await request(app, 'GET', `/api/threats/${threat._id}/explanation?ageGroup=senior`, { headers: signedIn(t, owner) });
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(res.body.data.threatId, String(threat._id));
+  assert.strictEqual(res.body.data.ageGroup, 'senior');
+  assert.strictEqual(res.body.data.reanalyzed, true);
+
+  const stranger = await request(app, 'GET', `/api/threats/${threat._id}/explanation`, { headers: signedIn(t, newUser()) });
+  assert.strictEqual(stranger.status, 404);
+});
+
+test('reported threats keep the detections and evidence they were flagged with', async (t) => {
+  const user = newUser();
+  const create = t.mock.method(Threat, 'create', async (fields) => ({ _id: new mongoose.Types.ObjectId(), ...fields }));
+  t.mock.method(User, 'findByIdAndUpdate', async () => user);
+
+  const res = await request(app, 'POST', '/api/threats/report', {
+    headers: signedIn(t, user),
+    body: { type: 'phishing', severity: 'high', source: 'email', detectedContent: SCAM, indicators: ['link'] }
+  });
+
+  assert.strictEqual(res.status, 201);
+  const { detectedContent, aiAnalysis } = create.mock.calls[0].arguments[0];
+  assert.ok(aiAnalysis.threats.length > 0);
+  aiAnalysis.threats.forEach(({ evidence }) => {
+    assert.ok(evidence.length > 0);
+    evidence.forEach(span => assert.ok(detectedContent.slice(span.start, span.end)));
+  });
+
+  // The link markup is analyzed before it is stripped from the stored copy
+  assert.ok(!detectedContent.includes('<a'));
+  assert.ok(aiAnalysis.riskFactors.includes('url_display_text_mismatch: account-check.example.net'));
+  const spans = aiAnalysis.threats.flatMap(({ evidence }) => evidence).map(span => detectedContent.slice(span.start, span.end));
+  assert.ok(spans.includes('https://account-check.example.net/session'));
+  assert.ok(spans.includes('v3rify your acc0unt'));
+});
+
+test('threats recorded by analysis keep their detections and evidence too', async (t) => {
+  const create = t.mock.method(Threat, 'create', async (fields) => ({ _id: new mongoose.Types.ObjectId(), ...fields }));
+
+  const res = await request(app, 'POST', '/api/threats/analyze', {
+    headers: signedIn(t, newUser()),
+    body: { content: SCAM, context: { source: 'email' } }
+  });
+
+  assert.strictEqual(res.status, 200);
+  assert.ok(res.body.data.threatRecord);
+  const { detectedContent, aiAnalysis } = create.mock.calls[0].arguments[0];
+  assert.deepStrictEqual(aiAnalysis.threats.map(threat => threat.type), res.body.data.analysis.threats.map(threat => threat.type));
+  const spans = aiAnalysis.threats.flatMap(({ evidence }) => evidence).map(span => detectedContent.slice(span.start, span.end));
+  assert.ok(spans.includes('https://account-check.example.net/session'));
+});
+
+test('evidence offsets move onto the sanitized copy that is stored', () => {
+  const content = '  a <b>bold</b> claim';
+  const stored = helperUtils.sanitizeInput(content);
+  const positions = helperUtils.sanitizedPositions(content);
+  const start = content.indexOf('bold');
+
+  assert.strictEqual(stored.slice(positions[start], positions[start + 4]), 'bold');
+  assert.strictEqual(positions[content.length], stored.length);
+  assert.strictEqual(helperUtils.sanitizedPositions('x'.repeat(6000))[5500], 5000);
+});
+
+test('stored threats are explained from their saved detections, not a re-run', async (t) => {
+  const owner = newUser();
+  const threat = {
+    _id: new mongoose.Types.ObjectId(),
+    source: 'email',
+    detectedContent: 'Please verify your account now',
+    user: { _id: owner._id },
+    aiAnalysis: {
+      rulesetVersion: 3,
+      threats: [{ type: 'phishing', severity: 'high', confidence: 0.8, reason: 'Matched "verify your account"', evidence: [{ start: 7, end: 26, reason: 'phrase' }] }]
+    }
+  };
+  t.mock.method(Threat, 'findById', () => query(threat));
+  const analyze = t.mock.method(aiDetectionEngine, 'analyzeContent');
+
+  const res = await request(app, 'GET', `/api/threats/${threat._id}/explanation?ageGroup=child`, { headers: signedIn(t, owner) });
+
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(analyze.mock.callCount(), 0);
+  assert.strictEqual(res.body.data.reanalyzed, false);
+  assert.strictEqual(res.body.data.rulesetVersion, 3);
+  assert.strictEqual(res.body.data.threats[0].evidence[0].text, 'verify your account');
+  assert.match(res.body.data.threats[0].explanation, /grown-up/);
+});
@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const ThreatRuleset = require('../models/ThreatRuleset');
+const threatRules = require('../utils/threat-rules');
+const aiDetectionEngine = require('../utils/ai-detection');
+const { query } = require('./support/auth');
+
+const admin = { _id: new mongoose.Types.ObjectId() };
+
+const giftCardRule = {
+  name: 'gift-card-request',
+  category: 'financial_scam',
+  keywords: ['buy gift cards', 'scratch off the back'],
+  patterns: [{ source: 'gift.{0,20}cards?', flags: 'i' }]
+};
+
+// Rulesets kept in memory; the active one is the most recently activated
+const rulesetStore = (t, rulesets) => {
+  const docs = rulesets.map(fields => new ThreatRuleset(fields));
+  const active = () => docs
+    .filter(doc => doc.activatedAt)
+    .sort((a, b) => b.activatedAt - a.activatedAt)[0] || null;
+
+  t.mock.method(ThreatRuleset, 'findActive', () => query(active()));
+  t.mock.method(ThreatRuleset, 'findOne', filter => query(docs.find(doc => doc.version === Number(filter.version)) || null));
+  t.mock.method(ThreatRuleset.prototype, 'save', async function() { return this; });
+  t.after(() => {
+    aiDetectionEngine.useRuleset(null);
+    threatRules.loaded = { version: 0, activatedAt: null };
+  });
+  return docs;
+};
+
+test('validation names every rule that could not compile or run safely', () => {
+  const problems = threatRules.validate([
+    giftCardRule,
+    { ...giftCardRule },
+    { name: 'empty', category: 'phishing' },
+    { name: 'slow', category: 'phishing', patterns: [{ source: '(a+)+b' }] }
+  ]);
+
+  assert.deepStrictEqual(problems, [
+    'Rule "gift-card-request": duplicate rule name',
+    'Rule "empty": needs at least one keyword, pattern or domain',
+    'Rule "slow", pattern 1: Nested quantifier at position 0 can backtrack catastrophically'
+  ]);
+  assert.throws(() => threatRules.assertValid([{ name: 'empty', category: 'phishing' }]), { statusCode: 400 });
+});
+
+test('activating a draft publishes it and the engine starts tagging analyses with it', async (t) => {
+  const [draft] = rulesetStore(t, [{ version: 1, rules: [giftCardRule] }]);
+
+  await threatRules.activate(1, admin);
+
+  assert.strictEqual(draft.status, 'published');
+  assert.strictEqual(draft.previousVersion, 0);
+  const analysis = await aiDetectionEngine.analyzeContent('Please buy gift cards and scratch off the back');
+  assert.strictEqual(analysis.rulesetVersion, 1);
+  assert.strictEqual(analysis.threats[0].rule, 'gift-card-request');
+});
+
+test('rollback returns to the version that ran before the current one', async (t) => {
+  const earlier = new Date(Date.now() - 60000);
+  rulesetStore(t, [
+    { version: 1, status: 'published', rules: [giftCardRule], activatedAt: earlier, previousVersion: 0 },
+    { version: 2, status: 'published', rules: [{ ...giftCardRule, name: 'renamed' }], activatedAt: new Date(), previousVersion: 1 }
+  ]);
+
+  const restored = await threatRules.rollback(admin);
+
+  assert.strictEqual(restored.version, 1);
+  assert.strictEqual(restored.previousVersion, 0);
+  assert.strictEqual(aiDetectionEngine.ruleset.version, 1);
+});
+
+test('published versions cannot be edited or deleted', async (t) => {
+  rulesetStore(t, [{ version: 3, status: 'published', rules: [giftCardRule] }]);
+
+  await assert.rejects(threatRules.update(3, { description: 'edit' }), { statusCode: 409 });
+  await assert.rejects(threatRules.remove(3), { statusCode: 409 });
+  await assert.rejects(threatRules.get(9), { statusCode: 404 });
+});
+
+test('there is nothing to roll back while the built-in rules are active', async (t) => {
+  rulesetStore(t, []);
+
+  await assert.rejects(threatRules.rollback(admin), /built-in rules are active/);
+});
@@ -0,0 +1,144 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const tokenService = require('../utils/token-service');
+const RefreshToken = require('../models/RefreshToken');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const encryptionUtils = require('../utils/encryption');
+const constants = require('../config/constants');
+const { query } = require('./support/auth');
+
+const userId = new mongoose.Types.ObjectId();
+const sessionId = new mongoose.Types.ObjectId().toString();
+
+// A stored refresh token as findOne would return it
+const storedToken = (overrides = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  user: userId,
+  family: sessionId,
+  expiresAt: new Date(Date.now() + 60000),
+  ...overrides
+});
+
+test('a login stores only the hash of its refresh token and binds the access token to the session', async (t) => {
+  const create = t.mock.method(RefreshToken, 'create', async doc => doc);
+  const createSession = t.mock.method(Session, 'create', async doc => new Session(doc));
+
+  const tokens = await tokenService.issueTokens({ _id: userId }, { ip: '10.0.0.1', headers: { 'user-agent': 'test' } });
+  const stored = create.mock.calls[0].arguments[0];
+  const session = createSession.mock.calls[0].arguments[0];
+
+  assert.strictEqual(stored.tokenHash, encryptionUtils.hashData(tokens.refreshToken));
+  assert.notStrictEqual(stored.tokenHash, tokens.refreshToken);
+  assert.strictEqual(stored.family, tokens.sessionId);
+  assert.strictEqual(stored.createdByIp, '10.0.0.1');
+  assert.strictEqual(session.ip, '10.0.0.1');
+  assert.strictEqual(session.userAgent, 'test');
+
+  const decoded = jwt.verify(tokens.accessToken, constants.JWT_SECRET);
+  assert.strictEqual(decoded.sid, tokens.sessionId);
+  assert.strictEqual(decoded.type, 'access');
+});
+
+test('rotation retires the presented token and issues the next one in the same family', async (t) => {
+  const existing = storedToken();
+  const claimed = { ...existing, save: async () => claimed };
+  t.mock.method(RefreshToken, 'findOne', async () => existing);
+  const claim = t.mock.method(RefreshToken, 'findOneAndUpdate', async () => claimed);
+  t.mock.method(RefreshToken, 'create', async doc => doc);
+  const session = new Session({ _id: sessionId, user: userId, ip: '10.0.0.1', expiresAt: new Date() });
+  const findSession = t.mock.method(Session, 'findOne', async () => session);
+  t.mock.method(session, 'save', async () => session);
+
+  const rotated = await tokenService.rotateRefreshToken('old-token', {});
+
+  assert.deepStrictEqual(claim.mock.calls[0].arguments[0], { _id: existing._id, revokedAt: null });
+  assert.strictEqual(claim.mock.calls[0].arguments[1].revokedReason, 'rotated');
+  assert.strictEqual(rotated.sessionId, sessionId);
+  assert.strictEqual(claimed.replacedBy, encryptionUtils.hashData(rotated.refreshToken));
+  assert.deepStrictEqual(findSession.mock.calls[0].arguments[0], { _id: sessionId, revokedAt: null });
+  assert.ok(session.expiresAt > new Date());
+});
+
+test('a refresh token from a revoked session cannot be exchanged', async (t) => {
+  const existing = storedToken();
+  t.mock.method(RefreshToken, 'findOne', async () => existing);
+  t.mock.method(RefreshToken, 'findOneAndUpdate', async () => ({ ...existing, save: async () => {} }));
+  t.mock.method(Session, 'findOne', async () => null);
+  const create = t.mock.method(RefreshToken, 'create', async doc => doc);
+
+  await assert.rejects(tokenService.rotateRefreshToken('old-token', {}), { statusCode: 401, errorCode: 'INVALID_REFRESH_TOKEN' });
+  assert.strictEqual(create.mock.callCount(), 0);
+});
+
+test('presenting a rotated token again revokes the whole family', async (t) => {
+  t.mock.method(RefreshToken, 'findOne', async () => storedToken());
+  t.mock.method(RefreshToken, 'findOneAndUpdate', async () => null);
+  const revoke = t.mock.method(RefreshToken, 'revokeFamily', async () => ({}));
+  const revokeSession = t.mock.method(Session, 'updateOne', async () => ({}));
+
+  await assert.rejects(tokenService.rotateRefreshToken('reused', {}), { statusCode: 401, errorCode: 'REFRESH_TOKEN_REUSED' });
+  assert.deepStrictEqual(revoke.mock.calls[0].arguments, [sessionId, 'reuse_detected']);
+  assert.strictEqual(revokeSession.mock.calls[0].arguments[1].revokedReason, 'reuse_detected');
+});
+
+test('children awaiting consent get sessions without device details', async (t) => {
+  const create = t.mock.method(RefreshToken, 'create', async doc => doc);
+  const createSession = t.mock.method(Session, 'create', async doc => new Session(doc));
+  const child = new User({ parentalConsent: { status: 'pending' } });
+
+  await tokenService.issueTokens(child, { ip: '10.0.0.1', headers: { 'user-agent': 'test' } });
+  const session = createSession.mock.calls[0].arguments[0];
+
+  assert.strictEqual(session.minimalData, true);
+  assert.strictEqual(session.ip, undefined);
+  assert.strictEqual(session.userAgent, undefined);
+  assert.strictEqual(create.mock.calls[0].arguments[0].createdByIp, undefined);
+});
+
+test('unknown and expired refresh tokens are refused', async (t) => {
+  const findOne = t.mock.method(RefreshToken, 'findOne', async () => null);
+  await assert.rejects(tokenService.rotateRefreshToken('unknown', {}), { statusCode: 401, errorCode: 'INVALID_REFRESH_TOKEN' });
+
+  findOne.mock.mockImplementation(async () => storedToken({ expiresAt: new Date(Date.now() - 1000) }));
+  await assert.rejects(tokenService.rotateRefreshToken('expired', {}), /expired/);
+});
+
+test('access tokens stop working once their session is revoked', async (t) => {
+  const findOne = t.mock.method(Session, 'findOne', () => query({ _id: sessionId, lastSeenAt: new Date() }));
+  const token = tokenService.signAccessToken(userId, sessionId);
+
+  assert.strictEqual((await tokenService.verifyAccessToken(token)).sid, sessionId);
+  assert.strictEqual(findOne.mock.calls[0].arguments[0]._id, sessionId);
+
+  findOne.mock.mockImplementation(() => query(null));
+  await assert.rejects(tokenService.verifyAccessToken(token), /Session has been revoked/);
+});
+
+test('signing out everywhere can keep the current session', async (t) => {
+  const other = new mongoose.Types.ObjectId();
+  const find = t.mock.method(Session, 'find', () => query([{ _id: other }]));
+  t.mock.method(Session, 'updateMany', async () => ({}));
+  const revokeTokens = t.mock.method(RefreshToken, 'updateMany', async () => ({}));
+
+  const revoked = await tokenService.revokeAllSessions(userId, 'signed_out_everywhere', { exceptSessionId: sessionId });
+
+  assert.strictEqual(revoked, 1);
+  assert.deepStrictEqual(find.mock.calls[0].arguments[0]._id, { $ne: sessionId });
+  assert.deepStrictEqual(revokeTokens.mock.calls[0].arguments[0].family, { $in: [other.toString()] });
+});
+
+test('tokens that are not session access tokens are refused', async () => {
+  const stray = jwt.sign({ id: userId.toString() }, constants.JWT_SECRET);
+  await assert.rejects(tokenService.verifyAccessToken(stray), { statusCode: 401 });
+});
+
+test('a password change invalidates tokens issued before it', () => {
+  const user = new User({ passwordChangedAt: new Date('2026-01-01T00:00:10Z') });
+
+  assert.strictEqual(user.changedPasswordAfter(Date.parse('2026-01-01T00:00:00Z') / 1000), true);
+  assert.strictEqual(user.changedPasswordAfter(Date.parse('2026-01-01T00:00:20Z') / 1000), false);
+  assert.strictEqual(new User().changedPasswordAfter(0), false);
+});
@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const totp = require('../utils/totp');
+
+// RFC 6238 appendix B shared secret "12345678901234567890"
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+test('base32 round-trips arbitrary bytes', () => {
+  const bytes = Buffer.from([0, 1, 2, 250, 251, 252, 253, 254, 255]);
+  assert.deepStrictEqual(totp.base32Decode(totp.base32Encode(bytes)), bytes);
+  assert.strictEqual(totp.base32Decode(RFC_SECRET).toString(), '12345678901234567890');
+});
+
+test('base32Decode ignores padding, case and spaces and rejects other characters', () => {
+  assert.strictEqual(totp.base32Decode('gezd gnbv====').toString('hex'), totp.base32Decode('GEZDGNBV').toString('hex'));
+  assert.throws(() => totp.base32Decode('GEZD1'), /Invalid base32 character/);
+});
+
+test('generateCode matches the RFC 6238 SHA-1 test vectors', () => {
+  // The RFC lists 8-digit codes; 6-digit codes are their last six digits
+  const vectors = [[59, '287082'], [1111111109, '081804'], [1111111111, '050471'], [1234567890, '005924'], [2000000000, '279037']];
+
+  vectors.forEach(([seconds, code]) => {
+    assert.strictEqual(totp.generateCode(RFC_SECRET, totp.currentStep(seconds * 1000)), code);
+  });
+});
+
+test('verify returns the matching step within one step of drift', () => {
+  const now = 1111111109 * 1000;
+  const step = totp.currentStep(now);
+
+  assert.strictEqual(totp.verify(RFC_SECRET, totp.generateCode(RFC_SECRET, step), now), step);
+  assert.strictEqual(totp.verify(RFC_SECRET, totp.generateCode(RFC_SECRET, step - 1), now), step - 1);
+  assert.strictEqual(totp.verify(RFC_SECRET, totp.generateCode(RFC_SECRET, step + 1), now), step + 1);
+  assert.strictEqual(totp.verify(RFC_SECRET, totp.generateCode(RFC_SECRET, step + 2), now), null);
+});
+
+test('verify accepts spaced codes and rejects malformed ones', () => {
+  const now = 59 * 1000;
+
+  assert.strictEqual(totp.verify(RFC_SECRET, '287 082', now), 1);
+  ['', null, '28708', '2870820', '28708a'].forEach(code => {
+    assert.strictEqual(totp.verify(RFC_SECRET, code, now), null);
+  });
+});
+
+test('buildOtpauthUri carries the secret, issuer and code parameters', () => {
+  const uri = new URL(totp.buildOtpauthUri(RFC_SECRET, 'parent@example.com', 'TruthShield Pro'));
+
+  assert.strictEqual(uri.protocol, 'otpauth:');
+  assert.strictEqual(uri.host, 'totp');
+  assert.strictEqual(decodeURIComponent(uri.pathname), '/TruthShield Pro:parent@example.com');
+  assert.strictEqual(uri.searchParams.get('secret'), RFC_SECRET);
+  assert.strictEqual(uri.searchParams.get('digits'), '6');
+  assert.strictEqual(uri.searchParams.get('period'), '30');
+});
@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const urlAnalyzer = require('../utils/url-analyzer');
+const aiDetection = require('../utils/ai-detection');
+
+const typesFor = (content) => {
+  const [url] = urlAnalyzer.analyze(content).urls;
+  return url.indicators.map(indicator => indicator.type);
+};
+
+test('lookalike domains are flagged against the brand they imitate', () => {
+  assert.deepStrictEqual(typesFor('https://paypa1.com/'), ['homoglyph_lookalike']);
+  assert.deepStrictEqual(typesFor('https://xn--pypal-4ve.com/'), ['punycode_host', 'homoglyph_lookalike']);
+  assert.deepStrictEqual(typesFor('https://netflx.com/'), ['typosquat']);
+  assert.deepStrictEqual(typesFor('https://paypal-security.com/'), ['brand_impersonation']);
+  assert.deepStrictEqual(typesFor('https://paypal.com.secure-login.xyz/'), ['brand_in_subdomain', 'suspicious_tld']);
+});
+
+test('the real brand domain and unrelated words are left alone', () => {
+  assert.deepStrictEqual(typesFor('https://www.paypal.com/'), []);
+  assert.deepStrictEqual(typesFor('https://pineapple.com/'), []);
+  assert.deepStrictEqual(typesFor('https://news.bbc.co.uk/'), []);
+  assert.strictEqual(urlAnalyzer.registrableDomain('news.bbc.co.uk'), 'bbc.co.uk');
+});
+
+test('a brand\'s official regional domains are not impersonations of it', () => {
+  ['https://www.amazon.de/', 'https://smile.amazon.co.jp/', 'https://amazon.co.uk/gp', 'https://paypal.me/pat'].forEach(url => {
+    assert.deepStrictEqual(typesFor(url), [], url);
+  });
+  assert.deepStrictEqual(typesFor('https://amazon-de.com/'), ['brand_impersonation']);
+});
+
+test('structural warning signs are reported with their detail', () => {
+  const { urls } = urlAnalyzer.analyze('Go to http://admin@192.168.4.20/login and https://bit.ly/abc123');
+  const [ipLink, shortLink] = urls;
+
+  assert.deepStrictEqual(ipLink.indicators.map(indicator => indicator.type), ['ip_literal_host', 'userinfo_in_url', 'credential_path']);
+  assert.deepStrictEqual(shortLink.indicators, [{ type: 'url_shortener', detail: 'bit.ly', score: 0.3 }]);
+  // Independent signals combine: 1 - (0.4 * 0.4 * 0.65)
+  assert.strictEqual(ipLink.score, 0.9);
+});
+
+test('anchor text naming one site while linking to another is a mismatch', () => {
+  const content = '<a href="https://account-check.example.net/session">https://www.chase.com</a>';
+  const result = urlAnalyzer.analyze(content);
+
+  const link = result.urls.find(url => url.domain === 'example.net');
+
+  assert.deepStrictEqual(link.indicators, [{ type: 'display_text_mismatch', detail: 'www.chase.com', score: 0.7 }]);
+  assert.strictEqual(result.domain, 'example.net');
+  assert.ok(result.indicators.includes('url_display_text_mismatch: account-check.example.net'));
+});
+
+test('content without links has no URL findings', () => {
+  assert.deepStrictEqual(urlAnalyzer.analyze('Dinner at six?'), { urls: [], domain: null, score: 0, indicators: [] });
+  assert.deepStrictEqual(urlAnalyzer.analyze(undefined).urls, []);
+});
+
+test('a risky link turns into a phishing threat in the content analysis', async () => {
+  const analysis = await aiDetection.analyzeContent('Hi, see https://paypa1.com/signin for details');
+
+  assert.strictEqual(analysis.domain, 'paypa1.com');
+  const phishing = analysis.threats.find(threat => threat.type === 'phishing');
+  assert.ok(phishing);
+  assert.ok(phishing.indicators.includes('url_homoglyph_lookalike: paypa1.com'));
+});
@@ -0,0 +1,216 @@
+const fs = require('fs');
+const mongoose = require('mongoose');
+const DeletionReceipt = require('../models/DeletionReceipt');
+const tokenService = require('./token-service');
+const mailer = require('./mailer');
+const jobQueue = require('./job-queue');
+const { AppError } = require('./errors');
+const constants = require('../config/constants');
+
+const JOB_NAME = 'account-purge';
+
+const invalidToken = () => new AppError(
+  'Restore link is invalid or has expired',
+  400,
+  constants.ERROR_CODES.INVALID_RESTORE_TOKEN
+);
+
+// Soft deletion with a grace period, then a purge that deletes personal data and
+// anonymizes threat reports so global threat statistics keep their counts.
+class AccountDeletionService {
+  constructor() {
+    jobQueue.register(JOB_NAME, userId => this.purge(userId));
+  }
+
+  // Deactivate the account now and schedule the purge
+  async schedule(user, requestedBy = user) {
+    const requestedAt = new Date();
+    const scheduledFor = new Date(requestedAt.getTime() + constants.ACCOUNT_DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000);
+
+    user.deletion = {
+      requestedAt,
+      scheduledFor,
+      requestedBy: requestedBy._id,
+      reason: 'user_request'
+    };
+    user.isActive = false;
+    user.deactivatedAt = requestedAt;
+    await user.save();
+
+    await tokenService.revokeAllSessions(user._id, 'account_deleted', { revokedBy: requestedBy._id });
+
+    // The link stops working once the account is restored or deleted again
+    const token = tokenService.signPurposeToken(
+      user._id,
+      'account_restore',
+      `${constants.ACCOUNT_DELETION_GRACE_DAYS}d`,
+      { rat: requestedAt.getTime() }
+    );
+
+    try {
+      await mailer.sendAccountDeletionScheduled(user, scheduledFor, token);
+    } catch (error) {
+      console.error('Deletion notification error:', error);
+    }
+
+    return scheduledFor;
+  }
+
+  // Undo a scheduled deletion from the emailed link
+  async restore(token) {
+    let decoded;
+    try {
+      decoded = tokenService.verifyPurposeToken(token, 'account_restore');
+    } catch (error) {
+      throw invalidToken();
+    }
+
+    const User = mongoose.model('User');
+    const user = await User.findById(decoded.id);
+
+    if (
+      !user ||
+      !user.isPendingDeletion() ||
+      user.deletion.requestedAt.getTime() !== decoded.rat ||
+      user.deletion.scheduledFor <= new Date()
+    ) {
+      throw invalidToken();
+    }
+
+    user.deletion = undefined;
+    user.isActive = true;
+    user.deactivatedAt = undefined;
+    await user.save();
+
+    return user;
+  }
+
+  // Queue purges for every account whose grace period has ended
+  async purgeDue() {
+    const User = mongoose.model('User');
+    const due = await User.find({ 'deletion.scheduledFor': { $lte: new Date() } }).select('_id');
+
+    due.forEach(user => jobQueue.enqueue(JOB_NAME, user._id));
+    return due.length;
+  }
+
+  startScheduler() {
+    const run = () => this.purgeDue().catch(error => console.error('Account purge sweep error:', error));
+
+    run();
+    const timer = setInterval(run, constants.ACCOUNT_PURGE_INTERVAL_MINUTES * 60 * 1000);
+    timer.unref();
+    return timer;
+  }
+
+  // Remove the account and everything linked to it. Safe to re-run after a crash.
+  async purge(userId, { reason = 'user_request', requestedBy } = {}) {
+    const User = mongoose.model('User');
+    const Threat = mongoose.model('Threat');
+    const GameSession = mongoose.model('GameSession');
+    const Family = mongoose.model('Family');
+    const Session = mongoose.model('Session');
+    const RefreshToken = mongoose.model('RefreshToken');
+    const ApiKey = mongoose.model('ApiKey');
+    const RoleAssignment = mongoose.model('RoleAssignment');
+    const DataExport = mongoose.model('DataExport');
+    const LoginThrottle = mongoose.model('LoginThrottle');
+    const TrainingExample = mongoose.model('TrainingExample');
+
+    const user = await User.findById(userId);
+    if (!user) return null;
+
+    // The scheduled purge only runs for accounts still waiting on it; undo wins the race
+    if (reason === 'user_request' && !(user.isPendingDeletion() && user.deletion.scheduledFor <= new Date())) {
+      return null;
+    }
+
+    const counts = {};
+
+    // Training examples hold the user's content verbatim, whether they sent it as
+    // feedback or someone else did on one of their threats; pending or approved, they go
+    const ownThreats = (await Threat.find({ user: user._id }).select('_id')).map(threat => threat._id);
+    counts.trainingExamplesDeleted = (await TrainingExample.deleteMany({
+      $or: [{ addedBy: user._id }, { threat: { $in: ownThreats } }]
+    })).deletedCount;
+    // Relabels they proposed on examples others contributed only point back at them
+    await TrainingExample.updateMany(
+      { $or: [{ 'proposal.addedBy': user._id }, { 'proposal.threat': { $in: ownThreats } }] },
+      { $unset: { proposal: '' } }
+    );
+
+    // Keep type, severity, source, domain, age group and timestamps for the aggregates;
+    // drop the link to the user and anything that could identify them
+    const threats = await Threat.updateMany({ user: user._id }, [
+      {
+        $set: {
+          detectedContent: '[removed]',
+          url: {
+            $cond: [{ $ne: [{ $ifNull: ['$domain', ''] }, ''] }, { $concat: ['https://', '$domain', '/'] }, '$$REMOVE']
+          },
+          anonymizedAt: '$$NOW'
+        }
+      },
+      { $unset: ['user', 'location.ipAddress', 'location.city', 'location.region', 'deviceInfo.userAgent'] }
+    ]);
+    counts.threatsAnonymized = threats.modifiedCount;
+
+    counts.gameSessionsDeleted = (await GameSession.deleteMany({ user: user._id })).deletedCount;
+    counts.sessionsDeleted = (await Session.deleteMany({ user: user._id })).deletedCount;
+    counts.refreshTokensDeleted = (await RefreshToken.deleteMany({ user: user._id })).deletedCount;
+    counts.apiKeysDeleted = (await ApiKey.deleteMany({ user: user._id })).deletedCount;
+    counts.roleAssignmentsDeleted = (await RoleAssignment.deleteMany({ user: user._id })).deletedCount;
+    await LoginThrottle.deleteOne({ key: `account:${user._id}` });
+
+    const dataExports = await DataExport.find({ user: user._id }).select('+filePath');
+    for (const dataExport of dataExports) {
+      if (dataExport.filePath) {
+        await fs.promises.rm(dataExport.filePath, { force: true });
+      }
+    }
+    counts.dataExportsDeleted = (await DataExport.deleteMany({ user: user._id })).deletedCount;
+
+    // A parent's family group goes with them; children keep their own accounts
+    const ownedFamilies = await Family.find({ parent: user._id }).select('_id');
+    const familyIds = ownedFamilies.map(family => family._id);
+    if (familyIds.length) {
+      await RoleAssignment.deleteMany({ scopeType: 'family', scopeId: { $in: familyIds.map(id => id.toString()) } });
+      await Family.deleteMany({ _id: { $in: familyIds } });
+    }
+    counts.familiesDeleted = familyIds.length;
+
+    const childLinks = await Family.updateMany(
+      { 'children.child': user._id },
+      { $pull: { children: { child: user._id } } }
+    );
+    const orphanedChildren = await User.updateMany(
+      { 'family.parent': user._id },
+      { $unset: { 'family.parent': '' } }
+    );
+    const parentLinks = await User.updateMany(
+      { 'family.children': user._id },
+      { $pull: { 'family.children': user._id } }
+    );
+    counts.familyLinksRemoved = childLinks.modifiedCount + orphanedChildren.modifiedCount + parentLinks.modifiedCount;
+
+    const receipt = await DeletionReceipt.findOneAndUpdate(
+      { subjectId: user._id },
+      {
+        $setOnInsert: {
+          requestedBy: requestedBy || (user.deletion && user.deletion.requestedBy),
+          reason,
+          requestedAt: (user.deletion && user.deletion.requestedAt) || new Date(),
+          purgedAt: new Date(),
+          counts
+        }
+      },
+      { upsert: true, new: true }
+    );
+
+    await User.deleteOne({ _id: user._id });
+
+    return receipt;
+  }
+}
+
+module.exports = new AccountDeletionService();
@@ -1,12 +1,20 @@
-const natural = require('natural');
-const axios = require('axios');
-
-// Initialize natural language processing tools
-const tokenizer = new natural.WordTokenizer();
-const TfIdf = natural.TfIdf;
-const tfidf = new TfIdf();
-
-// Threat patterns database
+const vm = require('vm');
+const urlAnalyzer = require('./url-analyzer');
+const textNormalizer = require('./text-normalizer');
+const threatExplanations = require('./threat-explanations');
+const fusionStrategies = require('./detectors/fusion');
+const rulesDetector = require('./detectors/rules');
+const urlDetector = require('./detectors/url');
+const classifierDetector = require('./detectors/classifier');
+const Company = require('../models/Company');
+const constants = require('../config/constants');
+
+// Detectors start inside a vm so their time budget also stops synchronous work,
+// such as a backtracking regex, which a timer cannot interrupt
+const detectorSandbox = vm.createContext({ detector: null, input: null });
+const startDetector = new vm.Script('detector.analyze(input)');
+
+// Built-in threat patterns, used until a managed ruleset is activated
 const THREAT_PATTERNS = {
   phishing: {
     keywords: [
@@ -15,7 +23,6 @@ const THREAT_PATTERNS = {
       'free gift', 'account verification', 'security alert',
       'unauthorized login attempt', 'update your information'
     ],
-    domains: ['paypal-security.com', 'apple-verify.net', 'amazon-update.com'],
     patterns: [
       /verify.*account/i,
       /password.*expir/i,
@@ -61,7 +68,7 @@ const THREAT_PATTERNS = {
       /investment.*opportunity/i,
       /double.*money/i,
       /risk-free/i,
-      /get.*rich.*quick/i
+      /get.{0,40}rich.{0,40}quick/i
     ]
   },
   predator_behavior: {
@@ -80,167 +87,294 @@ const THREAT_PATTERNS = {
   }
 };
 
+const BASE_SEVERITY = {
+  phishing: 'high',
+  malware: 'high',
+  financial_scam: 'medium',
+  social_engineering: 'medium',
+  predator_behavior: 'critical'
+};
+
+const DEFAULT_RULE_WEIGHTS = { keyword: 1, pattern: 1, domain: 2 };
+
+// THREAT_PATTERNS in the shape of a compiled ruleset; version 0 means "built in"
+const BUILTIN_RULESET = {
+  version: 0,
+  rules: Object.entries(THREAT_PATTERNS).map(([category, patterns]) => ({
+    name: category,
+    category,
+    severity: BASE_SEVERITY[category],
+    keywords: patterns.keywords,
+    patterns: patterns.patterns,
+    domains: [],
+    weights: DEFAULT_RULE_WEIGHTS
+  }))
+};
+
+// Detector plugin interface:
+//   name             unique id, used to enable or disable it per persona or company
+//   contentTypes     content types it understands (threat sources such as 'email'), or ['*']
+//   weight           say in weighted fusion strategies (default 1)
+//   timeoutMs        overrides constants.DETECTOR_TIMEOUT_MS; enforced as a hard limit on
+//                    the synchronous work analyze() does before its first await, so
+//                    CPU-bound matching belongs there or must yield between steps
+//   enabledByDefault false for opt-in detectors (default true)
+//   init()           optional one-off setup, may be async
+//   analyze(input)   resolves with findings: [{ type, confidence, indicators, severity?, rule?,
+//                    reason?, evidence? }], or { findings, details } to report extra output such
+//                    as class probabilities. evidence is [{ start, end, text, reason }] with
+//                    offsets into the original content (textNormalizer.toOriginalSpan maps
+//                    matches on the normalized text back).
+// input holds the raw content, its normalized text and offsets, the URL analysis,
+// the content type, the caller's context, the active ruleset and the confidence threshold.
+// Company detection settings come only from the trusted settings argument of
+// analyzeContent or the signed-in user's company, never from the caller's context.
 class AIDetectionEngine {
   constructor() {
     this.confidenceThreshold = 0.7;
     this.initialized = false;
-    this.init();
+    this.ruleset = BUILTIN_RULESET;
+    this.detectors = new Map();
+    [rulesDetector, urlDetector, classifierDetector].forEach(detector => this.registerDetector(detector));
+    this.ready = this.init();
   }
 
-  async init() {
-    // Train the TF-IDF model with sample data
-    const trainingData = [
-      { text: 'verify your account now urgent action required', category: 'phishing' },
-      { text: 'your password will expire soon click here', category: 'phishing' },
-      { text: 'virus detected on your computer download antivirus', category: 'malware' },
-      { text: 'system infected install security update now', category: 'malware' },
-      { text: 'investment opportunity double your money fast', category: 'financial_scam' },
-      { text: 'bitcoin trading guaranteed profits no risk', category: 'financial_scam' },
-      { text: 'where do you live can we meet alone', category: 'predator_behavior' },
-      { text: 'how old are you send me your picture', category: 'predator_behavior' }
-    ];
+  registerDetector(detector) {
+    if (!detector || typeof detector.name !== 'string' || !detector.name) {
+      throw new Error('Detector needs a name');
+    }
+    if (typeof detector.analyze !== 'function') {
+      throw new Error(`Detector ${detector.name} needs an analyze() function`);
+    }
+    if (this.detectors.has(detector.name)) {
+      throw new Error(`Detector ${detector.name} is already registered`);
+    }
 
-    trainingData.forEach(item => {
-      tfidf.addDocument(item.text, item.category);
-    });
+    const entry = {
+      detector,
+      name: detector.name,
+      contentTypes: detector.contentTypes && detector.contentTypes.length ? detector.contentTypes : ['*'],
+      weight: detector.weight === undefined ? 1 : detector.weight,
+      timeoutMs: detector.timeoutMs || constants.DETECTOR_TIMEOUT_MS,
+      enabledByDefault: detector.enabledByDefault !== false,
+      // A failed init() fails every run of the detector rather than the process
+      ready: Promise.resolve().then(() => (detector.init ? detector.init() : undefined))
+    };
+    entry.ready.catch(error => console.error(`Detector ${detector.name} init error:`, error));
 
-    this.initialized = true;
-    console.log('✅ AI Detection Engine initialized');
+    this.detectors.set(detector.name, entry);
+    return this;
   }
 
-  async analyzeContent(content, context = {}) {
-    if (!this.initialized) {
-      await this.init();
-    }
+  unregisterDetector(name) {
+    return this.detectors.delete(name);
+  }
 
-    const analysis = {
-      threats: [],
-      confidence: 0,
-      riskLevel: 'low',
-      indicators: [],
-      recommendations: []
-    };
+  listDetectors() {
+    return [...this.detectors.values()].map(({ name, contentTypes, weight, timeoutMs, enabledByDefault }) => ({
+      name,
+      contentTypes,
+      weight,
+      timeoutMs,
+      enabledByDefault
+    }));
+  }
 
-    // Check for each threat type
-    for (const [threatType, patterns] of Object.entries(THREAT_PATTERNS)) {
-      const threatResult = this.detectThreatType(content, threatType, patterns);
-      if (threatResult.detected) {
-        analysis.threats.push({
-          type: threatType,
-          confidence: threatResult.confidence,
-          indicators: threatResult.indicators,
-          severity: this.calculateSeverity(threatType, threatResult.confidence)
-        });
-      }
-    }
+  // Swap in a compiled ruleset ({ version, rules }); analyses already running keep theirs
+  useRuleset(ruleset) {
+    this.ruleset = ruleset || BUILTIN_RULESET;
+    console.log(`🛡️  Threat ruleset v${this.ruleset.version} loaded (${this.ruleset.rules.length} rules)`);
+  }
 
-    // Use TF-IDF for additional classification
-    const tfidfResults = this.classifyWithTFIDF(content);
-    if (tfidfResults.confidence > this.confidenceThreshold) {
-      analysis.threats.push({
-        type: tfidfResults.category,
-        confidence: tfidfResults.confidence,
-        indicators: ['AI-pattern-detected'],
-        severity: this.calculateSeverity(tfidfResults.category, tfidfResults.confidence)
-      });
-    }
+  get builtinRuleset() {
+    return BUILTIN_RULESET;
+  }
 
-    // Calculate overall risk level
-    analysis.confidence = this.calculateOverallConfidence(analysis.threats);
-    analysis.riskLevel = this.determineRiskLevel(analysis.threats);
-    analysis.recommendations = this.generateRecommendations(analysis.threats);
+  async init() {
+    await Promise.allSettled([...this.detectors.values()].map(entry => entry.ready));
 
-    return analysis;
+    this.initialized = true;
+    console.log('✅ AI Detection Engine initialized');
   }
 
-  detectThreatType(content, threatType, patterns) {
-    const result = {
-      detected: false,
-      confidence: 0,
-      indicators: []
+  // Names of the detectors switched on: detector defaults, then the persona's
+  // overrides, then the company's detection settings
+  enabledDetectorNames({ persona, detection } = {}) {
+    const enabled = new Set(
+      [...this.detectors.values()].filter(entry => entry.enabledByDefault).map(entry => entry.name)
+    );
+    const apply = (overrides) => {
+      if (!overrides) return;
+      (overrides.enable || []).forEach(name => enabled.add(name));
+      (overrides.disable || []).forEach(name => enabled.delete(name));
     };
 
-    const lowerContent = content.toLowerCase();
-    let matchCount = 0;
-    let totalPatterns = patterns.keywords.length + patterns.patterns.length;
-
-    // Check keywords
-    patterns.keywords.forEach(keyword => {
-      if (lowerContent.includes(keyword.toLowerCase())) {
-        matchCount++;
-        result.indicators.push(`keyword: ${keyword}`);
-      }
-    });
+    apply(persona && constants.DETECTOR_PERSONA_OVERRIDES[persona]);
+    if (detection) {
+      apply({ enable: detection.enabledDetectors, disable: detection.disabledDetectors });
+    }
 
-    // Check regex patterns
-    patterns.patterns.forEach((pattern, index) => {
-      if (pattern.test(content)) {
-        matchCount++;
-        result.indicators.push(`pattern_${index + 1}`);
-      }
-    });
+    return enabled;
+  }
 
-    // Check domains if provided
-    if (patterns.domains) {
-      const urlRegex = /https?:\/\/([^\/\s]+)/g;
-      let match;
-      while ((match = urlRegex.exec(content)) !== null) {
-        const domain = match[1];
-        if (patterns.domains.some(badDomain => domain.includes(badDomain))) {
-          matchCount += 2; // Higher weight for domain matches
-          result.indicators.push(`suspicious_domain: ${domain}`);
-        }
-      }
+  // Detectors and fusion strategy for this caller and content type; company is
+  // looked up from the user unless the caller supplies trusted settings
+  async resolveDetectors(contentType, user, company) {
+    if (company === undefined) {
+      company = user ? await Company.findForUser(user) : null;
     }
+    const detection = company && company.detection;
+    const enabled = this.enabledDetectorNames({ persona: user && user.persona, detection });
 
-    // Calculate confidence
-    if (totalPatterns > 0) {
-      result.confidence = matchCount / totalPatterns;
-      result.detected = result.confidence > this.confidenceThreshold;
-    }
+    const detectors = [...this.detectors.values()].filter(entry =>
+      enabled.has(entry.name) &&
+      (entry.contentTypes.includes('*') || entry.contentTypes.includes(contentType))
+    );
+    const fusionStrategy = (detection && detection.fusionStrategy) || constants.DETECTOR_FUSION_STRATEGY;
 
-    return result;
+    return { detectors, fusionStrategy };
   }
 
-  classifyWithTFIDF(content) {
-    const scores = {};
-    let totalScore = 0;
-
-    tfidf.tfidfs(content, (i, measure) => {
-      const category = tfidf.documents[i].category;
-      scores[category] = (scores[category] || 0) + measure;
-      totalScore += Math.abs(measure);
-    });
-
-    // Find the highest scoring category
-    let maxScore = 0;
-    let bestCategory = null;
+  // Call analyze() with the detector's budget as a hard limit on its synchronous work
+  startDetector(entry, input) {
+    Object.assign(detectorSandbox, { detector: entry.detector, input });
+
+    try {
+      return startDetector.runInContext(detectorSandbox, { timeout: entry.timeoutMs });
+    } catch (error) {
+      if (error.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT') error.isTimeout = true;
+      throw error;
+    } finally {
+      Object.assign(detectorSandbox, { detector: null, input: null });
+    }
+  }
 
-    for (const [category, score] of Object.entries(scores)) {
-      if (score > maxScore) {
-        maxScore = score;
-        bestCategory = category;
+  // A detector that throws or overruns its time budget is reported and left out;
+  // whatever budget the synchronous start leaves is raced against its async work
+  async runDetector(entry, input) {
+    const startedAt = Date.now();
+    let timer;
+
+    try {
+      await entry.ready;
+      const output = await Promise.race([
+        this.startDetector(entry, input),
+        new Promise((resolve, reject) => {
+          const remaining = Math.max(0, entry.timeoutMs - (Date.now() - startedAt));
+          timer = setTimeout(() => reject(Object.assign(new Error('timeout'), { isTimeout: true })), remaining);
+        })
+      ]);
+
+      const findings = Array.isArray(output) ? output : (output && output.findings) || [];
+      const details = output && !Array.isArray(output) ? output.details : undefined;
+
+      return { entry, status: 'ok', findings, details, durationMs: Date.now() - startedAt };
+    } catch (error) {
+      if (!error.isTimeout) {
+        console.error(`Detector ${entry.name} error:`, error);
       }
+      return { entry, status: error.isTimeout ? 'timeout' : 'error', findings: [], durationMs: Date.now() - startedAt };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  // settings.company overrides the user's company detection settings; it is for
+  // server-side callers only and must never be taken from a request
+  async analyzeContent(content, context = {}, settings = {}) {
+    if (!this.initialized) {
+      await this.ready;
     }
 
-    const confidence = totalScore > 0 ? maxScore / totalScore : 0;
+    const analysis = {
+      threats: [],
+      confidence: 0,
+      riskLevel: 'low',
+      indicators: [],
+      recommendations: [],
+      urls: [],
+      domain: null,
+      obfuscation: [],
+      rulesetVersion: null,
+      classifierVersion: null,
+      ageGroup: null,
+      detectors: [],
+      fusionStrategy: null
+    };
 
-    return {
-      category: bestCategory,
-      confidence: confidence,
-      scores: scores
+    const ruleset = this.ruleset;
+    analysis.rulesetVersion = ruleset.version;
+
+    // Undo leetspeak, invisible characters, lookalike letters and the like so the
+    // keyword lists see what the reader sees
+    const normalized = textNormalizer.normalize(content);
+    analysis.obfuscation = normalized.techniques;
+    analysis.indicators.push(...normalized.techniques.map(technique => `obfuscation: ${technique}`));
+
+    // Score every link in the content once; detectors share the result
+    const urlResults = this.analyzeUrls(content);
+    analysis.urls = urlResults.urls;
+    analysis.domain = urlResults.domain;
+    analysis.indicators.push(...urlResults.indicators);
+
+    const contentType = context.contentType || context.source || 'other';
+    const { detectors, fusionStrategy } = await this.resolveDetectors(contentType, context.user, settings.company);
+    const input = {
+      content: normalized.original,
+      text: normalized.text,
+      normalized,
+      urls: urlResults,
+      contentType,
+      context,
+      ruleset,
+      confidenceThreshold: this.confidenceThreshold
     };
+
+    // Detectors run side by side and their findings are merged by the fusion strategy
+    const results = await Promise.all(detectors.map(entry => this.runDetector(entry, input)));
+    analysis.detectors = results.map(({ entry, status, findings, details, durationMs }) => ({
+      name: entry.name,
+      status,
+      findings: findings.length,
+      durationMs,
+      ...(details !== undefined && { details })
+    }));
+    const classification = results.find(result => result.entry.name === classifierDetector.name);
+    analysis.classifierVersion = (classification && classification.details && classification.details.version) || null;
+
+    const fuse = fusionStrategies[fusionStrategy] || fusionStrategies.union;
+    analysis.fusionStrategy = fusionStrategies[fusionStrategy] ? fusionStrategy : 'union';
+    analysis.threats = fuse(
+      results
+        .filter(result => result.status === 'ok')
+        .map(({ entry, findings }) => ({ detector: { name: entry.name, weight: entry.weight }, findings }))
+    ).map(threat => ({
+      ...threat,
+      severity: this.calculateSeverity(threat.type, threat.confidence, threat.severity),
+      reason: threat.reason || null,
+      evidence: threat.evidence || []
+    }));
+
+    // Explanations are worded for the reader: simple for children, detailed for adults
+    const ageGroup = context.ageGroup || (context.user && context.user.ageGroup);
+    analysis.ageGroup = threatExplanations.ageGroups.includes(ageGroup) ? ageGroup : 'adult';
+    analysis.threats.forEach(threat => {
+      threat.explanation = threatExplanations.explain(threat, analysis.ageGroup);
+    });
+
+    // Calculate overall risk level
+    analysis.confidence = this.calculateOverallConfidence(analysis.threats);
+    analysis.riskLevel = this.determineRiskLevel(analysis.threats);
+    analysis.recommendations = this.generateRecommendations(analysis.threats);
+
+    return analysis;
   }
 
-  calculateSeverity(threatType, confidence) {
-    const baseSeverity = {
-      phishing: 'high',
-      malware: 'high',
-      financial_scam: 'medium',
-      social_engineering: 'medium',
-      predator_behavior: 'critical'
-    }[threatType] || 'low';
+  analyzeUrls(content) {
+    return urlAnalyzer.analyze(content);
+  }
 
+  calculateSeverity(threatType, confidence, baseSeverity = BASE_SEVERITY[threatType] || 'low') {
     // Adjust based on confidence
     if (confidence > 0.9) {
       if (baseSeverity === 'medium') return 'high';
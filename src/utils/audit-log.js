@@ -0,0 +1,166 @@
+const mongoose = require('mongoose');
+const AuditEvent = require('../models/AuditEvent');
+const encryptionUtils = require('./encryption');
+
+const { GENESIS_HASH } = AuditEvent;
+const APPEND_RETRIES = 5;
+
+const toPlain = value => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+// Leaf values keyed by dotted path; arrays are compared as a whole
+const flatten = (value, prefix = '', out = {}) => {
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    Object.entries(value).forEach(([key, item]) => {
+      flatten(item, prefix ? `${prefix}.${key}` : key, out);
+    });
+  } else if (prefix) {
+    out[prefix] = value;
+  }
+  return out;
+};
+
+// Replace every string at a dotted path, stepping into arrays along the way
+const replaceAt = (node, [head, ...rest], fn) => {
+  if (Array.isArray(node)) {
+    node.forEach(item => replaceAt(item, [head, ...rest], fn));
+  } else if (node && typeof node === 'object') {
+    if (rest.length) replaceAt(node[head], rest, fn);
+    else if (typeof node[head] === 'string') node[head] = fn(node[head]);
+  }
+};
+
+class AuditLogService {
+  // Copy of a snapshot with the model's encrypted fields swapped for a keyed hash, so
+  // a diff still shows that they changed. prefix is where the snapshot sits in the document.
+  redact(snapshot, encryptedFields, prefix = '') {
+    const copy = toPlain(snapshot);
+
+    encryptedFields
+      .filter(field => !prefix || field.startsWith(`${prefix}.`))
+      .forEach(field => {
+        const parts = (prefix ? field.slice(prefix.length + 1) : field).split('.');
+        replaceAt(copy, parts, value => `hmac:${encryptionUtils.blindIndex(value).slice(0, 16)}`);
+      });
+
+    return copy;
+  }
+
+  // Field-level differences between two snapshots
+  diff(before, after) {
+    const oldValues = flatten(toPlain(before) || {});
+    const newValues = flatten(toPlain(after) || {});
+    const paths = [...new Set([...Object.keys(oldValues), ...Object.keys(newValues)])].sort();
+
+    return paths
+      .filter(path => JSON.stringify(oldValues[path]) !== JSON.stringify(newValues[path]))
+      .map(path => ({ path, before: oldValues[path], after: newValues[path] }));
+  }
+
+  // Where an action on this user's data is logged: their company, their family, or themselves
+  async scopeForUser(user) {
+    if (user.enterprise && user.enterprise.company) {
+      return { type: 'company', id: user.enterprise.company };
+    }
+
+    const Family = mongoose.model('Family');
+    const family = await Family.findOne({
+      $or: [{ parent: user._id }, { 'children.child': user._id }]
+    }).select('_id');
+
+    if (family) {
+      return { type: 'family', id: family._id.toString() };
+    }
+
+    return { type: 'user', id: user._id.toString() };
+  }
+
+  // Append an entry to the end of its scope's chain. Concurrent writers race on the
+  // unique (scope, sequence) index and the loser retries against the new tail.
+  async record({ scope, action, actor, target, changes = [], request = {} }) {
+    for (let attempt = 1; attempt <= APPEND_RETRIES; attempt++) {
+      const tail = await AuditEvent.findOne({ scopeType: scope.type, scopeId: String(scope.id) })
+        .sort({ sequence: -1 })
+        .select('sequence hash');
+
+      const event = new AuditEvent({
+        scopeType: scope.type,
+        scopeId: String(scope.id),
+        sequence: tail ? tail.sequence + 1 : 1,
+        action,
+        actor,
+        target,
+        changes: toPlain(changes),
+        ip: request.ip,
+        userAgent: request.userAgent,
+        method: request.method,
+        path: request.path,
+        statusCode: request.statusCode,
+        createdAt: new Date(),
+        prevHash: tail ? tail.hash : GENESIS_HASH
+      });
+      event.hash = event.computeHash();
+
+      try {
+        return await event.save();
+      } catch (error) {
+        if (error.code !== 11000 || attempt === APPEND_RETRIES) throw error;
+      }
+    }
+  }
+
+  async list(scope, { action, actor, from, to, page = 1, limit = 50 } = {}) {
+    const filter = { scopeType: scope.type, scopeId: String(scope.id) };
+    if (action) filter.action = action;
+    if (actor) filter['actor.user'] = actor;
+    if (from || to) {
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = new Date(from);
+      if (to) filter.createdAt.$lte = new Date(to);
+    }
+
+    const [events, total] = await Promise.all([
+      AuditEvent.find(filter)
+        .sort({ sequence: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      AuditEvent.countDocuments(filter)
+    ]);
+
+    return { events, total };
+  }
+
+  // Walk the chain from the start and report the first entry that does not check out
+  async verify(scope) {
+    const cursor = AuditEvent.find({ scopeType: scope.type, scopeId: String(scope.id) })
+      .sort({ sequence: 1 })
+      .cursor();
+
+    let expectedSequence = 1;
+    let prevHash = GENESIS_HASH;
+    let checked = 0;
+
+    for await (const event of cursor) {
+      let problem = null;
+      if (event.sequence !== expectedSequence) {
+        problem = `expected sequence ${expectedSequence}`;
+      } else if (event.prevHash !== prevHash) {
+        problem = 'previous hash does not match';
+      } else if (event.computeHash() !== event.hash) {
+        problem = 'entry contents do not match its hash';
+      }
+
+      if (problem) {
+        await cursor.close();
+        return { valid: false, checked, brokenAt: { sequence: event.sequence, id: event._id, problem } };
+      }
+
+      checked++;
+      expectedSequence++;
+      prevHash = event.hash;
+    }
+
+    return { valid: true, checked, headHash: prevHash };
+  }
+}
+
+module.exports = new AuditLogService();
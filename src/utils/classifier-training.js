@@ -0,0 +1,175 @@
+const TrainingExample = require('../models/TrainingExample');
+const ClassifierTrainingRun = require('../models/ClassifierTrainingRun');
+const textClassifier = require('./text-classifier');
+const detectionMetrics = require('./detection-metrics');
+const jobQueue = require('./job-queue');
+const { AppError } = require('./errors');
+const constants = require('../config/constants');
+
+const JOB_NAME = 'classifier-retrain';
+
+// Threat feedback becomes labeled examples, moderators approve them, and retraining
+// only promotes a candidate model that holds up against the one being served
+class ClassifierTrainingService {
+  constructor() {
+    jobQueue.register(JOB_NAME, runId => this.run(runId));
+  }
+
+  // A user confirmed a threat (true positive) or marked it a false positive. The
+  // content is queued for review under the label it implies; a different verdict on
+  // text already in the corpus is kept as a proposal and the example left untouched.
+  async recordFeedback(threat, user) {
+    const label = threat.isFalsePositive ? 'benign' : threat.type;
+    const existing = await TrainingExample.findOne({ text: threat.detectedContent });
+
+    if (!existing) {
+      try {
+        return await TrainingExample.create({
+          text: threat.detectedContent,
+          label,
+          source: 'feedback',
+          status: 'pending',
+          threat: threat._id,
+          addedBy: user._id
+        });
+      } catch (error) {
+        // Someone else's feedback on the same text got there first
+        if (error.code !== 11000) throw error;
+        return null;
+      }
+    }
+
+    const proposed = existing.proposal && existing.proposal.label;
+    if (existing.label === label || proposed === label) return existing;
+
+    existing.proposal = {
+      label,
+      threat: threat._id,
+      addedBy: user._id,
+      proposedAt: new Date()
+    };
+    return existing.save();
+  }
+
+  // New examples awaiting review and proposed relabels of ones already in the corpus
+  async reviewQueue({ label, page = 1, limit = 20 } = {}) {
+    const filter = { $or: [{ status: 'pending' }, { 'proposal.label': { $exists: true } }] };
+    if (label) filter.$and = [{ $or: [{ label }, { 'proposal.label': label }] }];
+
+    const [examples, total] = await Promise.all([
+      TrainingExample.find(filter)
+        .sort({ createdAt: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('threat', 'type severity source createdAt'),
+      TrainingExample.countDocuments(filter)
+    ]);
+
+    return { examples, total };
+  }
+
+  async review(exampleId, user, { approved, label }) {
+    const example = await TrainingExample.findById(exampleId);
+    if (!example) {
+      throw new AppError('Training example not found', 404, constants.ERROR_CODES.NOT_FOUND);
+    }
+
+    return example.review(user, approved, label);
+  }
+
+  // Queue a retraining run unless one is already waiting or running
+  async requestRun({ trigger = 'manual', user } = {}) {
+    const active = await ClassifierTrainingRun.findOne({ status: { $in: ['queued', 'running'] } });
+    if (active) return { run: active, alreadyRunning: true };
+
+    const run = await ClassifierTrainingRun.create({ trigger, requestedBy: user && user._id });
+    jobQueue.enqueue(JOB_NAME, run._id);
+    return { run, alreadyRunning: false };
+  }
+
+  // Train a candidate, score it and the served model on the same holdout set, and
+  // promote the candidate only if neither precision nor recall regresses
+  async run(runId) {
+    const run = await ClassifierTrainingRun.findOneAndUpdate(
+      { _id: runId, status: 'queued' },
+      { status: 'running', startedAt: new Date() },
+      { new: true }
+    );
+    if (!run) return null;
+
+    try {
+      const baselineVersion = await textClassifier.activeVersion();
+      const baseline = baselineVersion ? await textClassifier.readModel(baselineVersion) : null;
+      const algorithm = baseline ? baseline.algorithm : 'bayes';
+
+      const trained = await textClassifier.train({ algorithm });
+      const saved = await textClassifier.save(trained);
+
+      run.algorithm = algorithm;
+      run.baselineVersion = baselineVersion;
+      run.candidateVersion = saved.version;
+      run.examples = trained.metrics.trainingExamples + trained.metrics.holdoutExamples;
+
+      if (trained.holdout.length < constants.CLASSIFIER_MIN_HOLDOUT_EXAMPLES) {
+        run.status = 'rejected';
+        run.reason = `Only ${trained.holdout.length} holdout examples; need ${constants.CLASSIFIER_MIN_HOLDOUT_EXAMPLES} to compare models`;
+      } else {
+        const candidateMetrics = textClassifier.evaluate(trained.classifier, trained.holdout);
+        const baselineMetrics = baseline ? textClassifier.evaluate(baseline.classifier, trained.holdout) : null;
+        const regressions = baselineMetrics
+          ? detectionMetrics.regressions(candidateMetrics, baselineMetrics, constants.CLASSIFIER_PROMOTION_TOLERANCE)
+          : [];
+
+        run.metrics = { candidate: candidateMetrics, baseline: baselineMetrics };
+        if (regressions.length > 0) {
+          run.status = 'rejected';
+          run.reason = `Candidate regressed against v${baselineVersion}: ${regressions.join(', ')}`;
+        } else {
+          await textClassifier.promote(saved.version, `training run ${run._id}`);
+          await textClassifier.reload();
+          run.status = 'promoted';
+          run.reason = baseline ? `No regression against v${baselineVersion}` : 'First trained model';
+        }
+      }
+    } catch (error) {
+      console.error('Classifier retraining error:', error);
+      run.status = 'failed';
+      run.reason = error.message;
+    }
+
+    run.finishedAt = new Date();
+    await run.save();
+    return run;
+  }
+
+  // Retrain on schedule when moderators approved new examples since the last run
+  async retrainIfDue() {
+    const last = await ClassifierTrainingRun.findOne().sort({ createdAt: -1 });
+    const dueAt = last ? last.createdAt.getTime() + constants.CLASSIFIER_RETRAIN_INTERVAL_HOURS * 60 * 60 * 1000 : 0;
+    if (Date.now() < dueAt) return null;
+
+    if (last) {
+      const approved = await TrainingExample.countDocuments({ status: 'approved', updatedAt: { $gt: last.createdAt } });
+      if (approved === 0) return null;
+    }
+
+    return this.requestRun({ trigger: 'scheduled' });
+  }
+
+  // Runs cut short by a restart are queued again; also starts the retraining schedule
+  startScheduler() {
+    const run = () => this.retrainIfDue().catch(error => console.error('Classifier retrain schedule error:', error));
+
+    ClassifierTrainingRun.updateMany({ status: 'running' }, { status: 'queued' })
+      .then(() => ClassifierTrainingRun.find({ status: 'queued' }).select('_id'))
+      .then(runs => runs.forEach(pending => jobQueue.enqueue(JOB_NAME, pending._id)))
+      .catch(error => console.error('Resume classifier training error:', error))
+      .then(run);
+
+    const timer = setInterval(run, constants.CLASSIFIER_RETRAIN_CHECK_MINUTES * 60 * 1000);
+    timer.unref();
+    return timer;
+  }
+}
+
+module.exports = new ClassifierTrainingService();
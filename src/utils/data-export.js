@@ -0,0 +1,221 @@
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const archiver = require('archiver');
+const DataExport = require('../models/DataExport');
+const jobQueue = require('./job-queue');
+const constants = require('../config/constants');
+
+const JOB_NAME = 'data-export';
+
+// Credentials and one-time tokens never leave the database
+const USER_SECRET_FIELDS = [
+  'password',
+  'verificationToken',
+  'resetPasswordToken',
+  'mfa.secret',
+  'mfa.pendingSecret',
+  'mfa.recoveryCodes',
+  'mfa.lastUsedStep',
+  'parentalConsent.requestId'
+];
+
+const toPlain = doc => JSON.parse(JSON.stringify(doc.toObject ? doc.toObject() : doc));
+
+// Flatten nested objects into dotted keys; arrays are kept as JSON strings
+const flatten = (value, prefix = '', out = {}) => {
+  Object.entries(value || {}).forEach(([key, item]) => {
+    const column = prefix ? `${prefix}.${key}` : key;
+    if (item && typeof item === 'object' && !Array.isArray(item)) {
+      flatten(item, column, out);
+    } else {
+      out[column] = Array.isArray(item) ? JSON.stringify(item) : item;
+    }
+  });
+  return out;
+};
+
+const csvCell = (value) => {
+  if (value === undefined || value === null) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (records) => {
+  const rows = records.map(record => flatten(record));
+  const columns = [...new Set(rows.flatMap(row => Object.keys(row)))];
+
+  return [
+    columns.map(csvCell).join(','),
+    ...rows.map(row => columns.map(column => csvCell(row[column])).join(','))
+  ].join('\r\n');
+};
+
+class DataExportService {
+  constructor() {
+    jobQueue.register(JOB_NAME, exportId => this.run(exportId));
+  }
+
+  // Queue a new export, or hand back the one already in progress for this user
+  async request(user, requestedBy) {
+    await this.cleanupExpired();
+
+    const active = await DataExport.find({
+      user: user._id,
+      status: { $in: ['queued', 'processing'] }
+    }).sort({ createdAt: -1 });
+
+    if (active.length >= constants.DATA_EXPORT_MAX_ACTIVE) {
+      return { export: active[0], alreadyRunning: true };
+    }
+
+    const dataExport = await DataExport.create({ user: user._id, requestedBy: requestedBy._id });
+    jobQueue.enqueue(JOB_NAME, dataExport._id);
+
+    return { export: dataExport, alreadyRunning: false };
+  }
+
+  list(userId) {
+    return DataExport.find({ user: userId }).sort({ createdAt: -1 }).limit(20);
+  }
+
+  // Everything we hold about the user, grouped by collection
+  async collect(userId) {
+    const User = mongoose.model('User');
+    const Threat = mongoose.model('Threat');
+    const GameSession = mongoose.model('GameSession');
+    const Family = mongoose.model('Family');
+    const Session = mongoose.model('Session');
+
+    const user = await User.findById(userId);
+    if (!user) {
+      throw new Error('User no longer exists');
+    }
+
+    const profile = toPlain(user);
+    USER_SECRET_FIELDS.forEach(field => {
+      const parts = field.split('.');
+      const parent = parts.slice(0, -1).reduce((node, key) => (node ? node[key] : undefined), profile);
+      if (parent) delete parent[parts[parts.length - 1]];
+    });
+
+    const achievements = profile.achievements || [];
+    delete profile.achievements;
+
+    const [threats, gameSessions, families, sessions] = await Promise.all([
+      Threat.find({ user: userId }).sort({ createdAt: 1 }),
+      GameSession.find({ user: userId }).sort({ createdAt: 1 }),
+      Family.find({ $or: [{ parent: userId }, { 'children.child': userId }] }),
+      Session.find({ user: userId }).sort({ createdAt: 1 })
+    ]);
+
+    const familyMembership = families.map(family => {
+      const isParent = family.parent.toString() === userId.toString();
+      const entry = family.children.find(child => child.child && child.child.toString() === userId.toString());
+
+      return {
+        familyId: family._id,
+        familyName: family.familyName,
+        role: isParent ? 'parent' : 'child',
+        relationship: entry ? entry.relationship : undefined,
+        permissions: entry ? toPlain(entry.permissions) : undefined,
+        familySettings: isParent ? toPlain(family.familySettings) : undefined,
+        joinedAt: family.createdAt
+      };
+    });
+
+    return {
+      profile: [profile],
+      threats: threats.map(toPlain),
+      game_sessions: gameSessions.map(toPlain),
+      family_membership: familyMembership,
+      achievements,
+      sessions: sessions.map(toPlain)
+    };
+  }
+
+  async writeArchive(filePath, data, meta) {
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+    return new Promise((resolve, reject) => {
+      const output = fs.createWriteStream(filePath);
+      const archive = archiver('zip', { zlib: { level: 9 } });
+
+      output.on('close', () => resolve(archive.pointer()));
+      archive.on('error', reject);
+      archive.on('warning', reject);
+      archive.pipe(output);
+
+      archive.append(JSON.stringify({ ...meta, data }, null, 2), { name: 'export.json' });
+      Object.entries(data).forEach(([collection, records]) => {
+        archive.append(toCsv(records), { name: `csv/${collection}.csv` });
+      });
+
+      archive.finalize();
+    });
+  }
+
+  // Job handler: build the archive for one export
+  async run(exportId) {
+    const dataExport = await DataExport.findOneAndUpdate(
+      { _id: exportId, status: 'queued' },
+      { status: 'processing', startedAt: new Date() },
+      { new: true }
+    );
+    if (!dataExport) return;
+
+    try {
+      const data = await this.collect(dataExport.user);
+      const fileName = `truthshield-export-${dataExport.user}-${Date.now()}.zip`;
+      const filePath = path.resolve(constants.DATA_EXPORT_DIR, fileName);
+
+      const fileSize = await this.writeArchive(filePath, data, {
+        exportId: dataExport._id,
+        generatedAt: new Date(),
+        subject: dataExport.user,
+        requestedBy: dataExport.requestedBy
+      });
+
+      dataExport.set({
+        status: 'completed',
+        fileName,
+        filePath,
+        fileSize,
+        recordCounts: Object.fromEntries(Object.entries(data).map(([name, records]) => [name, records.length])),
+        completedAt: new Date(),
+        expiresAt: new Date(Date.now() + constants.DATA_EXPORT_EXPIRES_HOURS * 60 * 60 * 1000)
+      });
+      await dataExport.save();
+    } catch (error) {
+      console.error('Data export error:', error);
+      dataExport.status = 'failed';
+      dataExport.error = 'Export could not be generated';
+      await dataExport.save();
+    }
+  }
+
+  // Delete archives past their expiry
+  async cleanupExpired() {
+    const expired = await DataExport.find({
+      status: 'completed',
+      expiresAt: { $lte: new Date() }
+    }).select('+filePath');
+
+    for (const dataExport of expired) {
+      await fs.promises.rm(dataExport.filePath, { force: true });
+      dataExport.status = 'expired';
+      dataExport.filePath = undefined;
+      await dataExport.save();
+    }
+  }
+
+  // Re-queue exports interrupted by a restart
+  async resumePending() {
+    await DataExport.updateMany({ status: 'processing' }, { status: 'queued' });
+    const pending = await DataExport.find({ status: 'queued' }).select('_id');
+    pending.forEach(dataExport => jobQueue.enqueue(JOB_NAME, dataExport._id));
+    await this.cleanupExpired();
+  }
+}
+
+module.exports = new DataExportService();
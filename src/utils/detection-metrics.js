@@ -0,0 +1,100 @@
+// Scoring of detection results against labeled examples
+class DetectionMetrics {
+  // Precision, recall and F1 per label from [{ expected, predicted }], plus their
+  // unweighted (macro) averages over the labels that occur in the sample.
+  // confusion[expected][predicted] counts every pair.
+  evaluate(pairs, labels) {
+    const allLabels = labels || [...new Set(pairs.flatMap(({ expected, predicted }) => [expected, predicted]))].sort();
+    const confusion = Object.fromEntries(allLabels.map(expected => [
+      expected,
+      Object.fromEntries(allLabels.map(predicted => [predicted, 0]))
+    ]));
+
+    pairs.forEach(({ expected, predicted }) => {
+      if (!confusion[expected]) confusion[expected] = {};
+      confusion[expected][predicted] = (confusion[expected][predicted] || 0) + 1;
+    });
+
+    const ratio = (numerator, denominator) => (denominator > 0 ? numerator / denominator : 0);
+    const perLabel = {};
+    allLabels.forEach(label => {
+      const truePositives = (confusion[label] && confusion[label][label]) || 0;
+      const predicted = pairs.filter(pair => pair.predicted === label).length;
+      const support = pairs.filter(pair => pair.expected === label).length;
+      const precision = ratio(truePositives, predicted);
+      const recall = ratio(truePositives, support);
+
+      perLabel[label] = {
+        precision,
+        recall,
+        f1: ratio(2 * precision * recall, precision + recall),
+        support
+      };
+    });
+
+    const present = allLabels.filter(label => perLabel[label].support > 0);
+    const average = key => ratio(present.reduce((sum, label) => sum + perLabel[label][key], 0), present.length);
+
+    return {
+      examples: pairs.length,
+      accuracy: ratio(pairs.filter(({ expected, predicted }) => expected === predicted).length, pairs.length),
+      precision: average('precision'),
+      recall: average('recall'),
+      f1: average('f1'),
+      perLabel,
+      confusion
+    };
+  }
+
+  // Reliability of confidence scores from [{ confidence, positive }]: per equal-width
+  // bin, the mean confidence against the share that really was positive, and the
+  // expected calibration error (gap weighted by bin size)
+  calibration(samples, bins = 10) {
+    const curve = Array.from({ length: bins }, (_, index) => ({
+      from: index / bins,
+      to: (index + 1) / bins,
+      count: 0,
+      meanConfidence: null,
+      observedRate: null
+    }));
+    const sums = curve.map(() => ({ confidence: 0, positives: 0 }));
+
+    samples.forEach(({ confidence, positive }) => {
+      const index = Math.min(bins - 1, Math.floor(Math.max(0, confidence) * bins));
+      curve[index].count++;
+      sums[index].confidence += confidence;
+      if (positive) sums[index].positives++;
+    });
+
+    let error = 0;
+    curve.forEach((bin, index) => {
+      if (bin.count === 0) return;
+      bin.meanConfidence = sums[index].confidence / bin.count;
+      bin.observedRate = sums[index].positives / bin.count;
+      error += (bin.count / samples.length) * Math.abs(bin.meanConfidence - bin.observedRate);
+    });
+
+    return { curve, expectedCalibrationError: error };
+  }
+
+  // Nearest-rank percentiles of a list of numbers, keyed p50, p90, ...
+  percentiles(values, ranks = [50, 90, 95, 99]) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const at = rank => (sorted.length ? sorted[Math.max(0, Math.ceil((rank / 100) * sorted.length) - 1)] : null);
+
+    return {
+      ...Object.fromEntries(ranks.map(rank => [`p${rank}`, at(rank)])),
+      max: sorted.length ? sorted[sorted.length - 1] : null,
+      mean: sorted.length ? sorted.reduce((sum, value) => sum + value, 0) / sorted.length : null
+    };
+  }
+
+  // Ways a candidate scores worse than the baseline by more than the tolerance
+  regressions(candidate, baseline, tolerance = 0) {
+    return ['precision', 'recall']
+      .filter(metric => candidate[metric] < baseline[metric] - tolerance)
+      .map(metric => `${metric} ${candidate[metric].toFixed(3)} < ${baseline[metric].toFixed(3)}`);
+  }
+}
+
+module.exports = new DetectionMetrics();
@@ -0,0 +1,27 @@
+const textClassifier = require('../text-classifier');
+const constants = require('../../config/constants');
+
+// Trained text classifier (utils/text-classifier); silent until a model is trained
+module.exports = {
+  name: 'classifier',
+  contentTypes: ['*'],
+  weight: 1,
+
+  async analyze({ content }) {
+    const result = textClassifier.classify(content);
+    if (!result) return { findings: [], details: { loaded: false } };
+
+    // The model weighs the whole message, so there is no span to point at
+    const findings = Object.entries(result.probabilities)
+      .filter(([label, probability]) => label !== 'benign' && probability >= constants.CLASSIFIER_MIN_PROBABILITY)
+      .map(([label, probability]) => ({
+        type: label,
+        confidence: probability,
+        indicators: [`classifier: ${label}`],
+        reason: `Reads like ${label.replace(/_/g, ' ')} messages seen before (${Math.round(probability * 100)}% match)`,
+        evidence: []
+      }));
+
+    return { findings, details: result };
+  }
+};
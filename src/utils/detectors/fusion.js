@@ -0,0 +1,80 @@
+// Ways of merging detector findings into the threats of an analysis. Each strategy
+// takes [{ detector: { name, weight }, findings }] for the detectors that ran and
+// returns threats shaped like findings (reason and evidence spans included) plus
+// the names of the detectors behind them.
+
+const SEVERITY_ORDER = ['low', 'medium', 'high', 'critical'];
+
+const unique = values => [...new Set(values)];
+
+const mostSevere = severities => severities
+  .filter(Boolean)
+  .reduce((worst, severity) => (
+    !worst || SEVERITY_ORDER.indexOf(severity) > SEVERITY_ORDER.indexOf(worst) ? severity : worst
+  ), undefined);
+
+// Findings of every detector grouped by threat type
+const byType = (results) => {
+  const groups = new Map();
+  results.forEach(({ detector, findings }) => {
+    findings.forEach(finding => {
+      if (!groups.has(finding.type)) groups.set(finding.type, []);
+      groups.get(finding.type).push({ detector, finding });
+    });
+  });
+  return groups;
+};
+
+// Evidence spans of several findings, each location once (the first reason wins)
+const mergeEvidence = (entries) => {
+  const byRange = new Map();
+  entries.flatMap(({ finding }) => finding.evidence || []).forEach(span => {
+    const key = `${span.start}:${span.end}`;
+    if (!byRange.has(key)) byRange.set(key, span);
+  });
+  return [...byRange.values()].sort((a, b) => a.start - b.start || a.end - b.end);
+};
+
+const mergeGroup = (type, entries, confidence) => ({
+  type,
+  confidence: Math.min(1, confidence),
+  indicators: unique(entries.flatMap(({ finding }) => finding.indicators || [])),
+  severity: mostSevere(entries.map(({ finding }) => finding.severity)),
+  rules: unique(entries.map(({ finding }) => finding.rule).filter(Boolean)),
+  detectors: unique(entries.map(({ detector }) => detector.name)),
+  reason: unique(entries.map(({ finding }) => finding.reason).filter(Boolean)).join('. ') || null,
+  evidence: mergeEvidence(entries)
+});
+
+module.exports = {
+  // Every finding is its own threat
+  union: results => results.flatMap(({ detector, findings }) =>
+    findings.map(finding => ({ ...finding, detectors: [detector.name] }))
+  ),
+
+  // One threat per type, as confident as its most confident finding
+  max: results => [...byType(results)].map(([type, entries]) =>
+    mergeGroup(type, entries, Math.max(...entries.map(({ finding }) => finding.confidence)))
+  ),
+
+  // One threat per type; agreeing detectors reinforce each other as independent evidence
+  noisy_or: results => [...byType(results)].map(([type, entries]) => {
+    const miss = entries.reduce((product, { detector, finding }) =>
+      product * (1 - Math.min(1, detector.weight * finding.confidence)), 1);
+    return mergeGroup(type, entries, 1 - miss);
+  }),
+
+  // One threat per type, averaged over every detector that ran (silence counts as 0)
+  weighted: (results) => {
+    const totalWeight = results.reduce((sum, { detector }) => sum + detector.weight, 0) || 1;
+    return [...byType(results)].map(([type, entries]) => {
+      // A detector reporting several findings of one type counts once, at its best
+      const best = new Map();
+      entries.forEach(({ detector, finding }) => {
+        best.set(detector.name, Math.max(best.get(detector.name) || 0, detector.weight * finding.confidence));
+      });
+      const score = [...best.values()].reduce((sum, value) => sum + value, 0);
+      return mergeGroup(type, entries, score / totalWeight);
+    });
+  }
+};
@@ -0,0 +1,133 @@
+const textNormalizer = require('../text-normalizer');
+const constants = require('../../config/constants');
+
+const escapeRegex = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const readable = category => category.replace(/_/g, ' ');
+
+// Score one compiled rule against normalized text. signals carries the normalize()
+// result, the obfuscation techniques and the analyzed links found in the content;
+// evidence holds the original-content offsets of what matched.
+const matchRule = (text, rule, signals, confidenceThreshold) => {
+  const result = {
+    detected: false,
+    confidence: 0,
+    indicators: [],
+    evidence: [],
+    reason: null
+  };
+
+  const { normalized, obfuscation = [], urls = [] } = signals;
+  const { weights } = rule;
+  const lowerContent = text.toLowerCase();
+  const category = readable(rule.category);
+  let matchCount = 0;
+  let matchWeight = 0;
+  const totalWeight = rule.keywords.length * weights.keyword + rule.patterns.length * weights.pattern;
+  const matched = { keywords: [], patterns: 0, domains: [] };
+
+  // A keyword and a pattern often match the same words; the first reason is kept
+  const addEvidence = (start, end, reason) => {
+    const span = normalized && textNormalizer.toOriginalSpan(normalized, start, end);
+    if (span && !result.evidence.some(existing => existing.start === span.start && existing.end === span.end)) {
+      result.evidence.push({ ...span, reason });
+    }
+  };
+
+  // Check keywords
+  rule.keywords.forEach(keyword => {
+    if (lowerContent.includes(keyword.toLowerCase())) {
+      matchCount++;
+      matchWeight += weights.keyword;
+      result.indicators.push(`keyword: ${keyword}`);
+      matched.keywords.push(keyword);
+
+      for (const occurrence of text.matchAll(new RegExp(escapeRegex(keyword), 'gi'))) {
+        addEvidence(occurrence.index, occurrence.index + occurrence[0].length, `"${keyword}" is a phrase often used in ${category}`);
+      }
+    }
+  });
+
+  // Check regex patterns
+  rule.patterns.forEach((pattern, index) => {
+    const match = pattern.exec(text);
+    if (match) {
+      matchCount++;
+      matchWeight += weights.pattern;
+      result.indicators.push(`pattern_${index + 1}`);
+      matched.patterns++;
+      addEvidence(match.index, match.index + match[0].length, `Wording typical of ${category}`);
+    }
+  });
+
+  // Check linked domains; a hit adds to the score without raising the bar
+  rule.domains.forEach(domain => {
+    const linked = urls.filter(url => url.hostname === domain || url.hostname.endsWith(`.${domain}`));
+    if (linked.length > 0) {
+      matchCount++;
+      matchWeight += weights.domain;
+      result.indicators.push(`suspicious_domain: ${domain}`);
+      matched.domains.push(domain);
+      linked.forEach(url => url.positions.forEach(({ start, end }) => {
+        result.evidence.push({
+          start,
+          end,
+          text: normalized ? normalized.original.slice(start, end) : url.url,
+          reason: `Links to ${domain}, a domain known for ${category}`
+        });
+      }));
+    }
+  });
+
+  // Calculate confidence
+  if (totalWeight > 0) {
+    result.confidence = Math.min(1, matchWeight / totalWeight);
+
+    // Disguised wording that still matches is a scam signal in its own right
+    if (matchCount > 0 && obfuscation.length > 0) {
+      result.confidence = Math.min(1, result.confidence + obfuscation.length * constants.OBFUSCATION_CONFIDENCE_BOOST);
+      result.indicators.push(...obfuscation.map(technique => `obfuscation: ${technique}`));
+    }
+
+    result.detected = result.confidence > confidenceThreshold;
+  }
+
+  const reasons = [];
+  if (matched.keywords.length) reasons.push(`uses phrases such as ${matched.keywords.map(keyword => `"${keyword}"`).join(', ')}`);
+  if (matched.patterns) reasons.push(`${matched.patterns} suspicious wording pattern${matched.patterns > 1 ? 's' : ''}`);
+  if (matched.domains.length) reasons.push(`links to ${matched.domains.join(', ')}`);
+  if (matchCount > 0 && obfuscation.length) reasons.push(`disguised spelling (${obfuscation.join(', ').replace(/_/g, ' ')})`);
+  result.reason = reasons.length ? `Looks like ${category}: ${reasons.join('; ')}` : null;
+
+  return result;
+};
+
+// Keywords, patterns and domains from the active threat ruleset
+module.exports = {
+  name: 'rules',
+  contentTypes: ['*'],
+  weight: 1,
+
+  async analyze({ text, normalized, urls, ruleset, confidenceThreshold }) {
+    const signals = {
+      normalized,
+      obfuscation: normalized.techniques,
+      urls: urls.urls
+    };
+
+    return ruleset.rules
+      .map(rule => ({ rule, result: matchRule(text, rule, signals, confidenceThreshold) }))
+      .filter(({ result }) => result.detected)
+      .map(({ rule, result }) => ({
+        type: rule.category,
+        rule: rule.name,
+        confidence: result.confidence,
+        indicators: result.indicators,
+        severity: rule.severity,
+        reason: result.reason,
+        evidence: result.evidence
+      }));
+  },
+
+  matchRule
+};
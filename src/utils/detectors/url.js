@@ -0,0 +1,29 @@
+const urlAnalyzer = require('../url-analyzer');
+const constants = require('../../config/constants');
+
+// Lookalike, shortened and credential-harvesting links, scored by utils/url-analyzer
+module.exports = {
+  name: 'url',
+  contentTypes: ['*'],
+  weight: 1,
+
+  async analyze({ content, urls }) {
+    if (urls.score < constants.URL_ANALYSIS_THREAT_THRESHOLD) return [];
+
+    const suspicious = urls.urls.filter(url => url.indicators.length > 0);
+    const riskiest = suspicious.reduce((best, url) => (!best || url.score > best.score ? url : best), null);
+
+    return [{
+      type: 'phishing',
+      confidence: urls.score,
+      indicators: urls.indicators,
+      reason: `Contains a suspicious link: ${riskiest.indicators.map(indicator => urlAnalyzer.describeIndicator(indicator)).join('; ')}`,
+      evidence: suspicious.flatMap(url => url.positions.map(({ start, end }) => ({
+        start,
+        end,
+        text: content.slice(start, end),
+        reason: url.indicators.map(indicator => urlAnalyzer.describeIndicator(indicator)).join('; ')
+      })))
+    }];
+  }
+};
@@ -1,26 +1,96 @@
 const crypto = require('crypto');
 
+// Encrypted field values are stored as `enc:<key version>:<iv>:<auth tag>:<ciphertext>`
+// (base64 parts) so a value records which key it needs and old keys can be retired.
+const TOKEN_PREFIX = 'enc';
+const DEVELOPMENT_SEED = 'truthshield-pro-development-only';
+
 class EncryptionUtils {
   constructor() {
     this.algorithm = 'aes-256-gcm';
-    this.key = process.env.ENCRYPTION_KEY || this.generateKey();
+    this.ivLength = 12;
+    this.loadKeys();
+  }
+
+  // ENCRYPTION_KEYS="v1:<hex>,v2:<hex>" lists every key still needed for decryption;
+  // ENCRYPTION_KEY_VERSION picks the one used for new writes (default: the last listed).
+  // A lone ENCRYPTION_KEY is treated as version v1.
+  loadKeys(env = process.env) {
+    const keys = new Map();
+
+    if (env.ENCRYPTION_KEYS) {
+      env.ENCRYPTION_KEYS.split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+        const [version, key] = entry.split(':');
+        keys.set(version, this.parseKey(key, `ENCRYPTION_KEYS (${version})`));
+      });
+    } else if (env.ENCRYPTION_KEY) {
+      keys.set('v1', this.parseKey(env.ENCRYPTION_KEY, 'ENCRYPTION_KEY'));
+    }
+
+    let blindIndexKey = env.BLIND_INDEX_KEY ? this.parseKey(env.BLIND_INDEX_KEY, 'BLIND_INDEX_KEY') : null;
+
+    // A random key per boot would make yesterday's data unreadable, so development
+    // and test runs fall back to a fixed, publicly known key. Anything else, including
+    // an unset NODE_ENV, must configure real keys.
+    if (keys.size === 0 || !blindIndexKey) {
+      if (!['development', 'test'].includes(env.NODE_ENV)) {
+        throw new Error(
+          'ENCRYPTION_KEYS and BLIND_INDEX_KEY must be set unless NODE_ENV is development or test. ' +
+          'Generate each key with: node -e "console.log(require(\'crypto\').randomBytes(32).toString(\'hex\'))" ' +
+          'and set ENCRYPTION_KEYS=v1:<key> and BLIND_INDEX_KEY=<another key>'
+        );
+      }
+      console.warn('⚠️  Using the development encryption key; set ENCRYPTION_KEYS and BLIND_INDEX_KEY');
+
+      if (keys.size === 0) {
+        keys.set('dev', crypto.createHash('sha256').update(`${DEVELOPMENT_SEED}:encryption`).digest());
+      }
+      if (!blindIndexKey) {
+        blindIndexKey = crypto.createHash('sha256').update(`${DEVELOPMENT_SEED}:blind-index`).digest();
+      }
+    }
+
+    const currentVersion = env.ENCRYPTION_KEY_VERSION || [...keys.keys()].pop();
+    if (!keys.has(currentVersion)) {
+      throw new Error(`ENCRYPTION_KEY_VERSION ${currentVersion} is not in ENCRYPTION_KEYS`);
+    }
+
+    this.keys = keys;
+    this.currentVersion = currentVersion;
+    this.blindIndexKey = blindIndexKey;
+  }
+
+  parseKey(hex, name) {
+    if (!/^[0-9a-fA-F]{64}$/.test(String(hex || ''))) {
+      throw new Error(`${name} must be 32 bytes of hex`);
+    }
+    return Buffer.from(hex, 'hex');
   }
 
   generateKey() {
     return crypto.randomBytes(32).toString('hex');
   }
 
-  encrypt(text) {
+  getKey(version) {
+    const key = this.keys.get(version);
+    if (!key) {
+      throw new Error(`Unknown encryption key version: ${version}`);
+    }
+    return key;
+  }
+
+  encrypt(text, version = this.currentVersion) {
     try {
-      const iv = crypto.randomBytes(16);
-      const cipher = crypto.createCipher(this.algorithm, Buffer.from(this.key, 'hex'));
-      
-      let encrypted = cipher.update(text, 'utf8', 'hex');
+      const iv = crypto.randomBytes(this.ivLength);
+      const cipher = crypto.createCipheriv(this.algorithm, this.getKey(version), iv);
+
+      let encrypted = cipher.update(String(text), 'utf8', 'hex');
       encrypted += cipher.final('hex');
-      
+
       const authTag = cipher.getAuthTag();
-      
+
       return {
+        version,
         iv: iv.toString('hex'),
         data: encrypted,
         authTag: authTag.toString('hex')
@@ -33,23 +103,72 @@ class EncryptionUtils {
 
   decrypt(encryptedData) {
     try {
-      const decipher = crypto.createDecipher(
-        this.algorithm, 
-        Buffer.from(this.key, 'hex')
+      const decipher = crypto.createDecipheriv(
+        this.algorithm,
+        this.getKey(encryptedData.version || this.currentVersion),
+        Buffer.from(encryptedData.iv, 'hex')
       );
-      
+
       decipher.setAuthTag(Buffer.from(encryptedData.authTag, 'hex'));
-      
+
       let decrypted = decipher.update(encryptedData.data, 'hex', 'utf8');
       decrypted += decipher.final('utf8');
-      
+
       return decrypted;
     } catch (error) {
-      console.error('Decryption error:', error);
+      console.error('Decryption error:', error.message);
       throw new Error('Failed to decrypt data');
     }
   }
 
+  // String form used for database fields
+  encryptField(value) {
+    if (value === undefined || value === null || this.isEncrypted(value)) return value;
+
+    const { version, iv, data, authTag } = this.encrypt(value);
+    return [
+      TOKEN_PREFIX,
+      version,
+      Buffer.from(iv, 'hex').toString('base64'),
+      Buffer.from(authTag, 'hex').toString('base64'),
+      Buffer.from(data, 'hex').toString('base64')
+    ].join(':');
+  }
+
+  // Plaintext passes through untouched so rows written before encryption still read
+  decryptField(value) {
+    if (!this.isEncrypted(value)) return value;
+
+    const [, version, iv, authTag, data] = value.split(':');
+    return this.decrypt({
+      version,
+      iv: Buffer.from(iv, 'base64').toString('hex'),
+      authTag: Buffer.from(authTag, 'base64').toString('hex'),
+      data: Buffer.from(data, 'base64').toString('hex')
+    });
+  }
+
+  isEncrypted(value) {
+    return typeof value === 'string' && value.startsWith(`${TOKEN_PREFIX}:`) && value.split(':').length === 5;
+  }
+
+  // Plaintext or encrypted under a key other than the current one
+  needsReencryption(value) {
+    return typeof value === 'string' && !value.startsWith(`${TOKEN_PREFIX}:${this.currentVersion}:`);
+  }
+
+  reencryptField(value) {
+    return this.needsReencryption(value) ? this.encryptField(this.decryptField(value)) : value;
+  }
+
+  // Keyed, deterministic hash for exact-match lookups on encrypted fields
+  blindIndex(value) {
+    return crypto
+      .createHmac('sha256', this.blindIndexKey)
+      .update(String(value).trim().toLowerCase())
+      .digest('hex');
+  }
+
   hashData(data) {
     return crypto
       .createHash('sha256')
@@ -73,26 +192,26 @@ class EncryptionUtils {
   encryptUserData(userData) {
     const sensitiveFields = ['email', 'firstName', 'lastName'];
     const encryptedData = { ...userData };
-    
+
     sensitiveFields.forEach(field => {
       if (encryptedData[field]) {
-        encryptedData[field] = this.encrypt(encryptedData[field]);
+        encryptedData[field] = this.encryptField(encryptedData[field]);
       }
     });
-    
+
     return encryptedData;
   }
 
   decryptUserData(encryptedUserData) {
     const sensitiveFields = ['email', 'firstName', 'lastName'];
     const decryptedData = { ...encryptedUserData };
-    
+
     sensitiveFields.forEach(field => {
-      if (decryptedData[field] && typeof decryptedData[field] === 'object') {
-        decryptedData[field] = this.decrypt(decryptedData[field]);
+      if (decryptedData[field]) {
+        decryptedData[field] = this.decryptField(decryptedData[field]);
       }
     });
-    
+
     return decryptedData;
   }
 
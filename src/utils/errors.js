@@ -0,0 +1,16 @@
+const { ERROR_CODES } = require('../config/constants');
+
+// Operational error carrying the HTTP status and stable error code to report
+class AppError extends Error {
+  constructor(message, statusCode = 500, errorCode = ERROR_CODES.INTERNAL_ERROR) {
+    super(message);
+    this.name = 'AppError';
+    this.statusCode = statusCode;
+    this.errorCode = errorCode;
+    this.isOperational = true;
+  }
+}
+
+module.exports = {
+  AppError
+};
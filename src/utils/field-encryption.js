@@ -0,0 +1,254 @@
+const mongoose = require('mongoose');
+const encryptionUtils = require('./encryption');
+
+const QUERY_HOOKS = [
+  'find',
+  'findOne',
+  'countDocuments',
+  'findOneAndUpdate',
+  'findOneAndDelete',
+  'updateOne',
+  'updateMany',
+  'deleteOne',
+  'deleteMany',
+  'replaceOne'
+];
+
+// Raw storage of a document or subdocument, so reads and writes skip setters and
+// change tracking
+const raw = node => (node && node.$__ ? node._doc : node);
+
+// Apply fn to every value at a dotted path, stepping into arrays along the way
+const visit = (node, parts, fn) => {
+  const target = raw(node);
+  if (!target) return;
+
+  if (Array.isArray(target)) {
+    target.forEach(item => visit(item, parts, fn));
+    return;
+  }
+
+  const [head, ...rest] = parts;
+  if (rest.length) {
+    visit(target[head], rest, fn);
+  } else if (typeof target[head] === 'string') {
+    target[head] = fn(target[head]);
+  }
+};
+
+// Deep copy of plain objects and arrays; ObjectIds, Dates and the like are kept as is
+const clone = (value) => {
+  if (Array.isArray(value)) return value.map(clone);
+  if (value && value.constructor === Object) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, clone(item)]));
+  }
+  return value;
+};
+
+const unencryptedQueryError = path => new Error(
+  `${path} is encrypted and can only be matched by exact value through its blind index`
+);
+
+// Transparent field-level encryption.
+//   fields:       dotted paths of String fields to encrypt (may run through arrays)
+//   blindIndexes: { field: hashField } for encrypted fields that must stay searchable
+// Documents hold plaintext in memory and ciphertext in MongoDB. Equality filters on
+// a blind-indexed field are rewritten to its hash; any other filter on an encrypted
+// field is rejected rather than silently matching nothing.
+module.exports = function fieldEncryption(schema, { fields, blindIndexes = {} }) {
+  // Array that a nested field lives in, e.g. familySettings.emergencyContacts
+  const arrayRootOf = (field) => {
+    const parts = field.split('.');
+    for (let i = parts.length - 1; i > 0; i--) {
+      const prefix = parts.slice(0, i).join('.');
+      if (schema.path(prefix) instanceof mongoose.Schema.Types.DocumentArray) return prefix;
+    }
+    return null;
+  };
+
+  const specs = fields.map(field => ({
+    field,
+    parts: field.split('.'),
+    arrayRoot: arrayRootOf(field)
+  }));
+
+  const encryptDocument = (doc, force) => {
+    specs.forEach(({ field, parts, arrayRoot }) => {
+      if (force || doc.isModified(arrayRoot || field)) {
+        visit(doc, parts, value => encryptionUtils.encryptField(value));
+      }
+    });
+  };
+
+  const decryptDocument = (node) => {
+    specs.forEach(({ parts }) => visit(node, parts, value => encryptionUtils.decryptField(value)));
+  };
+
+  const rewriteFilter = (filter) => {
+    if (!filter || typeof filter !== 'object') return filter;
+
+    return Object.entries(filter).reduce((out, [key, value]) => {
+      if (['$or', '$and', '$nor'].includes(key) && Array.isArray(value)) {
+        out[key] = value.map(rewriteFilter);
+        return out;
+      }
+
+      const encrypted = specs.some(spec => spec.field === key);
+      const isOperator = value && typeof value === 'object' && !(value instanceof RegExp) &&
+        Object.keys(value).some(op => op.startsWith('$'));
+
+      if (!encrypted || value === undefined || (isOperator && Object.keys(value).every(op => op === '$exists'))) {
+        out[key] = value;
+        return out;
+      }
+
+      const hashField = blindIndexes[key];
+      if (!hashField) throw unencryptedQueryError(key);
+
+      if (typeof value === 'string') {
+        out[hashField] = encryptionUtils.blindIndex(value);
+      } else if (isOperator && Object.keys(value).length === 1 && typeof value.$eq === 'string') {
+        out[hashField] = encryptionUtils.blindIndex(value.$eq);
+      } else if (isOperator && Object.keys(value).length === 1 && Array.isArray(value.$in)) {
+        out[hashField] = { $in: value.$in.map(item => encryptionUtils.blindIndex(item)) };
+      } else {
+        throw unencryptedQueryError(key);
+      }
+      return out;
+    }, {});
+  };
+
+  // Encrypt values written by update queries ($set or top-level); pipelines are left alone
+  const encryptUpdate = (update) => {
+    if (!update || Array.isArray(update)) return;
+
+    [update, update.$set, update.$setOnInsert].filter(Boolean).forEach(target => {
+      Object.entries(blindIndexes).forEach(([field, hashField]) => {
+        if (typeof target[field] === 'string') {
+          target[hashField] = encryptionUtils.blindIndex(target[field]);
+        }
+      });
+
+      specs.forEach(({ field, parts, arrayRoot }) => {
+        if (arrayRoot && target[arrayRoot] !== undefined) {
+          visit(target[arrayRoot], parts.slice(arrayRoot.split('.').length), value => encryptionUtils.encryptField(value));
+        } else if (!arrayRoot && typeof target[field] === 'string') {
+          target[field] = encryptionUtils.encryptField(target[field]);
+        }
+      });
+    });
+  };
+
+  schema.pre('save', function(next) {
+    try {
+      Object.entries(blindIndexes).forEach(([field, hashField]) => {
+        if (this.isNew || this.isModified(field)) {
+          const value = this.get(field);
+          this.set(hashField, value ? encryptionUtils.blindIndex(value) : undefined);
+        }
+      });
+
+      encryptDocument(this, this.isNew);
+      next();
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Hand the caller back plaintext, whether the save succeeded or not
+  schema.post('save', function() {
+    decryptDocument(this);
+  });
+
+  schema.post('save', function(error, doc, next) {
+    decryptDocument(this);
+    next(error);
+  });
+
+  schema.post('init', function() {
+    decryptDocument(this);
+  });
+
+  schema.pre(QUERY_HOOKS, function() {
+    this.setQuery(rewriteFilter(this.getFilter()));
+    if (typeof this.getUpdate === 'function') {
+      encryptUpdate(this.getUpdate());
+    }
+  });
+
+  // Lean results skip init, so decrypt them here
+  schema.post(['find', 'findOne', 'findOneAndUpdate', 'findOneAndDelete'], function(result) {
+    if (!this.mongooseOptions().lean || !result) return;
+    (Array.isArray(result) ? result : [result]).forEach(decryptDocument);
+  });
+
+  schema.pre('insertMany', function(next, docs) {
+    try {
+      (Array.isArray(docs) ? docs : [docs]).forEach(doc => {
+        Object.entries(blindIndexes).forEach(([field, hashField]) => {
+          if (typeof doc[field] === 'string') doc[hashField] = encryptionUtils.blindIndex(doc[field]);
+        });
+        specs.forEach(({ parts }) => visit(doc, parts, value => encryptionUtils.encryptField(value)));
+      });
+      next();
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  schema.statics.encryptedFields = specs.map(spec => spec.field);
+  schema.statics.blindIndexes = blindIndexes;
+
+  // Decrypt a plain object produced by an aggregation over this collection
+  schema.statics.decryptRaw = function(node) {
+    decryptDocument(node);
+    return node;
+  };
+
+  // Re-encrypt rows that are still plaintext or use an old key, and backfill blind
+  // indexes. Writes are conditional on the row being unchanged since it was read.
+  schema.statics.reencryptAll = async function() {
+    const stale = new RegExp(`^(?!enc:${encryptionUtils.currentVersion}:)`);
+    const conditions = specs.map(({ field, arrayRoot }) => (arrayRoot
+      ? { [arrayRoot]: { $elemMatch: { [field.slice(arrayRoot.length + 1)]: { $type: 'string', $regex: stale } } } }
+      : { [field]: { $type: 'string', $regex: stale } }));
+    Object.entries(blindIndexes).forEach(([field, hashField]) => {
+      conditions.push({ [field]: { $type: 'string' }, [hashField]: { $exists: false } });
+    });
+
+    let updated = 0;
+    const cursor = this.collection.find({ $or: conditions });
+
+    for await (const doc of cursor) {
+      const guard = { _id: doc._id };
+      const set = {};
+
+      Object.entries(blindIndexes).forEach(([field, hashField]) => {
+        if (typeof doc[field] === 'string') {
+          set[hashField] = encryptionUtils.blindIndex(encryptionUtils.decryptField(doc[field]));
+        }
+      });
+
+      specs.forEach(({ field, parts, arrayRoot }) => {
+        const root = arrayRoot || field;
+        const original = root.split('.').reduce((node, key) => (node ? node[key] : undefined), doc);
+        if (original === undefined || original === null) return;
+
+        if (!(root in guard)) guard[root] = original;
+        const copy = set[root] !== undefined ? set[root] : clone(original);
+
+        if (arrayRoot) {
+          visit(copy, parts.slice(arrayRoot.split('.').length), value => encryptionUtils.reencryptField(value));
+          set[root] = copy;
+        } else if (typeof copy === 'string') {
+          set[root] = encryptionUtils.reencryptField(copy);
+        }
+      });
+
+      const result = await this.collection.updateOne(guard, { $set: set });
+      updated += result.modifiedCount;
+    }
+
+    return updated;
+  };
+};
@@ -215,6 +215,23 @@ class HelperUtils {
     return input;
   }
 
+  // Where each position in a string lands after sanitizeInput, so offsets found in
+  // the original can be carried over; positions[input.length] is the end
+  sanitizedPositions(input) {
+    const start = input.length - input.trimStart().length;
+    const end = input.trimEnd().length;
+    const positions = [];
+    let kept = 0;
+
+    for (let index = 0; index <= input.length; index++) {
+      positions.push(Math.min(kept, 5000));
+      if (index >= start && index < end && input[index] !== '<' && input[index] !== '>') {
+        kept++;
+      }
+    }
+    return positions;
+  }
+
   // Deep object cloning
   deepClone(obj) {
     return JSON.parse(JSON.stringify(obj));
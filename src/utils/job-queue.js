@@ -0,0 +1,62 @@
+// In-process background job queue. Jobs run one at a time after the request that
+// queued them has returned; anything durable (status, results) lives in Mongo.
+class JobQueue {
+  constructor() {
+    this.handlers = new Map();
+    this.pending = [];
+    this.running = 0;
+    this.concurrency = 1;
+    this.idleWaiters = [];
+  }
+
+  register(name, handler) {
+    this.handlers.set(name, handler);
+  }
+
+  enqueue(name, data) {
+    if (!this.handlers.has(name)) {
+      throw new Error(`No handler registered for job: ${name}`);
+    }
+
+    this.pending.push({ name, data });
+    setImmediate(() => this.next());
+  }
+
+  async next() {
+    if (this.running >= this.concurrency) return;
+
+    const job = this.pending.shift();
+    if (!job) {
+      if (this.running === 0) this.notifyIdle();
+      return;
+    }
+
+    this.running++;
+    try {
+      await this.handlers.get(job.name)(job.data);
+    } catch (error) {
+      console.error(`Job ${job.name} failed:`, error);
+    } finally {
+      this.running--;
+      this.next();
+    }
+  }
+
+  isIdle() {
+    return this.running === 0 && this.pending.length === 0;
+  }
+
+  // Resolves once every queued job has finished (used during shutdown)
+  onIdle() {
+    if (this.isIdle()) return Promise.resolve();
+    return new Promise(resolve => this.idleWaiters.push(resolve));
+  }
+
+  notifyIdle() {
+    const waiters = this.idleWaiters;
+    this.idleWaiters = [];
+    waiters.forEach(resolve => resolve());
+  }
+}
+
+module.exports = new JobQueue();
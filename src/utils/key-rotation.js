@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+const jobQueue = require('./job-queue');
+
+const JOB_NAME = 'reencrypt-fields';
+
+// Brings every encrypted field onto the current key: encrypts rows written before
+// field encryption existed, re-encrypts rows under retired keys and backfills blind
+// indexes. Old keys can be removed from ENCRYPTION_KEYS once a run updates nothing.
+class KeyRotationService {
+  constructor() {
+    jobQueue.register(JOB_NAME, () => this.run());
+  }
+
+  encryptedModels() {
+    return mongoose.modelNames()
+      .map(name => mongoose.model(name))
+      .filter(Model => typeof Model.reencryptAll === 'function');
+  }
+
+  async run() {
+    const updated = {};
+
+    for (const Model of this.encryptedModels()) {
+      updated[Model.modelName] = await Model.reencryptAll();
+    }
+
+    const total = Object.values(updated).reduce((sum, count) => sum + count, 0);
+    if (total > 0) {
+      console.log(`🔑 Re-encrypted ${total} documents:`, updated);
+    }
+
+    return updated;
+  }
+
+  schedule() {
+    jobQueue.enqueue(JOB_NAME);
+  }
+}
+
+module.exports = new KeyRotationService();
@@ -0,0 +1,142 @@
+const mongoose = require('mongoose');
+const LoginThrottle = require('../models/LoginThrottle');
+const mailer = require('./mailer');
+const constants = require('../config/constants');
+
+const accountKey = (user) => `account:${user._id}`;
+const ipKey = (ip) => `ip:${ip}`;
+
+class LoginGuard {
+  // Company overrides win over the platform defaults, field by field
+  async policyFor(user) {
+    const policy = { ...constants.LOGIN_LOCKOUT };
+
+    if (user && user.persona === 'enterprise') {
+      const Company = mongoose.model('Company');
+      const company = await Company.findForUser(user);
+      const overrides = company && company.security.lockout;
+
+      if (overrides) {
+        ['maxAttempts', 'lockoutMinutes', 'backoffBaseSeconds'].forEach(field => {
+          if (typeof overrides[field] === 'number') policy[field] = overrides[field];
+        });
+      }
+    }
+
+    return policy;
+  }
+
+  // Seconds the caller must wait before trying again, or 0 when allowed
+  retryAfter(state, policy, maxAttempts) {
+    if (!state) return 0;
+
+    const now = Date.now();
+    if (state.lockedUntil && state.lockedUntil.getTime() > now) {
+      return Math.ceil((state.lockedUntil.getTime() - now) / 1000);
+    }
+
+    if (maxAttempts && state.failures >= maxAttempts) {
+      return Math.max(0, Math.ceil((state.expiresAt.getTime() - now) / 1000));
+    }
+
+    if (state.failures > 0 && policy.backoffBaseSeconds > 0 && state.lastFailureAt) {
+      const delayMs = policy.backoffBaseSeconds * Math.pow(2, state.failures - 1) * 1000;
+      const nextAttemptAt = state.lastFailureAt.getTime() + Math.min(delayMs, policy.lockoutMinutes * 60 * 1000);
+      if (nextAttemptAt > now) return Math.ceil((nextAttemptAt - now) / 1000);
+    }
+
+    return 0;
+  }
+
+  async checkIp(ip) {
+    const state = await LoginThrottle.findOne({ key: ipKey(ip) });
+    const policy = constants.LOGIN_LOCKOUT;
+    const retryAfter = state && state.failures >= policy.ipMaxAttempts
+      ? this.retryAfter(state, policy, policy.ipMaxAttempts)
+      : 0;
+
+    return { blocked: retryAfter > 0, retryAfter };
+  }
+
+  async checkAccount(user, policy) {
+    const state = await LoginThrottle.findOne({ key: accountKey(user) });
+    const retryAfter = this.retryAfter(state, policy);
+    const locked = Boolean(state && state.lockedUntil && state.lockedUntil.getTime() > Date.now());
+
+    return { locked, throttled: !locked && retryAfter > 0, retryAfter };
+  }
+
+  async increment(key, policy) {
+    const now = new Date();
+    return LoginThrottle.findOneAndUpdate(
+      { key },
+      {
+        $inc: { failures: 1 },
+        $set: {
+          lastFailureAt: now,
+          expiresAt: new Date(now.getTime() + policy.failureWindowMinutes * 60 * 1000)
+        }
+      },
+      { new: true, upsert: true, setDefaultsOnInsert: true }
+    );
+  }
+
+  // Count a failed attempt; locks the account once it reaches maxAttempts
+  async recordFailure(user, ip, policy) {
+    await this.increment(ipKey(ip), constants.LOGIN_LOCKOUT);
+    if (!user) return { locked: false };
+
+    const state = await this.increment(accountKey(user), policy);
+    if (state.failures < policy.maxAttempts) {
+      return { locked: false, failures: state.failures };
+    }
+
+    const lockedUntil = new Date(Date.now() + policy.lockoutMinutes * 60 * 1000);
+
+    // Only the request that crosses the threshold locks the account and sends the emails
+    const locked = await LoginThrottle.findOneAndUpdate(
+      {
+        _id: state._id,
+        $or: [{ lockedUntil: null }, { lockedUntil: { $lte: new Date() } }]
+      },
+      {
+        $set: {
+          failures: 0,
+          lockedUntil,
+          expiresAt: new Date(lockedUntil.getTime() + policy.failureWindowMinutes * 60 * 1000)
+        },
+        $inc: { lockCount: 1 }
+      },
+      { new: true }
+    );
+
+    if (locked) {
+      await this.notifyLocked(user, lockedUntil, ip);
+    }
+
+    return { locked: true, lockedUntil };
+  }
+
+  async recordSuccess(user) {
+    await LoginThrottle.deleteOne({ key: accountKey(user) });
+  }
+
+  // Mail failures must not change the login response
+  async notifyLocked(user, lockedUntil, ip) {
+    try {
+      await mailer.sendAccountLocked(user, lockedUntil, ip);
+
+      if (user.family && user.family.parent) {
+        const User = mongoose.model('User');
+        const parent = await User.findById(user.family.parent).select('firstName email');
+        if (parent) {
+          await mailer.sendChildAccountLocked(parent, user, lockedUntil, ip);
+        }
+      }
+    } catch (error) {
+      console.error('Lockout notification error:', error);
+    }
+  }
+}
+
+module.exports = new LoginGuard();
@@ -0,0 +1,208 @@
+const fs = require('fs/promises');
+const path = require('path');
+const constants = require('../config/constants');
+
+// Development transport - print the message to the console
+const consoleTransport = {
+  async send(message) {
+    console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+    return { id: `console-${Date.now()}` };
+  }
+};
+
+// Development transport - write each message as JSON into the outbox directory
+const fileTransport = {
+  async send(message) {
+    const dir = path.resolve(constants.MAIL_OUTBOX_DIR);
+    await fs.mkdir(dir, { recursive: true });
+
+    const id = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    await fs.writeFile(path.join(dir, `${id}.json`), JSON.stringify(message, null, 2));
+    return { id };
+  }
+};
+
+// Production transport - nodemailer over SMTP_URL
+const smtpTransport = () => {
+  const nodemailer = require('nodemailer');
+  const transporter = nodemailer.createTransport(process.env.SMTP_URL);
+
+  return {
+    async send(message) {
+      const info = await transporter.sendMail(message);
+      return { id: info.messageId };
+    }
+  };
+};
+
+const TRANSPORTS = {
+  console: () => consoleTransport,
+  file: () => fileTransport,
+  smtp: smtpTransport
+};
+
+class Mailer {
+  constructor() {
+    this.transport = null;
+  }
+
+  // Swap in any object with an async send(message) method
+  setTransport(transport) {
+    this.transport = transport;
+  }
+
+  getTransport() {
+    if (!this.transport) {
+      const factory = TRANSPORTS[constants.MAIL_TRANSPORT];
+      if (!factory) {
+        throw new Error(`Unknown mail transport: ${constants.MAIL_TRANSPORT}`);
+      }
+      this.transport = factory();
+    }
+    return this.transport;
+  }
+
+  async send({ to, subject, text, html }) {
+    return this.getTransport().send({
+      from: constants.MAIL_FROM,
+      to,
+      subject,
+      text,
+      html
+    });
+  }
+
+  buildUrl(pathname) {
+    return `${constants.CLIENT_URL.replace(/\/$/, '')}${pathname}`;
+  }
+
+  // Email address verification
+  async sendEmailVerification(user, token) {
+    const verifyUrl = this.buildUrl(`/verify-email/${token}`);
+
+    return this.send({
+      to: user.email,
+      subject: 'Verify your TruthShield Pro email address',
+      text: [
+        `Hi ${user.firstName},`,
+        '',
+        'Please confirm your email address by opening the link below:',
+        verifyUrl,
+        '',
+        `This link expires in ${constants.EMAIL_VERIFICATION_EXPIRES_HOURS} hours.`
+      ].join('\n')
+    });
+  }
+
+  // Password reset email
+  async sendPasswordReset(user, token) {
+    const resetUrl = this.buildUrl(`/reset-password/${token}`);
+
+    return this.send({
+      to: user.email,
+      subject: 'Reset your TruthShield Pro password',
+      text: [
+        `Hi ${user.firstName},`,
+        '',
+        'We received a request to reset your password. Use the link below to choose a new one:',
+        resetUrl,
+        '',
+        `This link expires in ${constants.PASSWORD_RESET_EXPIRES_MINUTES} minutes and can only be used once.`,
+        'If you did not request a reset, you can ignore this email.'
+      ].join('\n')
+    });
+  }
+
+  // Consent request for a child under PARENTAL_CONSENT_AGE
+  async sendParentalConsentRequest(child, parentEmail, token) {
+    const consentUrl = this.buildUrl(`/parental-consent/${token}`);
+
+    return this.send({
+      to: parentEmail,
+      subject: `${child.firstName} would like to join TruthShield Pro`,
+      text: [
+        'Hello,',
+        '',
+        `${child.firstName} (age ${child.age}) signed up for TruthShield Pro and listed you as their parent or guardian.`,
+        'Until you approve, their account can only play the safety games and we collect no more than their name, age and email.',
+        '',
+        'Sign in (or create a parent account with this email address) and review the request here:',
+        consentUrl,
+        '',
+        'Approving adds them to your family group so you can see their progress and set limits.',
+        'If you do not recognise this request, you can decline it from the same page and the account will be deleted.'
+      ].join('\n')
+    });
+  }
+
+  // Confirm before an existing account is connected to a company identity provider
+  async sendSsoLinkRequest(user, companyName, token) {
+    return this.send({
+      to: user.email,
+      subject: `Connect your TruthShield Pro account to ${companyName} single sign-on`,
+      text: [
+        `Hi ${user.firstName},`,
+        '',
+        `Someone signed in through ${companyName}'s identity provider with this email address.`,
+        `To let them use your existing account, and to move it into ${companyName}, confirm here:`,
+        this.buildUrl(`/sso/link/${token}`),
+        '',
+        'If this was not you, ignore this email and your account will stay as it is.'
+      ].join('\n')
+    });
+  }
+
+  // Account locked after repeated failed sign-ins
+  async sendAccountLocked(user, lockedUntil, ip) {
+    return this.send({
+      to: user.email,
+      subject: 'Your TruthShield Pro account has been temporarily locked',
+      text: [
+        `Hi ${user.firstName},`,
+        '',
+        'We locked your account after several failed sign-in attempts.',
+        `Last attempt from IP address: ${ip}`,
+        `You can try again after ${lockedUntil.toUTCString()}.`,
+        '',
+        'If this was not you, reset your password once the lock expires:',
+        this.buildUrl('/forgot-password')
+      ].join('\n')
+    });
+  }
+
+  // Let the parent know when a child account is locked
+  async sendChildAccountLocked(parent, child, lockedUntil, ip) {
+    return this.send({
+      to: parent.email,
+      subject: `${child.firstName}'s TruthShield Pro account has been temporarily locked`,
+      text: [
+        `Hi ${parent.firstName},`,
+        '',
+        `We locked ${child.firstName}'s account after several failed sign-in attempts.`,
+        `Last attempt from IP address: ${ip}`,
+        `The lock expires at ${lockedUntil.toUTCString()}.`,
+        '',
+        'If your child did not make these attempts, consider helping them choose a new password.'
+      ].join('\n')
+    });
+  }
+
+  // Confirm a deletion request and offer a way back during the grace period
+  async sendAccountDeletionScheduled(user, scheduledFor, token) {
+    return this.send({
+      to: user.email,
+      subject: 'Your TruthShield Pro account is scheduled for deletion',
+      text: [
+        `Hi ${user.firstName},`,
+        '',
+        `Your account and its data will be permanently deleted on ${scheduledFor.toUTCString()}.`,
+        'You have been signed out on all devices.',
+        '',
+        'Changed your mind? Restore your account before then:',
+        this.buildUrl(`/restore-account/${token}`)
+      ].join('\n')
+    });
+  }
+}
+
+module.exports = new Mailer();
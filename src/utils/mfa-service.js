@@ -0,0 +1,108 @@
+const mongoose = require('mongoose');
+const totp = require('./totp');
+const encryptionUtils = require('./encryption');
+const constants = require('../config/constants');
+
+class MfaService {
+  // Parents follow their family setting, enterprise users their company setting
+  async isMfaRequired(user) {
+    if (user.family && user.family.isParent) {
+      const Family = mongoose.model('Family');
+      const family = await Family.findOne({ parent: user._id }).select('familySettings.requireMfa');
+      if (family && family.familySettings.requireMfa) return true;
+    }
+
+    if (user.persona === 'enterprise') {
+      const Company = mongoose.model('Company');
+      const company = await Company.findForUser(user);
+      if (company && company.security.requireMfa) return true;
+    }
+
+    return false;
+  }
+
+  // Start enrollment - the secret stays pending until a valid code is supplied
+  beginEnrollment(user) {
+    const secret = totp.generateSecret();
+    user.mfa.pendingSecret = secret;
+
+    return {
+      secret,
+      otpauthUrl: totp.buildOtpauthUri(secret, user.email, constants.MFA_ISSUER)
+    };
+  }
+
+  completeEnrollment(user, code) {
+    if (!user.mfa.pendingSecret) return null;
+
+    const step = totp.verify(user.mfa.pendingSecret, code);
+    if (step === null) return null;
+
+    user.mfa.secret = user.mfa.pendingSecret;
+    user.mfa.pendingSecret = undefined;
+    user.mfa.enabled = true;
+    user.mfa.enabledAt = new Date();
+    user.mfa.lastUsedStep = step;
+
+    return this.regenerateRecoveryCodes(user);
+  }
+
+  disable(user) {
+    user.mfa.enabled = false;
+    user.mfa.secret = undefined;
+    user.mfa.pendingSecret = undefined;
+    user.mfa.recoveryCodes = [];
+    user.mfa.lastUsedStep = undefined;
+    user.mfa.enabledAt = undefined;
+  }
+
+  // Replace recovery codes; only hashes are stored, plaintext is returned once
+  regenerateRecoveryCodes(user) {
+    const codes = Array.from({ length: constants.MFA_RECOVERY_CODE_COUNT }, () => {
+      const raw = encryptionUtils.generateSecureToken(5);
+      return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+
+    user.mfa.recoveryCodes = codes.map(code => ({
+      codeHash: this.hashRecoveryCode(code)
+    }));
+
+    return codes;
+  }
+
+  hashRecoveryCode(code) {
+    return encryptionUtils.hashData(String(code).trim().toLowerCase());
+  }
+
+  // Check a TOTP or recovery code; user must be loaded with the mfa secrets selected
+  verifySecondFactor(user, { code, recoveryCode }) {
+    if (!user.mfa.enabled) return null;
+
+    if (code) {
+      const step = totp.verify(user.mfa.secret, code);
+      // Reject codes from a step that has already been used
+      if (step === null || (user.mfa.lastUsedStep && step <= user.mfa.lastUsedStep)) {
+        return null;
+      }
+      user.mfa.lastUsedStep = step;
+      return 'totp';
+    }
+
+    if (recoveryCode) {
+      const codeHash = this.hashRecoveryCode(recoveryCode);
+      const entry = user.mfa.recoveryCodes.find(rc => rc.codeHash === codeHash && !rc.usedAt);
+      if (!entry) return null;
+
+      entry.usedAt = new Date();
+      return 'recovery_code';
+    }
+
+    return null;
+  }
+
+  remainingRecoveryCodes(user) {
+    return (user.mfa.recoveryCodes || []).filter(rc => !rc.usedAt).length;
+  }
+}
+
+module.exports = new MfaService();
@@ -0,0 +1,174 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+const { AppError } = require('./errors');
+const constants = require('../config/constants');
+
+const SUPPORTED_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'ES256', 'ES384'];
+
+const ssoError = (message) => new AppError(message, 401, constants.ERROR_CODES.SSO_FAILED);
+
+const base64url = (buffer) => buffer.toString('base64')
+  .replace(/=+$/, '')
+  .replace(/\+/g, '-')
+  .replace(/\//g, '_');
+
+class OidcClient {
+  constructor() {
+    this.metadataCache = new Map();
+    this.jwksCache = new Map();
+  }
+
+  // Cached lookups expire after OIDC_METADATA_CACHE_SECONDS
+  getCached(cache, key) {
+    const entry = cache.get(key);
+    if (entry && entry.expiresAt > Date.now()) return entry.value;
+    return null;
+  }
+
+  setCached(cache, key, value) {
+    cache.set(key, {
+      value,
+      expiresAt: Date.now() + constants.OIDC_METADATA_CACHE_SECONDS * 1000
+    });
+    return value;
+  }
+
+  clearCache() {
+    this.metadataCache.clear();
+    this.jwksCache.clear();
+  }
+
+  async discover(issuer) {
+    const cached = this.getCached(this.metadataCache, issuer);
+    if (cached) return cached;
+
+    const url = `${issuer.replace(/\/$/, '')}/.well-known/openid-configuration`;
+    const { data } = await axios.get(url, { timeout: constants.OIDC_HTTP_TIMEOUT_MS });
+
+    // The discovery document must describe the issuer it was fetched from
+    if (!data || data.issuer !== issuer) {
+      throw ssoError('Identity provider metadata does not match the configured issuer');
+    }
+    if (!data.authorization_endpoint || !data.token_endpoint || !data.jwks_uri) {
+      throw ssoError('Identity provider metadata is incomplete');
+    }
+
+    return this.setCached(this.metadataCache, issuer, data);
+  }
+
+  async getJwks(jwksUri, { refresh = false } = {}) {
+    const cached = !refresh && this.getCached(this.jwksCache, jwksUri);
+    if (cached) return cached;
+
+    const { data } = await axios.get(jwksUri, { timeout: constants.OIDC_HTTP_TIMEOUT_MS });
+    if (!data || !Array.isArray(data.keys)) {
+      throw ssoError('Identity provider returned an invalid key set');
+    }
+
+    return this.setCached(this.jwksCache, jwksUri, data.keys);
+  }
+
+  // Find the signing key by kid, refetching once in case the IdP rotated its keys
+  async getSigningKey(jwksUri, kid) {
+    const match = keys => keys.find(key => (!kid || key.kid === kid) && (!key.use || key.use === 'sig'));
+
+    let jwk = match(await this.getJwks(jwksUri));
+    if (!jwk) {
+      jwk = match(await this.getJwks(jwksUri, { refresh: true }));
+    }
+    if (!jwk) {
+      throw ssoError('No matching signing key for the ID token');
+    }
+
+    return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+  }
+
+  createPkcePair() {
+    const codeVerifier = base64url(crypto.randomBytes(32));
+    const codeChallenge = base64url(crypto.createHash('sha256').update(codeVerifier).digest());
+    return { codeVerifier, codeChallenge };
+  }
+
+  randomValue() {
+    return base64url(crypto.randomBytes(24));
+  }
+
+  buildAuthorizationUrl(metadata, { clientId, redirectUri, scope, state, nonce, codeChallenge, loginHint }) {
+    const url = new URL(metadata.authorization_endpoint);
+    const params = {
+      response_type: 'code',
+      client_id: clientId,
+      redirect_uri: redirectUri,
+      scope,
+      state,
+      nonce,
+      code_challenge: codeChallenge,
+      code_challenge_method: 'S256'
+    };
+    if (loginHint) params.login_hint = loginHint;
+
+    Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
+    return url.toString();
+  }
+
+  async exchangeCode(metadata, { clientId, clientSecret, code, redirectUri, codeVerifier }) {
+    const body = new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: redirectUri,
+      client_id: clientId,
+      code_verifier: codeVerifier
+    });
+    if (clientSecret) body.set('client_secret', clientSecret);
+
+    try {
+      const { data } = await axios.post(metadata.token_endpoint, body.toString(), {
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' },
+        timeout: constants.OIDC_HTTP_TIMEOUT_MS
+      });
+
+      if (!data || !data.id_token) {
+        throw ssoError('Identity provider did not return an ID token');
+      }
+      return data;
+    } catch (error) {
+      if (error.isOperational) throw error;
+      const reason = error.response && error.response.data && error.response.data.error;
+      throw ssoError(`Authorization code exchange failed${reason ? `: ${reason}` : ''}`);
+    }
+  }
+
+  // Verify signature, issuer, audience, expiry and nonce of an ID token
+  async verifyIdToken(metadata, idToken, { clientId, nonce }) {
+    const decoded = jwt.decode(idToken, { complete: true });
+    if (!decoded || !SUPPORTED_ALGORITHMS.includes(decoded.header.alg)) {
+      throw ssoError('Unsupported ID token');
+    }
+
+    const key = await this.getSigningKey(metadata.jwks_uri, decoded.header.kid);
+
+    let claims;
+    try {
+      claims = jwt.verify(idToken, key, {
+        algorithms: SUPPORTED_ALGORITHMS,
+        issuer: metadata.issuer,
+        audience: clientId,
+        clockTolerance: 60
+      });
+    } catch (error) {
+      throw ssoError(`ID token rejected: ${error.message}`);
+    }
+
+    if (claims.nonce !== nonce) {
+      throw ssoError('ID token nonce does not match the login request');
+    }
+    if (!claims.sub) {
+      throw ssoError('ID token has no subject');
+    }
+
+    return claims;
+  }
+}
+
+module.exports = new OidcClient();
@@ -0,0 +1,117 @@
+const mongoose = require('mongoose');
+const tokenService = require('./token-service');
+const encryptionUtils = require('./encryption');
+const mailer = require('./mailer');
+const accountDeletion = require('./account-deletion');
+const { AppError } = require('./errors');
+const constants = require('../config/constants');
+
+const invalidToken = () => new AppError(
+  'Consent link is invalid or has expired',
+  400,
+  constants.ERROR_CODES.INVALID_CONSENT_TOKEN
+);
+
+class ParentalConsentService {
+  isRequired(age) {
+    return Number(age) < constants.PARENTAL_CONSENT_AGE;
+  }
+
+  // Start (or restart) the request; earlier links stop working
+  async request(child, parentEmail) {
+    const requestId = encryptionUtils.generateSecureToken(16);
+
+    child.parentalConsent = {
+      status: 'pending',
+      parentEmail,
+      requestId,
+      requestedAt: new Date()
+    };
+    await child.save();
+
+    const token = tokenService.signPurposeToken(
+      child._id,
+      'parental_consent',
+      constants.PARENTAL_CONSENT_EXPIRES_IN,
+      { rid: requestId }
+    );
+
+    await mailer.sendParentalConsentRequest(child, parentEmail, token);
+  }
+
+  // Resolve a consent link to the pending child account
+  async findChild(token) {
+    let decoded;
+    try {
+      decoded = tokenService.verifyPurposeToken(token, 'parental_consent');
+    } catch (error) {
+      throw invalidToken();
+    }
+
+    const User = mongoose.model('User');
+    const child = await User.findById(decoded.id).select('+parentalConsent.requestId');
+
+    if (!child || child.parentalConsent.status !== 'pending' || child.parentalConsent.requestId !== decoded.rid) {
+      throw invalidToken();
+    }
+
+    return child;
+  }
+
+  // Link the child into the parent's family, creating the family if needed
+  async approve(child, parent) {
+    if (parent.email !== child.parentalConsent.parentEmail) {
+      throw new AppError('Sign in with the email address this request was sent to', 403, constants.ERROR_CODES.FORBIDDEN);
+    }
+
+    if (!['adult', 'senior'].includes(parent.ageGroup)) {
+      throw new AppError('Only an adult can give parental consent', 403, constants.ERROR_CODES.FORBIDDEN);
+    }
+
+    const Family = mongoose.model('Family');
+    const User = mongoose.model('User');
+
+    const otherFamily = await Family.findOne({ 'children.child': child._id, parent: { $ne: parent._id } });
+    if (otherFamily) {
+      throw new AppError('This child already belongs to another family', 409, constants.ERROR_CODES.DUPLICATE_RESOURCE);
+    }
+
+    let family = await Family.findOne({ parent: parent._id });
+    if (!family) {
+      family = await Family.create({
+        familyName: `${parent.lastName} Family`,
+        parent: parent._id,
+        children: []
+      });
+    }
+
+    if (!family.children.some(entry => entry.child.toString() === child._id.toString())) {
+      await family.addChild(child._id);
+    }
+
+    await User.updateOne(
+      { _id: parent._id },
+      {
+        $set: { persona: 'parent', 'family.isParent': true },
+        $addToSet: { 'family.children': child._id }
+      }
+    );
+
+    child.persona = 'child';
+    child.family.parent = parent._id;
+    child.parentalConsent.status = 'granted';
+    child.parentalConsent.decidedAt = new Date();
+    child.parentalConsent.grantedBy = parent._id;
+    child.parentalConsent.requestId = undefined;
+    await child.save();
+
+    return family;
+  }
+
+  // A refused request deletes the account and everything collected for it, without a grace period
+  async deny(child) {
+    await accountDeletion.purge(child._id, { reason: 'parental_consent_denied' });
+  }
+}
+
+module.exports = new ParentalConsentService();
@@ -0,0 +1,77 @@
+const { MemoryStore } = require('express-rate-limit');
+const RateLimit = require('../models/RateLimit');
+const constants = require('../config/constants');
+
+// express-rate-limit store backed by MongoDB so limits are shared across instances
+class MongoRateLimitStore {
+  constructor(prefix = 'rl') {
+    this.prefix = prefix;
+    this.windowMs = constants.RATE_LIMIT_WINDOW_MS;
+  }
+
+  init(options) {
+    this.windowMs = options.windowMs;
+  }
+
+  storeKey(key) {
+    return `${this.prefix}:${key}`;
+  }
+
+  async increment(key) {
+    const now = new Date();
+    const windowOpen = { $gt: ['$resetAt', now] };
+
+    // Atomically start a new window or add a hit to the current one
+    const record = await RateLimit.findOneAndUpdate(
+      { key: this.storeKey(key) },
+      [{
+        $set: {
+          hits: { $cond: [windowOpen, { $add: ['$hits', 1] }, 1] },
+          resetAt: { $cond: [windowOpen, '$resetAt', new Date(now.getTime() + this.windowMs)] }
+        }
+      }],
+      { upsert: true, new: true }
+    );
+
+    return {
+      totalHits: record.hits,
+      resetTime: record.resetAt
+    };
+  }
+
+  async decrement(key) {
+    await RateLimit.updateOne(
+      { key: this.storeKey(key), hits: { $gt: 0 } },
+      { $inc: { hits: -1 } }
+    );
+  }
+
+  async resetKey(key) {
+    await RateLimit.deleteOne({ key: this.storeKey(key) });
+  }
+}
+
+const STORES = {
+  memory: () => new MemoryStore(),
+  mongo: (prefix) => new MongoRateLimitStore(prefix)
+};
+
+// Build a store for one limiter; each limiter gets its own namespace
+const createStore = (prefix, type = constants.RATE_LIMIT_STORE) => {
+  const factory = STORES[type];
+  if (!factory) {
+    throw new Error(`Unknown rate limit store: ${type}`);
+  }
+  return factory(prefix);
+};
+
+// Register a custom store type (e.g. Redis) under a name usable in RATE_LIMIT_STORE
+const registerStore = (type, factory) => {
+  STORES[type] = factory;
+};
+
+module.exports = {
+  MongoRateLimitStore,
+  createStore,
+  registerStore
+};
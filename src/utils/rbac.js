@@ -0,0 +1,133 @@
+const mongoose = require('mongoose');
+const RoleAssignment = require('../models/RoleAssignment');
+const { ROLES, PERMISSION_SCOPES } = require('../config/permissions');
+
+class RbacService {
+  // Implicit roles from the user's family/company plus explicit assignments.
+  // Cached on the request so several checks cost one round of queries.
+  async getAssignments(user, req = null) {
+    if (req && req.rbacAssignments) return req.rbacAssignments;
+
+    const Family = mongoose.model('Family');
+    const assignments = [{ role: 'user', scopeType: 'global', scopeId: null }];
+
+    const families = await Family.find({
+      $or: [{ parent: user._id }, { 'children.child': user._id }]
+    }).select('parent');
+
+    families.forEach(family => {
+      assignments.push({
+        role: family.parent.toString() === user._id.toString() ? 'family_parent' : 'family_member',
+        scopeType: 'family',
+        scopeId: family._id.toString()
+      });
+    });
+
+    if (user.persona === 'enterprise' && user.enterprise.isAdmin && user.enterprise.company) {
+      assignments.push({ role: 'enterprise_admin', scopeType: 'company', scopeId: user.enterprise.company });
+    }
+
+    const explicit = await RoleAssignment.find({ user: user._id }).lean();
+    explicit.forEach(assignment => {
+      assignments.push({
+        role: assignment.role,
+        scopeType: assignment.scopeType,
+        scopeId: assignment.scopeId || null,
+        assignmentId: assignment._id
+      });
+    });
+
+    if (req) req.rbacAssignments = assignments;
+    return assignments;
+  }
+
+  roleGrants(role, permission) {
+    const definition = ROLES[role];
+    if (!definition) return false;
+    return definition.permissions.includes('*') || definition.permissions.includes(permission);
+  }
+
+  scopeFor(permission) {
+    return PERMISSION_SCOPES[permission] || 'global';
+  }
+
+  // Global assignments apply everywhere; scoped ones only to their own company/family
+  assignmentCovers(assignment, scope) {
+    if (assignment.scopeType === 'global') return true;
+    if (!scope || scope.type !== assignment.scopeType) return false;
+    return String(assignment.scopeId) === String(scope.id);
+  }
+
+  async hasPermission(user, permission, scope = null, req = null) {
+    const assignments = await this.getAssignments(user, req);
+
+    return assignments.some(assignment =>
+      this.roleGrants(assignment.role, permission) && this.assignmentCovers(assignment, scope)
+    );
+  }
+
+  async hasRole(user, roles, req = null) {
+    const assignments = await this.getAssignments(user, req);
+    return assignments.some(assignment => roles.includes(assignment.role));
+  }
+
+  // Family ids the user can act on through any family-scoped role
+  async familyIdsFor(user, req = null) {
+    const assignments = await this.getAssignments(user, req);
+    return assignments
+      .filter(assignment => assignment.scopeType === 'family')
+      .map(assignment => assignment.scopeId);
+  }
+
+  // Permissions the user holds within one scope (for clients rendering menus)
+  async permissionsFor(user, scope = null, req = null) {
+    const assignments = await this.getAssignments(user, req);
+    const permissions = new Set();
+
+    assignments
+      .filter(assignment => this.assignmentCovers(assignment, scope))
+      .forEach(assignment => {
+        ROLES[assignment.role].permissions.forEach(permission => permissions.add(permission));
+      });
+
+    return [...permissions];
+  }
+
+  // Walk the mounted Express routers and list every route with its declared permission
+  listRoutePermissions(app) {
+    const routes = [];
+
+    const mountPath = (layer) => {
+      if (layer.regexp.fast_slash) return '';
+      const match = layer.regexp.source.match(/^\^(.*?)\\\/\?\(\?=\\\/\|\$\)$/);
+      return match ? match[1].replace(/\\\//g, '/') : layer.regexp.source;
+    };
+
+    const walk = (stack, prefix) => {
+      stack.forEach(layer => {
+        if (layer.route) {
+          const handlers = layer.route.stack.map(routeLayer => routeLayer.handle);
+          const permissionHandler = handlers.find(handler => handler.permission);
+          const scopeHandler = handlers.find(handler => handler.apiKeyScopes);
+
+          Object.keys(layer.route.methods).forEach(method => {
+            routes.push({
+              method: method.toUpperCase(),
+              path: `${prefix}${layer.route.path}`,
+              permission: permissionHandler ? permissionHandler.permission : null,
+              scope: permissionHandler ? this.scopeFor(permissionHandler.permission) : null,
+              apiKeyScopes: scopeHandler ? scopeHandler.apiKeyScopes : []
+            });
+          });
+        } else if (layer.handle && layer.handle.stack) {
+          walk(layer.handle.stack, `${prefix}${mountPath(layer)}`);
+        }
+      });
+    };
+
+    walk(app._router.stack, '');
+    return routes;
+  }
+}
+
+module.exports = new RbacService();
@@ -0,0 +1,182 @@
+const vm = require('vm');
+
+const MAX_SOURCE_LENGTH = 500;
+const MAX_UNBOUNDED_WILDCARDS = 1;
+const TRIAL_INPUT_LENGTH = 3000;
+const TRIAL_TIMEOUT_MS = 250;
+
+// Atoms that match almost any character: . \w \W \s \S \d \D and negated classes
+const WILDCARD_ESCAPES = ['w', 'W', 's', 'S', 'd', 'D'];
+
+// Screens admin-supplied patterns before they run against every analyzed message.
+// A static pass rejects nested unbounded quantifiers such as (a+)+ or (\w*\s?)*, and
+// chains of unbounded wildcards such as a.*b.*c, which backtrack polynomially; a
+// timed trial run against adversarial input catches what the static passes miss.
+class RegexSafety {
+  check(source, flags = '') {
+    if (typeof source !== 'string' || source.length === 0) {
+      return { safe: false, reason: 'Pattern is empty' };
+    }
+    if (source.length > MAX_SOURCE_LENGTH) {
+      return { safe: false, reason: `Pattern is longer than ${MAX_SOURCE_LENGTH} characters` };
+    }
+    if (!/^[imsu]*$/.test(flags)) {
+      return { safe: false, reason: 'Only the i, m, s and u flags are allowed' };
+    }
+
+    try {
+      new RegExp(source, flags);
+    } catch (error) {
+      return { safe: false, reason: `Invalid pattern: ${error.message}` };
+    }
+
+    const nested = this.findNestedQuantifier(source);
+    if (nested !== null) {
+      return { safe: false, reason: `Nested quantifier at position ${nested} can backtrack catastrophically` };
+    }
+
+    const wildcards = this.countUnboundedWildcards(source);
+    if (wildcards > MAX_UNBOUNDED_WILDCARDS) {
+      return {
+        safe: false,
+        reason: `Pattern chains ${wildcards} unbounded wildcards (such as .* or \\w+); bound them, e.g. .{0,40}`
+      };
+    }
+
+    if (!this.trialRun(source, flags)) {
+      return { safe: false, reason: `Pattern took longer than ${TRIAL_TIMEOUT_MS}ms on adversarial input` };
+    }
+
+    return { safe: true };
+  }
+
+  // Position of a quantified group that itself contains an unbounded quantifier, or null
+  findNestedQuantifier(source) {
+    const groups = [{ unbounded: false }];
+    let previous = null;
+    let i = 0;
+
+    while (i < source.length) {
+      const char = source[i];
+
+      if (char === '\\') {
+        previous = { unbounded: false };
+        i += 2;
+      } else if (char === '[') {
+        i++;
+        while (i < source.length && source[i] !== ']') i += source[i] === '\\' ? 2 : 1;
+        previous = { unbounded: false };
+        i++;
+      } else if (char === '(') {
+        groups.push({ unbounded: false, start: i });
+        previous = null;
+        i++;
+        // Skip the (?:, (?=, (?<name> ... prefix
+        if (source[i] === '?') {
+          const prefix = /^\?(?:<[^>]*>|<=|<!|[:=!])/.exec(source.slice(i));
+          i += prefix ? prefix[0].length : 1;
+        }
+      } else if (char === ')') {
+        previous = groups.length > 1 ? groups.pop() : { unbounded: false };
+        groups[groups.length - 1].unbounded = groups[groups.length - 1].unbounded || previous.unbounded;
+        i++;
+      } else if (char === '*' || char === '+' || char === '{') {
+        const counted = char === '{' ? /^\{(\d+)(,(\d*))?\}/.exec(source.slice(i)) : null;
+        if (char === '{' && !counted) {
+          previous = { unbounded: false };
+          i++;
+          continue;
+        }
+
+        let max = Infinity;
+        if (counted) {
+          max = counted[2] === undefined ? parseInt(counted[1], 10) : (counted[3] ? parseInt(counted[3], 10) : Infinity);
+        }
+
+        if (previous && previous.start !== undefined && previous.unbounded && max > 1) {
+          return previous.start;
+        }
+        // {n,m} with a large m backtracks like + does
+        if (max > 10) groups[groups.length - 1].unbounded = true;
+
+        i += counted ? counted[0].length : 1;
+        if (source[i] === '?' || source[i] === '+') i++;
+        previous = { unbounded: false };
+      } else {
+        previous = { unbounded: false };
+        i++;
+      }
+    }
+
+    return null;
+  }
+
+  // Most unbounded wildcards (.*, \w+, [^x]{2,} ...) in any one top-level alternative
+  countUnboundedWildcards(source) {
+    let most = 0;
+    let count = 0;
+    let depth = 0;
+    let wildcard = false;
+    let i = 0;
+
+    while (i < source.length) {
+      const char = source[i];
+
+      if (char === '\\') {
+        wildcard = WILDCARD_ESCAPES.includes(source[i + 1]);
+        i += 2;
+      } else if (char === '[') {
+        wildcard = source[i + 1] === '^';
+        i++;
+        while (i < source.length && source[i] !== ']') i += source[i] === '\\' ? 2 : 1;
+        i++;
+      } else if (char === '*' || char === '+' || (char === '{' && /^\{\d+,\}/.test(source.slice(i)))) {
+        if (wildcard) count++;
+        wildcard = false;
+        i += char === '{' ? source.indexOf('}', i) - i + 1 : 1;
+      } else {
+        if (char === '(') depth++;
+        if (char === ')') depth--;
+        if (char === '|' && depth === 0) {
+          most = Math.max(most, count);
+          count = 0;
+        }
+        wildcard = char === '.';
+        i++;
+      }
+    }
+
+    return Math.max(most, count);
+  }
+
+  // Run the pattern inside a time limit against long runs of the characters it is
+  // likely to loop on, and against its literal words repeated in order with the last
+  // one missing (abcabc... for a.*b.*c.*d), each ending in a character that forces a
+  // failed match
+  trialRun(source, flags) {
+    const stripped = source.replace(/\\./g, ' ').replace(/\[(?:\\.|[^\]])*\]/g, ' ');
+    const literals = (stripped.match(/[a-z0-9]/gi) || []).slice(0, 10);
+    const words = (stripped.match(/[a-z0-9]+/gi) || []).slice(0, 10);
+
+    const repeated = [...new Set(['a', '0', ' ', '.', '-', 'x', ...literals])];
+    for (let count = 1; count < words.length; count++) {
+      repeated.push(words.slice(0, count).join(''), words.slice(0, count).join(' '));
+    }
+
+    const inputs = [...new Set(repeated)]
+      .map(unit => `${unit.repeat(Math.ceil(TRIAL_INPUT_LENGTH / unit.length))}\u0000`);
+
+    try {
+      vm.runInNewContext(
+        'inputs.forEach(input => new RegExp(source, flags).test(input));',
+        { inputs, source, flags },
+        { timeout: TRIAL_TIMEOUT_MS }
+      );
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+}
+
+module.exports = new RegexSafety();
@@ -0,0 +1,267 @@
+const mongoose = require('mongoose');
+const tokenService = require('./token-service');
+const { AppError } = require('./errors');
+
+const SCHEMAS = {
+  USER: 'urn:ietf:params:scim:schemas:core:2.0:User',
+  GROUP: 'urn:ietf:params:scim:schemas:core:2.0:Group',
+  ENTERPRISE_USER: 'urn:ietf:params:scim:schemas:extension:enterprise:2.0:User',
+  LIST_RESPONSE: 'urn:ietf:params:scim:api:messages:2.0:ListResponse',
+  PATCH_OP: 'urn:ietf:params:scim:api:messages:2.0:PatchOp',
+  ERROR: 'urn:ietf:params:scim:api:messages:2.0:Error'
+};
+
+// SCIM errors carry an HTTP status and an optional scimType (RFC 7644 section 3.12)
+const scimError = (status, detail, scimType) => new AppError(detail, status, scimType);
+
+// Filter attributes we can answer, mapped to User / Department fields
+const USER_FILTERS = {
+  username: 'email',
+  'emails.value': 'email',
+  externalid: 'scim.externalId'
+};
+
+const GROUP_FILTERS = {
+  displayname: 'name',
+  externalid: 'externalId'
+};
+
+class ScimService {
+  constructor() {
+    this.SCHEMAS = SCHEMAS;
+  }
+
+  errorBody(status, detail, scimType) {
+    const body = { schemas: [SCHEMAS.ERROR], status: String(status), detail };
+    if (scimType) body.scimType = scimType;
+    return body;
+  }
+
+  listResponse(resources, totalResults, startIndex) {
+    return {
+      schemas: [SCHEMAS.LIST_RESPONSE],
+      totalResults,
+      startIndex,
+      itemsPerPage: resources.length,
+      Resources: resources
+    };
+  }
+
+  // Only the `attribute eq "value"` form is supported, which is what IdPs send
+  parseFilter(filter, allowed) {
+    if (!filter) return {};
+
+    const match = /^\s*([\w.]+)\s+eq\s+"((?:[^"\\]|\\.)*)"\s*$/i.exec(filter);
+    const field = match && allowed[match[1].toLowerCase()];
+    if (!field) {
+      throw scimError(400, `Unsupported filter: ${filter}`, 'invalidFilter');
+    }
+
+    const value = match[2].replace(/\\(.)/g, '$1');
+    return { [field]: field === 'email' ? value.toLowerCase() : value };
+  }
+
+  parseUserFilter(filter) {
+    return this.parseFilter(filter, USER_FILTERS);
+  }
+
+  parseGroupFilter(filter) {
+    return this.parseFilter(filter, GROUP_FILTERS);
+  }
+
+  userToResource(user, baseUrl) {
+    return {
+      schemas: [SCHEMAS.USER, SCHEMAS.ENTERPRISE_USER],
+      id: user._id.toString(),
+      externalId: user.scim && user.scim.externalId,
+      userName: user.email,
+      name: {
+        givenName: user.firstName,
+        familyName: user.lastName,
+        formatted: `${user.firstName} ${user.lastName}`
+      },
+      displayName: `${user.firstName} ${user.lastName}`,
+      emails: [{ value: user.email, type: 'work', primary: true }],
+      active: user.isActive,
+      [SCHEMAS.ENTERPRISE_USER]: {
+        department: user.enterprise.department,
+        employeeNumber: user.enterprise.employeeId
+      },
+      meta: {
+        resourceType: 'User',
+        created: user.createdAt,
+        lastModified: user.updatedAt,
+        location: `${baseUrl}/Users/${user._id}`
+      }
+    };
+  }
+
+  groupToResource(group, members, baseUrl) {
+    return {
+      schemas: [SCHEMAS.GROUP],
+      id: group._id.toString(),
+      externalId: group.externalId,
+      displayName: group.name,
+      members: members.map(member => ({
+        value: member._id.toString(),
+        display: `${member.firstName} ${member.lastName}`,
+        $ref: `${baseUrl}/Users/${member._id}`
+      })),
+      meta: {
+        resourceType: 'Group',
+        created: group.createdAt,
+        lastModified: group.updatedAt,
+        location: `${baseUrl}/Groups/${group._id}`
+      }
+    };
+  }
+
+  // Set one SCIM attribute on a user; attributes we do not store are ignored
+  setUserAttribute(user, path, value) {
+    const key = path.toLowerCase();
+    const enterprisePrefix = `${SCHEMAS.ENTERPRISE_USER.toLowerCase()}:`;
+    const single = Array.isArray(value) ? (value.find(item => item.primary) || value[0]) : value;
+
+    if (key.startsWith(enterprisePrefix)) {
+      const attribute = key.slice(enterprisePrefix.length);
+      if (attribute === 'department') user.enterprise.department = value || undefined;
+      if (attribute === 'employeenumber') user.enterprise.employeeId = value || undefined;
+      return;
+    }
+
+    switch (key) {
+      case 'username':
+        if (value) user.email = String(value).toLowerCase();
+        break;
+      case 'emails':
+      case 'emails[type eq "work"].value':
+      case 'emails[primary eq true].value': {
+        const email = single && typeof single === 'object' ? single.value : single;
+        if (email) user.email = String(email).toLowerCase();
+        break;
+      }
+      case 'externalid':
+        user.scim = { externalId: value || undefined };
+        break;
+      case 'name':
+        if (value && value.givenName !== undefined) user.firstName = value.givenName;
+        if (value && value.familyName !== undefined) user.lastName = value.familyName;
+        break;
+      case 'name.givenname':
+        user.firstName = value;
+        break;
+      case 'name.familyname':
+        user.lastName = value;
+        break;
+      case 'active':
+        user.isActive = value === true || String(value).toLowerCase() === 'true';
+        break;
+      default:
+        break;
+    }
+  }
+
+  // POST / PUT body: every attribute present in the resource is applied
+  applyUserResource(user, resource) {
+    ['userName', 'emails', 'externalId', 'name', 'active'].forEach(attribute => {
+      if (resource[attribute] !== undefined) this.setUserAttribute(user, attribute, resource[attribute]);
+    });
+
+    const enterprise = resource[SCHEMAS.ENTERPRISE_USER];
+    if (enterprise) {
+      Object.entries(enterprise).forEach(([attribute, value]) => {
+        this.setUserAttribute(user, `${SCHEMAS.ENTERPRISE_USER}:${attribute}`, value);
+      });
+    }
+  }
+
+  applyUserPatch(user, operations) {
+    this.assertOperations(operations).forEach(({ op, path, value }) => {
+      const operation = String(op).toLowerCase();
+
+      if (operation === 'remove') {
+        if (!path) throw scimError(400, 'Remove operations require a path', 'noTarget');
+        this.setUserAttribute(user, path, undefined);
+        return;
+      }
+
+      if (path) {
+        this.setUserAttribute(user, path, value);
+        return;
+      }
+
+      // No path: the value is a partial resource, possibly with dotted keys
+      Object.entries(value || {}).forEach(([attribute, attributeValue]) => {
+        if (attribute === SCHEMAS.ENTERPRISE_USER && attributeValue && typeof attributeValue === 'object') {
+          this.applyUserResource(user, { [attribute]: attributeValue });
+        } else {
+          this.setUserAttribute(user, attribute, attributeValue);
+        }
+      });
+    });
+  }
+
+  assertOperations(operations) {
+    if (!Array.isArray(operations) || operations.length === 0) {
+      throw scimError(400, 'PATCH requires Operations', 'invalidSyntax');
+    }
+
+    operations.forEach(({ op }) => {
+      if (!['add', 'replace', 'remove'].includes(String(op).toLowerCase())) {
+        throw scimError(400, `Unsupported operation: ${op}`, 'invalidSyntax');
+      }
+    });
+
+    return operations;
+  }
+
+  // Group PATCH: returns the member ids to add and remove plus an optional rename
+  parseGroupPatch(operations) {
+    const changes = { add: [], remove: [], displayName: undefined, externalId: undefined };
+    const memberIds = value => (Array.isArray(value) ? value : [value])
+      .filter(Boolean)
+      .map(member => String(member.value || member));
+
+    this.assertOperations(operations).forEach(({ op, path, value }) => {
+      const operation = String(op).toLowerCase();
+      const target = (path || '').toLowerCase();
+      const memberFilter = /^members\[value eq "([^"]+)"\]$/i.exec(path || '');
+
+      if (memberFilter) {
+        if (operation === 'remove') changes.remove.push(memberFilter[1]);
+        return;
+      }
+
+      if (target === 'members') {
+        if (operation === 'add') changes.add.push(...memberIds(value));
+        if (operation === 'remove') changes.remove.push(...memberIds(value));
+        if (operation === 'replace') {
+          changes.replaceMembers = memberIds(value);
+        }
+        return;
+      }
+
+      if (target === 'displayname') changes.displayName = value;
+      if (target === 'externalid') changes.externalId = value;
+
+      if (!path && value && typeof value === 'object') {
+        if (value.displayName !== undefined) changes.displayName = value.displayName;
+        if (value.externalId !== undefined) changes.externalId = value.externalId;
+        if (value.members !== undefined) changes.add.push(...memberIds(value.members));
+      }
+    });
+
+    return changes;
+  }
+
+  // Deprovisioning keeps the user's threats and training history but ends all access
+  async revokeAccess(user) {
+    const ApiKey = mongoose.model('ApiKey');
+
+    await tokenService.revokeAllSessions(user._id, 'deactivated');
+    await ApiKey.updateMany({ user: user._id, revokedAt: null }, { revokedAt: new Date() });
+  }
+}
+
+module.exports = new ScimService();
+module.exports.scimError = scimError;
@@ -0,0 +1,327 @@
+const dns = require('dns').promises;
+const mongoose = require('mongoose');
+const SsoLoginState = require('../models/SsoLoginState');
+const oidcClient = require('./oidc-client');
+const tokenService = require('./token-service');
+const encryptionUtils = require('./encryption');
+const mailer = require('./mailer');
+const { AppError } = require('./errors');
+const constants = require('../config/constants');
+
+const ssoError = (message, statusCode = 401) =>
+  new AppError(message, statusCode, constants.ERROR_CODES.SSO_FAILED);
+
+const invalidLinkToken = () => new AppError(
+  'Account link is invalid or has expired',
+  400,
+  constants.ERROR_CODES.INVALID_LINK_TOKEN
+);
+
+const ageFromBirthdate = (birthdate) => {
+  const born = new Date(birthdate);
+  if (Number.isNaN(born.getTime())) return null;
+
+  const now = new Date();
+  let age = now.getUTCFullYear() - born.getUTCFullYear();
+  const beforeBirthday = now.getUTCMonth() < born.getUTCMonth() ||
+    (now.getUTCMonth() === born.getUTCMonth() && now.getUTCDate() < born.getUTCDate());
+  if (beforeBirthday) age--;
+  return age;
+};
+
+class SsoService {
+  isConfigured(company) {
+    const sso = company && company.sso;
+    return Boolean(sso && sso.enabled && sso.issuer && sso.clientId && company.verifiedDomains().length > 0);
+  }
+
+  // TXT record a company publishes to prove it owns an email domain
+  domainVerificationRecord({ domain, token }) {
+    return {
+      type: 'TXT',
+      name: `${constants.SSO_DOMAIN_VERIFICATION_HOST}.${domain}`,
+      value: `${constants.SSO_DOMAIN_VERIFICATION_PREFIX}${token}`
+    };
+  }
+
+  // Check the domain's TXT record and mark it verified; until then the domain routes
+  // no logins, blocks no passwords and provisions no accounts. Local setups, whose
+  // domains have no DNS to check, may skip the lookup (scripts/verify-sso-domain.js).
+  async verifyDomain(company, domain, { skipDnsCheck = false } = {}) {
+    if (skipDnsCheck && !['development', 'test'].includes(process.env.NODE_ENV)) {
+      throw new Error('The DNS check can only be skipped when NODE_ENV is development or test');
+    }
+
+    const entry = company.sso.domainVerifications.find(item => item.domain === domain);
+    if (!entry || !company.sso.domains.includes(domain)) {
+      throw new AppError('Domain is not registered to this company', 404, constants.ERROR_CODES.NOT_FOUND);
+    }
+    if (entry.verifiedAt) return entry;
+
+    const Company = mongoose.model('Company');
+    const owner = await Company.findByVerifiedDomain(domain, { _id: { $ne: company._id } });
+    if (owner) {
+      throw new AppError('This domain is already verified by another company', 409, constants.ERROR_CODES.DUPLICATE_RESOURCE);
+    }
+
+    if (!skipDnsCheck) {
+      const record = this.domainVerificationRecord(entry);
+      let values;
+      try {
+        values = (await dns.resolveTxt(record.name)).map(chunks => chunks.join(''));
+      } catch (error) {
+        values = [];
+      }
+
+      if (!values.includes(record.value)) {
+        throw new AppError(
+          `No TXT record ${record.name} with value ${record.value} was found`,
+          400,
+          constants.ERROR_CODES.DOMAIN_NOT_VERIFIED
+        );
+      }
+    }
+
+    entry.verifiedAt = new Date();
+    await company.save();
+    return entry;
+  }
+
+  // Company that forces SSO for this email address, if any
+  async passwordLoginBlockedFor(email) {
+    const Company = mongoose.model('Company');
+    const company = await Company.findBySsoDomain(email);
+    return company && company.sso.disablePasswordLogin ? company : null;
+  }
+
+  // Resolve the tenant from an explicit company name or the email domain
+  async findCompany({ company, email }) {
+    const Company = mongoose.model('Company');
+    const found = company
+      ? await Company.findOne({ name: company, isActive: true })
+      : await Company.findBySsoDomain(email);
+
+    if (!this.isConfigured(found)) {
+      throw ssoError('Single sign-on is not configured for this company', 404);
+    }
+    return found;
+  }
+
+  // Create the authorization request; state, nonce and PKCE verifier stay server-side
+  async startLogin({ company: companyName, email }) {
+    const company = await this.findCompany({ company: companyName, email });
+    const metadata = await oidcClient.discover(company.sso.issuer);
+
+    const state = oidcClient.randomValue();
+    const nonce = oidcClient.randomValue();
+    const { codeVerifier, codeChallenge } = oidcClient.createPkcePair();
+    const redirectUri = constants.SSO_REDIRECT_URI;
+
+    await SsoLoginState.create({
+      stateHash: encryptionUtils.hashData(state),
+      company: company._id,
+      codeVerifier,
+      nonce,
+      redirectUri,
+      expiresAt: new Date(Date.now() + constants.SSO_STATE_EXPIRES_MINUTES * 60 * 1000)
+    });
+
+    return {
+      company: company.name,
+      authorizationUrl: oidcClient.buildAuthorizationUrl(metadata, {
+        clientId: company.sso.clientId,
+        redirectUri,
+        scope: company.sso.scopes,
+        state,
+        nonce,
+        codeChallenge,
+        loginHint: email
+      })
+    };
+  }
+
+  // Handle the IdP callback and return the signed-in (possibly new) user
+  async completeLogin({ code, state }) {
+    const pending = await SsoLoginState.findOneAndDelete({
+      stateHash: encryptionUtils.hashData(state),
+      expiresAt: { $gt: new Date() }
+    });
+
+    if (!pending) {
+      throw ssoError('Sign-in request is invalid or has expired');
+    }
+
+    const Company = mongoose.model('Company');
+    const company = await Company.findById(pending.company).select('+sso.clientSecret');
+    if (!this.isConfigured(company) || !company.isActive) {
+      throw ssoError('Single sign-on is no longer enabled for this company', 403);
+    }
+
+    const metadata = await oidcClient.discover(company.sso.issuer);
+    const tokens = await oidcClient.exchangeCode(metadata, {
+      clientId: company.sso.clientId,
+      clientSecret: company.sso.clientSecret,
+      code,
+      redirectUri: pending.redirectUri,
+      codeVerifier: pending.codeVerifier
+    });
+
+    const claims = await oidcClient.verifyIdToken(metadata, tokens.id_token, {
+      clientId: company.sso.clientId,
+      nonce: pending.nonce
+    });
+
+    return this.provisionUser(company, claims);
+  }
+
+  mapClaims(company, claims) {
+    const names = { ...constants.SSO_DEFAULT_CLAIMS };
+    const overrides = ((company.sso.claims && company.sso.claims.toObject)
+      ? company.sso.claims.toObject()
+      : company.sso.claims) || {};
+
+    Object.entries(overrides).forEach(([field, claimName]) => {
+      if (claimName) names[field] = claimName;
+    });
+
+    const read = field => {
+      const value = claims[names[field]];
+      return value === undefined || value === null ? undefined : String(value).trim();
+    };
+
+    return {
+      email: read('email') && read('email').toLowerCase(),
+      firstName: read('firstName'),
+      lastName: read('lastName'),
+      department: read('department'),
+      employeeId: read('employeeId')
+    };
+  }
+
+  // Just-in-time provisioning: link by IdP subject, then by email, otherwise create.
+  // Email matches are only linked for accounts this company's SSO or SCIM created;
+  // any other account's owner has to confirm the link from their inbox first.
+  async provisionUser(company, claims) {
+    const User = mongoose.model('User');
+    const profile = this.mapClaims(company, claims);
+
+    if (!profile.email || claims.email_verified === false) {
+      throw ssoError('Identity provider did not supply a verified email address', 403);
+    }
+
+    const domain = profile.email.split('@')[1];
+    if (!company.verifiedDomains().includes(domain)) {
+      throw ssoError('Email domain is not registered to this company', 403);
+    }
+
+    const linked = await User.findOne({ 'sso.issuer': company.sso.issuer, 'sso.subject': claims.sub });
+    let user = linked || await User.findOne({ email: profile.email });
+
+    if (user && !user.isActive) {
+      throw ssoError('This account has been deactivated', 403);
+    }
+
+    if (user && user.enterprise && user.enterprise.company && user.enterprise.company !== company.name) {
+      throw ssoError('This account belongs to a different company', 403);
+    }
+
+    const provisionedHere = user && user.provisionedBy && user.provisionedBy.company === company.name;
+    if (user && !linked && !provisionedHere) {
+      await this.requestLink(user, company, claims);
+      throw new AppError(
+        'An account with this email already exists. We emailed its owner a link to connect it to single sign-on',
+        409,
+        constants.ERROR_CODES.SSO_LINK_REQUIRED
+      );
+    }
+
+    if (!user) {
+      const [fallbackFirst, ...fallbackLast] = String(claims.name || profile.email.split('@')[0]).split(' ');
+      const age = (claims.birthdate && ageFromBirthdate(claims.birthdate)) || constants.SSO_DEFAULT_AGE;
+
+      user = new User({
+        email: profile.email,
+        // Random password nobody knows; the account signs in through the IdP
+        password: encryptionUtils.generateSecureToken(32),
+        firstName: profile.firstName || fallbackFirst,
+        lastName: profile.lastName || fallbackLast.join(' ') || company.name,
+        age,
+        persona: 'enterprise',
+        provisionedBy: { company: company.name, source: 'sso' }
+      });
+    }
+
+    user.email = profile.email;
+    user.isVerified = true;
+    user.enterprise.company = company.name;
+    if (profile.department) user.enterprise.department = profile.department;
+    if (profile.employeeId) user.enterprise.employeeId = profile.employeeId;
+    user.sso = {
+      issuer: company.sso.issuer,
+      subject: claims.sub,
+      lastLoginAt: new Date()
+    };
+    user.lastActive = new Date();
+
+    await user.save();
+    return user;
+  }
+
+  // Email the account owner a link to connect the IdP account; earlier links stop working
+  async requestLink(user, company, claims) {
+    const requestId = encryptionUtils.generateSecureToken(16);
+
+    user.sso.pendingLink = {
+      company: company.name,
+      issuer: company.sso.issuer,
+      subject: claims.sub,
+      requestId,
+      requestedAt: new Date()
+    };
+    await user.save();
+
+    const token = tokenService.signPurposeToken(user._id, 'sso_link', constants.SSO_LINK_EXPIRES_IN, { rid: requestId });
+    await mailer.sendSsoLinkRequest(user, company.name, token);
+  }
+
+  // Owner confirmed from the emailed link: attach the IdP account and the company
+  async confirmLink(token) {
+    let decoded;
+    try {
+      decoded = tokenService.verifyPurposeToken(token, 'sso_link');
+    } catch (error) {
+      throw invalidLinkToken();
+    }
+
+    const User = mongoose.model('User');
+    const user = await User.findById(decoded.id).select('+sso.pendingLink.requestId');
+    const pending = user && user.sso.pendingLink;
+
+    if (!pending || !pending.requestId || pending.requestId !== decoded.rid) {
+      throw invalidLinkToken();
+    }
+
+    const Company = mongoose.model('Company');
+    const company = await Company.findOne({ name: pending.company, isActive: true });
+    const domain = user.email.split('@')[1];
+    if (!this.isConfigured(company) || company.sso.issuer !== pending.issuer || !company.verifiedDomains().includes(domain)) {
+      throw ssoError('Single sign-on is no longer enabled for this company', 403);
+    }
+
+    if (user.enterprise.company && user.enterprise.company !== company.name) {
+      throw ssoError('This account belongs to a different company', 403);
+    }
+
+    user.enterprise.company = company.name;
+    user.isVerified = true;
+    user.sso = {
+      issuer: pending.issuer,
+      subject: pending.subject
+    };
+
+    await user.save();
+    return { user, company };
+  }
+}
+
+module.exports = new SsoService();
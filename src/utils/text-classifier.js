@@ -0,0 +1,311 @@
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const crypto = require('crypto');
+const natural = require('natural');
+const textNormalizer = require('./text-normalizer');
+const detectionMetrics = require('./detection-metrics');
+const TrainingExample = require('../models/TrainingExample');
+const constants = require('../config/constants');
+
+const ALGORITHMS = {
+  bayes: natural.BayesClassifier,
+  logistic_regression: natural.LogisticRegressionClassifier
+};
+
+const MODEL_FILE = /^text-classifier-v(\d+)\.json$/;
+
+const modelFile = version => path.resolve(constants.CLASSIFIER_MODEL_DIR, `text-classifier-v${version}.json`);
+
+// Which saved version instances serve, written on promotion
+const activeFile = () => path.resolve(constants.CLASSIFIER_MODEL_DIR, 'active.json');
+
+// Stable split: an example lands in the holdout set on every run, whatever the corpus order
+const inHoldout = (text, ratio) =>
+  parseInt(crypto.createHash('sha1').update(text).digest('hex').slice(0, 8), 16) / 0xffffffff < ratio;
+
+// Scores from natural are not probabilities (Bayes products, one-vs-rest sigmoids),
+// so scale them to sum to 1
+const toProbabilities = (classifications) => {
+  const total = classifications.reduce((sum, { value }) => sum + Math.max(0, value), 0);
+  if (!(total > 0)) return {};
+
+  return Object.fromEntries(classifications.map(({ label, value }) => [label, Math.max(0, value) / total]));
+};
+
+// Offline-trained text classifier: corpora from MongoDB (TrainingExample) and JSONL
+// files, versioned model files on disk, per-class probabilities at analysis time.
+// CLASSIFIER_MODEL_DIR must be shared by every instance that trains or serves.
+class TextClassifier {
+  constructor() {
+    this.model = null;
+  }
+
+  get version() {
+    return this.model ? this.model.version : null;
+  }
+
+  // Same normalization the detectors see, so disguised spellings train as the plain word
+  prepare(text) {
+    return textNormalizer.normalize(text).text.toLowerCase();
+  }
+
+  // One { "text": "...", "label": "..." } object per line; blank lines are skipped
+  async readJsonl(filePath) {
+    const examples = [];
+    const lines = readline.createInterface({
+      input: fs.createReadStream(filePath, { encoding: 'utf8' }),
+      crlfDelay: Infinity
+    });
+
+    let lineNumber = 0;
+    for await (const line of lines) {
+      lineNumber++;
+      if (!line.trim()) continue;
+
+      let example;
+      try {
+        example = JSON.parse(line);
+      } catch (error) {
+        throw new Error(`${filePath}:${lineNumber}: not valid JSON`);
+      }
+      if (!example || typeof example.text !== 'string' || !example.text.trim()) {
+        throw new Error(`${filePath}:${lineNumber}: text is required`);
+      }
+      if (!TrainingExample.LABELS.includes(example.label)) {
+        throw new Error(`${filePath}:${lineNumber}: label must be one of ${TrainingExample.LABELS.join(', ')}`);
+      }
+
+      examples.push({ text: example.text, label: example.label });
+    }
+
+    return examples;
+  }
+
+  // Store labeled examples, skipping texts that are already in the corpus
+  async importExamples(examples, { source = 'import', addedBy } = {}) {
+    if (examples.length === 0) return { inserted: 0, duplicates: 0 };
+
+    const docs = examples.map(({ text, label }) => ({ text, label, source, addedBy }));
+    try {
+      await TrainingExample.insertMany(docs, { ordered: false });
+      return { inserted: docs.length, duplicates: 0 };
+    } catch (error) {
+      const writeErrors = [].concat(error.writeErrors || []);
+      if (writeErrors.length === 0 || writeErrors.some(writeError => writeError.code !== 11000)) throw error;
+      return { inserted: docs.length - writeErrors.length, duplicates: writeErrors.length };
+    }
+  }
+
+  async loadCorpus({ files = [], useDatabase = true } = {}) {
+    const examples = [];
+
+    if (useDatabase) {
+      for await (const example of TrainingExample.trainingCursor()) {
+        examples.push({ text: example.text, label: example.label });
+      }
+    }
+    for (const file of files) {
+      examples.push(...await this.readJsonl(file));
+    }
+
+    // A text labeled twice keeps its last label
+    const byText = new Map(examples.map(example => [example.text, example]));
+    return [...byText.values()];
+  }
+
+  // Train a model; nothing is written to disk or served until save()
+  async train({
+    algorithm = 'bayes',
+    files = [],
+    useDatabase = true,
+    holdout = constants.CLASSIFIER_HOLDOUT_RATIO
+  } = {}) {
+    const Classifier = ALGORITHMS[algorithm];
+    if (!Classifier) {
+      throw new Error(`Unknown algorithm ${algorithm}; use one of ${Object.keys(ALGORITHMS).join(', ')}`);
+    }
+
+    const examples = (await this.loadCorpus({ files, useDatabase }))
+      .map(({ text, label }) => ({ text: this.prepare(text), label }))
+      .filter(({ text }) => text.trim());
+    const labels = [...new Set(examples.map(example => example.label))].sort();
+    if (labels.length < 2) {
+      throw new Error(`Training needs examples of at least two labels (found ${labels.join(', ') || 'none'})`);
+    }
+
+    const trainingSet = [];
+    const holdoutSet = [];
+    examples.forEach(example => {
+      (holdout > 0 && inHoldout(example.text, holdout) ? holdoutSet : trainingSet).push(example);
+    });
+
+    const classifier = new Classifier();
+    trainingSet.forEach(({ text, label }) => classifier.addDocument(text, label));
+    classifier.train();
+
+    const counts = labels.reduce((acc, label) => ({
+      ...acc,
+      [label]: examples.filter(example => example.label === label).length
+    }), {});
+    const evaluation = holdoutSet.length > 0 ? this.evaluate(classifier, holdoutSet) : null;
+
+    return {
+      algorithm,
+      labels,
+      counts,
+      metrics: {
+        trainingExamples: trainingSet.length,
+        holdoutExamples: holdoutSet.length,
+        accuracy: evaluation ? evaluation.accuracy : null,
+        precision: evaluation ? evaluation.precision : null,
+        recall: evaluation ? evaluation.recall : null,
+        f1: evaluation ? evaluation.f1 : null
+      },
+      classifier,
+      // Prepared holdout examples, for comparing against other models; never saved
+      holdout: holdoutSet
+    };
+  }
+
+  // Score a classifier on prepared examples. At a fixed holdout ratio the split in
+  // train() keeps the same texts out of every model's training data, so models
+  // can be compared on them.
+  evaluate(classifier, examples) {
+    return detectionMetrics.evaluate(examples.map(({ text, label }) => ({
+      expected: label,
+      predicted: classifier.classify(text)
+    })));
+  }
+
+  async listVersions() {
+    const files = await fs.promises.readdir(path.resolve(constants.CLASSIFIER_MODEL_DIR)).catch(error => {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    });
+
+    return files
+      .map(file => MODEL_FILE.exec(file))
+      .filter(Boolean)
+      .map(match => parseInt(match[1], 10))
+      .sort((a, b) => a - b);
+  }
+
+  // Write a trained model as the next version; instances keep serving the promoted one
+  async save(trained) {
+    await fs.promises.mkdir(path.resolve(constants.CLASSIFIER_MODEL_DIR), { recursive: true });
+
+    const versions = await this.listVersions();
+    const version = versions.length > 0 ? versions[versions.length - 1] + 1 : 1;
+    const model = {
+      version,
+      algorithm: trained.algorithm,
+      trainedAt: new Date().toISOString(),
+      labels: trained.labels,
+      counts: trained.counts,
+      metrics: trained.metrics,
+      classifier: trained.classifier
+    };
+
+    // 'wx' refuses to overwrite a version written by a concurrent run
+    await fs.promises.writeFile(modelFile(version), JSON.stringify(model), { flag: 'wx' });
+    return { ...model, classifier: undefined };
+  }
+
+  async trainAndSave(options) {
+    return this.save(await this.train(options));
+  }
+
+  // A saved model with its classifier restored
+  async readModel(version) {
+    const stored = JSON.parse(await fs.promises.readFile(modelFile(version), 'utf8'));
+    const Classifier = ALGORITHMS[stored.algorithm];
+    if (!Classifier) {
+      throw new Error(`Classifier model v${version} uses unknown algorithm ${stored.algorithm}`);
+    }
+
+    return { ...stored, classifier: Classifier.restore(stored.classifier) };
+  }
+
+  // A saved model's version, algorithm, label counts and metrics
+  async describe(version) {
+    const { classifier, ...metadata } = JSON.parse(await fs.promises.readFile(modelFile(version), 'utf8'));
+    return metadata;
+  }
+
+  // The promoted version (null until one is promoted)
+  async activeVersion() {
+    try {
+      return JSON.parse(await fs.promises.readFile(activeFile(), 'utf8')).version;
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  // Make a saved version the one every instance serves (within
+  // CLASSIFIER_RELOAD_INTERVAL_SECONDS)
+  async promote(version, reason) {
+    await fs.promises.access(modelFile(version));
+
+    // Written beside the pointer and renamed over it, so readers never see half a file
+    const pending = `${activeFile()}.${process.pid}`;
+    await fs.promises.writeFile(pending, JSON.stringify({ version, promotedAt: new Date().toISOString(), reason }));
+    await fs.promises.rename(pending, activeFile());
+  }
+
+  // Serve a saved model: the given version, else the pinned one, else the promoted one.
+  // Resolves with the model's version, or null when none has been trained yet.
+  async load(version = constants.CLASSIFIER_MODEL_VERSION) {
+    if (!version) {
+      version = await this.activeVersion();
+      if (!version) {
+        this.model = null;
+        return null;
+      }
+    }
+
+    this.use(await this.readModel(version));
+    return version;
+  }
+
+  // Serve a model from readModel(), or null to switch classification off
+  use(model) {
+    this.model = model;
+    if (model) {
+      console.log(`🧠 Text classifier v${model.version} loaded (${model.algorithm}, ${model.labels.length} labels)`);
+    }
+  }
+
+  // Follow promotions made by other instances
+  async reload() {
+    const wanted = constants.CLASSIFIER_MODEL_VERSION || await this.activeVersion();
+    if (wanted && wanted !== this.version) {
+      await this.load(wanted);
+    }
+    return this.version;
+  }
+
+  startWatcher() {
+    const run = () => this.reload().catch(error => console.error('Text classifier reload error:', error));
+
+    run();
+    const timer = setInterval(run, constants.CLASSIFIER_RELOAD_INTERVAL_SECONDS * 1000);
+    timer.unref();
+    return timer;
+  }
+
+  // Per-label probabilities for the content, or null without a loaded model
+  classify(content) {
+    if (!this.model) return null;
+
+    const text = this.prepare(content);
+    return {
+      version: this.model.version,
+      algorithm: this.model.algorithm,
+      probabilities: toProbabilities(this.model.classifier.getClassifications(text))
+    };
+  }
+}
+
+module.exports = new TextClassifier();
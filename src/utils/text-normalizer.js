@@ -0,0 +1,262 @@
+// Undoes the tricks used to slip scam wording past keyword lists, and keeps track of
+// where every character of the result came from so findings can point back at the
+// original content.
+
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: '\u00A0', shy: '\u00AD',
+  zwj: '\u200D', zwnj: '\u200C', copy: '©', reg: '®', euro: '€', pound: '£', hellip: '…'
+};
+
+const ENTITY_REGEX = /&(?:#(\d{1,7})|#x([0-9a-f]{1,6})|([a-z]+));/gi;
+
+// Invisible characters that split words without changing how they look
+const ZERO_WIDTH = /[\u00AD\u180E\u200B-\u200F\u202A-\u202E\u2060-\u2064\uFEFF]/;
+
+const COMBINING_MARK = /\p{M}/u;
+// Overlays that strike through or slash the letter they sit on
+const OVERLAY_MARK = /[\u0334-\u0338]/;
+
+// Cyrillic and Greek letters that render like Latin ones
+const CONFUSABLES = {
+  'а': 'a', 'в': 'b', 'е': 'e', 'к': 'k', 'м': 'm', 'н': 'h', 'о': 'o', 'р': 'p',
+  'с': 'c', 'т': 't', 'у': 'y', 'х': 'x', 'і': 'i', 'ј': 'j', 'ѕ': 's', 'ԁ': 'd',
+  'һ': 'h', 'ӏ': 'l', 'ԛ': 'q', 'ԝ': 'w', 'ɡ': 'g', 'ɑ': 'a', 'ο': 'o', 'α': 'a',
+  'ν': 'v', 'τ': 't', 'ι': 'i', 'κ': 'k', 'ρ': 'p', 'μ': 'u', 'υ': 'u', 'ε': 'e',
+  'А': 'A', 'В': 'B', 'Е': 'E', 'К': 'K', 'М': 'M', 'Н': 'H', 'О': 'O', 'Р': 'P',
+  'С': 'C', 'Т': 'T', 'Х': 'X', 'І': 'I', 'Ј': 'J', 'Ѕ': 'S', 'Α': 'A', 'Β': 'B',
+  'Ε': 'E', 'Η': 'H', 'Ι': 'I', 'Κ': 'K', 'Μ': 'M', 'Ν': 'N', 'Ο': 'O', 'Ρ': 'P',
+  'Τ': 'T', 'Υ': 'Y', 'Χ': 'X', 'Ζ': 'Z'
+};
+
+const LEET = {
+  '0': 'o', '1': 'i', '3': 'e', '4': 'a', '5': 's', '7': 't', '8': 'b', '9': 'g',
+  '@': 'a', '$': 's', '!': 'i', '|': 'l', '+': 't'
+};
+
+// A word that mixes letters with leet substitutes, e.g. v3rify, p@ssw0rd, g1ft
+const LEET_WORD = /[a-z0-9@$!|+]+/gi;
+
+// Everyday words and abbreviations that are written with digits
+const ALPHANUMERIC_WORDS = new Set([
+  'i18n', 'l10n', 'a11y', 'k8s', 'k3s', 'mp3', 'mp3s', 'mp4', 'mp4s', 'm4a', 'h264', 'h265',
+  'w3c', 'x86', 'x64', 'win32', 'win64', 'utf8', 'utf16', 'sha1', 'sha256', 'md5', 'e2e',
+  'ps4', 'ps5', 'xbox360', 'web3', 'covid19', 's3', 'ec2', 'r2d2', 'c3po'
+]);
+
+const LATIN_LETTER = /\p{Script=Latin}/u;
+const WORD_CHAR = /[\p{L}\p{N}\p{M}]/u;
+
+// Four or more single letters split by separators: "v e r i f y", "f.r.e.e"
+const SPACED_LETTERS = /(?<![\p{L}\p{N}])\p{L}(?:[ .\-_*·] ?\p{L}){3,}(?![\p{L}\p{N}])/gu;
+
+// Text of a character list, and the list index of each UTF-16 offset regexes report
+const joinChars = (chars) => {
+  const indexAt = [];
+  const text = chars.map((entry, index) => {
+    for (let i = 0; i < entry.char.length; i++) indexAt.push(index);
+    return entry.char;
+  }).join('');
+  return { text, indexAt };
+};
+
+class TextNormalizer {
+  // Latin letter a Cyrillic or Greek lookalike stands for, or the character itself
+  foldConfusable(char) {
+    return CONFUSABLES[char] || char;
+  }
+
+  // Normalized text with the obfuscation techniques found on the way. spans[i] is
+  // the [start, end) range of the original content that produced the i-th character
+  // of text, and indexAt maps each UTF-16 offset of text to that character index.
+  normalize(content) {
+    const original = String(content || '');
+    const techniques = new Set();
+
+    let chars = this.decodeEntities(original, techniques);
+    chars = this.stripInvisible(chars, techniques);
+    chars = this.foldUnicode(chars, techniques);
+    chars = this.joinSpacedLetters(chars, techniques);
+    chars = this.undoLeetspeak(chars, techniques);
+
+    const { text, indexAt } = joinChars(chars);
+    return {
+      original,
+      text,
+      spans: chars.map(entry => [entry.start, entry.end]),
+      indexAt,
+      techniques: [...techniques]
+    };
+  }
+
+  // Original content covered by text[start, end) of a normalize() result, e.g. the
+  // offsets of a regex match against the normalized text
+  toOriginalSpan(normalized, start, end) {
+    const { spans, indexAt } = normalized;
+    if (!indexAt.length || end <= start) return null;
+
+    const first = spans[indexAt[Math.min(start, indexAt.length - 1)]];
+    const last = spans[indexAt[Math.min(end, indexAt.length) - 1]];
+    return { start: first[0], end: last[1], text: normalized.original.slice(first[0], last[1]) };
+  }
+
+  // Entities only count as obfuscation when they spell out ordinary letters and digits
+  decodeEntities(text, techniques) {
+    const chars = [];
+    let cursor = 0;
+
+    const pushRaw = (from, to) => {
+      for (let i = from; i < to;) {
+        const char = String.fromCodePoint(text.codePointAt(i));
+        chars.push({ char, start: i, end: i + char.length });
+        i += char.length;
+      }
+    };
+
+    let match;
+    ENTITY_REGEX.lastIndex = 0;
+    while ((match = ENTITY_REGEX.exec(text)) !== null) {
+      const [entity, decimal, hex, name] = match;
+      let decoded = null;
+
+      if (decimal || hex) {
+        const codePoint = parseInt(decimal || hex, decimal ? 10 : 16);
+        if (codePoint <= 0x10FFFF) decoded = String.fromCodePoint(codePoint);
+      } else {
+        decoded = NAMED_ENTITIES[name.toLowerCase()] || null;
+      }
+      if (decoded === null) continue;
+
+      pushRaw(cursor, match.index);
+      chars.push({ char: decoded, start: match.index, end: match.index + entity.length });
+      cursor = match.index + entity.length;
+
+      if (/^[a-z0-9]$/i.test(decoded)) techniques.add('html_entities');
+    }
+
+    pushRaw(cursor, text.length);
+    return chars;
+  }
+
+  stripInvisible(chars, techniques) {
+    return chars.filter(({ char }) => {
+      if (ZERO_WIDTH.test(char)) {
+        techniques.add('zero_width_characters');
+        return false;
+      }
+      return true;
+    });
+  }
+
+  // Indexes of the characters in words that mix Latin letters with Cyrillic or Greek
+  // lookalikes ("pаypal" with a Cyrillic а). Text written in those scripts is left alone.
+  mixedScriptIndexes(chars) {
+    const mixed = new Set();
+    let word = [];
+
+    const close = () => {
+      const hasLatin = word.some(index => LATIN_LETTER.test(chars[index].char) && !CONFUSABLES[chars[index].char]);
+      const hasLookalike = word.some(index => CONFUSABLES[chars[index].char]);
+      if (hasLatin && hasLookalike) word.forEach(index => mixed.add(index));
+      word = [];
+    };
+
+    chars.forEach(({ char }, index) => {
+      if (WORD_CHAR.test(char)) {
+        word.push(index);
+      } else {
+        close();
+      }
+    });
+    close();
+
+    return mixed;
+  }
+
+  // Compatibility forms (fullwidth, mathematical letters), lookalike letters inside
+  // Latin words and stacked combining marks all fold back to plain Latin
+  foldUnicode(chars, techniques) {
+    const folded = [];
+    const mixedScript = this.mixedScriptIndexes(chars);
+
+    let marks = 0;
+
+    chars.forEach(({ char, start, end }, index) => {
+      if (COMBINING_MARK.test(char)) {
+        // One accent is ordinary decomposed text; stacks and strike-through overlays are not
+        marks++;
+        if (marks > 1 || OVERLAY_MARK.test(char)) techniques.add('combining_marks');
+        return;
+      }
+      marks = 0;
+
+      if (CONFUSABLES[char] && mixedScript.has(index)) {
+        techniques.add('unicode_confusables');
+        folded.push({ char: CONFUSABLES[char], start, end });
+        return;
+      }
+
+      const compatible = char.normalize('NFKC');
+      if (compatible !== char && /^[a-z0-9]+$/i.test(compatible)) {
+        techniques.add('unicode_confusables');
+        [...compatible].forEach(part => folded.push({ char: part, start, end }));
+        return;
+      }
+
+      folded.push({ char, start, end });
+    });
+
+    return folded;
+  }
+
+  joinSpacedLetters(chars, techniques) {
+    const { text, indexAt } = joinChars(chars);
+    const drop = new Set();
+
+    let match;
+    SPACED_LETTERS.lastIndex = 0;
+    while ((match = SPACED_LETTERS.exec(text)) !== null) {
+      techniques.add('spaced_letters');
+      for (let offset = 0; offset < match[0].length; offset++) {
+        if (!/\p{L}/u.test(match[0][offset])) drop.add(indexAt[match.index + offset]);
+      }
+    }
+
+    return drop.size ? chars.filter((entry, index) => !drop.has(index)) : chars;
+  }
+
+  undoLeetspeak(chars, techniques) {
+    const { text, indexAt } = joinChars(chars);
+    const result = chars.slice();
+
+    let match;
+    LEET_WORD.lastIndex = 0;
+    while ((match = LEET_WORD.exec(text)) !== null) {
+      // Trailing "!!!" is punctuation, and numbers that open or close a word ("covid19",
+      // "4th") are not substitutes; what is left needs real letters around a substitute
+      const word = match[0].replace(/[!|+]+$/, '');
+
+      // Abbreviations (i18n, k8s, mp3s) and codes that are mostly digits (A1B2) are not disguised words
+      const digits = (word.match(/\d/g) || []).length;
+      if (ALPHANUMERIC_WORDS.has(word.toLowerCase()) || digits >= word.length - digits) continue;
+
+      const lead = word.match(/^\d*/)[0].length;
+      const core = word.slice(lead).replace(/\d+$/, '');
+      if ((core.match(/[a-z]/gi) || []).length < 2 || ![...core].some(char => LEET[char])) continue;
+
+      // name@example.com is an address, not p@ssword
+      if (core.includes('@') && text[match.index + match[0].length] === '.') continue;
+
+      techniques.add('leetspeak');
+      [...core].forEach((char, offset) => {
+        if (LEET[char]) {
+          const index = indexAt[match.index + lead + offset];
+          result[index] = { ...result[index], char: LEET[char] };
+        }
+      });
+    }
+
+    return result;
+  }
+}
+
+module.exports = new TextNormalizer();
@@ -0,0 +1,114 @@
+const AGE_GROUPS = ['child', 'teen', 'adult', 'senior'];
+
+// What each threat means, pitched at each age group: short and reassuring for
+// children, practical for teens, and how the trick works for adults and seniors
+const EXPLANATIONS = {
+  phishing: {
+    child: 'This message is pretending to be someone you trust so you will share a password or click a link. Don\'t click anything. Show it to a grown-up.',
+    teen: 'This looks like phishing: a fake message made to get your login or personal details. Don\'t click the link or reply. Go to the real app or website yourself if you want to check.',
+    adult: 'This looks like phishing. Phishing messages pose as a bank, employer or well-known service to make you sign in on a fake page or hand over personal details, usually with urgent wording or a threat to close your account. Don\'t use the links in the message. Open the service yourself or call a number you already trust.',
+    senior: 'This message looks like phishing: someone pretending to be a company or person you know in order to get your passwords, card numbers or personal details. Real companies do not ask for these by message. Don\'t click any link or reply. Contact the company using the phone number or website you normally use.'
+  },
+  malware: {
+    child: 'This message wants you to download something that could hurt your device. Don\'t download or open anything. Tell a grown-up.',
+    teen: 'This looks like it is trying to get you to install malware: fake "virus found" warnings or updates that actually infect your device. Don\'t download or run anything from it.',
+    adult: 'This looks like a malware lure. Fake security alerts, "required updates" and attachments are used to get you to install software that steals data, spies on you or locks your files. Don\'t download or open anything from it. Install updates only from your device\'s own settings or app store.',
+    senior: 'This message looks like it is trying to get you to install harmful software, often by claiming your computer has a virus. Genuine security warnings do not arrive like this. Don\'t download, open or install anything, and don\'t call any number it shows.'
+  },
+  social_engineering: {
+    child: 'Someone is trying to trick you into doing what they want. You don\'t have to do it. Talk to a grown-up you trust.',
+    teen: 'This message uses pressure tricks like urgency, secrecy or flattery to push you into acting fast. Slow down and check with someone you trust before doing anything.',
+    adult: 'This message shows signs of social engineering: manufactured urgency, appeals to trust or authority, or requests to keep things secret. These tactics are meant to stop you from checking the story. Verify the request through a separate channel before acting.',
+    senior: 'This message uses pressure to rush you, for example by claiming an emergency or asking you to keep it secret. Scammers rely on you acting before you can check. Take your time and confirm the story with family or the organisation directly.'
+  },
+  financial_scam: {
+    child: 'This is a trick to get money. Never send money or gift cards to anyone online. Tell a grown-up.',
+    teen: 'This looks like a money scam: promises of easy money, crypto profits or prizes that end with you paying or sharing card details. If it sounds too good to be true, it is.',
+    adult: 'This looks like a financial scam. Guaranteed returns, "risk-free" investments, crypto opportunities and prize claims are used to get deposits or fees that are never returned. Check any investment with a regulated adviser and never pay to claim a prize.',
+    senior: 'This message looks like a money scam. Promises of guaranteed profits, investment opportunities or prizes are common ways to take people\'s savings. Don\'t send money, gift cards or bank details. Talk it over with family or your bank first.'
+  },
+  predator_behavior: {
+    child: 'This person is asking things a safe person online would not ask. Don\'t answer. Show this to a parent or a grown-up you trust right away.',
+    teen: 'This message has warning signs of grooming: questions about your age, where you live, photos, meeting up or keeping secrets. Don\'t share anything. Block them and tell an adult you trust.',
+    adult: 'This conversation shows grooming warning signs, such as asking for age, location or photos, suggesting a private meeting, or asking to keep the contact secret. If a child is involved, keep the messages, block the sender and report them to the platform and the police.',
+    senior: 'This message asks for personal details, photos or a private meeting in a way that is a known warning sign. Don\'t share anything. Keep the messages, block the sender and report them.'
+  },
+  privacy_violation: {
+    child: 'This is asking for private things about you. Keep them to yourself and ask a grown-up.',
+    teen: 'This asks for personal information that could be used against you. Don\'t share it.',
+    adult: 'This message asks for personal information that could be used for identity theft or tracking. Share personal details only with people and services you have verified.',
+    senior: 'This message asks for personal information such as your address, date of birth or account numbers. Don\'t share them unless you contacted the organisation yourself.'
+  },
+  inappropriate_content: {
+    child: 'This has things in it that are not okay for you. Close it and tell a grown-up.',
+    teen: 'This contains inappropriate content. You can close it, block the sender and report it.',
+    adult: 'This content has been flagged as inappropriate. You can block the sender and report it to the platform.',
+    senior: 'This content has been flagged as inappropriate. You can close it, block the sender and report it.'
+  },
+  data_breach: {
+    child: 'Some of your information might not be safe anymore. Ask a grown-up to help you change your password.',
+    teen: 'This relates to a data breach. Change the password for that account and anywhere you reused it.',
+    adult: 'This relates to a data breach. Change the affected password and any reused ones, turn on two-factor authentication, and watch for messages that use the leaked details to look convincing.',
+    senior: 'This relates to a data breach, where a company lost customer information. Change the password for that account and watch out for messages that use your details to seem genuine.'
+  }
+};
+
+const GENERIC = {
+  child: 'Something about this message is not safe. Don\'t click or reply, and show it to a grown-up.',
+  teen: 'This message has signs of a scam. Don\'t click or reply until you have checked it.',
+  adult: 'This message has signs of a scam. Check who sent it through a channel you trust before acting on it.',
+  senior: 'This message has signs of a scam. Don\'t click or reply, and check with someone you trust first.'
+};
+
+// Per-threat explanations and render-ready annotations of detection evidence
+class ThreatExplanations {
+  get ageGroups() {
+    return AGE_GROUPS;
+  }
+
+  // Explanation of a threat for an age group; adults and seniors also get the reason
+  explain(threat, ageGroup = 'adult') {
+    const group = AGE_GROUPS.includes(ageGroup) ? ageGroup : 'adult';
+    const text = (EXPLANATIONS[threat.type] || GENERIC)[group];
+
+    if ((group === 'adult' || group === 'senior') && threat.reason) {
+      return `${text} Why we flagged it: ${threat.reason}.`;
+    }
+    return text;
+  }
+
+  // The content split into plain and highlighted segments. highlights lists every
+  // evidence span with the threat it supports; each segment names the highlights
+  // covering it, so overlapping spans render without reworking offsets.
+  annotate(content, threats) {
+    const highlights = threats.flatMap(threat => (threat.evidence || []).map(span => ({
+      start: span.start,
+      end: span.end,
+      text: span.text,
+      reason: span.reason,
+      type: threat.type,
+      severity: threat.severity
+    }))).sort((a, b) => a.start - b.start || b.end - a.end);
+
+    const bounds = [...new Set([0, content.length, ...highlights.flatMap(({ start, end }) => [start, end])])]
+      .filter(offset => offset >= 0 && offset <= content.length)
+      .sort((a, b) => a - b);
+
+    const segments = [];
+    for (let i = 0; i < bounds.length - 1; i++) {
+      const [start, end] = [bounds[i], bounds[i + 1]];
+      segments.push({
+        start,
+        end,
+        text: content.slice(start, end),
+        highlights: highlights
+          .map((highlight, index) => (highlight.start <= start && highlight.end >= end ? index : -1))
+          .filter(index => index !== -1)
+      });
+    }
+
+    return { content, highlights, segments };
+  }
+}
+
+module.exports = new ThreatExplanations();
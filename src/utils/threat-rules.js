@@ -0,0 +1,222 @@
+const ThreatRuleset = require('../models/ThreatRuleset');
+const aiDetectionEngine = require('./ai-detection');
+const regexSafety = require('./regex-safety');
+const { AppError } = require('./errors');
+const constants = require('../config/constants');
+
+const VERSION_RETRIES = 5;
+
+const notFound = version => new AppError(`Ruleset version ${version} not found`, 404, constants.ERROR_CODES.NOT_FOUND);
+
+// Stored form of a compiled rule, for copying the built-in rules into a new version
+const toStored = rule => ({
+  name: rule.name,
+  category: rule.category,
+  severity: rule.severity,
+  keywords: rule.keywords,
+  patterns: rule.patterns.map(pattern => ({ source: pattern.source, flags: pattern.flags })),
+  domains: rule.domains,
+  weights: rule.weights,
+  enabled: true
+});
+
+// Versioned threat-pattern rulesets: drafting, publishing, activation and rollback,
+// and keeping the detection engine on the active version
+class ThreatRulesService {
+  constructor() {
+    this.loaded = { version: 0, activatedAt: null };
+  }
+
+  // Problems that would stop a set of rules from compiling or running safely
+  validate(rules = []) {
+    const problems = [];
+    const names = new Set();
+
+    rules.forEach((rule, index) => {
+      const label = `Rule ${rule.name ? `"${rule.name}"` : index + 1}`;
+
+      if (names.has(rule.name)) problems.push(`${label}: duplicate rule name`);
+      names.add(rule.name);
+
+      const matchers = (rule.keywords || []).length + (rule.patterns || []).length + (rule.domains || []).length;
+      if (matchers === 0) problems.push(`${label}: needs at least one keyword, pattern or domain`);
+
+      (rule.patterns || []).forEach((pattern, patternIndex) => {
+        const { safe, reason } = regexSafety.check(pattern.source, pattern.flags === undefined ? 'i' : pattern.flags);
+        if (!safe) problems.push(`${label}, pattern ${patternIndex + 1}: ${reason}`);
+      });
+    });
+
+    return problems;
+  }
+
+  assertValid(rules) {
+    const problems = this.validate(rules);
+    if (problems.length > 0) {
+      throw new AppError(`Invalid ruleset: ${problems.join('; ')}`, 400, constants.ERROR_CODES.INVALID_RULESET);
+    }
+  }
+
+  compile(ruleset) {
+    return {
+      version: ruleset.version,
+      rules: ruleset.rules
+        .filter(rule => rule.enabled !== false)
+        .map(rule => ({
+          name: rule.name,
+          category: rule.category,
+          severity: rule.severity,
+          keywords: [...rule.keywords],
+          patterns: rule.patterns.map(pattern => new RegExp(pattern.source, pattern.flags)),
+          domains: [...rule.domains],
+          weights: {
+            keyword: rule.weights.keyword,
+            pattern: rule.weights.pattern,
+            domain: rule.weights.domain
+          }
+        }))
+    };
+  }
+
+  // Point the engine at the active ruleset if it changed since the last load
+  async reload() {
+    const active = await ThreatRuleset.findActive();
+    const version = active ? active.version : 0;
+    const activatedAt = active ? active.activatedAt.getTime() : null;
+
+    if (version !== this.loaded.version || activatedAt !== this.loaded.activatedAt) {
+      aiDetectionEngine.useRuleset(active ? this.compile(active) : null);
+      this.loaded = { version, activatedAt };
+    }
+
+    return version;
+  }
+
+  // Other instances pick up activations and rollbacks on their next poll
+  startWatcher() {
+    const run = () => this.reload().catch(error => console.error('Ruleset reload error:', error));
+
+    run();
+    const timer = setInterval(run, constants.RULESET_RELOAD_INTERVAL_SECONDS * 1000);
+    timer.unref();
+    return timer;
+  }
+
+  async list() {
+    const [rulesets, active] = await Promise.all([
+      ThreatRuleset.find().sort({ version: -1 }),
+      ThreatRuleset.findActive().select('version')
+    ]);
+    return { rulesets, activeVersion: active ? active.version : 0 };
+  }
+
+  async get(version) {
+    const ruleset = await ThreatRuleset.findOne({ version });
+    if (!ruleset) throw notFound(version);
+    return ruleset;
+  }
+
+  // New draft with the given rules, or a copy of basedOn (default: the active version)
+  async create({ description, rules, basedOn }, user) {
+    let parentVersion = basedOn;
+    if (rules === undefined) {
+      let source = null;
+      if (basedOn === undefined) {
+        source = await ThreatRuleset.findActive();
+      } else if (basedOn !== 0) {
+        source = await this.get(basedOn);
+      }
+
+      rules = source
+        ? source.rules.map(rule => rule.toObject())
+        : aiDetectionEngine.builtinRuleset.rules.map(toStored);
+      parentVersion = source ? source.version : 0;
+    }
+    this.assertValid(rules);
+
+    // Concurrent drafts race on the unique version and the loser takes the next number
+    for (let attempt = 1; attempt <= VERSION_RETRIES; attempt++) {
+      const latest = await ThreatRuleset.findOne().sort({ version: -1 }).select('version');
+
+      try {
+        return await ThreatRuleset.create({
+          version: latest ? latest.version + 1 : 1,
+          description,
+          rules,
+          basedOn: parentVersion,
+          createdBy: user._id
+        });
+      } catch (error) {
+        if (error.code !== 11000 || attempt === VERSION_RETRIES) throw error;
+      }
+    }
+  }
+
+  async update(version, { description, rules }) {
+    const ruleset = await this.get(version);
+    if (ruleset.status !== 'draft') {
+      throw new AppError(`Ruleset version ${version} is published; create a new version instead`, 409, constants.ERROR_CODES.RULESET_LOCKED);
+    }
+
+    if (rules !== undefined) {
+      this.assertValid(rules);
+      ruleset.rules = rules;
+    }
+    if (description !== undefined) ruleset.description = description;
+
+    return ruleset.save();
+  }
+
+  async remove(version) {
+    const ruleset = await this.get(version);
+    if (ruleset.status !== 'draft') {
+      throw new AppError(`Ruleset version ${version} is published and kept for traceability`, 409, constants.ERROR_CODES.RULESET_LOCKED);
+    }
+    await ruleset.deleteOne();
+  }
+
+  // Publish the version if it is still a draft and make it the one the engine runs.
+  // A rollback keeps the target's own previousVersion so repeated rollbacks walk back.
+  async activate(version, user, { rollback = false } = {}) {
+    const ruleset = await this.get(version);
+    this.assertValid(ruleset.rules.map(rule => rule.toObject()));
+
+    const current = await ThreatRuleset.findActive().select('version');
+    if (!rollback && (!current || current.version !== ruleset.version)) {
+      ruleset.previousVersion = current ? current.version : 0;
+    }
+
+    const now = new Date();
+    if (ruleset.status === 'draft') {
+      ruleset.status = 'published';
+      ruleset.publishedAt = now;
+      ruleset.publishedBy = user._id;
+    }
+    ruleset.activatedAt = now;
+    ruleset.activatedBy = user._id;
+    await ruleset.save();
+
+    await this.reload();
+    return ruleset;
+  }
+
+  // Re-activate the version that was running before the current one
+  async rollback(user) {
+    const active = await ThreatRuleset.findActive();
+    if (!active) {
+      throw new AppError('The built-in rules are active; there is nothing to roll back', 409, constants.ERROR_CODES.RULESET_LOCKED);
+    }
+
+    if (!active.previousVersion) {
+      throw new AppError(
+        `Version ${active.version} replaced the built-in rules; activate a copy of them (basedOn 0) instead`,
+        409,
+        constants.ERROR_CODES.RULESET_LOCKED
+      );
+    }
+
+    return this.activate(active.previousVersion, user, { rollback: true });
+  }
+}
+
+module.exports = new ThreatRulesService();
@@ -0,0 +1,202 @@
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const RefreshToken = require('../models/RefreshToken');
+const Session = require('../models/Session');
+const encryptionUtils = require('./encryption');
+const helperUtils = require('./helpers');
+const { AppError } = require('./errors');
+const constants = require('../config/constants');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const LAST_SEEN_INTERVAL_MS = 60 * 1000;
+
+class TokenService {
+  // Short-lived access token bound to a session (refresh token family)
+  signAccessToken(userId, sessionId) {
+    return jwt.sign(
+      { id: userId, sid: sessionId, type: 'access' },
+      constants.JWT_SECRET,
+      { expiresIn: constants.JWT_EXPIRES_IN }
+    );
+  }
+
+  async createRefreshToken(userId, family, req = {}, minimalData = false) {
+    const rawToken = encryptionUtils.generateSecureToken(40);
+    const headers = req.headers || {};
+
+    await RefreshToken.create({
+      user: userId,
+      tokenHash: encryptionUtils.hashData(rawToken),
+      family,
+      expiresAt: new Date(Date.now() + constants.REFRESH_TOKEN_EXPIRES_DAYS * DAY_MS),
+      createdByIp: minimalData ? undefined : req.ip,
+      userAgent: minimalData ? undefined : headers['user-agent']
+    });
+
+    return rawToken;
+  }
+
+  // Start a new session for a successful login
+  async issueTokens(user, req = {}) {
+    // Device details are not collected for children still awaiting parental consent
+    const minimalData = typeof user.needsParentalConsent === 'function' && user.needsParentalConsent();
+    const userAgent = (req.headers && req.headers['user-agent']) || '';
+    const session = await Session.create({
+      user: user._id,
+      device: minimalData ? undefined : helperUtils.parseUserAgent(userAgent),
+      userAgent: minimalData ? undefined : userAgent,
+      ip: minimalData ? undefined : req.ip,
+      minimalData,
+      expiresAt: new Date(Date.now() + constants.REFRESH_TOKEN_EXPIRES_DAYS * DAY_MS)
+    });
+
+    const sessionId = session._id.toString();
+    const refreshToken = await this.createRefreshToken(user._id, sessionId, req, minimalData);
+
+    return {
+      accessToken: this.signAccessToken(user._id, sessionId),
+      refreshToken,
+      sessionId,
+      expiresIn: constants.JWT_EXPIRES_IN
+    };
+  }
+
+  // Exchange a refresh token for a new pair; a second use of any token revokes the family
+  async rotateRefreshToken(rawToken, req) {
+    const tokenHash = encryptionUtils.hashData(rawToken);
+    const existing = await RefreshToken.findOne({ tokenHash });
+
+    if (!existing) {
+      throw new AppError('Invalid refresh token', 401, constants.ERROR_CODES.INVALID_REFRESH_TOKEN);
+    }
+
+    if (existing.expiresAt <= new Date()) {
+      throw new AppError('Refresh token has expired', 401, constants.ERROR_CODES.INVALID_REFRESH_TOKEN);
+    }
+
+    // Claim the token atomically so concurrent refreshes cannot both succeed
+    const claimed = await RefreshToken.findOneAndUpdate(
+      { _id: existing._id, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: 'rotated' },
+      { new: true }
+    );
+
+    if (!claimed) {
+      await this.revokeSession(existing.family, 'reuse_detected');
+      throw new AppError(
+        'Refresh token reuse detected. All sessions for this login have been revoked.',
+        401,
+        constants.ERROR_CODES.REFRESH_TOKEN_REUSED
+      );
+    }
+
+    // A revoked session keeps its refresh tokens from being exchanged
+    const session = await Session.findOne({ _id: existing.family, revokedAt: null });
+
+    if (!session) {
+      throw new AppError('Session has been revoked. Please log in again.', 401, constants.ERROR_CODES.INVALID_REFRESH_TOKEN);
+    }
+
+    session.lastSeenAt = new Date();
+    session.expiresAt = new Date(Date.now() + constants.REFRESH_TOKEN_EXPIRES_DAYS * DAY_MS);
+    if (!session.minimalData) session.ip = req.ip;
+    await session.save();
+
+    const refreshToken = await this.createRefreshToken(existing.user, existing.family, req, session.minimalData);
+    claimed.replacedBy = encryptionUtils.hashData(refreshToken);
+    await claimed.save();
+
+    return {
+      userId: existing.user,
+      accessToken: this.signAccessToken(existing.user, existing.family),
+      refreshToken,
+      sessionId: existing.family,
+      expiresIn: constants.JWT_EXPIRES_IN
+    };
+  }
+
+  // Verify an access token and make sure its session has not been revoked
+  async verifyAccessToken(token) {
+    const decoded = jwt.verify(token, constants.JWT_SECRET);
+
+    if (decoded.type !== 'access' || !decoded.sid) {
+      throw new AppError('Not authorized to access this route', 401, constants.ERROR_CODES.NOT_AUTHORIZED);
+    }
+
+    const active = await this.isSessionActive(decoded.sid);
+    if (!active) {
+      throw new AppError('Session has been revoked. Please log in again.', 401, constants.ERROR_CODES.NOT_AUTHORIZED);
+    }
+
+    return decoded;
+  }
+
+  // Single-purpose token used between login steps (e.g. 'mfa_challenge') or in emailed links
+  signPurposeToken(userId, purpose, expiresIn, claims = {}) {
+    return jwt.sign({ ...claims, id: userId, type: purpose }, constants.JWT_SECRET, { expiresIn });
+  }
+
+  verifyPurposeToken(token, purpose) {
+    const decoded = jwt.verify(token, constants.JWT_SECRET);
+
+    if (decoded.type !== purpose) {
+      throw new AppError('Invalid or expired token', 401, constants.ERROR_CODES.NOT_AUTHORIZED);
+    }
+
+    return decoded;
+  }
+
+  // Checks the session and records when it was last seen (at most once a minute)
+  async isSessionActive(sessionId) {
+    if (!mongoose.isValidObjectId(sessionId)) return false;
+
+    const session = await Session.findOne({
+      _id: sessionId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).select('lastSeenAt');
+
+    if (!session) return false;
+
+    if (!session.lastSeenAt || Date.now() - session.lastSeenAt.getTime() > LAST_SEEN_INTERVAL_MS) {
+      await Session.updateOne({ _id: session._id }, { lastSeenAt: new Date() });
+    }
+
+    return true;
+  }
+
+  async revokeSession(sessionId, reason = 'logout', revokedBy) {
+    if (mongoose.isValidObjectId(sessionId)) {
+      await Session.updateOne(
+        { _id: sessionId, revokedAt: null },
+        { revokedAt: new Date(), revokedReason: reason, revokedBy }
+      );
+    }
+    return RefreshToken.revokeFamily(sessionId, reason);
+  }
+
+  // Revoke every session a user holds, optionally keeping the caller's own
+  async revokeAllSessions(userId, reason, { exceptSessionId, revokedBy } = {}) {
+    const filter = { user: userId, revokedAt: null };
+    if (exceptSessionId) {
+      filter._id = { $ne: exceptSessionId };
+    }
+
+    const sessionIds = (await Session.find(filter).select('_id')).map(session => session._id.toString());
+
+    await Session.updateMany(filter, { revokedAt: new Date(), revokedReason: reason, revokedBy });
+
+    if (exceptSessionId) {
+      await RefreshToken.updateMany(
+        { family: { $in: sessionIds }, revokedAt: null },
+        { revokedAt: new Date(), revokedReason: reason }
+      );
+      return sessionIds.length;
+    }
+
+    await RefreshToken.revokeAllForUser(userId, reason);
+    return sessionIds.length;
+  }
+}
+
+module.exports = new TokenService();
@@ -0,0 +1,116 @@
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// RFC 6238 time-based one-time passwords (SHA-1, 6 digits, 30 second step)
+class TotpUtils {
+  constructor() {
+    this.digits = 6;
+    this.step = 30;
+    this.window = 1; // Accept one step of clock drift either side
+  }
+
+  base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+      value = (value << 8) | byte;
+      bits += 8;
+
+      while (bits >= 5) {
+        output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+        bits -= 5;
+      }
+    }
+
+    if (bits > 0) {
+      output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+  }
+
+  base32Decode(input) {
+    const cleaned = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of cleaned) {
+      const index = BASE32_ALPHABET.indexOf(char);
+      if (index === -1) {
+        throw new Error('Invalid base32 character');
+      }
+
+      value = (value << 5) | index;
+      bits += 5;
+
+      if (bits >= 8) {
+        bytes.push((value >>> (bits - 8)) & 255);
+        bits -= 8;
+      }
+    }
+
+    return Buffer.from(bytes);
+  }
+
+  generateSecret(size = 20) {
+    return this.base32Encode(crypto.randomBytes(size));
+  }
+
+  currentStep(timestamp = Date.now()) {
+    return Math.floor(timestamp / 1000 / this.step);
+  }
+
+  // HOTP value for a given counter (RFC 4226)
+  generateCode(secret, counter) {
+    const buffer = Buffer.alloc(8);
+    buffer.writeBigUInt64BE(BigInt(counter));
+
+    const hmac = crypto
+      .createHmac('sha1', this.base32Decode(secret))
+      .update(buffer)
+      .digest();
+
+    const offset = hmac[hmac.length - 1] & 0xf;
+    const binary = (hmac.readUInt32BE(offset) & 0x7fffffff) % (10 ** this.digits);
+
+    return binary.toString().padStart(this.digits, '0');
+  }
+
+  // Returns the matching time step, or null when the code is wrong
+  verify(secret, code, timestamp = Date.now()) {
+    const normalized = String(code || '').replace(/\s/g, '');
+    if (!/^\d+$/.test(normalized) || normalized.length !== this.digits) {
+      return null;
+    }
+
+    const step = this.currentStep(timestamp);
+    for (let drift = -this.window; drift <= this.window; drift++) {
+      const expected = this.generateCode(secret, step + drift);
+      if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+        return step + drift;
+      }
+    }
+
+    return null;
+  }
+
+  // otpauth:// URI understood by authenticator apps (render as a QR code)
+  buildOtpauthUri(secret, accountName, issuer) {
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({
+      secret,
+      issuer,
+      algorithm: 'SHA1',
+      digits: String(this.digits),
+      period: String(this.step)
+    });
+
+    return `otpauth://totp/${label}?${params.toString()}`;
+  }
+}
+
+module.exports = new TotpUtils();
@@ -0,0 +1,240 @@
+const { domainToUnicode } = require('url');
+const natural = require('natural');
+const constants = require('../config/constants');
+const textNormalizer = require('./text-normalizer');
+
+// Weight of each finding; a URL's score combines them as independent signals
+const INDICATOR_SCORES = {
+  homoglyph_lookalike: 0.9,
+  typosquat: 0.7,
+  brand_impersonation: 0.7,
+  display_text_mismatch: 0.7,
+  brand_in_subdomain: 0.6,
+  ip_literal_host: 0.6,
+  userinfo_in_url: 0.6,
+  excessive_subdomains: 0.4,
+  credential_path: 0.35,
+  punycode_host: 0.3,
+  url_shortener: 0.3,
+  suspicious_tld: 0.3
+};
+
+const INDICATOR_REASONS = {
+  homoglyph_lookalike: detail => `Link spells ${detail} with lookalike characters`,
+  typosquat: detail => `Link is a misspelling of ${detail}`,
+  brand_impersonation: detail => `Link uses the name of ${detail} but goes to a different site`,
+  display_text_mismatch: detail => `Link text shows ${detail} but the link goes somewhere else`,
+  brand_in_subdomain: detail => `Link puts ${detail} in front of a different website`,
+  ip_literal_host: () => 'Link goes to a bare IP address instead of a website name',
+  userinfo_in_url: () => 'Link hides its real destination behind an @ sign',
+  excessive_subdomains: detail => `Link has an unusually long address (${detail} subdomains)`,
+  credential_path: detail => `Link leads to a "${detail}" page that may ask for your password`,
+  punycode_host: detail => `Link uses foreign characters to imitate another address (${detail})`,
+  url_shortener: detail => `Link is shortened with ${detail}, hiding where it goes`,
+  suspicious_tld: detail => `Link ends in ${detail}, a domain ending often used by scams`
+};
+
+const URL_SHORTENERS = [
+  'bit.ly', 'tinyurl.com', 't.co', 'goo.gl', 'ow.ly', 'is.gd', 'buff.ly',
+  'rebrand.ly', 'cutt.ly', 'shorturl.at', 'tiny.cc', 'rb.gy', 't.ly', 'v.gd'
+];
+
+const SUSPICIOUS_TLDS = [
+  'zip', 'mov', 'xyz', 'top', 'tk', 'ml', 'ga', 'cf', 'gq', 'click', 'country',
+  'work', 'loan', 'rest', 'cam', 'icu', 'buzz', 'monster', 'support', 'live'
+];
+
+// Second-level labels under which registrations happen (co.uk, com.au, ...)
+const SECOND_LEVEL_SUFFIXES = ['co', 'com', 'net', 'org', 'gov', 'edu', 'ac'];
+
+const CREDENTIAL_PATH = /(log-?in|sign-?in|verify|verification|account|update|secure|webscr|password|passwd|credential|unlock|confirm|billing|wallet)/i;
+
+// Digits swapped in for letters in lookalike domains (paypa1, g00gle)
+const HOST_DIGITS = { '0': 'o', '1': 'l', '3': 'e', '5': 's', '7': 't' };
+
+const URL_REGEX = /\b(?:https?:\/\/|www\.)[^\s"'<>()]+/gi;
+const ANCHOR_REGEX = /<a\s[^>]*href\s*=\s*["']([^"']+)["'][^>]*>([\s\S]*?)<\/a>/gi;
+const HOST_IN_TEXT = /(?:https?:\/\/)?((?:[a-z0-9-]+\.)+[a-z]{2,})/i;
+
+class UrlAnalyzer {
+  constructor() {
+    this.brands = constants.URL_ANALYSIS_BRAND_DOMAINS.map(([domain, ...regional]) => ({
+      domain,
+      name: domain.split('.')[0],
+      officialDomains: [domain, ...regional]
+    }));
+  }
+
+  parse(raw) {
+    const cleaned = raw.replace(/[.,;:!?'"\]]+$/, '');
+    try {
+      return new URL(/^https?:\/\//i.test(cleaned) ? cleaned : `http://${cleaned}`);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  isIpLiteral(hostname) {
+    return /^\d{1,3}(\.\d{1,3}){3}$/.test(hostname) || hostname.startsWith('[');
+  }
+
+  // Approximates the public-suffix rules well enough for lookalike checks
+  registrableDomain(hostname) {
+    if (!hostname) return null;
+    const host = hostname.toLowerCase().replace(/\.$/, '');
+    if (this.isIpLiteral(host)) return host;
+
+    const labels = host.split('.');
+    if (labels.length <= 2) return host;
+
+    const secondLevel = labels[labels.length - 2];
+    const take = SECOND_LEVEL_SUFFIXES.includes(secondLevel) && labels[labels.length - 1].length === 2 ? 3 : 2;
+    return labels.slice(-take).join('.');
+  }
+
+  skeleton(label) {
+    return [...label.toLowerCase()]
+      .map(char => HOST_DIGITS[char] || textNormalizer.foldConfusable(char))
+      .join('')
+      .replace(/rn/g, 'm')
+      .replace(/vv/g, 'w');
+  }
+
+  // Everything that looks like a link, with the visible text for HTML anchors and
+  // the [start, end) offsets where it appears in the content
+  extract(content) {
+    const found = new Map();
+    const add = (raw, displayText, position) => {
+      const parsed = this.parse(raw.trim());
+      if (!parsed || !parsed.hostname) return;
+      const entry = found.get(parsed.href) || { parsed, displayTexts: [], positions: [] };
+      if (displayText) entry.displayTexts.push(displayText);
+      if (position) entry.positions.push(position);
+      found.set(parsed.href, entry);
+    };
+
+    let match;
+    ANCHOR_REGEX.lastIndex = 0;
+    while ((match = ANCHOR_REGEX.exec(content)) !== null) {
+      const text = match[2].replace(/<[^>]*>/g, '').trim();
+      if (/^(https?:|www\.)/i.test(match[1].trim())) add(match[1], text);
+    }
+
+    for (const urlMatch of content.matchAll(URL_REGEX)) {
+      add(urlMatch[0], undefined, { start: urlMatch.index, end: urlMatch.index + urlMatch[0].length });
+    }
+
+    return [...found.values()];
+  }
+
+  brandIndicators(hostname) {
+    const unicodeHost = domainToUnicode(hostname) || hostname;
+    const registrable = this.registrableDomain(unicodeHost);
+    const label = registrable.split('.')[0];
+    const subdomainLabels = unicodeHost.split('.').slice(0, -registrable.split('.').length);
+    const indicators = [];
+
+    // Brand names are matched as whole hyphen-separated words so pineapple.com is not Apple
+    const words = label.split('-');
+    const skeletonWords = words.map(word => this.skeleton(word));
+
+    this.brands.forEach(brand => {
+      if (brand.officialDomains.some(domain => hostname === domain || hostname.endsWith(`.${domain}`))) return;
+
+      if (words.includes(brand.name)) {
+        indicators.push({ type: 'brand_impersonation', detail: brand.domain });
+      } else if (skeletonWords.includes(brand.name) || this.skeleton(label) === brand.name) {
+        indicators.push({ type: 'homoglyph_lookalike', detail: brand.domain });
+      } else if (brand.name.length >= 6 && natural.LevenshteinDistance(label, brand.name) === 1) {
+        indicators.push({ type: 'typosquat', detail: brand.domain });
+      } else if (
+        unicodeHost.includes(`${brand.domain}.`) ||
+        subdomainLabels.some(sub => this.skeleton(sub) === brand.name)
+      ) {
+        indicators.push({ type: 'brand_in_subdomain', detail: brand.domain });
+      }
+    });
+
+    return indicators;
+  }
+
+  analyzeUrl({ parsed, displayTexts, positions = [] }) {
+    const hostname = parsed.hostname.toLowerCase();
+    const registrable = this.registrableDomain(hostname);
+    const findings = [];
+
+    if (this.isIpLiteral(hostname)) {
+      findings.push({ type: 'ip_literal_host', detail: hostname });
+    } else {
+      if (hostname.split('.').some(label => label.startsWith('xn--'))) {
+        findings.push({ type: 'punycode_host', detail: domainToUnicode(hostname) });
+      }
+      findings.push(...this.brandIndicators(hostname));
+
+      const subdomains = hostname.split('.').length - registrable.split('.').length;
+      if (subdomains > constants.URL_ANALYSIS_MAX_SUBDOMAINS) {
+        findings.push({ type: 'excessive_subdomains', detail: String(subdomains) });
+      }
+
+      if (URL_SHORTENERS.includes(registrable)) {
+        findings.push({ type: 'url_shortener', detail: registrable });
+      }
+
+      const tld = hostname.split('.').pop();
+      if (SUSPICIOUS_TLDS.includes(tld)) {
+        findings.push({ type: 'suspicious_tld', detail: `.${tld}` });
+      }
+    }
+
+    if (parsed.username) {
+      findings.push({ type: 'userinfo_in_url', detail: parsed.username });
+    }
+
+    const pathMatch = CREDENTIAL_PATH.exec(`${parsed.pathname}${parsed.search}`);
+    if (pathMatch) {
+      findings.push({ type: 'credential_path', detail: pathMatch[1].toLowerCase() });
+    }
+
+    // Link text that names one site while the href goes to another
+    displayTexts.forEach(text => {
+      const shown = HOST_IN_TEXT.exec(text);
+      if (shown && this.registrableDomain(shown[1]) !== registrable) {
+        findings.push({ type: 'display_text_mismatch', detail: shown[1].toLowerCase() });
+      }
+    });
+
+    const indicators = findings.map(finding => ({ ...finding, score: INDICATOR_SCORES[finding.type] }));
+    const score = 1 - indicators.reduce((remaining, indicator) => remaining * (1 - indicator.score), 1);
+
+    return {
+      url: parsed.href,
+      hostname,
+      domain: registrable,
+      indicators,
+      score: Math.round(score * 100) / 100,
+      positions
+    };
+  }
+
+  // Plain-language reason for one of analyzeUrl's indicators
+  describeIndicator({ type, detail }) {
+    return INDICATOR_REASONS[type] ? INDICATOR_REASONS[type](detail) : `Suspicious link (${type})`;
+  }
+
+  // Analyze every URL in the content; domain is the riskiest URL's registrable domain
+  analyze(content) {
+    const urls = this.extract(String(content || '')).map(entry => this.analyzeUrl(entry));
+    const riskiest = urls.reduce((best, url) => (!best || url.score > best.score ? url : best), null);
+
+    return {
+      urls,
+      domain: riskiest ? riskiest.domain : null,
+      score: riskiest ? riskiest.score : 0,
+      indicators: urls.flatMap(url =>
+        url.indicators.map(indicator => `url_${indicator.type}: ${url.hostname}`)
+      )
+    };
+  }
+}
+
+module.exports = new UrlAnalyzer();